@@ -1,5 +1,6 @@
 // Electron main process for JDex desktop app
-import { app, BrowserWindow, Menu, shell } from 'electron';
+import { app, BrowserWindow, Menu, shell, ipcMain, Notification } from 'electron';
+import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -22,8 +23,41 @@ if (process.platform === 'win32') {
 }
 
 let mainWindow;
+let isQuitting = false;
 const isMac = process.platform === 'darwin';
 
+// Windows whose renderer has already flushed pending saves and may close
+const flushedWindows = new WeakSet();
+const FLUSH_TIMEOUT_MS = 5000;
+
+/**
+ * Ask the renderer to write any pending database changes, resolving when it
+ * reports back or after FLUSH_TIMEOUT_MS so a hung renderer can't block quit.
+ */
+function flushRenderer(win) {
+  return new Promise((resolve) => {
+    const { webContents } = win;
+    if (webContents.isDestroyed() || webContents.isCrashed()) {
+      resolve();
+      return;
+    }
+
+    const onReady = (event) => {
+      if (event.sender === webContents) done();
+    };
+    const timeout = setTimeout(done, FLUSH_TIMEOUT_MS);
+
+    function done() {
+      clearTimeout(timeout);
+      ipcMain.removeListener('lifecycle:close-ready', onReady);
+      resolve();
+    }
+
+    ipcMain.on('lifecycle:close-ready', onReady);
+    webContents.send('lifecycle:before-close');
+  });
+}
+
 const createWindow = () => {
   // Create the browser window.
   mainWindow = new BrowserWindow({
@@ -34,6 +68,7 @@ const createWindow = () => {
     webPreferences: {
       nodeIntegration: false,
       contextIsolation: true,
+      preload: path.join(__dirname, 'preload.cjs'),
     },
     // macOS: hidden title bar with inset traffic lights
     // Windows/Linux: standard title bar
@@ -55,8 +90,259 @@ const createWindow = () => {
     shell.openExternal(url);
     return { action: 'deny' };
   });
+
+  // Hold the close until the renderer has flushed its debounced saves
+  const win = mainWindow;
+  win.on('close', (event) => {
+    if (flushedWindows.has(win)) return;
+    event.preventDefault();
+    flushRenderer(win).then(() => {
+      flushedWindows.add(win);
+      // Preventing close cancels a pending quit, so resume it explicitly
+      if (isQuitting) {
+        app.quit();
+      } else {
+        win.close();
+      }
+    });
+  });
+};
+
+// ============================================
+// DATABASE FILE STORAGE
+// ============================================
+
+const DATABASE_FILENAME = 'jdex.sqlite';
+const PROFILES_DIRNAME = 'profiles';
+const BACKUP_DIRNAME = 'backups';
+const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * Check a profile id from the renderer before it becomes part of a path.
+ * Ids are generated by src/utils/profiles.js as lowercase slugs.
+ */
+function resolveProfileId(profileId) {
+  const id = profileId ?? DEFAULT_PROFILE_ID;
+  if (typeof id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(id)) {
+    throw new Error('Invalid profile id');
+  }
+  return id;
+}
+
+// The default profile keeps the original file name so existing installs carry over
+const getDatabasePath = (profileId) => {
+  const id = resolveProfileId(profileId);
+  return id === DEFAULT_PROFILE_ID
+    ? path.join(app.getPath('userData'), DATABASE_FILENAME)
+    : path.join(app.getPath('userData'), PROFILES_DIRNAME, `${id}.sqlite`);
 };
 
+const getBackupDir = (profileId) =>
+  path.join(app.getPath('userData'), BACKUP_DIRNAME, resolveProfileId(profileId));
+
+// Serialize writes so a slow save can never land after a newer one
+let writeQueue = Promise.resolve();
+
+/**
+ * Read the database file.
+ * Returns null when the file doesn't exist yet (first launch).
+ */
+async function readDatabaseFile(profileId) {
+  try {
+    return await fs.readFile(getDatabasePath(profileId));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    console.error('[JDex Storage] Failed to read database:', error.code || error.message);
+    throw new Error(`Unable to read database file (${error.code || 'unknown'})`);
+  }
+}
+
+/**
+ * Write a file atomically: write + fsync a temp file, then rename it over
+ * the target so a crash mid-save never leaves a truncated file.
+ */
+async function writeFileAtomic(target, data) {
+  if (!(data instanceof Uint8Array)) {
+    throw new Error('Database data must be a Uint8Array');
+  }
+
+  const temp = `${target}.tmp`;
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+
+  const handle = await fs.open(temp, 'w');
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  await fs.rename(temp, target);
+}
+
+const writeDatabaseFile = (data, profileId) => writeFileAtomic(getDatabasePath(profileId), data);
+
+// Backup files are named jdex-<timestamp>-<label>.sqlite, with a .json
+// sidecar holding the details shown in the restore browser
+const BACKUP_FILE_PATTERN = /^jdex-[A-Za-z0-9-]+\.sqlite$/;
+
+/**
+ * Resolve a backup id from the renderer to a path inside the profile's
+ * backups folder. Ids are plain file names, never paths.
+ */
+function getBackupPath(backupId, profileId) {
+  if (typeof backupId !== 'string' || !BACKUP_FILE_PATTERN.test(backupId)) {
+    throw new Error('Invalid backup id');
+  }
+  return path.join(getBackupDir(profileId), backupId);
+}
+
+/**
+ * Write a backup copy into the backups folder.
+ * The label comes from the renderer, so it is reduced to a safe filename part.
+ */
+async function writeBackupFile(data, label, profileId, counts) {
+  const safeLabel = String(label || 'manual')
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .slice(0, 40);
+  const createdAt = new Date().toISOString();
+  const id = `jdex-${createdAt.replace(/[:.]/g, '-')}-${safeLabel}.sqlite`;
+  const target = getBackupPath(id, profileId);
+
+  await writeFileAtomic(target, data);
+
+  const info = {
+    id,
+    label: safeLabel,
+    created_at: createdAt,
+    size: data.length,
+    counts: counts ?? {},
+  };
+  await fs.writeFile(`${target}.json`, JSON.stringify(info));
+  return info;
+}
+
+/**
+ * List the backups of a profile. A backup whose sidecar is missing or
+ * unreadable is still listed, with the file's own size and date.
+ */
+async function listBackupFiles(profileId) {
+  const dir = getBackupDir(profileId);
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const backups = [];
+  for (const id of names.filter((name) => BACKUP_FILE_PATTERN.test(name))) {
+    const file = path.join(dir, id);
+    try {
+      backups.push(JSON.parse(await fs.readFile(`${file}.json`, 'utf8')));
+    } catch {
+      const stat = await fs.stat(file);
+      backups.push({
+        id,
+        label: 'unknown',
+        created_at: stat.mtime.toISOString(),
+        size: stat.size,
+        counts: {},
+      });
+    }
+  }
+  return backups;
+}
+
+/**
+ * Replace a backup's bytes in place, keeping its name and details.
+ */
+async function rewriteBackupFile(backupId, data, profileId) {
+  const file = getBackupPath(backupId, profileId);
+  await fs.access(file);
+  await writeFileAtomic(file, data);
+
+  try {
+    const info = JSON.parse(await fs.readFile(`${file}.json`, 'utf8'));
+    await fs.writeFile(`${file}.json`, JSON.stringify({ ...info, size: data.length }));
+  } catch {
+    // No sidecar - the listing falls back to the file's own size
+  }
+}
+
+async function deleteBackupFile(backupId, profileId) {
+  const file = getBackupPath(backupId, profileId);
+  await fs.rm(file, { force: true });
+  await fs.rm(`${file}.json`, { force: true });
+}
+
+// A deleted profile takes its backups with it
+async function deleteProfileFiles(profileId) {
+  const id = resolveProfileId(profileId);
+  if (id === DEFAULT_PROFILE_ID) {
+    throw new Error('The default profile cannot be deleted');
+  }
+  await writeQueue;
+  await fs.rm(getDatabasePath(id), { force: true });
+  await fs.rm(getBackupDir(id), { recursive: true, force: true });
+}
+
+ipcMain.handle('storage:read-database', (_event, profileId) => readDatabaseFile(profileId));
+
+ipcMain.handle('storage:write-database', (_event, data, profileId) => {
+  const write = writeQueue.then(() => writeDatabaseFile(data, profileId));
+  // Keep the queue alive after a failed write; the caller still sees the error
+  writeQueue = write.catch(() => {});
+  return write.catch((error) => {
+    console.error('[JDex Storage] Failed to write database:', error.code || error.message);
+    throw new Error(`Unable to save database file (${error.code || 'unknown'})`);
+  });
+});
+
+ipcMain.handle('storage:get-database-path', (_event, profileId) => getDatabasePath(profileId));
+
+/**
+ * Register a backup IPC handler that logs failures and rethrows them
+ * without leaking file system paths to the renderer.
+ */
+function handleBackup(channel, action, handler) {
+  ipcMain.handle(channel, async (_event, ...args) => {
+    try {
+      return await handler(...args);
+    } catch (error) {
+      console.error(`[JDex Storage] Failed to ${action}:`, error.code || error.message);
+      throw new Error(`Unable to ${action} (${error.code || error.message})`);
+    }
+  });
+}
+
+handleBackup('storage:write-backup', 'write backup file', writeBackupFile);
+handleBackup('storage:list-backups', 'list backups', listBackupFiles);
+handleBackup('storage:read-backup', 'read backup file', (backupId, profileId) =>
+  fs.readFile(getBackupPath(backupId, profileId))
+);
+handleBackup('storage:rewrite-backup', 'rewrite backup file', rewriteBackupFile);
+handleBackup('storage:delete-backup', 'delete backup file', deleteBackupFile);
+handleBackup('storage:delete-database', 'delete profile files', deleteProfileFiles);
+
+// Reviews coming due (see src/utils/reviews.js); clicking one brings the window back
+ipcMain.handle('notifications:show', (_event, title, body) => {
+  if (!Notification.isSupported()) return false;
+
+  const notification = new Notification({ title: String(title), body: String(body) });
+  notification.on('click', () => {
+    if (!mainWindow || mainWindow.isDestroyed()) return;
+    if (mainWindow.isMinimized()) mainWindow.restore();
+    mainWindow.show();
+    mainWindow.focus();
+  });
+  notification.show();
+  return true;
+});
+
 // Cross-platform menu template
 const menuTemplate = [
   // App menu (macOS only - on Windows/Linux this appears under File)
@@ -87,8 +373,17 @@ const menuTemplate = [
   {
     label: 'Edit',
     submenu: [
-      { role: 'undo' },
-      { role: 'redo' },
+      // Text fields keep their own undo; elsewhere the renderer undoes index edits
+      {
+        label: 'Undo',
+        accelerator: 'CmdOrCtrl+Z',
+        click: (_item, window) => window?.webContents.send('edit:undo-redo', 'undo'),
+      },
+      {
+        label: 'Redo',
+        accelerator: 'Shift+CmdOrCtrl+Z',
+        click: (_item, window) => window?.webContents.send('edit:undo-redo', 'redo'),
+      },
       { type: 'separator' },
       { role: 'cut' },
       { role: 'copy' },
@@ -171,6 +466,10 @@ app.whenReady().then(() => {
   });
 });
 
+app.on('before-quit', () => {
+  isQuitting = true;
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     app.quit();
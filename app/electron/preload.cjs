@@ -0,0 +1,53 @@
+// Preload script for JDex - exposes a narrow IPC bridge to the renderer.
+// Runs sandboxed, so only the 'electron' module is available here.
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('jdex', {
+  storage: {
+    // Each profile has its own database file; omit profileId for the default profile.
+    // Returns the database file bytes, or null if no file exists yet
+    readDatabase: (profileId) => ipcRenderer.invoke('storage:read-database', profileId),
+    // Atomically replaces the database file with the given bytes
+    writeDatabase: (data, profileId) =>
+      ipcRenderer.invoke('storage:write-database', data, profileId),
+    getDatabasePath: (profileId) => ipcRenderer.invoke('storage:get-database-path', profileId),
+    // Removes a profile's database file and its backups; not allowed for the default profile
+    deleteDatabase: (profileId) => ipcRenderer.invoke('storage:delete-database', profileId),
+    // Writes a timestamped copy to the backups folder; resolves to its details
+    writeBackup: (data, label, profileId, counts) =>
+      ipcRenderer.invoke('storage:write-backup', data, label, profileId, counts),
+    // Backups are identified by file name within the profile's backups folder
+    listBackups: (profileId) => ipcRenderer.invoke('storage:list-backups', profileId),
+    readBackup: (backupId, profileId) =>
+      ipcRenderer.invoke('storage:read-backup', backupId, profileId),
+    rewriteBackup: (backupId, data, profileId) =>
+      ipcRenderer.invoke('storage:rewrite-backup', backupId, data, profileId),
+    deleteBackup: (backupId, profileId) =>
+      ipcRenderer.invoke('storage:delete-backup', backupId, profileId),
+  },
+  edit: {
+    // The Edit menu's Undo/Redo; the handler gets 'undo' or 'redo'
+    onUndoRedo: (handler) => {
+      ipcRenderer.removeAllListeners('edit:undo-redo');
+      ipcRenderer.on('edit:undo-redo', (_event, kind) => handler(kind));
+    },
+  },
+  notifications: {
+    // Shows a desktop notification; resolves to false where the system has none
+    show: (title, body) => ipcRenderer.invoke('notifications:show', title, body),
+  },
+  lifecycle: {
+    // The handler runs when the window is about to close; the main process
+    // waits for its promise to settle (with a timeout) before closing.
+    onBeforeClose: (handler) => {
+      ipcRenderer.removeAllListeners('lifecycle:before-close');
+      ipcRenderer.on('lifecycle:before-close', async () => {
+        try {
+          await handler();
+        } finally {
+          ipcRenderer.send('lifecycle:close-ready');
+        }
+      });
+    },
+  },
+});
@@ -13,6 +13,8 @@ export default [
       globals: {
         ...globals.browser,
         ...globals.node,
+        // Build-time constants injected via vite.config.js `define`
+        __SQLJS_INTEGRITY__: 'readonly',
       },
       parserOptions: {
         ecmaVersion: 'latest',
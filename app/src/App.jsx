@@ -31,12 +31,29 @@ import {
   ArrowLeft,
   RefreshCw,
   FolderOpen,
+  ShieldCheck,
+  Wrench,
+  KeyRound,
+  LockKeyhole,
+  FolderInput,
+  ArchiveRestore,
+  Undo2,
+  Hash,
+  LayoutTemplate,
+  SlidersHorizontal,
+  Tag,
+  ArrowRight,
+  History,
+  CalendarClock,
+  Hourglass,
+  Copy,
 } from 'lucide-react';
 import {
   initDatabase,
   getAreas,
   getCategories,
   getFolders,
+  getFolder,
   getItems,
   searchAll,
   createFolder,
@@ -44,6 +61,7 @@ import {
   deleteFolder,
   createItem,
   updateItem,
+  moveItems,
   deleteItem,
   getNextFolderNumber,
   getNextItemNumber,
@@ -57,10 +75,95 @@ import {
   createCategory,
   updateCategory,
   deleteCategory,
+  previewCategoryRenumber,
+  previewAreaRenumber,
+  validateArea,
+  validateCategory,
   executeSQL,
   getTableData,
   resetDatabase,
+  getCurrentProfileId,
+  switchProfile,
+  createProfile,
+  deleteProfile,
+  createBackup,
+  getBackups,
+  restoreBackup,
+  checkIntegrity,
+  repairIntegrity,
+  isDatabaseLocked,
+  isEncryptionEnabled,
+  unlockDatabase,
+  lockDatabase,
+  enableEncryption,
+  changePassphrase,
+  disableEncryption,
+  getTrash,
+  restoreFromTrash,
+  deleteFromTrash,
+  emptyTrash,
+  purgeTrash,
+  getReservedNumbers,
+  getFolderTemplates,
+  createFolderTemplate,
+  updateFolderTemplate,
+  deleteFolderTemplate,
+  saveFolderAsTemplate,
+  createFolderFromTemplate,
+  exportFolderTemplates,
+  importFolderTemplates,
+  reserveNumber,
+  releaseReservedNumber,
+  undo,
+  redo,
+  getHistoryState,
+  getCustomFields,
+  getFieldsForFolder,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+  getTags,
+  getTaggedRecords,
+  renameTag,
+  mergeTags,
+  getLinks,
+  findLinkTargets,
+  getFieldHistory,
+  revertFieldChange,
+  revertToVersion,
+  getDueReminders,
+  snoozeReminder,
+  completeReminder,
+  previewBulkEdit,
+  bulkEditRecords,
+  moveFolders,
+  deleteRecords,
+  duplicateFolder,
+  duplicateItem,
 } from './db.js';
+import { sanitizeErrorForUser, logError, EncryptionError } from './utils/errors.js';
+import {
+  MIN_PASSPHRASE_LENGTH,
+  getAutoLockMinutes,
+  setAutoLockMinutes,
+} from './utils/encryption.js';
+import { DEFAULT_PROFILE_ID, getProfiles, renameProfile } from './utils/profiles.js';
+import { getTrashRetentionDays, setTrashRetentionDays } from './utils/trash.js';
+import {
+  ALLOCATION_STRATEGIES,
+  getAllocationStrategy,
+  setAllocationStrategy,
+} from './utils/numbering.js';
+import { FIELD_TYPES, formatFieldValue } from './utils/customFields.js';
+import { parseTagList } from './utils/tags.js';
+import { LINK_TYPES, describeLink } from './utils/links.js';
+import {
+  SNOOZE_OPTIONS,
+  describeReminder,
+  describeReviewRule,
+  notifyDueReminders,
+  reviewRuleOptions,
+} from './utils/reviews.js';
 
 // Area icon mapping
 const areaIcons = {
@@ -95,6 +198,332 @@ function SensitivityBadge({ sensitivity, isInherited = false }) {
   );
 }
 
+// Tags on a folder or item card
+function TagList({ tags }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {tags.map((tag) => (
+        <span key={tag} className="px-2 py-0.5 bg-teal-900/40 text-teal-300 rounded text-xs">
+          {tag}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Tag editor for the folder and item forms, suggesting tags already in use.
+// Enter, Tab or a comma adds the typed tag; Backspace in an empty box removes the last one.
+function TagInput({ value, onChange }) {
+  const [text, setText] = useState('');
+  const [allTags] = useState(() => getTags());
+  const [open, setOpen] = useState(false);
+  const [highlight, setHighlight] = useState(-1);
+
+  const query = text.trim().toLowerCase();
+  const taken = new Set(value.map((tag) => tag.toLowerCase()));
+  const suggestions = allTags
+    .filter((tag) => !taken.has(tag.name.toLowerCase()) && tag.name.toLowerCase().includes(query))
+    .slice(0, 8);
+
+  const add = (name) => {
+    onChange(parseTagList([...value, name]));
+    setText('');
+    setHighlight(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setOpen(true);
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlight((h) => Math.max(-1, Math.min(suggestions.length - 1, h + step)));
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && (text.trim() || highlight >= 0)) {
+      e.preventDefault();
+      const exact = suggestions.find((tag) => tag.name.toLowerCase() === query);
+      add(highlight >= 0 ? suggestions[highlight].name : (exact?.name ?? text));
+    } else if (e.key === ',') {
+      e.preventDefault();
+      if (text.trim()) add(text);
+    } else if (e.key === 'Backspace' && !text && value.length > 0) {
+      onChange(value.slice(0, -1));
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="w-full bg-slate-800 border border-slate-600 rounded-lg px-2 py-1.5 flex flex-wrap items-center gap-1 focus-within:border-teal-500">
+        {value.map((tag) => (
+          <span
+            key={tag}
+            className="px-2 py-0.5 bg-teal-900/40 text-teal-300 rounded text-sm flex items-center gap-1"
+          >
+            {tag}
+            <button
+              type="button"
+              onClick={() => onChange(value.filter((t) => t !== tag))}
+              className="hover:text-white"
+            >
+              <X size={12} />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setOpen(true);
+            setHighlight(-1);
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={() => {
+            setOpen(false);
+            if (text.trim()) add(text);
+          }}
+          className="flex-1 min-w-[8rem] bg-transparent px-1 py-0.5 text-white outline-none"
+          placeholder={value.length === 0 ? 'Add tags...' : ''}
+        />
+      </div>
+      {open && suggestions.length > 0 && (
+        <div className="absolute z-10 mt-1 w-full bg-slate-800 border border-slate-600 rounded-lg shadow-lg overflow-hidden">
+          {suggestions.map((tag, i) => (
+            <button
+              key={tag.id}
+              type="button"
+              // Keep focus in the input so its blur doesn't add the half-typed text
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => add(tag.name)}
+              className={`w-full flex items-center justify-between px-3 py-1.5 text-sm text-left ${
+                i === highlight
+                  ? 'bg-teal-600/30 text-teal-300'
+                  : 'text-slate-300 hover:bg-slate-700'
+              }`}
+            >
+              {tag.name}
+              <span className="text-xs text-slate-500">{tag.count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Sidebar tag cloud; more-used tags are shown larger
+function TagCloud({ tags, selectedTag, onSelect }) {
+  const sizes = ['text-xs', 'text-sm', 'text-base', 'text-lg'];
+  const max = Math.max(...tags.map((tag) => tag.count));
+
+  return (
+    <div className="flex flex-wrap gap-x-2 gap-y-1 px-3">
+      {tags.map((tag) => (
+        <button
+          key={tag.id}
+          onClick={() => onSelect(tag)}
+          title={`${tag.folder_count} folders, ${tag.item_count} items`}
+          className={`${sizes[Math.round(((tag.count - 1) / Math.max(max - 1, 1)) * (sizes.length - 1))]} transition-colors ${
+            selectedTag?.id === tag.id ? 'text-teal-300' : 'text-slate-400 hover:text-white'
+          }`}
+        >
+          {tag.name}
+          <span className="text-xs text-slate-600 ml-0.5">{tag.count}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// One link on a card or in a form: kind, then the other end's number and name
+function LinkRow({ link, backlink = false, children }) {
+  const Arrow = backlink ? ArrowLeft : ArrowRight;
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <Arrow size={14} className="text-slate-500 shrink-0" />
+      <span className="text-slate-500">{describeLink(link.link_type, backlink)}</span>
+      <span className="jd-number text-teal-400">{link.other_number}</span>
+      <span className="text-slate-300 truncate">{link.other_name}</span>
+      {children}
+    </div>
+  );
+}
+
+// Links from and to a folder or item, shown when its card is expanded
+function LinkList({ entityType, entityId }) {
+  const { outgoing, backlinks } = getLinks(entityType, entityId);
+  if (outgoing.length === 0 && backlinks.length === 0) return null;
+
+  return (
+    <div className="mt-3 space-y-1">
+      {outgoing.map((link) => (
+        <LinkRow key={link.id} link={link} />
+      ))}
+      {backlinks.map((link) => (
+        <LinkRow key={link.id} link={link} backlink />
+      ))}
+    </div>
+  );
+}
+
+// Outgoing links in the edit forms, with a picker that finds folders and items
+// by JD number or name. Backlinks are listed read-only; they're edited from the other end.
+function LinkEditor({ entityType, entityId, value, onChange }) {
+  const [linkType, setLinkType] = useState('see_also');
+  const [query, setQuery] = useState('');
+  const [backlinks] = useState(() => getLinks(entityType, entityId).backlinks);
+
+  const matches = findLinkTargets(query).filter(
+    (target) => !(target.entity_type === entityType && target.id === entityId)
+  );
+  const linkKey = (link) => `${link.link_type}:${link.other_type}:${link.other_id}`;
+
+  const add = (target) => {
+    const link = {
+      link_type: linkType,
+      other_type: target.entity_type,
+      other_id: target.id,
+      other_number: target.number,
+      other_name: target.name,
+    };
+    if (!value.some((l) => linkKey(l) === linkKey(link))) onChange([...value, link]);
+    setQuery('');
+  };
+
+  return (
+    <div className="space-y-2">
+      {value.map((link) => (
+        <LinkRow key={linkKey(link)} link={link}>
+          <button
+            type="button"
+            onClick={() => onChange(value.filter((l) => linkKey(l) !== linkKey(link)))}
+            className="ml-auto p-1 hover:bg-slate-700 rounded"
+          >
+            <X size={14} className="text-slate-400" />
+          </button>
+        </LinkRow>
+      ))}
+      {backlinks.map((link) => (
+        <LinkRow key={link.id} link={link} backlink />
+      ))}
+
+      <div className="flex gap-2">
+        <select
+          value={linkType}
+          onChange={(e) => setLinkType(e.target.value)}
+          className="bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+        >
+          {Object.entries(LINK_TYPES).map(([type, { label }]) => (
+            <option key={type} value={type}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <div className="relative flex-1">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && matches.length > 0) {
+                e.preventDefault();
+                add(matches[0]);
+              }
+            }}
+            className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+            placeholder="Link to a JD number or name..."
+          />
+          {matches.length > 0 && (
+            <div className="absolute z-10 mt-1 w-full bg-slate-800 border border-slate-600 rounded-lg shadow-lg overflow-hidden">
+              {matches.map((target) => (
+                <button
+                  key={`${target.entity_type}:${target.id}`}
+                  type="button"
+                  onClick={() => add(target)}
+                  className="w-full flex items-center gap-2 px-3 py-1.5 text-sm text-left text-slate-300 hover:bg-slate-700"
+                >
+                  {target.entity_type === 'folder' ? (
+                    <FolderOpen size={14} className="text-amber-400" />
+                  ) : (
+                    <File size={14} className="text-slate-400" />
+                  )}
+                  <span className="jd-number text-teal-400">{target.number}</span>
+                  {target.name}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Review date, how often it repeats, and expiry date, for the edit forms
+function ReviewDateInputs({ values, onChange }) {
+  return (
+    <div className="grid grid-cols-3 gap-4">
+      <div>
+        <label className="block text-sm font-medium text-slate-300 mb-1">Review On</label>
+        <input
+          type="date"
+          value={values.review_date || ''}
+          onChange={(e) => onChange({ review_date: e.target.value })}
+          className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-slate-300 mb-1">Repeat</label>
+        <select
+          value={values.review_rule || ''}
+          onChange={(e) => onChange({ review_rule: e.target.value })}
+          className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+        >
+          <option value="">Doesn&apos;t repeat</option>
+          {reviewRuleOptions().map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-slate-300 mb-1">Expires On</label>
+        <input
+          type="date"
+          value={values.expires_on || ''}
+          onChange={(e) => onChange({ expires_on: e.target.value })}
+          className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+        />
+      </div>
+    </div>
+  );
+}
+
+// Review and expiry dates on an expanded card
+function ReviewDates({ record }) {
+  return (
+    <>
+      {record.review_date && (
+        <div>
+          <span className="text-slate-500">Review:</span>
+          <span className="ml-2 text-slate-300">
+            {record.review_date}
+            {record.review_rule && ` (${describeReviewRule(record.review_rule).toLowerCase()})`}
+          </span>
+        </div>
+      )}
+      {record.expires_on && (
+        <div>
+          <span className="text-slate-500">Expires:</span>
+          <span className="ml-2 text-slate-300">{record.expires_on}</span>
+        </div>
+      )}
+    </>
+  );
+}
+
 // Breadcrumb navigation
 function Breadcrumb({ path, onNavigate }) {
   return (
@@ -125,7 +554,17 @@ function Breadcrumb({ path, onNavigate }) {
 }
 
 // Folder Card Component
-function FolderCard({ folder, onEdit, onDelete, onOpen }) {
+function FolderCard({
+  folder,
+  onEdit,
+  onDelete,
+  onOpen,
+  onSaveTemplate,
+  onHistory,
+  onDuplicate,
+  selected,
+  onToggleSelect,
+}) {
   const [expanded, setExpanded] = useState(false);
 
   return (
@@ -136,6 +575,16 @@ function FolderCard({ folder, onEdit, onDelete, onOpen }) {
       <div className="flex items-start justify-between">
         <div className="flex-1" onClick={() => onOpen(folder)}>
           <div className="flex items-center gap-3 mb-1">
+            {onToggleSelect && (
+              <input
+                type="checkbox"
+                checked={!!selected}
+                onClick={(e) => e.stopPropagation()}
+                onChange={() => onToggleSelect(folder)}
+                className="accent-teal-500"
+                title="Select for bulk actions"
+              />
+            )}
             <FolderOpen size={18} className="text-amber-400" />
             <span className="jd-number text-lg text-teal-400">{folder.folder_number}</span>
             <SensitivityBadge sensitivity={folder.sensitivity} />
@@ -164,6 +613,36 @@ function FolderCard({ folder, onEdit, onDelete, onOpen }) {
           >
             <Edit2 size={16} className="text-slate-400" />
           </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onSaveTemplate(folder);
+            }}
+            title="Save as template"
+            className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+          >
+            <LayoutTemplate size={16} className="text-slate-400" />
+          </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onDuplicate(folder);
+            }}
+            title="Duplicate"
+            className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+          >
+            <Copy size={16} className="text-slate-400" />
+          </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onHistory(folder);
+            }}
+            title="History"
+            className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+          >
+            <History size={16} className="text-slate-400" />
+          </button>
           <button
             onClick={(e) => {
               e.stopPropagation();
@@ -194,13 +673,21 @@ function FolderCard({ folder, onEdit, onDelete, onOpen }) {
                 <span className="ml-2 text-slate-300 font-mono text-xs">{folder.storage_path}</span>
               </div>
             )}
-            {folder.keywords && (
+            {folder.tags.length > 0 && (
+              <div className="col-span-2 flex items-center gap-2">
+                <span className="text-slate-500">Tags:</span>
+                <TagList tags={folder.tags} />
+              </div>
+            )}
+            {folder.aliases && (
               <div className="col-span-2">
-                <span className="text-slate-500">Keywords:</span>
-                <span className="ml-2 text-slate-300">{folder.keywords}</span>
+                <span className="text-slate-500">Formerly:</span>
+                <span className="ml-2 text-slate-300 jd-number">{folder.aliases}</span>
               </div>
             )}
+            <ReviewDates record={folder} />
           </div>
+          <LinkList entityType="folder" entityId={folder.id} />
           {folder.notes && (
             <div className="mt-3 p-3 bg-slate-800/50 rounded-lg">
               <span className="text-slate-500 text-sm">Notes:</span>
@@ -214,12 +701,25 @@ function FolderCard({ folder, onEdit, onDelete, onOpen }) {
 }
 
 // Item Card Component
-function ItemCard({ item, onEdit, onDelete }) {
+function ItemCard({
+  item,
+  onEdit,
+  onDelete,
+  onMove,
+  onHistory,
+  onDuplicate,
+  selected,
+  onToggleSelect,
+}) {
   const [expanded, setExpanded] = useState(false);
 
   const displaySensitivity =
     item.sensitivity === 'inherit' ? item.effective_sensitivity : item.sensitivity;
   const isInherited = item.sensitivity === 'inherit';
+  const customFields = React.useMemo(
+    () => getFieldsForFolder(item.folder_id).filter((field) => field.id in item.custom_values),
+    [item]
+  );
 
   return (
     <div
@@ -230,6 +730,16 @@ function ItemCard({ item, onEdit, onDelete }) {
       <div className="flex items-start justify-between">
         <div className="flex-1">
           <div className="flex items-center gap-3 mb-1">
+            {onToggleSelect && (
+              <input
+                type="checkbox"
+                checked={!!selected}
+                onClick={(e) => e.stopPropagation()}
+                onChange={() => onToggleSelect(item)}
+                className="accent-teal-500"
+                title="Select for bulk actions"
+              />
+            )}
             <File size={16} className="text-slate-400" />
             <span className="jd-number text-lg text-teal-400">{item.item_number}</span>
             <SensitivityBadge sensitivity={displaySensitivity} isInherited={isInherited} />
@@ -254,6 +764,36 @@ function ItemCard({ item, onEdit, onDelete }) {
           >
             <Edit2 size={16} className="text-slate-400" />
           </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onMove(item);
+            }}
+            className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+            title="Move to another folder"
+          >
+            <FolderInput size={16} className="text-slate-400" />
+          </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onDuplicate(item);
+            }}
+            title="Duplicate"
+            className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+          >
+            <Copy size={16} className="text-slate-400" />
+          </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onHistory(item);
+            }}
+            title="History"
+            className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+          >
+            <History size={16} className="text-slate-400" />
+          </button>
           <button
             onClick={(e) => {
               e.stopPropagation();
@@ -288,13 +828,29 @@ function ItemCard({ item, onEdit, onDelete }) {
                 <span className="ml-2 text-slate-300">{formatFileSize(item.file_size)}</span>
               </div>
             )}
-            {item.keywords && (
+            {item.tags.length > 0 && (
+              <div className="col-span-2 flex items-center gap-2">
+                <span className="text-slate-500">Tags:</span>
+                <TagList tags={item.tags} />
+              </div>
+            )}
+            {item.aliases && (
               <div className="col-span-2">
-                <span className="text-slate-500">Keywords:</span>
-                <span className="ml-2 text-slate-300">{item.keywords}</span>
+                <span className="text-slate-500">Formerly:</span>
+                <span className="ml-2 text-slate-300 jd-number">{item.aliases}</span>
               </div>
             )}
+            <ReviewDates record={item} />
+            {customFields.map((field) => (
+              <div key={field.id} className={field.field_type === 'url' ? 'col-span-2' : ''}>
+                <span className="text-slate-500">{field.name}:</span>
+                <span className="ml-2 text-slate-300">
+                  {formatFieldValue(field, item.custom_values[field.id])}
+                </span>
+              </div>
+            ))}
           </div>
+          <LinkList entityType="item" entityId={item.id} />
           {item.notes && (
             <div className="mt-3 p-3 bg-slate-800/50 rounded-lg">
               <span className="text-slate-500 text-sm">Notes:</span>
@@ -318,6 +874,92 @@ function formatFileSize(bytes) {
   return `${bytes.toFixed(1)} ${units[i]}`;
 }
 
+// Every number a category or area renumber would change, for confirmation
+function RenumberPreview({ title, plan, onConfirm, onCancel }) {
+  const describe = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+  const countOf = (type) => plan.changes.filter((c) => c.entity_type === type).length;
+  const counts = [
+    [countOf('category'), 'category', 'categories'],
+    [countOf('folder'), 'folder', 'folders'],
+    [countOf('item'), 'item', 'items'],
+  ]
+    .filter(([count]) => count > 0)
+    .map((args) => describe(...args));
+  const references = [
+    [plan.references.organized_files, 'organized file record', 'organized file records'],
+    [plan.references.scanned_files, 'scanned file suggestion', 'scanned file suggestions'],
+    [plan.references.rules, 'organization rule', 'organization rules'],
+  ]
+    .filter(([count]) => count > 0)
+    .map((args) => describe(...args));
+
+  return (
+    <div className="glass-card p-4 mb-6 border border-teal-700 animate-fade-in">
+      <h3 className="font-semibold text-white mb-1">{title}</h3>
+      <p className="text-sm text-slate-400 mb-3">
+        {counts.length > 0 ? `Renumbers ${counts.join(', ')}` : 'No numbers change'}
+        {references.length > 0 && ` and updates ${references.join(', ')}`}. Old folder and item
+        numbers still find them in search.
+      </p>
+
+      {plan.collisions.map((message) => (
+        <div key={message} className="text-sm text-red-300 flex items-center gap-2 mb-1">
+          <AlertCircle size={14} /> {message}
+        </div>
+      ))}
+      {plan.warnings.map((message) => (
+        <div key={message} className="text-sm text-amber-300 flex items-center gap-2 mb-1">
+          <AlertCircle size={14} /> {message}
+        </div>
+      ))}
+
+      <div className="max-h-64 overflow-y-auto bg-slate-800/50 rounded-lg p-3 my-3 space-y-1 text-sm">
+        {plan.changes.map((change) => (
+          <div key={`${change.entity_type}:${change.id}`} className="flex items-center gap-2">
+            <span className="text-slate-500 w-16 shrink-0">{change.entity_type}</span>
+            <span className="jd-number text-slate-400">{change.old_number}</span>
+            <ChevronRight size={14} className="text-slate-500" />
+            <span className="jd-number text-teal-400">{change.new_number}</span>
+            <span className="text-slate-300 truncate">{change.name}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-end gap-3">
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded border border-slate-600 text-slate-300 hover:bg-slate-700"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={onConfirm}
+          disabled={plan.collisions.length > 0}
+          className="px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-500 flex items-center gap-2 disabled:opacity-50"
+        >
+          <Check size={16} />
+          Renumber
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Human-readable reason for a backup snapshot
+function describeBackupLabel(label) {
+  const labels = {
+    manual: 'Manual',
+    startup: 'On startup',
+    scheduled: 'Scheduled',
+    'pre-import': 'Before import',
+    'pre-reset': 'Before reset',
+    'pre-restore': 'Before restore',
+  };
+  const migration = /^pre-migration-v(\d+)$/.exec(label);
+  if (migration) return `Before upgrade from v${migration[1]}`;
+  return labels[label] || label;
+}
+
 // Category Tree Component - Updated for drill-down
 function CategoryTree({ areas, categories, selectedCategory, onSelectCategory, onSelectArea }) {
   const [expandedAreas, setExpandedAreas] = useState(new Set([1, 2, 3, 4, 5, 6, 7, 8]));
@@ -385,6 +1027,29 @@ function CategoryTree({ areas, categories, selectedCategory, onSelectCategory, o
 }
 
 // New Folder Modal
+// Number of a new folder or item: the allocated number, or typed by hand with manual numbering
+function NumberField({ label, value, editable, error, reservation, onChange }) {
+  return (
+    <div>
+      <label className="block text-sm font-medium text-slate-300 mb-1">{label}</label>
+      <input
+        type="text"
+        value={value}
+        disabled={!editable}
+        onChange={(e) => onChange(e.target.value)}
+        className={`w-full rounded-lg px-3 py-2 text-teal-400 jd-number ${editable ? 'bg-slate-800 border border-slate-600 focus:border-teal-500 focus:ring-1 focus:ring-teal-500' : 'bg-slate-900 border border-slate-700'}`}
+      />
+      {error && <p className="text-xs text-red-400 mt-1">{error}</p>}
+      {!error && reservation && (
+        <p className="text-xs text-amber-400 mt-1">
+          Reserved{reservation.note ? ` for ${reservation.note}` : ''}; creating it uses the
+          reservation.
+        </p>
+      )}
+    </div>
+  );
+}
+
 function NewFolderModal({ isOpen, onClose, categories, folders, onSave, preselectedCategory }) {
   const [formData, setFormData] = useState({
     category_id: '',
@@ -393,11 +1058,15 @@ function NewFolderModal({ isOpen, onClose, categories, folders, onSave, preselec
     sensitivity: 'standard',
     location: '',
     storage_path: '',
-    keywords: '',
+    tags: [],
     notes: '',
   });
   const [suggestedNumber, setSuggestedNumber] = useState('');
   const [suggestedSeq, setSuggestedSeq] = useState(1);
+  const [numberError, setNumberError] = useState('');
+  const [reserved, setReserved] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const manualNumbers = getAllocationStrategy() === 'manual';
   // Track when modal was last opened to force recalculation
   const [openTimestamp, setOpenTimestamp] = useState(0);
 
@@ -406,14 +1075,16 @@ function NewFolderModal({ isOpen, onClose, categories, folders, onSave, preselec
     if (isOpen) {
       setOpenTimestamp(Date.now());
       const categoryId = preselectedCategory?.id.toString() || '';
+      setTemplates(getFolderTemplates());
       setFormData({
+        template_id: '',
         category_id: categoryId,
         name: '',
         description: '',
         sensitivity: 'standard',
         location: '',
         storage_path: '',
-        keywords: '',
+        tags: [],
         notes: '',
       });
     }
@@ -424,29 +1095,43 @@ function NewFolderModal({ isOpen, onClose, categories, folders, onSave, preselec
     if (isOpen && formData.category_id) {
       // Small delay to ensure DB is fully updated
       const timer = setTimeout(() => {
-        const next = getNextFolderNumber(parseInt(formData.category_id));
-        if (next) {
-          setSuggestedNumber(next.folder_number);
-          setSuggestedSeq(next.sequence);
+        setReserved(getReservedNumbers());
+        try {
+          const next = getNextFolderNumber(parseInt(formData.category_id));
+          if (next) {
+            setSuggestedNumber(next.folder_number);
+            setSuggestedSeq(next.sequence);
+            setNumberError('');
+          }
+        } catch (e) {
+          // The category is full
+          setSuggestedNumber('');
+          setNumberError(sanitizeErrorForUser(e));
         }
       }, 10);
       return () => clearTimeout(timer);
     } else if (isOpen) {
       setSuggestedNumber('');
       setSuggestedSeq(1);
+      setNumberError('');
     }
   }, [isOpen, formData.category_id, folders.length, openTimestamp]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (!formData.category_id || !formData.name) return;
+    if (!formData.category_id || !formData.name || !suggestedNumber) return;
 
-    onSave({
-      ...formData,
-      folder_number: suggestedNumber,
-      sequence: suggestedSeq,
-      category_id: parseInt(formData.category_id),
-    });
+    try {
+      onSave({
+        ...formData,
+        folder_number: suggestedNumber,
+        sequence: suggestedSeq,
+        category_id: parseInt(formData.category_id),
+      });
+    } catch (e) {
+      setNumberError(sanitizeErrorForUser(e));
+      return;
+    }
 
     // Don't reset form here - let the useEffect handle it when modal reopens
     onClose();
@@ -454,6 +1139,8 @@ function NewFolderModal({ isOpen, onClose, categories, folders, onSave, preselec
 
   if (!isOpen) return null;
 
+  const template = templates.find((t) => t.id === parseInt(formData.template_id));
+
   const groupedCategories = categories.reduce((acc, cat) => {
     if (!acc[cat.area_name]) acc[cat.area_name] = [];
     acc[cat.area_name].push(cat);
@@ -496,16 +1183,41 @@ function NewFolderModal({ isOpen, onClose, categories, folders, onSave, preselec
               </select>
             </div>
 
+            <NumberField
+              label="Folder Number"
+              value={suggestedNumber}
+              editable={manualNumbers}
+              error={numberError}
+              reservation={reserved.find((r) => r.number === suggestedNumber)}
+              onChange={(value) => {
+                setSuggestedNumber(value);
+                setNumberError('');
+              }}
+            />
+          </div>
+
+          {templates.length > 0 && (
             <div>
-              <label className="block text-sm font-medium text-slate-300 mb-1">Folder Number</label>
-              <input
-                type="text"
-                value={suggestedNumber}
-                disabled
-                className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-teal-400 jd-number"
-              />
+              <label className="block text-sm font-medium text-slate-300 mb-1">Template</label>
+              <select
+                value={formData.template_id}
+                onChange={(e) => setFormData({ ...formData, template_id: e.target.value })}
+                className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500 focus:ring-1 focus:ring-teal-500"
+              >
+                <option value="">None (empty folder)</option>
+                {templates.map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.name} ({t.items.length} items)
+                  </option>
+                ))}
+              </select>
+              {template && (
+                <p className="text-xs text-slate-500 mt-1">
+                  Also creates {template.items.map((item) => item.name).join(', ')}
+                </p>
+              )}
             </div>
-          </div>
+          )}
 
           <div>
             <label className="block text-sm font-medium text-slate-300 mb-1">Folder Name *</label>
@@ -571,15 +1283,10 @@ function NewFolderModal({ isOpen, onClose, categories, folders, onSave, preselec
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-slate-300 mb-1">
-              Keywords (comma separated)
-            </label>
-            <input
-              type="text"
-              value={formData.keywords}
-              onChange={(e) => setFormData({ ...formData, keywords: e.target.value })}
-              className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500 focus:ring-1 focus:ring-teal-500"
-              placeholder="keyword1, keyword2, keyword3"
+            <label className="block text-sm font-medium text-slate-300 mb-1">Tags</label>
+            <TagInput
+              value={formData.tags || []}
+              onChange={(tags) => setFormData({ ...formData, tags })}
             />
           </div>
 
@@ -616,6 +1323,65 @@ function NewFolderModal({ isOpen, onClose, categories, folders, onSave, preselec
   );
 }
 
+// HTML input type for each custom field type (select and checkbox have their own controls)
+const FIELD_INPUT_TYPES = { text: 'text', number: 'number', date: 'date', url: 'url' };
+
+// Inputs for the custom fields an item has in its folder
+function CustomFieldInputs({ fields, values, onChange }) {
+  if (fields.length === 0) return null;
+
+  const inputClass =
+    'w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500 focus:ring-1 focus:ring-teal-500';
+  const setValue = (field, value) => onChange({ ...values, [field.id]: value });
+
+  return (
+    <div className="p-4 bg-slate-800/50 rounded-lg">
+      <h3 className="text-sm font-medium text-slate-300 mb-3">Custom Fields</h3>
+      <div className="grid grid-cols-2 gap-4">
+        {fields.map((field) => (
+          <div key={field.id}>
+            <label
+              className="block text-sm text-slate-400 mb-1"
+              title={`Defined on ${field.scope_number} ${field.scope_name}`}
+            >
+              {field.name}
+            </label>
+            {field.field_type === 'select' ? (
+              <select
+                value={values[field.id] ?? ''}
+                onChange={(e) => setValue(field, e.target.value)}
+                className={inputClass}
+              >
+                <option value="">-</option>
+                {field.options.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            ) : field.field_type === 'checkbox' ? (
+              <input
+                type="checkbox"
+                checked={!!values[field.id]}
+                onChange={(e) => setValue(field, e.target.checked)}
+                className="accent-teal-500 mt-2"
+              />
+            ) : (
+              <input
+                type={FIELD_INPUT_TYPES[field.field_type]}
+                step={field.field_type === 'number' ? 'any' : undefined}
+                value={values[field.id] ?? ''}
+                onChange={(e) => setValue(field, e.target.value)}
+                className={inputClass}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 // New Item Modal
 function NewItemModal({ isOpen, onClose, folders, items, onSave, preselectedFolder }) {
   const [formData, setFormData] = useState({
@@ -627,11 +1393,20 @@ function NewItemModal({ isOpen, onClose, folders, items, onSave, preselectedFold
     location: '',
     storage_path: '',
     file_size: '',
-    keywords: '',
+    tags: [],
     notes: '',
+    custom_values: {},
   });
   const [suggestedNumber, setSuggestedNumber] = useState('');
   const [suggestedSeq, setSuggestedSeq] = useState(1);
+  const [numberError, setNumberError] = useState('');
+  const [fieldError, setFieldError] = useState('');
+  const [reserved, setReserved] = useState([]);
+  const manualNumbers = getAllocationStrategy() === 'manual';
+  const customFields = React.useMemo(
+    () => getFieldsForFolder(parseInt(formData.folder_id)),
+    [formData.folder_id]
+  );
   // Track when modal was last opened to force recalculation
   const [openTimestamp, setOpenTimestamp] = useState(0);
 
@@ -649,9 +1424,11 @@ function NewItemModal({ isOpen, onClose, folders, items, onSave, preselectedFold
         location: '',
         storage_path: '',
         file_size: '',
-        keywords: '',
+        tags: [],
         notes: '',
+        custom_values: {},
       });
+      setFieldError('');
     }
   }, [isOpen, preselectedFolder]);
 
@@ -660,30 +1437,48 @@ function NewItemModal({ isOpen, onClose, folders, items, onSave, preselectedFold
     if (isOpen && formData.folder_id) {
       // Small delay to ensure DB is fully updated
       const timer = setTimeout(() => {
-        const next = getNextItemNumber(parseInt(formData.folder_id));
-        if (next) {
-          setSuggestedNumber(next.item_number);
-          setSuggestedSeq(next.sequence);
+        setReserved(getReservedNumbers());
+        try {
+          const next = getNextItemNumber(parseInt(formData.folder_id));
+          if (next) {
+            setSuggestedNumber(next.item_number);
+            setSuggestedSeq(next.sequence);
+            setNumberError('');
+          }
+        } catch (e) {
+          // The folder is full
+          setSuggestedNumber('');
+          setNumberError(sanitizeErrorForUser(e));
         }
       }, 10);
       return () => clearTimeout(timer);
     } else if (isOpen) {
       setSuggestedNumber('');
       setSuggestedSeq(1);
+      setNumberError('');
     }
   }, [isOpen, formData.folder_id, items.length, openTimestamp]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (!formData.folder_id || !formData.name) return;
-
-    onSave({
-      ...formData,
-      item_number: suggestedNumber,
-      sequence: suggestedSeq,
-      folder_id: parseInt(formData.folder_id),
-      file_size: formData.file_size ? parseInt(formData.file_size) : null,
-    });
+    if (!formData.folder_id || !formData.name || !suggestedNumber) return;
+
+    try {
+      onSave({
+        ...formData,
+        item_number: suggestedNumber,
+        sequence: suggestedSeq,
+        folder_id: parseInt(formData.folder_id),
+        file_size: formData.file_size ? parseInt(formData.file_size) : null,
+      });
+    } catch (e) {
+      if (customFields.some((field) => field.name === e.field)) {
+        setFieldError(sanitizeErrorForUser(e));
+      } else {
+        setNumberError(sanitizeErrorForUser(e));
+      }
+      return;
+    }
 
     // Don't reset form here - let the useEffect handle it when modal reopens
     onClose();
@@ -737,15 +1532,17 @@ function NewItemModal({ isOpen, onClose, folders, items, onSave, preselectedFold
               </select>
             </div>
 
-            <div>
-              <label className="block text-sm font-medium text-slate-300 mb-1">Item Number</label>
-              <input
-                type="text"
-                value={suggestedNumber}
-                disabled
-                className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-teal-400 jd-number"
-              />
-            </div>
+            <NumberField
+              label="Item Number"
+              value={suggestedNumber}
+              editable={manualNumbers}
+              error={numberError}
+              reservation={reserved.find((r) => r.number === suggestedNumber)}
+              onChange={(value) => {
+                setSuggestedNumber(value);
+                setNumberError('');
+              }}
+            />
           </div>
 
           <div className="grid grid-cols-2 gap-4">
@@ -840,16 +1637,23 @@ function NewItemModal({ isOpen, onClose, folders, items, onSave, preselectedFold
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-slate-300 mb-1">Keywords</label>
-            <input
-              type="text"
-              value={formData.keywords}
-              onChange={(e) => setFormData({ ...formData, keywords: e.target.value })}
-              className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500 focus:ring-1 focus:ring-teal-500"
-              placeholder="keyword1, keyword2, keyword3"
+            <label className="block text-sm font-medium text-slate-300 mb-1">Tags</label>
+            <TagInput
+              value={formData.tags || []}
+              onChange={(tags) => setFormData({ ...formData, tags })}
             />
           </div>
 
+          <CustomFieldInputs
+            fields={customFields}
+            values={formData.custom_values}
+            onChange={(values) => {
+              setFormData({ ...formData, custom_values: values });
+              setFieldError('');
+            }}
+          />
+          {fieldError && <p className="text-sm text-red-400">{fieldError}</p>}
+
           <div>
             <label className="block text-sm font-medium text-slate-300 mb-1">Notes</label>
             <textarea
@@ -884,28 +1688,40 @@ function NewItemModal({ isOpen, onClose, folders, items, onSave, preselectedFold
 }
 
 // Edit Folder Modal
-function EditFolderModal({ folder, isOpen, onClose, onSave }) {
+function EditFolderModal({ folder, categories, isOpen, onClose, onSave }) {
   const [formData, setFormData] = useState({});
+  const [error, setError] = useState('');
 
   useEffect(() => {
     if (folder) {
       setFormData({
         id: folder.id,
         folder_number: folder.folder_number,
+        category_id: folder.category_id,
         name: folder.name || '',
         description: folder.description || '',
         sensitivity: folder.sensitivity || 'standard',
         location: folder.location || '',
         storage_path: folder.storage_path || '',
-        keywords: folder.keywords || '',
+        tags: folder.tags,
         notes: folder.notes || '',
+        review_date: folder.review_date || '',
+        review_rule: folder.review_rule || '',
+        expires_on: folder.expires_on || '',
+        links: getLinks('folder', folder.id).outgoing,
       });
+      setError('');
     }
   }, [folder]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSave(formData);
+    try {
+      onSave(formData);
+    } catch (err) {
+      setError(sanitizeErrorForUser(err));
+      return;
+    }
     onClose();
   };
 
@@ -932,6 +1748,27 @@ function EditFolderModal({ folder, isOpen, onClose, onSave }) {
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">Category</label>
+            <select
+              value={formData.category_id || ''}
+              onChange={(e) => setFormData({ ...formData, category_id: parseInt(e.target.value) })}
+              className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+            >
+              {categories.map((cat) => (
+                <option key={cat.id} value={cat.id}>
+                  {cat.number.toString().padStart(2, '0')} {cat.name}
+                </option>
+              ))}
+            </select>
+            {formData.category_id !== folder.category_id && (
+              <p className="text-xs text-amber-400 mt-1">
+                The folder and its items get the next free number in this category. Searching for
+                the old numbers still finds them.
+              </p>
+            )}
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-slate-300 mb-1">Name *</label>
             <input
@@ -988,12 +1825,10 @@ function EditFolderModal({ folder, isOpen, onClose, onSave }) {
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-slate-300 mb-1">Keywords</label>
-            <input
-              type="text"
-              value={formData.keywords || ''}
-              onChange={(e) => setFormData({ ...formData, keywords: e.target.value })}
-              className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+            <label className="block text-sm font-medium text-slate-300 mb-1">Tags</label>
+            <TagInput
+              value={formData.tags || []}
+              onChange={(tags) => setFormData({ ...formData, tags })}
             />
           </div>
 
@@ -1007,6 +1842,23 @@ function EditFolderModal({ folder, isOpen, onClose, onSave }) {
             />
           </div>
 
+          <ReviewDateInputs
+            values={formData}
+            onChange={(fields) => setFormData({ ...formData, ...fields })}
+          />
+
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">Links</label>
+            <LinkEditor
+              entityType="folder"
+              entityId={folder.id}
+              value={formData.links || []}
+              onChange={(links) => setFormData({ ...formData, links })}
+            />
+          </div>
+
+          {error && <p className="text-sm text-red-400">{error}</p>}
+
           <div className="flex justify-end gap-3 pt-4">
             <button
               type="button"
@@ -1029,14 +1881,20 @@ function EditFolderModal({ folder, isOpen, onClose, onSave }) {
 }
 
 // Edit Item Modal
-function EditItemModal({ item, isOpen, onClose, onSave }) {
+function EditItemModal({ item, folders, isOpen, onClose, onSave }) {
   const [formData, setFormData] = useState({});
+  const [error, setError] = useState('');
+  const customFields = React.useMemo(
+    () => getFieldsForFolder(formData.folder_id),
+    [formData.folder_id]
+  );
 
   useEffect(() => {
     if (item) {
       setFormData({
         id: item.id,
         item_number: item.item_number,
+        folder_id: item.folder_id,
         name: item.name || '',
         description: item.description || '',
         file_type: item.file_type || '',
@@ -1044,18 +1902,29 @@ function EditItemModal({ item, isOpen, onClose, onSave }) {
         location: item.location || '',
         storage_path: item.storage_path || '',
         file_size: item.file_size || '',
-        keywords: item.keywords || '',
+        tags: item.tags,
         notes: item.notes || '',
+        custom_values: item.custom_values,
+        review_date: item.review_date || '',
+        review_rule: item.review_rule || '',
+        expires_on: item.expires_on || '',
+        links: getLinks('item', item.id).outgoing,
       });
+      setError('');
     }
   }, [item]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSave({
-      ...formData,
-      file_size: formData.file_size ? parseInt(formData.file_size) : null,
-    });
+    try {
+      onSave({
+        ...formData,
+        file_size: formData.file_size ? parseInt(formData.file_size) : null,
+      });
+    } catch (err) {
+      setError(sanitizeErrorForUser(err));
+      return;
+    }
     onClose();
   };
 
@@ -1093,6 +1962,27 @@ function EditItemModal({ item, isOpen, onClose, onSave }) {
             </div>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">Folder</label>
+            <select
+              value={formData.folder_id || ''}
+              onChange={(e) => setFormData({ ...formData, folder_id: parseInt(e.target.value) })}
+              className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+            >
+              {folders.map((folder) => (
+                <option key={folder.id} value={folder.id}>
+                  {folder.folder_number} {folder.name}
+                </option>
+              ))}
+            </select>
+            {formData.folder_id !== item.folder_id && (
+              <p className="text-xs text-amber-400 mt-1">
+                The item gets the next free number in this folder. Searching for {item.item_number}{' '}
+                still finds it.
+              </p>
+            )}
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-slate-300 mb-1">Name *</label>
             <input
@@ -1161,15 +2051,19 @@ function EditItemModal({ item, isOpen, onClose, onSave }) {
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-slate-300 mb-1">Keywords</label>
-            <input
-              type="text"
-              value={formData.keywords || ''}
-              onChange={(e) => setFormData({ ...formData, keywords: e.target.value })}
-              className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+            <label className="block text-sm font-medium text-slate-300 mb-1">Tags</label>
+            <TagInput
+              value={formData.tags || []}
+              onChange={(tags) => setFormData({ ...formData, tags })}
             />
           </div>
 
+          <CustomFieldInputs
+            fields={customFields}
+            values={formData.custom_values || {}}
+            onChange={(values) => setFormData({ ...formData, custom_values: values })}
+          />
+
           <div>
             <label className="block text-sm font-medium text-slate-300 mb-1">Notes</label>
             <textarea
@@ -1180,6 +2074,23 @@ function EditItemModal({ item, isOpen, onClose, onSave }) {
             />
           </div>
 
+          <ReviewDateInputs
+            values={formData}
+            onChange={(fields) => setFormData({ ...formData, ...fields })}
+          />
+
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">Links</label>
+            <LinkEditor
+              entityType="item"
+              entityId={item.id}
+              value={formData.links || []}
+              onChange={(links) => setFormData({ ...formData, links })}
+            />
+          </div>
+
+          {error && <p className="text-sm text-red-400">{error}</p>}
+
           <div className="flex justify-end gap-3 pt-4">
             <button
               type="button"
@@ -1201,193 +2112,1805 @@ function EditItemModal({ item, isOpen, onClose, onSave }) {
   );
 }
 
-// Settings Modal (abbreviated - keeping core functionality)
-function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
-  const [activeTab, setActiveTab] = useState('areas');
-  const [editingArea, setEditingArea] = useState(null);
-  const [editingCategory, setEditingCategory] = useState(null);
-  const [newArea, setNewArea] = useState({
-    range_start: '',
-    range_end: '',
-    name: '',
-    description: '',
-    color: '#64748b',
-  });
-  const [newCategory, setNewCategory] = useState({
-    number: '',
-    area_id: '',
-    name: '',
-    description: '',
-  });
-  const [sqlQuery, setSqlQuery] = useState('');
-  const [sqlResult, setSqlResult] = useState(null);
-  const [selectedTable, setSelectedTable] = useState('');
-  const [tableData, setTableData] = useState({ columns: [], rows: [] });
-  const [error, setError] = useState('');
+// Security Settings - passphrase encryption and auto-lock
+// Move Items Modal - one item from its card, or a multi-selection
+function MoveItemsModal({ items, folders, isOpen, onClose, onMove }) {
+  const [folderId, setFolderId] = useState('');
 
-  const tables = ['areas', 'categories', 'folders', 'items', 'storage_locations', 'activity_log'];
+  useEffect(() => {
+    if (isOpen) setFolderId('');
+  }, [isOpen]);
 
-  const handleCreateArea = () => {
-    try {
-      if (!newArea.range_start || !newArea.range_end || !newArea.name) {
-        setError('Range start, end, and name are required');
-        return;
-      }
-      createArea({
-        range_start: parseInt(newArea.range_start),
-        range_end: parseInt(newArea.range_end),
-        name: newArea.name,
-        description: newArea.description,
-        color: newArea.color,
-      });
-      setNewArea({ range_start: '', range_end: '', name: '', description: '', color: '#64748b' });
-      setError('');
-      onDataChange();
-    } catch (e) {
-      setError(e.message);
-    }
-  };
+  if (!isOpen || items.length === 0) return null;
 
-  const handleUpdateArea = (area) => {
-    try {
-      updateArea(area.id, area);
-      setEditingArea(null);
-      setError('');
-      onDataChange();
-    } catch (e) {
-      setError(e.message);
-    }
-  };
+  // Items already in the destination keep their numbers
+  const target = folders.find((f) => f.id === parseInt(folderId));
+  const moving = target ? items.filter((item) => item.folder_id !== target.id) : [];
+  const next = target ? getNextItemNumber(target.id) : null;
+  const preview = moving.map((item, i) => ({
+    item,
+    newNumber: `${target.folder_number}.${String(next.sequence + i).padStart(2, '0')}`,
+  }));
 
-  const handleDeleteArea = (id) => {
-    if (!confirm('Delete this area? This cannot be undone.')) return;
-    try {
-      deleteArea(id);
-      setError('');
-      onDataChange();
-    } catch (e) {
-      setError(e.message);
-    }
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onMove(
+      moving.map((item) => item.id),
+      target.id
+    );
   };
 
-  const handleCreateCategory = () => {
-    try {
-      if (!newCategory.number || !newCategory.area_id || !newCategory.name) {
-        setError('Number, area, and name are required');
-        return;
-      }
-      createCategory({
-        number: parseInt(newCategory.number),
-        area_id: parseInt(newCategory.area_id),
-        name: newCategory.name,
-        description: newCategory.description,
+  return (
+    <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4">
+      <div className="glass-card w-full max-w-2xl max-h-[90vh] overflow-y-auto animate-fade-in">
+        <div className="flex items-center justify-between p-6 border-b border-slate-700">
+          <h2 className="text-xl font-bold text-white">
+            {items.length === 1
+              ? `Move Item ${items[0].item_number}`
+              : `Move ${items.length} Items`}
+          </h2>
+          <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-lg">
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">
+              Destination Folder *
+            </label>
+            <select
+              value={folderId}
+              onChange={(e) => setFolderId(e.target.value)}
+              className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+              required
+            >
+              <option value="">Select a folder...</option>
+              {folders.map((folder) => (
+                <option key={folder.id} value={folder.id}>
+                  {folder.folder_number} {folder.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {target && (
+            <div className="bg-slate-800/50 rounded-lg p-3 space-y-1 text-sm">
+              {preview.map(({ item, newNumber }) => (
+                <div key={item.id} className="flex items-center gap-2">
+                  <span className="jd-number text-slate-400">{item.item_number}</span>
+                  <ChevronRight size={14} className="text-slate-500" />
+                  <span className="jd-number text-teal-400">{newNumber}</span>
+                  <span className="text-slate-300 truncate">{item.name}</span>
+                </div>
+              ))}
+              {moving.length < items.length && (
+                <p className="text-slate-500">
+                  {items.length - moving.length} already in this folder and left as is.
+                </p>
+              )}
+              {moving.length > 0 && (
+                <p className="text-xs text-slate-500 pt-2">
+                  Searching for an old number still finds the item.
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg border border-slate-600 text-slate-300 hover:bg-slate-700 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={moving.length === 0}
+              className="px-4 py-2 rounded-lg bg-teal-600 text-white hover:bg-teal-500 transition-colors flex items-center gap-2 disabled:opacity-50"
+            >
+              <FolderInput size={18} />
+              Move
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Duplicate Modal - copy a folder with its items into a category, or copy an
+// item within its folder, under the next free number
+function DuplicateModal({ target, categories, onClose, onDuplicate }) {
+  const [formData, setFormData] = useState({});
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (target) {
+      setFormData({
+        name: `${target.record.name} (copy)`,
+        category_id: target.record.category_id || '',
+        clear_notes: false,
+        clear_paths: false,
+        clear_sizes: false,
       });
-      setNewCategory({ number: '', area_id: '', name: '', description: '' });
       setError('');
-      onDataChange();
-    } catch (e) {
-      setError(e.message);
     }
-  };
-
-  const handleUpdateCategory = (cat) => {
-    try {
-      updateCategory(cat.id, cat);
-      setEditingCategory(null);
-      setError('');
-      onDataChange();
-    } catch (e) {
-      setError(e.message);
+  }, [target]);
+
+  if (!target) return null;
+  const { entityType, record } = target;
+  const isFolder = entityType === 'folder';
+  // Preview of the new number; a full category or folder is reported on submit
+  let nextNumber = null;
+  try {
+    if (isFolder && formData.category_id) {
+      nextNumber = getNextFolderNumber(parseInt(formData.category_id))?.folder_number;
+    } else if (!isFolder) {
+      nextNumber = getNextItemNumber(record.folder_id)?.item_number;
     }
-  };
+  } catch {
+    nextNumber = null;
+  }
+  const itemCount = isFolder ? getItems(record.id).length : 0;
 
-  const handleDeleteCategory = (id) => {
-    if (!confirm('Delete this category? This cannot be undone.')) return;
+  const handleSubmit = (e) => {
+    e.preventDefault();
     try {
-      deleteCategory(id);
-      setError('');
-      onDataChange();
-    } catch (e) {
-      setError(e.message);
-    }
-  };
-
-  const handleExecuteSQL = () => {
-    const result = executeSQL(sqlQuery);
-    setSqlResult(result);
-    if (result.success) onDataChange();
-  };
-
-  const handleTableSelect = (tableName) => {
-    setSelectedTable(tableName);
-    const data = getTableData(tableName);
-    setTableData(data);
-  };
-
-  const handleResetDatabase = () => {
-    if (!confirm('WARNING: This will delete ALL data and reset to defaults. Are you sure?')) return;
-    if (!confirm('This action CANNOT be undone. Type "RESET" in the next prompt to confirm.'))
-      return;
-    const confirmation = prompt('Type RESET to confirm:');
-    if (confirmation === 'RESET') {
-      resetDatabase();
-      onDataChange();
-      alert('Database has been reset to defaults.');
+      onDuplicate(entityType, record, { ...formData, category_id: parseInt(formData.category_id) });
+    } catch (err) {
+      setError(sanitizeErrorForUser(err));
     }
   };
 
-  if (!isOpen) return null;
+  const clearOptions = [
+    { key: 'clear_notes', label: 'Clear notes' },
+    { key: 'clear_paths', label: 'Clear storage paths' },
+    ...(isFolder || record.file_size ? [{ key: 'clear_sizes', label: 'Clear file sizes' }] : []),
+  ];
 
   return (
     <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4">
-      <div className="glass-card w-full max-w-5xl h-[85vh] flex flex-col animate-fade-in">
+      <div className="glass-card w-full max-w-lg max-h-[90vh] overflow-y-auto animate-fade-in">
         <div className="flex items-center justify-between p-6 border-b border-slate-700">
-          <h2 className="text-xl font-bold text-white flex items-center gap-2">
-            <Settings size={24} />
-            System Settings
+          <h2 className="text-xl font-bold text-white">
+            Duplicate {isFolder ? 'Folder' : 'Item'} {record.folder_number || record.item_number}
           </h2>
           <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-lg">
             <X size={20} />
           </button>
         </div>
 
-        <div className="flex border-b border-slate-700">
-          <button
-            onClick={() => setActiveTab('areas')}
-            className={`px-6 py-3 font-medium transition-colors ${activeTab === 'areas' ? 'text-teal-400 border-b-2 border-teal-400' : 'text-slate-400 hover:text-white'}`}
-          >
-            <Layers size={16} className="inline mr-2" />
-            Areas
-          </button>
-          <button
-            onClick={() => setActiveTab('categories')}
-            className={`px-6 py-3 font-medium transition-colors ${activeTab === 'categories' ? 'text-teal-400 border-b-2 border-teal-400' : 'text-slate-400 hover:text-white'}`}
-          >
-            <FolderTree size={16} className="inline mr-2" />
-            Categories
-          </button>
-          <button
-            onClick={() => setActiveTab('database')}
-            className={`px-6 py-3 font-medium transition-colors ${activeTab === 'database' ? 'text-teal-400 border-b-2 border-teal-400' : 'text-slate-400 hover:text-white'}`}
-          >
-            <Database size={16} className="inline mr-2" />
-            Database
-          </button>
-        </div>
-
-        {error && (
-          <div className="mx-6 mt-4 p-3 bg-red-900/50 border border-red-700 rounded-lg text-red-300 flex items-center gap-2">
-            <AlertCircle size={16} />
-            {error}
-            <button onClick={() => setError('')} className="ml-auto">
-              <X size={16} />
-            </button>
-          </div>
-        )}
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          {isFolder && (
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">
+                Target Category *
+              </label>
+              <select
+                value={formData.category_id}
+                onChange={(e) => setFormData({ ...formData, category_id: e.target.value })}
+                className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+                required
+              >
+                <option value="">Select a category...</option>
+                {categories.map((category) => (
+                  <option key={category.id} value={category.id}>
+                    {String(category.number).padStart(2, '0')} {category.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
 
-        <div className="flex-1 overflow-y-auto p-6">
-          {activeTab === 'areas' && (
-            <div className="space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">New Name *</label>
+            <input
+              type="text"
+              value={formData.name || ''}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+              required
+            />
+          </div>
+
+          <div className="flex flex-wrap gap-4">
+            {clearOptions.map(({ key, label }) => (
+              <label key={key} className="flex items-center gap-2 text-sm text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={!!formData[key]}
+                  onChange={(e) => setFormData({ ...formData, [key]: e.target.checked })}
+                  className="accent-teal-500"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          {nextNumber && (
+            <div className="bg-slate-800/50 rounded-lg p-3 text-sm flex items-center gap-2">
+              <span className="text-slate-400">New number:</span>
+              <span className="jd-number text-teal-400">{nextNumber}</span>
+              {isFolder && (
+                <span className="text-slate-500">
+                  · {itemCount} item{itemCount === 1 ? '' : 's'} copied with new numbers
+                </span>
+              )}
+            </div>
+          )}
+
+          {error && <p className="text-sm text-red-400">{error}</p>}
+
+          <div className="flex justify-end gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg border border-slate-600 text-slate-300 hover:bg-slate-700 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 rounded-lg bg-teal-600 text-white hover:bg-teal-500 transition-colors flex items-center gap-2"
+            >
+              <Copy size={18} /> Duplicate
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Move Folders Modal - a multi-selection of folders to another category
+function MoveFoldersModal({ folders, categories, isOpen, onClose, onMove }) {
+  const [categoryId, setCategoryId] = useState('');
+
+  useEffect(() => {
+    if (isOpen) setCategoryId('');
+  }, [isOpen]);
+
+  if (!isOpen || folders.length === 0) return null;
+
+  // Folders already in the destination keep their numbers
+  const target = categories.find((c) => c.id === parseInt(categoryId));
+  const moving = target ? folders.filter((folder) => folder.category_id !== target.id) : [];
+  const next = target ? getNextFolderNumber(target.id) : null;
+  const preview = moving.map((folder, i) => ({
+    folder,
+    newNumber: `${String(target.number).padStart(2, '0')}.${String(next.sequence + i).padStart(2, '0')}`,
+  }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onMove(
+      moving.map((folder) => folder.id),
+      target.id
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4">
+      <div className="glass-card w-full max-w-lg max-h-[90vh] overflow-y-auto animate-fade-in">
+        <div className="flex items-center justify-between p-6 border-b border-slate-700">
+          <h2 className="text-xl font-bold text-white">Move {folders.length} Folders</h2>
+          <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-lg">
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">
+              Destination Category *
+            </label>
+            <select
+              value={categoryId}
+              onChange={(e) => setCategoryId(e.target.value)}
+              className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+              required
+            >
+              <option value="">Select a category...</option>
+              {categories.map((category) => (
+                <option key={category.id} value={category.id}>
+                  {String(category.number).padStart(2, '0')} {category.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {target && (
+            <div className="bg-slate-800/50 rounded-lg p-3 space-y-1 text-sm">
+              {preview.map(({ folder, newNumber }) => (
+                <div key={folder.id} className="flex items-center gap-2">
+                  <span className="jd-number text-slate-400">{folder.folder_number}</span>
+                  <ChevronRight size={14} className="text-slate-500" />
+                  <span className="jd-number text-teal-400">{newNumber}</span>
+                  <span className="text-slate-300 truncate">{folder.name}</span>
+                </div>
+              ))}
+              {moving.length < folders.length && (
+                <p className="text-slate-500">
+                  {folders.length - moving.length} already in this category and left as is.
+                </p>
+              )}
+              {moving.length > 0 && (
+                <p className="text-xs text-slate-500 pt-2">
+                  Their items are renumbered with them; old numbers still find them.
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg border border-slate-600 text-slate-300 hover:bg-slate-700 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={moving.length === 0}
+              className="px-4 py-2 rounded-lg bg-teal-600 text-white hover:bg-teal-500 transition-colors flex items-center gap-2 disabled:opacity-50"
+            >
+              <FolderInput size={18} />
+              Move
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Fields a bulk edit can set, in the order they're shown
+const BULK_FIELDS = [
+  { field: 'sensitivity', label: 'Sensitivity' },
+  { field: 'location', label: 'Location' },
+  { field: 'storage_path', label: 'Storage Path' },
+  { field: 'add_tags', label: 'Add Tags' },
+  { field: 'remove_tags', label: 'Remove Tags' },
+];
+
+// Bulk Edit Modal - one change to a multi-selection of folders or items. Ticked
+// fields are changed; a summary of what that does is shown before it's applied.
+function BulkEditModal({ target, onClose, onApply }) {
+  const [changes, setChanges] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (target) {
+      setChanges({});
+      setPreview(null);
+      setError('');
+    }
+  }, [target]);
+
+  if (!target) return null;
+  const { entityType, records } = target;
+  const ids = records.map((record) => record.id);
+  const noun = records.length === 1 ? entityType : `${entityType}s`;
+  const sensitivityOptions =
+    entityType === 'folder'
+      ? SENSITIVITY_OPTIONS.filter((option) => option.value !== 'inherit')
+      : SENSITIVITY_OPTIONS;
+
+  const update = (next) => {
+    setChanges(next);
+    setPreview(null);
+  };
+  const toggleField = (field, on) => {
+    const next = { ...changes };
+    if (on) {
+      next[field] =
+        field === 'sensitivity' ? sensitivityOptions[0].value : field.endsWith('_tags') ? [] : '';
+    } else {
+      delete next[field];
+    }
+    update(next);
+  };
+
+  const describeChange = (field) => {
+    const value = changes[field];
+    switch (field) {
+      case 'sensitivity':
+        return `Set sensitivity to ${SENSITIVITY_OPTIONS.find((o) => o.value === value).label}`;
+      case 'add_tags':
+        return `Add ${value.join(', ')}`;
+      case 'remove_tags':
+        return `Remove ${value.join(', ')}`;
+      default: {
+        const label = field === 'location' ? 'location' : 'storage path';
+        return value ? `Set ${label} to "${value}"` : `Clear ${label}`;
+      }
+    }
+  };
+
+  const handleReview = (e) => {
+    e.preventDefault();
+    try {
+      setPreview(previewBulkEdit(entityType, ids, changes));
+      setError('');
+    } catch (err) {
+      setError(sanitizeErrorForUser(err));
+    }
+  };
+
+  const handleApply = () => {
+    try {
+      onApply(entityType, ids, changes);
+    } catch (err) {
+      setError(sanitizeErrorForUser(err));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4">
+      <div className="glass-card w-full max-w-2xl max-h-[90vh] overflow-y-auto animate-fade-in">
+        <div className="flex items-center justify-between p-6 border-b border-slate-700">
+          <h2 className="text-xl font-bold text-white">
+            Edit {records.length} {entityType === 'folder' ? 'Folder' : 'Item'}
+            {records.length === 1 ? '' : 's'}
+          </h2>
+          <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-lg">
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleReview} className="p-6 space-y-4">
+          {BULK_FIELDS.map(({ field, label }) => (
+            <div key={field} className="flex items-start gap-3">
+              <label className="flex items-center gap-2 w-40 shrink-0 pt-2 text-sm font-medium text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={field in changes}
+                  onChange={(e) => toggleField(field, e.target.checked)}
+                  className="accent-teal-500"
+                />
+                {label}
+              </label>
+              <div className={`flex-1 ${field in changes ? '' : 'opacity-50 pointer-events-none'}`}>
+                {field === 'sensitivity' && (
+                  <select
+                    value={changes.sensitivity || ''}
+                    onChange={(e) => update({ ...changes, sensitivity: e.target.value })}
+                    className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+                  >
+                    {sensitivityOptions.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                {(field === 'location' || field === 'storage_path') && (
+                  <input
+                    type="text"
+                    value={changes[field] || ''}
+                    onChange={(e) => update({ ...changes, [field]: e.target.value })}
+                    className={`w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500 ${
+                      field === 'storage_path' ? 'font-mono text-sm' : ''
+                    }`}
+                    placeholder="Leave empty to clear"
+                  />
+                )}
+                {field.endsWith('_tags') && (
+                  <TagInput
+                    value={changes[field] || []}
+                    onChange={(tags) => update({ ...changes, [field]: tags })}
+                  />
+                )}
+              </div>
+            </div>
+          ))}
+
+          {preview && (
+            <div className="bg-slate-800/50 rounded-lg p-3 space-y-1 text-sm">
+              {preview.records === 0 ? (
+                <p className="text-slate-400">
+                  Nothing to change: the selected {noun} already match.
+                </p>
+              ) : (
+                BULK_FIELDS.filter(({ field }) => field in changes).map(({ field }) => (
+                  <div key={field} className="flex items-center gap-2">
+                    <ChevronRight size={14} className="text-slate-500" />
+                    <span className="text-slate-300">{describeChange(field)}</span>
+                    <span className="ml-auto text-slate-500">
+                      {preview[field]} of {records.length}
+                    </span>
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+
+          {error && <p className="text-sm text-red-400">{error}</p>}
+
+          <div className="flex justify-end gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg border border-slate-600 text-slate-300 hover:bg-slate-700 transition-colors"
+            >
+              Cancel
+            </button>
+            {preview ? (
+              <button
+                type="button"
+                onClick={handleApply}
+                disabled={preview.records === 0}
+                className="px-4 py-2 rounded-lg bg-teal-600 text-white hover:bg-teal-500 transition-colors flex items-center gap-2 disabled:opacity-50"
+              >
+                <Check size={18} /> Apply to {preview.records}{' '}
+                {preview.records === 1 ? entityType : `${entityType}s`}
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={Object.keys(changes).length === 0}
+                className="px-4 py-2 rounded-lg bg-teal-600 text-white hover:bg-teal-500 transition-colors flex items-center gap-2 disabled:opacity-50"
+              >
+                Review Changes
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Actions for the folders or items ticked in a list
+function SelectionBar({ count, onSelectAll, onClear, children }) {
+  return (
+    <div className="glass-card p-3 mb-3 flex flex-wrap items-center gap-3 animate-fade-in">
+      <span className="text-sm text-slate-300">{count} selected</span>
+      {children}
+      <button
+        onClick={onSelectAll}
+        className="px-3 py-1.5 rounded-lg border border-slate-600 text-slate-300 text-sm hover:bg-slate-700 transition-colors"
+      >
+        Select All
+      </button>
+      <button
+        onClick={onClear}
+        className="px-3 py-1.5 rounded-lg border border-slate-600 text-slate-300 text-sm hover:bg-slate-700 transition-colors"
+      >
+        Clear
+      </button>
+    </div>
+  );
+}
+
+const SENSITIVITY_OPTIONS = [
+  { value: 'inherit', label: 'Inherit from Folder' },
+  { value: 'standard', label: 'Standard' },
+  { value: 'sensitive', label: 'Sensitive' },
+  { value: 'work', label: 'Work' },
+];
+
+const EMPTY_TEMPLATE_ITEM = { name: '', description: '', tags: [], sensitivity: 'inherit' };
+
+// Edit a folder template's name, description and items
+function TemplateEditor({ template, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => ({
+    name: template.name || '',
+    description: template.description || '',
+    items: template.items?.length ? template.items : [{ ...EMPTY_TEMPLATE_ITEM }],
+  }));
+
+  const setItem = (index, changes) =>
+    setDraft({
+      ...draft,
+      items: draft.items.map((item, i) => (i === index ? { ...item, ...changes } : item)),
+    });
+
+  const inputClass = 'bg-slate-800 border border-slate-600 rounded px-3 py-2 text-white text-sm';
+
+  return (
+    <div className="glass-card p-4 space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <input
+          type="text"
+          placeholder="Template name"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          className={inputClass}
+        />
+        <input
+          type="text"
+          placeholder="Description"
+          value={draft.description}
+          onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+          className={inputClass}
+        />
+      </div>
+
+      <div className="space-y-2">
+        {draft.items.map((item, i) => (
+          <div key={i} className="flex items-center gap-2">
+            <span className="jd-number text-slate-500 w-8">.{String(i + 1).padStart(2, '0')}</span>
+            <input
+              type="text"
+              placeholder="Item name"
+              value={item.name}
+              onChange={(e) => setItem(i, { name: e.target.value })}
+              className={`flex-1 ${inputClass}`}
+            />
+            <input
+              type="text"
+              placeholder="Description"
+              value={item.description}
+              onChange={(e) => setItem(i, { description: e.target.value })}
+              className={`flex-1 ${inputClass}`}
+            />
+            <div className="w-48">
+              <TagInput value={item.tags} onChange={(tags) => setItem(i, { tags })} />
+            </div>
+            <select
+              value={item.sensitivity}
+              onChange={(e) => setItem(i, { sensitivity: e.target.value })}
+              className={inputClass}
+            >
+              {SENSITIVITY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => setDraft({ ...draft, items: draft.items.filter((_, j) => j !== i) })}
+              disabled={draft.items.length === 1}
+              className="p-2 hover:bg-red-900/50 rounded disabled:opacity-30"
+            >
+              <X size={16} className="text-slate-400" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() =>
+            setDraft({ ...draft, items: [...draft.items, { ...EMPTY_TEMPLATE_ITEM }] })
+          }
+          className="text-sm text-teal-400 hover:text-teal-300 flex items-center gap-1"
+        >
+          <Plus size={14} /> Add Item
+        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 rounded-lg border border-slate-600 text-slate-300 hover:bg-slate-700 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave({ ...template, ...draft })}
+            className="px-4 py-2 rounded-lg bg-teal-600 text-white hover:bg-teal-500 transition-colors flex items-center gap-2"
+          >
+            <Check size={16} />
+            Save Template
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Settings > Templates: folder templates offered by the new-folder form
+function TemplateSettings({ onError }) {
+  const [templates, setTemplates] = useState(() => getFolderTemplates());
+  const [editing, setEditing] = useState(null); // template being edited; {} for a new one
+
+  const reload = () => setTemplates(getFolderTemplates());
+
+  const handleSave = (template) => {
+    try {
+      if (template.id) {
+        updateFolderTemplate(template.id, template);
+      } else {
+        createFolderTemplate(template);
+      }
+      setEditing(null);
+      onError('');
+      reload();
+    } catch (e) {
+      onError(sanitizeErrorForUser(e));
+    }
+  };
+
+  const handleDelete = (template) => {
+    if (!confirm(`Delete the template "${template.name}"? Folders made from it are kept.`)) return;
+    deleteFolderTemplate(template.id);
+    reload();
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { imported, renamed } = importFolderTemplates(await file.text());
+      onError('');
+      reload();
+      alert(
+        `Imported ${imported} template${imported === 1 ? '' : 's'}.` +
+          renamed.map((r) => `\n"${r.from}" was renamed to "${r.to}".`).join('')
+      );
+    } catch (err) {
+      onError(sanitizeErrorForUser(err));
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-slate-400">
+          A template lists the items to create in a new folder. Save one from a folder card, or
+          build it here.
+        </p>
+        <div className="flex gap-2 shrink-0 ml-4">
+          <button
+            onClick={() => setEditing({})}
+            className="px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-500 flex items-center gap-2"
+          >
+            <Plus size={16} />
+            New Template
+          </button>
+          <button
+            onClick={exportFolderTemplates}
+            disabled={templates.length === 0}
+            className="px-4 py-2 rounded border border-slate-600 text-slate-300 hover:bg-slate-700 flex items-center gap-2 disabled:opacity-50"
+          >
+            <Download size={16} />
+            Export
+          </button>
+          <label className="px-4 py-2 rounded border border-slate-600 text-slate-300 hover:bg-slate-700 flex items-center gap-2 cursor-pointer">
+            <Upload size={16} />
+            Import
+            <input type="file" accept=".json" onChange={handleImport} className="hidden" />
+          </label>
+        </div>
+      </div>
+
+      {editing && !editing.id && (
+        <TemplateEditor template={editing} onSave={handleSave} onCancel={() => setEditing(null)} />
+      )}
+
+      <div className="space-y-2">
+        {templates.map((template) =>
+          editing?.id === template.id ? (
+            <TemplateEditor
+              key={template.id}
+              template={template}
+              onSave={handleSave}
+              onCancel={() => setEditing(null)}
+            />
+          ) : (
+            <div key={template.id} className="glass-card p-4 flex items-start gap-4">
+              <LayoutTemplate size={18} className="text-teal-400 mt-1" />
+              <div className="flex-1 min-w-0">
+                <div className="font-medium text-white">{template.name}</div>
+                {template.description && (
+                  <div className="text-sm text-slate-400">{template.description}</div>
+                )}
+                <div className="text-sm text-slate-500 mt-1">
+                  {template.items.map((item) => item.name).join(', ')}
+                </div>
+              </div>
+              <button
+                onClick={() => setEditing(template)}
+                className="p-2 hover:bg-slate-700 rounded"
+              >
+                <Edit2 size={16} className="text-slate-400" />
+              </button>
+              <button
+                onClick={() => handleDelete(template)}
+                className="p-2 hover:bg-red-900/50 rounded"
+              >
+                <Trash2 size={16} className="text-slate-400 hover:text-red-400" />
+              </button>
+            </div>
+          )
+        )}
+        {templates.length === 0 && !editing && (
+          <p className="text-center text-slate-500 py-6">No templates yet</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Settings > Fields: custom fields on categories and folders
+function CustomFieldSettings({ categories, onError }) {
+  const [fields, setFields] = useState(() => getCustomFields());
+  const [folders] = useState(() => getFolders());
+  const [newField, setNewField] = useState({
+    scope: '',
+    name: '',
+    field_type: 'text',
+    options: '',
+  });
+  const [editing, setEditing] = useState(null); // {id, name, options}
+
+  const reload = () => setFields(getCustomFields());
+
+  const handleCreate = () => {
+    const [scopeType, scopeId] = newField.scope.split(':');
+    try {
+      createCustomField({ ...newField, scope_type: scopeType, scope_id: parseInt(scopeId) });
+      setNewField({ ...newField, name: '', options: '' });
+      onError('');
+      reload();
+    } catch (e) {
+      onError(sanitizeErrorForUser(e));
+    }
+  };
+
+  const handleUpdate = () => {
+    try {
+      updateCustomField(editing.id, { name: editing.name, options: editing.options });
+      setEditing(null);
+      onError('');
+      reload();
+    } catch (e) {
+      onError(sanitizeErrorForUser(e));
+    }
+  };
+
+  const handleDelete = (field) => {
+    if (
+      !confirm(
+        `Delete the field "${field.name}" from ${field.scope_number} ${field.scope_name}? Its values are removed from every item.`
+      )
+    ) {
+      return;
+    }
+    deleteCustomField(field.id);
+    reload();
+  };
+
+  const inputClass = 'bg-slate-800 border border-slate-600 rounded px-3 py-2 text-white text-sm';
+
+  // Fields grouped under the category or folder they're defined on
+  const groups = fields.reduce((acc, field) => {
+    const key = `${field.scope_type}:${field.scope_id}`;
+    if (!acc[key]) acc[key] = { label: `${field.scope_number} ${field.scope_name}`, fields: [] };
+    acc[key].fields.push(field);
+    return acc;
+  }, {});
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-slate-400">
+        Fields on a category appear on every item in its folders; fields on a folder appear on the
+        items in that folder.
+      </p>
+
+      <div className="glass-card p-4 space-y-3">
+        <div className="grid grid-cols-4 gap-3">
+          <select
+            value={newField.scope}
+            onChange={(e) => setNewField({ ...newField, scope: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">Category or folder...</option>
+            <optgroup label="Categories">
+              {categories.map((cat) => (
+                <option key={cat.id} value={`category:${cat.id}`}>
+                  {String(cat.number).padStart(2, '0')} {cat.name}
+                </option>
+              ))}
+            </optgroup>
+            <optgroup label="Folders">
+              {folders.map((folder) => (
+                <option key={folder.id} value={`folder:${folder.id}`}>
+                  {folder.folder_number} {folder.name}
+                </option>
+              ))}
+            </optgroup>
+          </select>
+          <input
+            type="text"
+            placeholder="Field name"
+            value={newField.name}
+            onChange={(e) => setNewField({ ...newField, name: e.target.value })}
+            className={inputClass}
+          />
+          <select
+            value={newField.field_type}
+            onChange={(e) => setNewField({ ...newField, field_type: e.target.value })}
+            className={inputClass}
+          >
+            {Object.entries(FIELD_TYPES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={handleCreate}
+            disabled={!newField.scope || !newField.name}
+            className="px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-500 flex items-center justify-center gap-2 disabled:opacity-50"
+          >
+            <Plus size={16} />
+            Add Field
+          </button>
+        </div>
+        {newField.field_type === 'select' && (
+          <input
+            type="text"
+            placeholder="Choices, separated by commas"
+            value={newField.options}
+            onChange={(e) => setNewField({ ...newField, options: e.target.value })}
+            className={`w-full ${inputClass}`}
+          />
+        )}
+      </div>
+
+      {Object.entries(groups).map(([key, group]) => (
+        <div key={key}>
+          <h3 className="text-sm font-medium text-slate-300 mb-2">{group.label}</h3>
+          <div className="space-y-2">
+            {group.fields.map((field) =>
+              editing?.id === field.id ? (
+                <div key={field.id} className="glass-card p-3 flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={editing.name}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    className={`flex-1 ${inputClass}`}
+                  />
+                  {field.field_type === 'select' && (
+                    <input
+                      type="text"
+                      value={editing.options}
+                      onChange={(e) => setEditing({ ...editing, options: e.target.value })}
+                      className={`flex-1 ${inputClass}`}
+                    />
+                  )}
+                  <button onClick={handleUpdate} className="p-2 hover:bg-slate-700 rounded">
+                    <Check size={16} className="text-teal-400" />
+                  </button>
+                  <button
+                    onClick={() => setEditing(null)}
+                    className="p-2 hover:bg-slate-700 rounded"
+                  >
+                    <X size={16} className="text-slate-400" />
+                  </button>
+                </div>
+              ) : (
+                <div key={field.id} className="glass-card p-3 flex items-center gap-3">
+                  <span className="font-medium text-white">{field.name}</span>
+                  <span className="px-2 py-0.5 bg-slate-700 rounded text-xs text-slate-300">
+                    {FIELD_TYPES[field.field_type]}
+                  </span>
+                  <span className="flex-1 text-sm text-slate-500 truncate">
+                    {field.options.join(', ')}
+                  </span>
+                  <button
+                    onClick={() =>
+                      setEditing({
+                        id: field.id,
+                        name: field.name,
+                        options: field.options.join(', '),
+                      })
+                    }
+                    className="p-2 hover:bg-slate-700 rounded"
+                  >
+                    <Edit2 size={16} className="text-slate-400" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(field)}
+                    className="p-2 hover:bg-red-900/50 rounded"
+                  >
+                    <Trash2 size={16} className="text-slate-400 hover:text-red-400" />
+                  </button>
+                </div>
+              )
+            )}
+          </div>
+        </div>
+      ))}
+      {fields.length === 0 && (
+        <p className="text-center text-slate-500 py-6">No custom fields yet</p>
+      )}
+    </div>
+  );
+}
+
+// Settings > Tags: rename tags, or merge several into one
+function TagSettings({ onDataChange, onError }) {
+  const [tags, setTags] = useState(() => getTags());
+  const [renaming, setRenaming] = useState(null); // {id, name}
+  const [selected, setSelected] = useState(() => new Set());
+  const [mergeTarget, setMergeTarget] = useState('');
+
+  const reload = () => {
+    setTags(getTags());
+    onDataChange();
+  };
+
+  const handleRename = () => {
+    try {
+      renameTag(renaming.id, renaming.name);
+      setRenaming(null);
+      onError('');
+      reload();
+    } catch (e) {
+      onError(sanitizeErrorForUser(e));
+    }
+  };
+
+  const toggle = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) {
+      next.delete(id);
+    } else {
+      next.add(id);
+    }
+    setSelected(next);
+    if (!next.has(parseInt(mergeTarget))) setMergeTarget('');
+  };
+
+  const selectedTags = tags.filter((tag) => selected.has(tag.id));
+
+  const handleMerge = () => {
+    const target = tags.find((tag) => tag.id === parseInt(mergeTarget));
+    const others = selectedTags.filter((tag) => tag.id !== target.id);
+    if (
+      !confirm(
+        `Merge ${others.map((tag) => `"${tag.name}"`).join(', ')} into "${target.name}"? The other tags are deleted.`
+      )
+    ) {
+      return;
+    }
+    try {
+      mergeTags(
+        others.map((tag) => tag.id),
+        target.id
+      );
+      setSelected(new Set());
+      setMergeTarget('');
+      onError('');
+      reload();
+    } catch (e) {
+      onError(sanitizeErrorForUser(e));
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-slate-400">
+        Tags are added in the folder and item forms. Select two or more tags here to merge them.
+      </p>
+
+      {selectedTags.length >= 2 && (
+        <div className="glass-card p-3 flex items-center gap-3 animate-fade-in">
+          <span className="text-sm text-slate-300">Merge {selectedTags.length} tags into</span>
+          <select
+            value={mergeTarget}
+            onChange={(e) => setMergeTarget(e.target.value)}
+            className="bg-slate-800 border border-slate-600 rounded px-3 py-1.5 text-white text-sm"
+          >
+            <option value="">Choose the tag to keep...</option>
+            {selectedTags.map((tag) => (
+              <option key={tag.id} value={tag.id}>
+                {tag.name}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={handleMerge}
+            disabled={!mergeTarget}
+            className="px-3 py-1.5 rounded bg-teal-600 text-white text-sm hover:bg-teal-500 disabled:opacity-50"
+          >
+            Merge
+          </button>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {tags.map((tag) => (
+          <div key={tag.id} className="glass-card p-3 flex items-center gap-3">
+            <input
+              type="checkbox"
+              checked={selected.has(tag.id)}
+              onChange={() => toggle(tag.id)}
+              className="accent-teal-500"
+            />
+            {renaming?.id === tag.id ? (
+              <>
+                <input
+                  type="text"
+                  value={renaming.name}
+                  onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                  onKeyDown={(e) => e.key === 'Enter' && handleRename()}
+                  className="flex-1 bg-slate-800 border border-slate-600 rounded px-3 py-1.5 text-white text-sm"
+                  autoFocus
+                />
+                <button onClick={handleRename} className="p-2 hover:bg-slate-700 rounded">
+                  <Check size={16} className="text-teal-400" />
+                </button>
+                <button
+                  onClick={() => setRenaming(null)}
+                  className="p-2 hover:bg-slate-700 rounded"
+                >
+                  <X size={16} className="text-slate-400" />
+                </button>
+              </>
+            ) : (
+              <>
+                <Tag size={16} className="text-teal-400" />
+                <span className="flex-1 text-white">{tag.name}</span>
+                <span className="text-sm text-slate-500">
+                  {tag.folder_count} folders, {tag.item_count} items
+                </span>
+                <button
+                  onClick={() => setRenaming({ id: tag.id, name: tag.name })}
+                  className="p-2 hover:bg-slate-700 rounded"
+                  title="Rename"
+                >
+                  <Edit2 size={16} className="text-slate-400" />
+                </button>
+              </>
+            )}
+          </div>
+        ))}
+        {tags.length === 0 && <p className="text-center text-slate-500 py-6">No tags yet</p>}
+      </div>
+    </div>
+  );
+}
+
+// Settings > Numbering: how new numbers are picked, and numbers held for planned use
+function NumberingSettings({ onError }) {
+  const [strategy, setStrategy] = useState(getAllocationStrategy());
+  const [reserved, setReserved] = useState(() => getReservedNumbers());
+  const [form, setForm] = useState({ number: '', note: '' });
+
+  const handleStrategy = (id) => {
+    setAllocationStrategy(id);
+    setStrategy(id);
+  };
+
+  const handleReserve = () => {
+    try {
+      reserveNumber(form.number, form.note);
+      setForm({ number: '', note: '' });
+      setReserved(getReservedNumbers());
+      onError('');
+    } catch (e) {
+      onError(sanitizeErrorForUser(e));
+    }
+  };
+
+  const handleRelease = (id) => {
+    releaseReservedNumber(id);
+    setReserved(getReservedNumbers());
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="glass-card p-4 space-y-3">
+        <h3 className="font-semibold text-white flex items-center gap-2">
+          <Hash size={18} />
+          New Numbers
+        </h3>
+        <p className="text-sm text-slate-400">
+          A category holds up to 99 folders (XX.01-XX.99) and a folder up to 99 items.
+        </p>
+        {ALLOCATION_STRATEGIES.map((s) => (
+          <label key={s.id} className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="radio"
+              name="allocation-strategy"
+              checked={strategy === s.id}
+              onChange={() => handleStrategy(s.id)}
+              className="mt-1 accent-teal-500"
+            />
+            <span>
+              <span className="text-white">{s.label}</span>
+              <span className="block text-sm text-slate-400">{s.description}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+
+      <div className="glass-card p-4 space-y-3">
+        <h3 className="font-semibold text-white">Reserved Numbers</h3>
+        <p className="text-sm text-slate-400">
+          Reserved folder (XX.XX) and item (XX.XX.XX) numbers are skipped when numbering new
+          records. Creating a record with a reserved number by hand uses up the reservation.
+        </p>
+        <div className="flex gap-3">
+          <input
+            type="text"
+            placeholder="e.g. 11.05"
+            value={form.number}
+            onChange={(e) => setForm({ ...form, number: e.target.value })}
+            className="w-32 bg-slate-800 border border-slate-600 rounded px-3 py-2 text-white text-sm jd-number"
+          />
+          <input
+            type="text"
+            placeholder="What it's for"
+            value={form.note}
+            onChange={(e) => setForm({ ...form, note: e.target.value })}
+            className="flex-1 bg-slate-800 border border-slate-600 rounded px-3 py-2 text-white text-sm"
+          />
+          <button
+            onClick={handleReserve}
+            disabled={!form.number.trim()}
+            className="bg-teal-600 text-white rounded px-4 py-2 hover:bg-teal-500 flex items-center gap-1 disabled:opacity-50"
+          >
+            <Plus size={16} /> Reserve
+          </button>
+        </div>
+        <div className="divide-y divide-slate-700">
+          {reserved.map((r) => (
+            <div key={r.id} className="flex items-center gap-4 py-2">
+              <span className="jd-number text-teal-400 w-24">{r.number}</span>
+              <span className="text-slate-300 flex-1">{r.note}</span>
+              <button
+                onClick={() => handleRelease(r.id)}
+                className="px-3 py-1 rounded border border-slate-600 text-slate-300 hover:bg-slate-700 text-sm"
+              >
+                Release
+              </button>
+            </div>
+          ))}
+          {reserved.length === 0 && (
+            <p className="text-center text-slate-500 py-4">No reserved numbers</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SecuritySettings({ onChange, onError }) {
+  const [enabled, setEnabled] = useState(isEncryptionEnabled());
+  const [form, setForm] = useState({ current: '', next: '', confirm: '' });
+  const [busy, setBusy] = useState(false);
+  const [autoLock, setAutoLock] = useState(getAutoLockMinutes());
+
+  const field = (key, label) => (
+    <div>
+      <label className="block text-sm font-medium text-slate-300 mb-1">{label}</label>
+      <input
+        type="password"
+        value={form[key]}
+        onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+        className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+      />
+    </div>
+  );
+
+  const run = async (action, message) => {
+    if (form.next !== form.confirm) {
+      onError('Passphrases do not match');
+      return;
+    }
+    setBusy(true);
+    try {
+      await action();
+      setForm({ current: '', next: '', confirm: '' });
+      setEnabled(isEncryptionEnabled());
+      onChange();
+      alert(message);
+    } catch (e) {
+      onError(sanitizeErrorForUser(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const buttonClass =
+    'px-4 py-2 rounded text-white flex items-center gap-2 disabled:opacity-50 transition-colors';
+
+  return (
+    <div className="space-y-6">
+      {!enabled ? (
+        <div className="glass-card p-4 space-y-3">
+          <h3 className="font-semibold text-white flex items-center gap-2">
+            <LockKeyhole size={18} />
+            Encrypt This Profile
+          </h3>
+          <p className="text-sm text-slate-400">
+            The database, its backups and .sqlite exports are encrypted with a key derived from your
+            passphrase (at least {MIN_PASSPHRASE_LENGTH} characters). JDex asks for it on startup.
+            There is no way to recover a forgotten passphrase.
+          </p>
+          {field('next', 'Passphrase')}
+          {field('confirm', 'Confirm Passphrase')}
+          <button
+            onClick={() => run(() => enableEncryption(form.next), 'Encryption enabled.')}
+            disabled={busy}
+            className={`${buttonClass} bg-teal-600 hover:bg-teal-500`}
+          >
+            <Lock size={16} />
+            Encrypt Database
+          </button>
+        </div>
+      ) : (
+        <>
+          <div className="glass-card p-4 space-y-3">
+            <h3 className="font-semibold text-white flex items-center gap-2">
+              <KeyRound size={18} />
+              Change Passphrase
+            </h3>
+            {field('current', 'Current Passphrase')}
+            {field('next', 'New Passphrase')}
+            {field('confirm', 'Confirm New Passphrase')}
+            <div className="flex gap-2">
+              <button
+                onClick={() =>
+                  run(() => changePassphrase(form.current, form.next), 'Passphrase changed.')
+                }
+                disabled={busy}
+                className={`${buttonClass} bg-teal-600 hover:bg-teal-500`}
+              >
+                <KeyRound size={16} />
+                Change Passphrase
+              </button>
+              <button
+                onClick={() => {
+                  if (!confirm('Store this profile unencrypted again?')) return;
+                  run(() => disableEncryption(form.current), 'Encryption disabled.');
+                }}
+                disabled={busy}
+                className={`${buttonClass} bg-red-700 hover:bg-red-600 ml-auto`}
+              >
+                Turn Off Encryption
+              </button>
+            </div>
+          </div>
+
+          <div className="glass-card p-4">
+            <h3 className="font-semibold text-white mb-3">Auto-Lock</h3>
+            <select
+              value={autoLock}
+              onChange={(e) => {
+                const minutes = Number(e.target.value);
+                setAutoLockMinutes(minutes);
+                setAutoLock(minutes);
+              }}
+              className="bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+            >
+              <option value={0}>Never</option>
+              {[5, 10, 15, 30, 60].map((m) => (
+                <option key={m} value={m}>
+                  After {m} minutes of inactivity
+                </option>
+              ))}
+            </select>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Settings Modal (abbreviated - keeping core functionality)
+// Structure errors under an area or category form, each with its suggested fix
+function FieldErrors({ errors, onApply, className = '' }) {
+  if (errors.length === 0) return null;
+
+  return (
+    <ul className={`mt-3 space-y-1 ${className}`}>
+      {errors.map((error) => (
+        <li key={error.message} className="flex items-center gap-2 text-sm text-red-400">
+          <AlertCircle size={14} className="shrink-0" />
+          <span>{error.message}</span>
+          {error.suggestion && (
+            <button
+              onClick={() => onApply(error.suggestion.values)}
+              className="text-teal-400 hover:text-teal-300 underline"
+            >
+              {error.suggestion.label}
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function SettingsModal({ isOpen, onClose, areas, categories, onDataChange, onEncryptionChange }) {
+  const [activeTab, setActiveTab] = useState('areas');
+  const [editingArea, setEditingArea] = useState(null);
+  const [editingCategory, setEditingCategory] = useState(null);
+  const [newArea, setNewArea] = useState({
+    range_start: '',
+    range_end: '',
+    name: '',
+    description: '',
+    color: '#64748b',
+  });
+  const [newCategory, setNewCategory] = useState({
+    number: '',
+    area_id: '',
+    name: '',
+    description: '',
+  });
+  const [sqlQuery, setSqlQuery] = useState('');
+  const [sqlResult, setSqlResult] = useState(null);
+  const [selectedTable, setSelectedTable] = useState('');
+  const [tableData, setTableData] = useState({ columns: [], rows: [] });
+  const [error, setError] = useState('');
+  const [backups, setBackups] = useState([]);
+  const [backupBusy, setBackupBusy] = useState(false);
+  const [violations, setViolations] = useState(null);
+  const [renumber, setRenumber] = useState(null); // { title, plan, apply }
+  // Structure errors shown under one of the area/category forms
+  const [fieldErrors, setFieldErrors] = useState({ form: null, errors: [] });
+
+  const tables = ['areas', 'categories', 'folders', 'items', 'storage_locations', 'activity_log'];
+
+  const errorsFor = (form) => (fieldErrors.form === form ? fieldErrors.errors : []);
+  const borderFor = (form, field) =>
+    errorsFor(form).some((e) => e.field === field) ? 'border-red-500' : 'border-slate-600';
+  const clearFieldErrors = () => setFieldErrors({ form: null, errors: [] });
+
+  const showErrors = (form, e) => {
+    if (e.errors) {
+      setFieldErrors({ form, errors: e.errors });
+      setError('');
+    } else {
+      setError(e.message);
+    }
+  };
+
+  // Fill in a suggested fix; the add forms hold their values as strings
+  const applySuggestion = (form, values) => {
+    const asText = Object.fromEntries(Object.entries(values).map(([k, v]) => [k, String(v)]));
+    if (form === 'newArea') setNewArea((prev) => ({ ...prev, ...asText }));
+    if (form === 'editArea') setEditingArea((prev) => ({ ...prev, ...values }));
+    if (form === 'newCategory') setNewCategory((prev) => ({ ...prev, ...asText }));
+    if (form === 'editCategory') setEditingCategory((prev) => ({ ...prev, ...values }));
+    clearFieldErrors();
+  };
+
+  const handleCreateArea = () => {
+    try {
+      if (!newArea.range_start || !newArea.range_end || !newArea.name) {
+        setError('Range start, end, and name are required');
+        return;
+      }
+      createArea({
+        range_start: parseInt(newArea.range_start),
+        range_end: parseInt(newArea.range_end),
+        name: newArea.name,
+        description: newArea.description,
+        color: newArea.color,
+      });
+      setNewArea({ range_start: '', range_end: '', name: '', description: '', color: '#64748b' });
+      setError('');
+      clearFieldErrors();
+      onDataChange();
+    } catch (e) {
+      showErrors('newArea', e);
+    }
+  };
+
+  const handleUpdateArea = (area) => {
+    // Shifting the whole range renumbers everything in the area; confirm that first
+    const current = areas.find((a) => a.id === area.id);
+    const shift = area.range_start - current.range_start;
+    if (shift !== 0 && area.range_end - current.range_end === shift) {
+      const errors = validateArea(area, area.id);
+      if (errors.length > 0) {
+        setFieldErrors({ form: 'editArea', errors });
+        return;
+      }
+      try {
+        setRenumber({
+          title: `Renumber ${current.name} ${current.range_start}-${current.range_end} to ${area.range_start}-${area.range_end}`,
+          plan: previewAreaRenumber(area.id, area.range_start),
+          apply: () => updateArea(area.id, area),
+        });
+      } catch (e) {
+        setError(e.message);
+      }
+      return;
+    }
+
+    try {
+      updateArea(area.id, area);
+      setEditingArea(null);
+      setError('');
+      clearFieldErrors();
+      onDataChange();
+    } catch (e) {
+      showErrors('editArea', e);
+    }
+  };
+
+  const handleDeleteArea = (id) => {
+    if (!confirm('Move this area to the trash?')) return;
+    try {
+      deleteArea(id);
+      setError('');
+      onDataChange();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const handleCreateCategory = () => {
+    try {
+      if (!newCategory.number || !newCategory.area_id || !newCategory.name) {
+        setError('Number, area, and name are required');
+        return;
+      }
+      createCategory({
+        number: parseInt(newCategory.number),
+        area_id: parseInt(newCategory.area_id),
+        name: newCategory.name,
+        description: newCategory.description,
+      });
+      setNewCategory({ number: '', area_id: '', name: '', description: '' });
+      setError('');
+      clearFieldErrors();
+      onDataChange();
+    } catch (e) {
+      showErrors('newCategory', e);
+    }
+  };
+
+  const handleUpdateCategory = (cat) => {
+    const current = categories.find((c) => c.id === cat.id);
+    if (cat.number !== current.number) {
+      const errors = validateCategory(cat, cat.id);
+      if (errors.length > 0) {
+        setFieldErrors({ form: 'editCategory', errors });
+        return;
+      }
+      try {
+        setRenumber({
+          title: `Renumber ${current.name} ${String(current.number).padStart(2, '0')} to ${String(cat.number).padStart(2, '0')}`,
+          plan: previewCategoryRenumber(cat.id, cat.number),
+          apply: () => updateCategory(cat.id, cat),
+        });
+      } catch (e) {
+        setError(e.message);
+      }
+      return;
+    }
+
+    try {
+      updateCategory(cat.id, cat);
+      setEditingCategory(null);
+      setError('');
+      clearFieldErrors();
+      onDataChange();
+    } catch (e) {
+      showErrors('editCategory', e);
+    }
+  };
+
+  const handleConfirmRenumber = () => {
+    try {
+      renumber.apply();
+      setRenumber(null);
+      setEditingArea(null);
+      setEditingCategory(null);
+      setError('');
+      clearFieldErrors();
+      onDataChange();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const handleDeleteCategory = (id) => {
+    if (!confirm('Move this category to the trash?')) return;
+    try {
+      deleteCategory(id);
+      setError('');
+      onDataChange();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const handleExecuteSQL = () => {
+    const result = executeSQL(sqlQuery);
+    setSqlResult(result);
+    if (result.success) onDataChange();
+  };
+
+  const handleTableSelect = (tableName) => {
+    setSelectedTable(tableName);
+    const data = getTableData(tableName);
+    setTableData(data);
+  };
+
+  const loadBackups = useCallback(async () => {
+    try {
+      setBackups(await getBackups());
+    } catch (e) {
+      setError(sanitizeErrorForUser(e));
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen && activeTab === 'backups') loadBackups();
+  }, [isOpen, activeTab, loadBackups]);
+
+  const handleCreateBackup = async () => {
+    setBackupBusy(true);
+    try {
+      await createBackup();
+      await loadBackups();
+    } catch (e) {
+      setError(sanitizeErrorForUser(e));
+    } finally {
+      setBackupBusy(false);
+    }
+  };
+
+  const handleRestoreBackup = async (backup) => {
+    const takenAt = new Date(backup.created_at).toLocaleString();
+    if (!confirm(`Restore the backup from ${takenAt}? Your current data is backed up first.`))
+      return;
+    setBackupBusy(true);
+    try {
+      await restoreBackup(backup.id);
+      onDataChange();
+      await loadBackups();
+      alert('Backup restored.');
+    } catch (e) {
+      setError(sanitizeErrorForUser(e));
+    } finally {
+      setBackupBusy(false);
+    }
+  };
+
+  const handleCheckIntegrity = () => {
+    setViolations(checkIntegrity());
+  };
+
+  const handleRepair = (ids) => {
+    const fixable = violations.filter((v) => ids.includes(v.id) && v.fix);
+    if (fixable.length > 1 && !confirm(`Apply ${fixable.length} fixes?`)) return;
+    try {
+      repairIntegrity(ids);
+      onDataChange();
+      setViolations(checkIntegrity());
+    } catch (e) {
+      setError(sanitizeErrorForUser(e));
+    }
+  };
+
+  const handleResetDatabase = async () => {
+    if (!confirm('WARNING: This will delete ALL data and reset to defaults. Are you sure?')) return;
+    if (!confirm('This action CANNOT be undone. Type "RESET" in the next prompt to confirm.'))
+      return;
+    const confirmation = prompt('Type RESET to confirm:');
+    if (confirmation === 'RESET') {
+      await resetDatabase();
+      onDataChange();
+      alert('Database has been reset to defaults.');
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4">
+      <div className="glass-card w-full max-w-5xl h-[85vh] flex flex-col animate-fade-in">
+        <div className="flex items-center justify-between p-6 border-b border-slate-700">
+          <h2 className="text-xl font-bold text-white flex items-center gap-2">
+            <Settings size={24} />
+            System Settings
+          </h2>
+          <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-lg">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="flex border-b border-slate-700 overflow-x-auto [&>button]:shrink-0">
+          <button
+            onClick={() => setActiveTab('areas')}
+            className={`px-6 py-3 font-medium transition-colors ${activeTab === 'areas' ? 'text-teal-400 border-b-2 border-teal-400' : 'text-slate-400 hover:text-white'}`}
+          >
+            <Layers size={16} className="inline mr-2" />
+            Areas
+          </button>
+          <button
+            onClick={() => setActiveTab('categories')}
+            className={`px-6 py-3 font-medium transition-colors ${activeTab === 'categories' ? 'text-teal-400 border-b-2 border-teal-400' : 'text-slate-400 hover:text-white'}`}
+          >
+            <FolderTree size={16} className="inline mr-2" />
+            Categories
+          </button>
+          <button
+            onClick={() => setActiveTab('numbering')}
+            className={`px-6 py-3 font-medium transition-colors ${activeTab === 'numbering' ? 'text-teal-400 border-b-2 border-teal-400' : 'text-slate-400 hover:text-white'}`}
+          >
+            <Hash size={16} className="inline mr-2" />
+            Numbering
+          </button>
+          <button
+            onClick={() => setActiveTab('tags')}
+            className={`px-6 py-3 font-medium transition-colors ${activeTab === 'tags' ? 'text-teal-400 border-b-2 border-teal-400' : 'text-slate-400 hover:text-white'}`}
+          >
+            <Tag size={16} className="inline mr-2" />
+            Tags
+          </button>
+          <button
+            onClick={() => setActiveTab('fields')}
+            className={`px-6 py-3 font-medium transition-colors ${activeTab === 'fields' ? 'text-teal-400 border-b-2 border-teal-400' : 'text-slate-400 hover:text-white'}`}
+          >
+            <SlidersHorizontal size={16} className="inline mr-2" />
+            Fields
+          </button>
+          <button
+            onClick={() => setActiveTab('templates')}
+            className={`px-6 py-3 font-medium transition-colors ${activeTab === 'templates' ? 'text-teal-400 border-b-2 border-teal-400' : 'text-slate-400 hover:text-white'}`}
+          >
+            <LayoutTemplate size={16} className="inline mr-2" />
+            Templates
+          </button>
+          <button
+            onClick={() => setActiveTab('database')}
+            className={`px-6 py-3 font-medium transition-colors ${activeTab === 'database' ? 'text-teal-400 border-b-2 border-teal-400' : 'text-slate-400 hover:text-white'}`}
+          >
+            <Database size={16} className="inline mr-2" />
+            Database
+          </button>
+          <button
+            onClick={() => setActiveTab('backups')}
+            className={`px-6 py-3 font-medium transition-colors ${activeTab === 'backups' ? 'text-teal-400 border-b-2 border-teal-400' : 'text-slate-400 hover:text-white'}`}
+          >
+            <Archive size={16} className="inline mr-2" />
+            Backups
+          </button>
+          <button
+            onClick={() => setActiveTab('integrity')}
+            className={`px-6 py-3 font-medium transition-colors ${activeTab === 'integrity' ? 'text-teal-400 border-b-2 border-teal-400' : 'text-slate-400 hover:text-white'}`}
+          >
+            <ShieldCheck size={16} className="inline mr-2" />
+            Integrity
+          </button>
+          <button
+            onClick={() => setActiveTab('security')}
+            className={`px-6 py-3 font-medium transition-colors ${activeTab === 'security' ? 'text-teal-400 border-b-2 border-teal-400' : 'text-slate-400 hover:text-white'}`}
+          >
+            <LockKeyhole size={16} className="inline mr-2" />
+            Security
+          </button>
+        </div>
+
+        {error && (
+          <div className="mx-6 mt-4 p-3 bg-red-900/50 border border-red-700 rounded-lg text-red-300 flex items-center gap-2">
+            <AlertCircle size={16} />
+            {error}
+            <button onClick={() => setError('')} className="ml-auto">
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto p-6">
+          {renumber && (activeTab === 'areas' || activeTab === 'categories') && (
+            <RenumberPreview
+              title={renumber.title}
+              plan={renumber.plan}
+              onConfirm={handleConfirmRenumber}
+              onCancel={() => setRenumber(null)}
+            />
+          )}
+
+          {activeTab === 'areas' && (
+            <div className="space-y-6">
               <div className="glass-card p-4">
                 <h3 className="font-semibold text-white mb-4">Add New Area</h3>
                 <div className="grid grid-cols-6 gap-3">
@@ -1396,14 +3919,14 @@ function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
                     placeholder="Start"
                     value={newArea.range_start}
                     onChange={(e) => setNewArea({ ...newArea, range_start: e.target.value })}
-                    className="bg-slate-800 border border-slate-600 rounded px-3 py-2 text-white text-sm"
+                    className={`bg-slate-800 border ${borderFor('newArea', 'range_start')} rounded px-3 py-2 text-white text-sm`}
                   />
                   <input
                     type="number"
                     placeholder="End"
                     value={newArea.range_end}
                     onChange={(e) => setNewArea({ ...newArea, range_end: e.target.value })}
-                    className="bg-slate-800 border border-slate-600 rounded px-3 py-2 text-white text-sm"
+                    className={`bg-slate-800 border ${borderFor('newArea', 'range_end')} rounded px-3 py-2 text-white text-sm`}
                   />
                   <input
                     type="text"
@@ -1432,11 +3955,15 @@ function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
                     <Plus size={16} /> Add
                   </button>
                 </div>
+                <FieldErrors
+                  errors={errorsFor('newArea')}
+                  onApply={(values) => applySuggestion('newArea', values)}
+                />
               </div>
 
               <div className="space-y-2">
                 {areas.map((area) => (
-                  <div key={area.id} className="glass-card p-4 flex items-center gap-4">
+                  <div key={area.id} className="glass-card p-4 flex flex-wrap items-center gap-4">
                     {editingArea?.id === area.id ? (
                       <>
                         <input
@@ -1448,7 +3975,7 @@ function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
                               range_start: parseInt(e.target.value),
                             })
                           }
-                          className="w-16 bg-slate-800 border border-slate-600 rounded px-2 py-1 text-white text-sm"
+                          className={`w-16 bg-slate-800 border ${borderFor('editArea', 'range_start')} rounded px-2 py-1 text-white text-sm`}
                         />
                         <span className="text-slate-500">-</span>
                         <input
@@ -1457,7 +3984,7 @@ function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
                           onChange={(e) =>
                             setEditingArea({ ...editingArea, range_end: parseInt(e.target.value) })
                           }
-                          className="w-16 bg-slate-800 border border-slate-600 rounded px-2 py-1 text-white text-sm"
+                          className={`w-16 bg-slate-800 border ${borderFor('editArea', 'range_end')} rounded px-2 py-1 text-white text-sm`}
                         />
                         <input
                           type="text"
@@ -1480,11 +4007,19 @@ function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
                           <Check size={16} />
                         </button>
                         <button
-                          onClick={() => setEditingArea(null)}
+                          onClick={() => {
+                            setEditingArea(null);
+                            clearFieldErrors();
+                          }}
                           className="p-2 bg-slate-600 rounded hover:bg-slate-500"
                         >
                           <X size={16} />
                         </button>
+                        <FieldErrors
+                          errors={errorsFor('editArea')}
+                          onApply={(values) => applySuggestion('editArea', values)}
+                          className="basis-full"
+                        />
                       </>
                     ) : (
                       <>
@@ -1498,7 +4033,10 @@ function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
                         <span className="font-medium text-white flex-1">{area.name}</span>
                         <span className="text-slate-400 flex-1">{area.description}</span>
                         <button
-                          onClick={() => setEditingArea({ ...area })}
+                          onClick={() => {
+                            setEditingArea({ ...area });
+                            clearFieldErrors();
+                          }}
                           className="p-2 hover:bg-slate-700 rounded"
                         >
                           <Edit2 size={16} className="text-slate-400" />
@@ -1527,12 +4065,12 @@ function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
                     placeholder="Number"
                     value={newCategory.number}
                     onChange={(e) => setNewCategory({ ...newCategory, number: e.target.value })}
-                    className="bg-slate-800 border border-slate-600 rounded px-3 py-2 text-white text-sm"
+                    className={`bg-slate-800 border ${borderFor('newCategory', 'number')} rounded px-3 py-2 text-white text-sm`}
                   />
                   <select
                     value={newCategory.area_id}
                     onChange={(e) => setNewCategory({ ...newCategory, area_id: e.target.value })}
-                    className="bg-slate-800 border border-slate-600 rounded px-3 py-2 text-white text-sm"
+                    className={`bg-slate-800 border ${borderFor('newCategory', 'area_id')} rounded px-3 py-2 text-white text-sm`}
                   >
                     <option value="">Select Area...</option>
                     {areas.map((a) => (
@@ -1564,11 +4102,15 @@ function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
                     <Plus size={16} /> Add
                   </button>
                 </div>
+                <FieldErrors
+                  errors={errorsFor('newCategory')}
+                  onApply={(values) => applySuggestion('newCategory', values)}
+                />
               </div>
 
               <div className="space-y-2">
                 {categories.map((cat) => (
-                  <div key={cat.id} className="glass-card p-4 flex items-center gap-4">
+                  <div key={cat.id} className="glass-card p-4 flex flex-wrap items-center gap-4">
                     {editingCategory?.id === cat.id ? (
                       <>
                         <input
@@ -1580,7 +4122,7 @@ function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
                               number: parseInt(e.target.value),
                             })
                           }
-                          className="w-20 bg-slate-800 border border-slate-600 rounded px-2 py-1 text-white text-sm"
+                          className={`w-20 bg-slate-800 border ${borderFor('editCategory', 'number')} rounded px-2 py-1 text-white text-sm`}
                         />
                         <select
                           value={editingCategory.area_id}
@@ -1590,7 +4132,7 @@ function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
                               area_id: parseInt(e.target.value),
                             })
                           }
-                          className="bg-slate-800 border border-slate-600 rounded px-2 py-1 text-white text-sm"
+                          className={`bg-slate-800 border ${borderFor('editCategory', 'area_id')} rounded px-2 py-1 text-white text-sm`}
                         >
                           {areas.map((a) => (
                             <option key={a.id} value={a.id}>
@@ -1613,11 +4155,19 @@ function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
                           <Check size={16} />
                         </button>
                         <button
-                          onClick={() => setEditingCategory(null)}
+                          onClick={() => {
+                            setEditingCategory(null);
+                            clearFieldErrors();
+                          }}
                           className="p-2 bg-slate-600 rounded hover:bg-slate-500"
                         >
                           <X size={16} />
                         </button>
+                        <FieldErrors
+                          errors={errorsFor('editCategory')}
+                          onApply={(values) => applySuggestion('editCategory', values)}
+                          className="basis-full"
+                        />
                       </>
                     ) : (
                       <>
@@ -1628,7 +4178,10 @@ function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
                         <span className="font-medium text-white flex-1">{cat.name}</span>
                         <span className="text-slate-400 flex-1">{cat.description}</span>
                         <button
-                          onClick={() => setEditingCategory({ ...cat })}
+                          onClick={() => {
+                            setEditingCategory({ ...cat });
+                            clearFieldErrors();
+                          }}
                           className="p-2 hover:bg-slate-700 rounded"
                         >
                           <Edit2 size={16} className="text-slate-400" />
@@ -1647,6 +4200,16 @@ function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
             </div>
           )}
 
+          {activeTab === 'numbering' && <NumberingSettings onError={setError} />}
+
+          {activeTab === 'templates' && <TemplateSettings onError={setError} />}
+
+          {activeTab === 'tags' && <TagSettings onDataChange={onDataChange} onError={setError} />}
+
+          {activeTab === 'fields' && (
+            <CustomFieldSettings categories={categories} onError={setError} />
+          )}
+
           {activeTab === 'database' && (
             <div className="space-y-6">
               <div className="glass-card p-4">
@@ -1742,47 +4305,473 @@ function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
                   </button>
                 </div>
 
-                {sqlResult && (
-                  <div
-                    className={`mt-4 p-4 rounded-lg ${sqlResult.success ? 'bg-slate-800' : 'bg-red-900/30'}`}
-                  >
-                    {sqlResult.success ? (
-                      <>
-                        <p className="text-green-400 mb-2">Query executed successfully</p>
-                        {sqlResult.results?.length > 0 && (
-                          <div className="overflow-x-auto">
-                            <table className="w-full text-sm">
-                              <thead>
-                                <tr className="border-b border-slate-600">
-                                  {sqlResult.results[0].columns.map((col, i) => (
-                                    <th key={i} className="text-left p-2 text-slate-400">
-                                      {col}
-                                    </th>
-                                  ))}
-                                </tr>
-                              </thead>
-                              <tbody>
-                                {sqlResult.results[0].values.map((row, i) => (
-                                  <tr key={i} className="border-b border-slate-700">
-                                    {row.map((cell, j) => (
-                                      <td key={j} className="p-2 text-slate-300 font-mono text-xs">
-                                        {String(cell)}
-                                      </td>
-                                    ))}
-                                  </tr>
-                                ))}
-                              </tbody>
-                            </table>
-                          </div>
-                        )}
-                      </>
+                {sqlResult && (
+                  <div
+                    className={`mt-4 p-4 rounded-lg ${sqlResult.success ? 'bg-slate-800' : 'bg-red-900/30'}`}
+                  >
+                    {sqlResult.success ? (
+                      <>
+                        <p className="text-green-400 mb-2">Query executed successfully</p>
+                        {sqlResult.results?.length > 0 && (
+                          <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                              <thead>
+                                <tr className="border-b border-slate-600">
+                                  {sqlResult.results[0].columns.map((col, i) => (
+                                    <th key={i} className="text-left p-2 text-slate-400">
+                                      {col}
+                                    </th>
+                                  ))}
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {sqlResult.results[0].values.map((row, i) => (
+                                  <tr key={i} className="border-b border-slate-700">
+                                    {row.map((cell, j) => (
+                                      <td key={j} className="p-2 text-slate-300 font-mono text-xs">
+                                        {String(cell)}
+                                      </td>
+                                    ))}
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        )}
+                      </>
+                    ) : (
+                      <p className="text-red-400">Error: {sqlResult.error}</p>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'backups' && (
+            <div className="space-y-4">
+              <div className="flex items-center justify-between">
+                <p className="text-sm text-slate-400">
+                  Snapshots are taken on startup, every hour while you work, and before migrations,
+                  imports, resets and restores. Older ones are thinned out to one per day, week and
+                  month.
+                </p>
+                <button
+                  onClick={handleCreateBackup}
+                  disabled={backupBusy}
+                  className="px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-500 flex items-center gap-2 shrink-0 ml-4 disabled:opacity-50"
+                >
+                  <Archive size={16} />
+                  Back Up Now
+                </button>
+              </div>
+
+              <div className="glass-card divide-y divide-slate-700">
+                {backups.map((backup) => (
+                  <div key={backup.id} className="flex items-center gap-4 p-4">
+                    <div className="flex-1 min-w-0">
+                      <div className="text-white">
+                        {new Date(backup.created_at).toLocaleString()}
+                        <span className="ml-2 text-xs px-2 py-0.5 rounded bg-slate-700 text-slate-300">
+                          {describeBackupLabel(backup.label)}
+                        </span>
+                      </div>
+                      <div className="text-sm text-slate-400">
+                        {formatFileSize(backup.size)}
+                        {backup.counts?.folders !== undefined &&
+                          ` · ${backup.counts.areas} areas · ${backup.counts.categories} categories · ${backup.counts.folders} folders · ${backup.counts.items} items`}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => handleRestoreBackup(backup)}
+                      disabled={backupBusy}
+                      className="px-3 py-1 rounded border border-slate-600 text-slate-300 hover:bg-slate-700 flex items-center gap-2 disabled:opacity-50"
+                    >
+                      <RefreshCw size={14} />
+                      Restore
+                    </button>
+                  </div>
+                ))}
+                {backups.length === 0 && (
+                  <p className="text-center text-slate-500 py-6">No backups yet</p>
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'security' && (
+            <SecuritySettings onChange={onEncryptionChange} onError={setError} />
+          )}
+
+          {activeTab === 'integrity' && (
+            <div className="space-y-4">
+              <div className="flex items-center justify-between">
+                <p className="text-sm text-slate-400">
+                  Checks that numbers match their parents, categories sit inside their area,
+                  sequences have no gaps or duplicates, and organized files point to real folders.
+                </p>
+                <div className="flex gap-2 shrink-0 ml-4">
+                  {violations?.some((v) => v.fix) && (
+                    <button
+                      onClick={() => handleRepair(violations.map((v) => v.id))}
+                      className="px-4 py-2 bg-orange-600 text-white rounded hover:bg-orange-500 flex items-center gap-2"
+                    >
+                      <Wrench size={16} />
+                      Fix All
+                    </button>
+                  )}
+                  <button
+                    onClick={handleCheckIntegrity}
+                    className="px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-500 flex items-center gap-2"
+                  >
+                    <ShieldCheck size={16} />
+                    Run Check
+                  </button>
+                </div>
+              </div>
+
+              {violations && (
+                <div className="glass-card divide-y divide-slate-700">
+                  {violations.map((v) => (
+                    <div key={v.id} className="flex items-center gap-4 p-4">
+                      <span
+                        className={`text-xs px-2 py-0.5 rounded uppercase shrink-0 ${
+                          {
+                            error: 'bg-red-900/50 text-red-300',
+                            warning: 'bg-amber-900/50 text-amber-300',
+                            info: 'bg-slate-700 text-slate-300',
+                          }[v.severity]
+                        }`}
+                      >
+                        {v.severity}
+                      </span>
+                      <div className="flex-1 min-w-0">
+                        <div className="text-white">{v.message}</div>
+                        <div className="text-sm text-slate-400">
+                          {v.fix ? v.fix.description : 'Needs fixing by hand'}
+                        </div>
+                      </div>
+                      {v.fix && (
+                        <button
+                          onClick={() => handleRepair([v.id])}
+                          className="px-3 py-1 rounded border border-slate-600 text-slate-300 hover:bg-slate-700 flex items-center gap-2"
+                        >
+                          <Wrench size={14} />
+                          Fix
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  {violations.length === 0 && (
+                    <p className="text-center text-green-400 py-6 flex items-center justify-center gap-2">
+                      <Check size={16} /> No problems found
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Trash Modal - restore or permanently delete trashed records
+function TrashModal({ isOpen, onClose, onRestore }) {
+  const [entries, setEntries] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(() => getTrashRetentionDays());
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(() => setEntries(getTrash()), []);
+
+  useEffect(() => {
+    if (isOpen) {
+      setError('');
+      purgeTrash();
+      refresh();
+    }
+  }, [isOpen, refresh]);
+
+  const handleRestore = (entry) => {
+    try {
+      restoreFromTrash(entry.id);
+      setError('');
+      refresh();
+      onRestore();
+    } catch (e) {
+      setError(sanitizeErrorForUser(e));
+    }
+  };
+
+  const handleDeleteForever = (entry) => {
+    if (!confirm(`Permanently delete ${entry.entity_type} ${entry.entity_number} ${entry.name}?`)) {
+      return;
+    }
+    deleteFromTrash(entry.id);
+    refresh();
+  };
+
+  const handleEmpty = () => {
+    if (!confirm(`Permanently delete all ${entries.length} records in the trash?`)) return;
+    emptyTrash();
+    refresh();
+  };
+
+  const handleRetentionChange = (value) => {
+    const days = Math.max(0, parseInt(value) || 0);
+    setRetentionDays(days);
+    setTrashRetentionDays(days);
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4">
+      <div className="glass-card w-full max-w-3xl max-h-[90vh] flex flex-col animate-fade-in">
+        <div className="flex items-center justify-between p-6 border-b border-slate-700">
+          <h2 className="text-xl font-bold text-white flex items-center gap-2">
+            <Trash2 size={20} />
+            Trash
+          </h2>
+          <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-lg">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="flex items-center gap-3 px-6 py-4 border-b border-slate-700 text-sm">
+          <span className="text-slate-400">Delete permanently after</span>
+          <input
+            type="number"
+            min="0"
+            value={retentionDays}
+            onChange={(e) => handleRetentionChange(e.target.value)}
+            className="w-20 bg-slate-800 border border-slate-600 rounded px-2 py-1 text-white"
+          />
+          <span className="text-slate-400">days (0 = never)</span>
+          <button
+            onClick={handleEmpty}
+            disabled={entries.length === 0}
+            className="ml-auto px-4 py-2 bg-red-700 text-white rounded hover:bg-red-600 flex items-center gap-2 disabled:opacity-50"
+          >
+            <Trash2 size={16} />
+            Empty Trash
+          </button>
+        </div>
+
+        {error && (
+          <div className="mx-6 mt-4 p-3 bg-red-900/50 border border-red-700 rounded-lg text-red-300 flex items-center gap-2">
+            <AlertCircle size={16} />
+            {error}
+            <button onClick={() => setError('')} className="ml-auto">
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto p-6">
+          {entries.length === 0 ? (
+            <p className="text-center text-slate-400 py-6">The trash is empty</p>
+          ) : (
+            <div className="glass-card divide-y divide-slate-700">
+              {entries.map((entry) => (
+                <div key={entry.id} className="flex items-center gap-4 p-4">
+                  <span className="text-xs px-2 py-0.5 rounded uppercase shrink-0 bg-slate-700 text-slate-300">
+                    {entry.entity_type}
+                  </span>
+                  <div className="flex-1 min-w-0">
+                    <div className="text-white">
+                      <span className="jd-number text-teal-400 mr-2">{entry.entity_number}</span>
+                      {entry.name}
+                    </div>
+                    <div className="text-sm text-slate-400">
+                      Deleted {new Date(`${entry.deleted_at.replace(' ', 'T')}Z`).toLocaleString()}
+                      {entry.restores_with.length > 0 &&
+                        ` · Restoring also brings back ${entry.restores_with.join(', ')}`}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => handleRestore(entry)}
+                    className="px-3 py-1 rounded border border-slate-600 text-slate-300 hover:bg-slate-700 flex items-center gap-2"
+                  >
+                    <ArchiveRestore size={14} />
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => handleDeleteForever(entry)}
+                    title="Delete permanently"
+                    className="p-2 hover:bg-red-900/50 rounded"
+                  >
+                    <Trash2 size={16} className="text-slate-400 hover:text-red-400" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// How recorded fields are labelled in the History panel
+const HISTORY_FIELD_LABELS = {
+  folder_number: 'Number',
+  item_number: 'Number',
+  category_id: 'Category',
+  folder_id: 'Folder',
+  name: 'Name',
+  description: 'Description',
+  file_type: 'File type',
+  sensitivity: 'Sensitivity',
+  location: 'Location',
+  storage_path: 'Storage path',
+  file_size: 'File size',
+  notes: 'Notes',
+  custom_values: 'Custom fields',
+  tags: 'Tags',
+  review_date: 'Review date',
+  review_rule: 'Repeat',
+  expires_on: 'Expiry date',
+};
+
+// History panel - a folder's or item's versions, each with the fields it changed.
+// A field can be put back as it was before a change, or the whole record as it
+// was after a version.
+function FieldHistoryModal({ target, onClose, onRevert }) {
+  const [versions, setVersions] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (target) {
+      setError('');
+      setVersions(getFieldHistory(target.entityType, target.record.id));
+    }
+  }, [target]);
+
+  if (!target) return null;
+  const { entityType, record } = target;
+  const number = record.folder_number || record.item_number;
+
+  const handleRevert = (revert, message) => {
+    try {
+      revert();
+    } catch (e) {
+      setError(sanitizeErrorForUser(e));
+      return;
+    }
+    setError('');
+    setVersions(getFieldHistory(entityType, record.id));
+    onRevert(message);
+  };
+
+  const showValue = (text) =>
+    text === null ? <span className="italic text-slate-500">empty</span> : text;
+
+  return (
+    <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4">
+      <div className="glass-card w-full max-w-3xl max-h-[90vh] flex flex-col animate-fade-in">
+        <div className="flex items-center justify-between p-6 border-b border-slate-700">
+          <h2 className="text-xl font-bold text-white flex items-center gap-2">
+            <History size={20} />
+            History of <span className="jd-number text-teal-400">{number}</span> {record.name}
+          </h2>
+          <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-lg">
+            <X size={20} />
+          </button>
+        </div>
+
+        {error && (
+          <div className="mx-6 mt-4 p-3 bg-red-900/50 border border-red-700 rounded-lg text-red-300 flex items-center gap-2">
+            <AlertCircle size={16} />
+            {error}
+            <button onClick={() => setError('')} className="ml-auto">
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto p-6">
+          {versions.length === 0 ? (
+            <p className="text-center text-slate-400 py-6">
+              No changes since this {entityType} was created
+            </p>
+          ) : (
+            <ol className="space-y-4">
+              {versions.map((version, index) => (
+                <li key={version.version} className="glass-card p-4">
+                  <div className="flex items-center gap-3 mb-3">
+                    <span className="text-sm font-medium text-white">
+                      Version {version.version}
+                    </span>
+                    <span className="text-sm text-slate-400">
+                      {new Date(`${version.changed_at.replace(' ', 'T')}Z`).toLocaleString()}
+                    </span>
+                    {index === 0 ? (
+                      <span className="ml-auto text-xs text-slate-500">Current</span>
                     ) : (
-                      <p className="text-red-400">Error: {sqlResult.error}</p>
+                      <button
+                        onClick={() =>
+                          handleRevert(
+                            () => revertToVersion(entityType, record.id, version.version),
+                            `Restored ${number} to version ${version.version}`
+                          )
+                        }
+                        className="ml-auto px-3 py-1 rounded border border-slate-600 text-sm text-slate-300 hover:bg-slate-700 flex items-center gap-2"
+                      >
+                        <ArchiveRestore size={14} />
+                        Restore this version
+                      </button>
                     )}
                   </div>
-                )}
-              </div>
-            </div>
+                  <div className="space-y-2">
+                    {version.changes.map((change) => (
+                      <div key={change.id} className="flex items-start gap-3 text-sm">
+                        <span className="w-28 shrink-0 text-slate-500">
+                          {HISTORY_FIELD_LABELS[change.field] || change.field}
+                        </span>
+                        <div className="flex-1 min-w-0 break-words">
+                          <span className="text-red-300/80 line-through">
+                            {showValue(change.old_text)}
+                          </span>
+                          <ArrowRight size={12} className="inline mx-2 text-slate-500" />
+                          <span className="text-slate-200">{showValue(change.new_text)}</span>
+                        </div>
+                        {change.revertable && (
+                          <button
+                            onClick={() =>
+                              handleRevert(
+                                () => revertFieldChange(change.id),
+                                `Reverted ${(HISTORY_FIELD_LABELS[change.field] || change.field).toLowerCase()} of ${number}`
+                              )
+                            }
+                            title="Put this field back as it was before this change"
+                            className="p-1 hover:bg-slate-700 rounded shrink-0"
+                          >
+                            <Undo2 size={14} className="text-slate-400" />
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </li>
+              ))}
+              <li className="flex items-center gap-3 px-4 text-sm text-slate-400">
+                As created
+                <button
+                  onClick={() =>
+                    handleRevert(
+                      () => revertToVersion(entityType, record.id, 0),
+                      `Restored ${number} as created`
+                    )
+                  }
+                  className="ml-auto px-3 py-1 rounded border border-slate-600 text-slate-300 hover:bg-slate-700 flex items-center gap-2"
+                >
+                  <ArchiveRestore size={14} />
+                  Restore
+                </button>
+              </li>
+            </ol>
           )}
         </div>
       </div>
@@ -1790,6 +4779,88 @@ function SettingsModal({ isOpen, onClose, areas, categories, onDataChange }) {
   );
 }
 
+// Offers to undo a destructive action for a few seconds after it happened
+function UndoToast({ toast, onUndo, onDismiss }) {
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(onDismiss, 8000);
+    return () => clearTimeout(timer);
+  }, [toast, onDismiss]);
+
+  if (!toast) return null;
+
+  return (
+    <div className="fixed bottom-6 right-6 z-50 glass-card flex items-center gap-4 px-4 py-3 animate-fade-in">
+      <span className="text-sm text-slate-300">{toast.message}</span>
+      <button
+        onClick={onUndo}
+        className="flex items-center gap-1 text-sm font-medium text-teal-400 hover:text-teal-300 transition-colors"
+      >
+        <Undo2 size={16} />
+        Undo
+      </button>
+      <button onClick={onDismiss} className="text-slate-500 hover:text-white transition-colors">
+        <X size={16} />
+      </button>
+    </div>
+  );
+}
+
+// Due for review - reviews and expiries that have come up, on the home screen
+function DueReviewsPanel({ reminders, onOpen, onSnooze, onComplete }) {
+  if (reminders.length === 0) return null;
+
+  return (
+    <div className="glass-card mb-6">
+      <h3 className="flex items-center gap-2 px-4 pt-4 pb-2 text-lg font-semibold text-slate-300">
+        <CalendarClock size={18} className="text-amber-400" />
+        Due for Review ({reminders.length})
+      </h3>
+      <div className="divide-y divide-slate-700">
+        {reminders.map((reminder) => {
+          const Icon = reminder.kind === 'expiry' ? Hourglass : CalendarClock;
+          return (
+            <div key={reminder.key} className="flex items-center gap-3 px-4 py-3">
+              <Icon size={16} className="text-slate-400 shrink-0" />
+              <button
+                onClick={() => onOpen(reminder)}
+                className="flex-1 min-w-0 text-left hover:text-teal-300 transition-colors"
+              >
+                <span className="jd-number text-teal-400 mr-2">{reminder.number}</span>
+                <span className="text-white">{reminder.name}</span>
+                <span className="block text-sm text-slate-400">
+                  {describeReminder(reminder)}
+                  {reminder.review_rule && ` · ${describeReviewRule(reminder.review_rule)}`}
+                </span>
+              </button>
+              <select
+                value=""
+                onChange={(e) => onSnooze(reminder, Number(e.target.value))}
+                className="bg-slate-800 border border-slate-600 rounded px-2 py-1 text-sm text-slate-300"
+                title="Put off this reminder"
+              >
+                <option value="">Snooze...</option>
+                {SNOOZE_OPTIONS.map((option) => (
+                  <option key={option.days} value={option.days}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => onComplete(reminder)}
+                className="px-3 py-1 rounded border border-slate-600 text-sm text-slate-300 hover:bg-slate-700 flex items-center gap-2"
+              >
+                <Check size={14} />
+                {reminder.kind === 'expiry' ? 'Renewed' : 'Done'}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
 // Stats Dashboard - Updated for 4-level structure
 function StatsDashboard({ stats }) {
   return (
@@ -1826,55 +4897,444 @@ function StatsDashboard({ stats }) {
   );
 }
 
+// Profile Switcher - header dropdown listing every index profile, to switch,
+// rename or delete them (the first profile and the open one can't be deleted)
+function ProfileSwitcher({
+  profiles,
+  currentProfileId,
+  onSwitch,
+  onNewProfile,
+  onRename,
+  onDelete,
+}) {
+  const [open, setOpen] = useState(false);
+  const current = profiles.find((p) => p.id === currentProfileId);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-2 px-3 py-2 rounded-lg border border-slate-600 text-slate-300 hover:bg-slate-700 transition-colors"
+      >
+        <Layers size={16} className="text-teal-400" />
+        <span className="text-sm max-w-[10rem] truncate">{current?.name || 'Profile'}</span>
+        <ChevronDown size={14} />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-56 glass-card py-1 z-40 animate-fade-in">
+          {profiles.map((profile) => (
+            <div key={profile.id} className="flex items-center hover:bg-slate-700">
+              <button
+                onClick={() => {
+                  setOpen(false);
+                  onSwitch(profile.id);
+                }}
+                className="flex-1 min-w-0 flex items-center gap-2 px-3 py-2 text-sm text-left text-slate-300"
+              >
+                <span className="w-4 shrink-0">
+                  {profile.id === currentProfileId && <Check size={14} className="text-teal-400" />}
+                </span>
+                <span className="truncate">{profile.name}</span>
+              </button>
+              <button
+                onClick={() => {
+                  setOpen(false);
+                  onRename(profile);
+                }}
+                className="p-1 text-slate-400 hover:text-white"
+                title="Rename"
+              >
+                <Edit2 size={14} />
+              </button>
+              <button
+                onClick={() => {
+                  setOpen(false);
+                  onDelete(profile);
+                }}
+                disabled={profile.id === DEFAULT_PROFILE_ID || profile.id === currentProfileId}
+                className="p-1 mr-2 text-slate-400 hover:text-red-400 disabled:opacity-30 disabled:hover:text-slate-400"
+                title={
+                  profile.id === DEFAULT_PROFILE_ID
+                    ? "The first profile can't be deleted"
+                    : profile.id === currentProfileId
+                      ? 'Switch to another profile to delete this one'
+                      : 'Delete'
+                }
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+          <div className="border-t border-slate-700 my-1" />
+          <button
+            onClick={() => {
+              setOpen(false);
+              onNewProfile();
+            }}
+            className="w-full flex items-center gap-2 px-3 py-2 text-sm text-left text-teal-400 hover:bg-slate-700"
+          >
+            <Plus size={14} /> New profile
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// New Profile Modal
+function NewProfileModal({ isOpen, onClose, onCreate }) {
+  const [name, setName] = useState('');
+  const [template, setTemplate] = useState('empty');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setName('');
+      setTemplate('empty');
+      setError('');
+    }
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onCreate(name, template);
+      onClose();
+    } catch (err) {
+      setError(sanitizeErrorForUser(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const templates = [
+    { value: 'empty', label: 'Empty', hint: 'No areas or categories' },
+    { value: 'starter', label: 'Starter template', hint: 'The sample areas and categories' },
+    {
+      value: 'copy',
+      label: 'Copy current structure',
+      hint: 'Areas and categories from this profile, without folders or items',
+    },
+  ];
+
+  return (
+    <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4">
+      <div className="glass-card w-full max-w-md animate-fade-in">
+        <div className="flex items-center justify-between p-6 border-b border-slate-700">
+          <h2 className="text-xl font-bold text-white flex items-center gap-2">
+            <Layers size={20} /> New Profile
+          </h2>
+          <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-lg">
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">Name *</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g., Work"
+              className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+              required
+            />
+          </div>
+
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-slate-300">Start from</label>
+            {templates.map((t) => (
+              <label
+                key={t.value}
+                className="flex items-start gap-3 p-3 rounded-lg border border-slate-600 cursor-pointer hover:bg-slate-700/50"
+              >
+                <input
+                  type="radio"
+                  name="profile-template"
+                  value={t.value}
+                  checked={template === t.value}
+                  onChange={() => setTemplate(t.value)}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="block text-white text-sm">{t.label}</span>
+                  <span className="block text-slate-400 text-xs">{t.hint}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+
+          {error && (
+            <p className="text-red-400 text-sm flex items-center gap-2">
+              <AlertCircle size={16} /> {error}
+            </p>
+          )}
+
+          <div className="flex justify-end gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg border border-slate-600 text-slate-300 hover:bg-slate-700 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 rounded-lg bg-teal-600 text-white hover:bg-teal-500 transition-colors flex items-center gap-2 disabled:opacity-50"
+            >
+              <Plus size={18} /> Create Profile
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Rename Profile Modal
+function RenameProfileModal({ profile, onClose, onRename }) {
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (profile) {
+      setName(profile.name);
+      setError('');
+    }
+  }, [profile]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      onRename(profile.id, name);
+      onClose();
+    } catch (err) {
+      setError(sanitizeErrorForUser(err));
+    }
+  };
+
+  if (!profile) return null;
+
+  return (
+    <div className="fixed inset-0 modal-backdrop flex items-center justify-center z-50 p-4">
+      <div className="glass-card w-full max-w-md animate-fade-in">
+        <div className="flex items-center justify-between p-6 border-b border-slate-700">
+          <h2 className="text-xl font-bold text-white flex items-center gap-2">
+            <Edit2 size={20} /> Rename Profile
+          </h2>
+          <button onClick={onClose} className="p-2 hover:bg-slate-700 rounded-lg">
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">Name *</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+              required
+            />
+          </div>
+
+          {error && (
+            <p className="text-red-400 text-sm flex items-center gap-2">
+              <AlertCircle size={16} /> {error}
+            </p>
+          )}
+
+          <div className="flex justify-end gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg border border-slate-600 text-slate-300 hover:bg-slate-700 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 rounded-lg bg-teal-600 text-white hover:bg-teal-500 transition-colors flex items-center gap-2"
+            >
+              <Check size={18} /> Rename
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Unlock Screen - shown while an encrypted profile is locked
+function UnlockScreen({ profiles, currentProfileId, onUnlock, onSwitchProfile }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      await onUnlock(passphrase);
+    } catch (err) {
+      setError(sanitizeErrorForUser(err));
+      setPassphrase('');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="glass-card max-w-md w-full p-8 text-center animate-fade-in space-y-4"
+      >
+        <LockKeyhole size={48} className="text-teal-400 mx-auto" />
+        <h1 className="text-xl font-bold text-white">JDex is locked</h1>
+
+        {profiles.length > 1 && (
+          <select
+            value={currentProfileId || ''}
+            onChange={(e) => onSwitchProfile(e.target.value)}
+            className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+          >
+            {profiles.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        )}
+
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder="Passphrase"
+          autoFocus
+          className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white focus:border-teal-500"
+        />
+
+        {error && (
+          <p className="text-red-400 text-sm flex items-center justify-center gap-2">
+            <AlertCircle size={16} /> {error}
+          </p>
+        )}
+
+        <button
+          type="submit"
+          disabled={busy || !passphrase}
+          className="w-full inline-flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-teal-600 text-white hover:bg-teal-500 transition-colors disabled:opacity-50"
+        >
+          <KeyRound size={18} />
+          {busy ? 'Unlocking...' : 'Unlock'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
 // Main App Component
 export default function App() {
   const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
   const [areas, setAreas] = useState([]);
   const [categories, setCategories] = useState([]);
   const [folders, setFolders] = useState([]);
   const [items, setItems] = useState([]);
   const [stats, setStats] = useState({});
+  const [dueReminders, setDueReminders] = useState([]);
 
   // Refresh trigger - increment to force data reload
   const [refreshKey, setRefreshKey] = useState(0);
 
   // Navigation state
-  const [currentView, setCurrentView] = useState('home'); // home, area, category, folder
+  const [currentView, setCurrentView] = useState('home'); // home, area, category, folder, tag
   const [selectedArea, setSelectedArea] = useState(null);
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [selectedFolder, setSelectedFolder] = useState(null);
   const [breadcrumbPath, setBreadcrumbPath] = useState([]);
 
+  // Tags, and what's tagged with the one being browsed
+  const [tags, setTags] = useState([]);
+  const [selectedTag, setSelectedTag] = useState(null);
+  const [tagResults, setTagResults] = useState({ folders: [], items: [] });
+
   // Search
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState({ folders: [], items: [] });
 
+  // Multi-select of folders and items for bulk actions
+  const [selectedFolderIds, setSelectedFolderIds] = useState(() => new Set());
+  const [selectedItemIds, setSelectedItemIds] = useState(() => new Set());
+
   // Modals
   const [showNewFolderModal, setShowNewFolderModal] = useState(false);
   const [showNewItemModal, setShowNewItemModal] = useState(false);
   const [editingFolder, setEditingFolder] = useState(null);
-  const [editingItem, setEditingItem] = useState(null);
-  const [showSettings, setShowSettings] = useState(false);
-  const [sidebarOpen, setSidebarOpen] = useState(true);
-
-  // Initialize database
-  useEffect(() => {
-    async function init() {
-      await initDatabase();
-      loadData();
-      setIsLoading(false);
-    }
-    init();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  const [editingItem, setEditingItem] = useState(null);
+  const [historyTarget, setHistoryTarget] = useState(null);
+  const [movingItems, setMovingItems] = useState([]);
+  const [movingFolders, setMovingFolders] = useState([]);
+  const [bulkEdit, setBulkEdit] = useState(null);
+  const [duplicating, setDuplicating] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [sidebarOpen, setSidebarOpen] = useState(true);
+  const [showNewProfile, setShowNewProfile] = useState(false);
+  const [renamingProfile, setRenamingProfile] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [undoToast, setUndoToast] = useState(null);
+
+  // Profiles
+  const [profiles, setProfiles] = useState(() => getProfiles());
+  const [currentProfileId, setCurrentProfileId] = useState(null);
+
+  // Encryption
+  const [locked, setLocked] = useState(false);
+  const [encryptionOn, setEncryptionOn] = useState(false);
 
   const loadData = useCallback(() => {
     setAreas(getAreas());
     setCategories(getCategories());
     setFolders(getFolders());
+    setTags(getTags());
     setStats(getStats());
+    setDueReminders(getDueReminders());
   }, []);
 
+  // Initialize database
+  const initApp = useCallback(async () => {
+    setLoadError(null);
+    try {
+      await initDatabase();
+      setCurrentProfileId(getCurrentProfileId());
+      if (isDatabaseLocked()) {
+        setLocked(true);
+      } else {
+        setEncryptionOn(isEncryptionEnabled());
+        loadData();
+      }
+      setIsLoading(false);
+    } catch (error) {
+      logError(error, 'App.initDatabase');
+      setLoadError(error);
+    }
+  }, [loadData]);
+
+  useEffect(() => {
+    initApp();
+  }, [initApp]);
+
   // Trigger refresh helper - call this after any data mutation
   const triggerRefresh = useCallback(() => {
     setRefreshKey((prev) => prev + 1);
@@ -1882,10 +5342,23 @@ export default function App() {
 
   // Reload data whenever refreshKey changes
   useEffect(() => {
-    if (!isLoading) {
+    if (!isLoading && !locked) {
       loadData();
     }
-  }, [refreshKey, isLoading, loadData]);
+  }, [refreshKey, isLoading, locked, loadData]);
+
+  // Desktop notification when something comes due; look again every hour
+  // in case the app stays open past midnight
+  useEffect(() => {
+    // The reminders are reloaded after a switch, so they match the open profile
+    notifyDueReminders(dueReminders, getCurrentProfileId());
+  }, [dueReminders]);
+
+  useEffect(() => {
+    if (isLoading || locked) return;
+    const timer = setInterval(() => setDueReminders(getDueReminders()), 60 * 60 * 1000);
+    return () => clearInterval(timer);
+  }, [isLoading, locked]);
 
   // Handle search
   useEffect(() => {
@@ -1895,7 +5368,20 @@ export default function App() {
     } else {
       setSearchResults({ folders: [], items: [] });
     }
-  }, [searchQuery]);
+  }, [searchQuery, refreshKey]);
+
+  // Handle browsing by tag
+  useEffect(() => {
+    if (selectedTag) {
+      setTagResults(getTaggedRecords(selectedTag.id));
+    }
+  }, [selectedTag, refreshKey]);
+
+  // A selection only makes sense for the list it was made in
+  useEffect(() => {
+    setSelectedFolderIds(new Set());
+    setSelectedItemIds(new Set());
+  }, [searchQuery, currentView, selectedArea, selectedCategory, selectedFolder, selectedTag]);
 
   // Load items when folder is selected
   useEffect(() => {
@@ -1907,6 +5393,7 @@ export default function App() {
   // Navigation handlers
   const navigateTo = (type, data = null) => {
     setSearchQuery('');
+    setSelectedTag(null);
 
     // Ensure data is fresh before navigating
     const freshFolders = getFolders();
@@ -1922,6 +5409,14 @@ export default function App() {
         setSelectedFolder(null);
         setBreadcrumbPath([]);
         break;
+      case 'tag':
+        setCurrentView('tag');
+        setSelectedTag(data);
+        setSelectedArea(null);
+        setSelectedCategory(null);
+        setSelectedFolder(null);
+        setBreadcrumbPath([]);
+        break;
       case 'area':
         setCurrentView('area');
         setSelectedArea(data);
@@ -1976,19 +5471,62 @@ export default function App() {
 
   // CRUD handlers
   const handleCreateFolder = (folderData) => {
-    createFolder(folderData);
+    const { template_id: templateId, ...folder } = folderData;
+    if (templateId) {
+      createFolderFromTemplate(folder, parseInt(templateId));
+    } else {
+      createFolder(folder);
+    }
     triggerRefresh();
   };
 
+  const handleSaveFolderAsTemplate = (folder) => {
+    const name = prompt(
+      `Save the items in ${folder.folder_number} ${folder.name} as a template named:`,
+      folder.name
+    );
+    if (!name) return;
+    try {
+      saveFolderAsTemplate(folder.id, name);
+      alert(`Saved template "${name.trim()}". It is offered when you create a new folder.`);
+    } catch (e) {
+      alert(sanitizeErrorForUser(e));
+    }
+  };
+
+  // Errors reach DuplicateModal, which shows them
+  const handleDuplicate = (entityType, record, options) => {
+    if (entityType === 'folder') {
+      const folderId = duplicateFolder(record.id, options);
+      setDuplicating(null);
+      offerUndo(`Duplicated ${record.folder_number}`);
+      triggerRefresh();
+      navigateTo('folder', getFolder(folderId));
+    } else {
+      duplicateItem(record.id, options);
+      setDuplicating(null);
+      offerUndo(`Duplicated ${record.item_number}`);
+      triggerRefresh();
+      if (selectedFolder) {
+        setItems(getItems(selectedFolder.id));
+      }
+    }
+  };
+
   const handleUpdateFolder = (folderData) => {
     updateFolder(folderData.id, folderData);
     triggerRefresh();
+    // Moving to another category renumbers the folder; reopen it under its new path
+    if (selectedFolder?.id === folderData.id) {
+      navigateTo('folder', getFolder(folderData.id));
+    }
   };
 
   const handleDeleteFolder = (folder) => {
-    if (confirm(`Delete folder "${folder.folder_number} ${folder.name}"? This cannot be undone.`)) {
+    if (confirm(`Move folder "${folder.folder_number} ${folder.name}" to the trash?`)) {
       try {
         deleteFolder(folder.id);
+        offerUndo(`Moved ${folder.folder_number} ${folder.name} to the trash`);
         triggerRefresh();
         if (selectedFolder?.id === folder.id) {
           navigateTo('category', selectedCategory);
@@ -2016,9 +5554,133 @@ export default function App() {
     }
   };
 
+  const handleMoveItems = (itemIds, folderId) => {
+    try {
+      moveItems(itemIds, folderId);
+    } catch (e) {
+      alert(sanitizeErrorForUser(e));
+      return;
+    }
+    offerUndo(`Moved ${itemIds.length} item${itemIds.length === 1 ? '' : 's'}`);
+    setMovingItems([]);
+    setSelectedItemIds(new Set());
+    triggerRefresh();
+    if (selectedFolder) {
+      setItems(getItems(selectedFolder.id));
+    }
+  };
+
+  const handleSnoozeReminder = (reminder, days) => {
+    if (!days) return;
+    try {
+      snoozeReminder(reminder.entity_type, reminder.id, days);
+    } catch (e) {
+      alert(sanitizeErrorForUser(e));
+      return;
+    }
+    offerUndo(`Snoozed ${reminder.number}`);
+    triggerRefresh();
+  };
+
+  const handleCompleteReminder = (reminder) => {
+    let renewedUntil = null;
+    if (reminder.kind === 'expiry') {
+      renewedUntil = prompt(
+        `New expiry date for ${reminder.number} ${reminder.name} (YYYY-MM-DD)? Leave empty to clear it.`
+      );
+      if (renewedUntil === null) return;
+    }
+    try {
+      completeReminder(reminder.entity_type, reminder.id, reminder.kind, renewedUntil);
+    } catch (e) {
+      alert(sanitizeErrorForUser(e));
+      return;
+    }
+    offerUndo(`${reminder.kind === 'expiry' ? 'Renewed' : 'Reviewed'} ${reminder.number}`);
+    triggerRefresh();
+    if (selectedFolder) {
+      setItems(getItems(selectedFolder.id));
+    }
+  };
+
+  const handleRevertHistory = (message) => {
+    offerUndo(message);
+    triggerRefresh();
+    // Reverting the category renumbers the folder; reopen it under its new path
+    if (historyTarget.entityType === 'folder' && selectedFolder?.id === historyTarget.record.id) {
+      navigateTo('folder', getFolder(selectedFolder.id));
+    } else if (selectedFolder) {
+      setItems(getItems(selectedFolder.id));
+    }
+  };
+
+  // Tick or untick a record in a selection
+  const toggleSelected = (setIds, record) => {
+    setIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(record.id)) {
+        next.delete(record.id);
+      } else {
+        next.add(record.id);
+      }
+      return next;
+    });
+  };
+  const toggleItemSelected = (item) => toggleSelected(setSelectedItemIds, item);
+  const toggleFolderSelected = (folder) => toggleSelected(setSelectedFolderIds, folder);
+
+  const afterBulkAction = (message) => {
+    offerUndo(message);
+    setSelectedFolderIds(new Set());
+    setSelectedItemIds(new Set());
+    triggerRefresh();
+    if (selectedFolder) {
+      setItems(getItems(selectedFolder.id));
+    }
+  };
+
+  // Errors reach BulkEditModal, which shows them
+  const handleBulkEdit = (entityType, ids, changes) => {
+    const count = bulkEditRecords(entityType, ids, changes);
+    setBulkEdit(null);
+    afterBulkAction(`Updated ${count} ${entityType}${count === 1 ? '' : 's'}`);
+  };
+
+  const handleMoveFolders = (folderIds, categoryId) => {
+    try {
+      moveFolders(folderIds, categoryId);
+    } catch (e) {
+      alert(sanitizeErrorForUser(e));
+      return;
+    }
+    setMovingFolders([]);
+    afterBulkAction(`Moved ${folderIds.length} folder${folderIds.length === 1 ? '' : 's'}`);
+  };
+
+  const handleBulkDelete = (entityType, records) => {
+    const noun = `${entityType}${records.length === 1 ? '' : 's'}`;
+    const listed = records
+      .slice(0, 10)
+      .map((record) => `${record.folder_number || record.item_number} ${record.name}`);
+    if (records.length > 10) listed.push(`...and ${records.length - 10} more`);
+    if (!confirm(`Move ${records.length} ${noun} to the trash?\n\n${listed.join('\n')}`)) return;
+
+    try {
+      deleteRecords(
+        entityType,
+        records.map((record) => record.id)
+      );
+    } catch (e) {
+      alert(sanitizeErrorForUser(e));
+      return;
+    }
+    afterBulkAction(`Deleted ${records.length} ${noun}`);
+  };
+
   const handleDeleteItem = (item) => {
-    if (confirm(`Delete item "${item.item_number} ${item.name}"?`)) {
+    if (confirm(`Move item "${item.item_number} ${item.name}" to the trash?`)) {
       deleteItem(item.id);
+      offerUndo(`Moved ${item.item_number} ${item.name} to the trash`);
       triggerRefresh();
       if (selectedFolder) {
         setItems(getItems(selectedFolder.id));
@@ -2026,31 +5688,250 @@ export default function App() {
     }
   };
 
+  // Undo/redo - the toast remembers which command it is for, so its button
+  // does nothing once something else has been done (or undone) since
+  const offerUndo = (message) => {
+    setUndoToast({ message, command: getHistoryState().undo });
+  };
+  const dismissUndoToast = useCallback(() => setUndoToast(null), []);
+
+  const handleHistoryStep = (kind) => {
+    let label;
+    try {
+      label = kind === 'undo' ? undo() : redo();
+    } catch (e) {
+      logError(e, `App.${kind}`);
+      alert(sanitizeErrorForUser(e));
+      return;
+    }
+    if (!label) return;
+
+    setUndoToast(null);
+    triggerRefresh();
+    // The record being viewed may have been renamed, renumbered or removed
+    if (selectedFolder) {
+      const fresh = getFolder(selectedFolder.id);
+      if (fresh) {
+        setSelectedFolder(fresh);
+        setItems(getItems(fresh.id));
+      } else {
+        navigateTo('home');
+      }
+    } else if (selectedCategory && !getCategories().some((c) => c.id === selectedCategory.id)) {
+      navigateTo('home');
+    }
+  };
+
+  const handleToastUndo = () => {
+    if (getHistoryState().undo === undoToast?.command) {
+      handleHistoryStep('undo');
+    }
+    setUndoToast(null);
+  };
+
+  // Cmd/Ctrl+Z and Shift+Cmd/Ctrl+Z undo index edits; text fields keep their own undo
+  const historyStepRef = React.useRef(handleHistoryStep);
+  historyStepRef.current = handleHistoryStep;
+
+  useEffect(() => {
+    const isTextField = (el) =>
+      !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+
+    // In Electron the Edit menu owns the shortcut and tells us when it's used
+    if (window.jdex?.edit) {
+      window.jdex.edit.onUndoRedo((kind) => {
+        if (isTextField(document.activeElement)) {
+          document.execCommand(kind);
+        } else {
+          historyStepRef.current(kind);
+        }
+      });
+      return;
+    }
+
+    const handleKeyDown = (e) => {
+      if (!(e.metaKey || e.ctrlKey) || e.key.toLowerCase() !== 'z' || isTextField(e.target)) {
+        return;
+      }
+      e.preventDefault();
+      historyStepRef.current(e.shiftKey ? 'redo' : 'undo');
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
   const handleImport = async (e) => {
     const file = e.target.files[0];
     if (file) {
-      await importDatabase(file);
-      triggerRefresh();
-      navigateTo('home');
+      try {
+        try {
+          await importDatabase(file);
+        } catch (error) {
+          if (!(error instanceof EncryptionError && error.operation === 'passphrase')) throw error;
+          const passphrase = prompt('This backup is encrypted. Enter its passphrase:');
+          if (passphrase === null) return;
+          await importDatabase(file, passphrase);
+        }
+        triggerRefresh();
+        navigateTo('home');
+      } catch (error) {
+        logError(error, 'App.importDatabase');
+        alert(sanitizeErrorForUser(error));
+      }
+    }
+  };
+
+  const handleExportJSON = () => {
+    if (encryptionOn && !confirm('The JSON export is not encrypted. Export anyway?')) return;
+    exportToJSON();
+  };
+
+  // Profile handlers - the whole index changes, so start over from home
+  const openProfile = () => {
+    setProfiles(getProfiles());
+    setCurrentProfileId(getCurrentProfileId());
+    setItems([]);
+    setLocked(isDatabaseLocked());
+    if (isDatabaseLocked()) return;
+    setEncryptionOn(isEncryptionEnabled());
+    navigateTo('home');
+    triggerRefresh();
+  };
+
+  const handleUnlock = async (passphrase) => {
+    await unlockDatabase(passphrase);
+    openProfile();
+  };
+
+  const handleLock = useCallback(async () => {
+    try {
+      if (await lockDatabase()) {
+        setShowSettings(false);
+        setEditingFolder(null);
+        setEditingItem(null);
+        setLocked(true);
+      }
+    } catch (e) {
+      logError(e, 'App.lockDatabase');
+    }
+  }, []);
+
+  // Auto-lock an encrypted database after a stretch without input
+  useEffect(() => {
+    if (isLoading || locked || !encryptionOn) return;
+
+    let timer = null;
+    const resetTimer = () => {
+      clearTimeout(timer);
+      const minutes = getAutoLockMinutes();
+      if (minutes > 0) timer = setTimeout(handleLock, minutes * 60 * 1000);
+    };
+    const events = ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart'];
+
+    events.forEach((name) => window.addEventListener(name, resetTimer, { passive: true }));
+    resetTimer();
+    return () => {
+      clearTimeout(timer);
+      events.forEach((name) => window.removeEventListener(name, resetTimer));
+    };
+  }, [isLoading, locked, encryptionOn, handleLock]);
+
+  const handleSwitchProfile = async (profileId) => {
+    try {
+      await switchProfile(profileId);
+      openProfile();
+    } catch (e) {
+      logError(e, 'App.switchProfile');
+      alert(sanitizeErrorForUser(e));
+    }
+  };
+
+  const handleCreateProfile = async (name, template) => {
+    await createProfile(name, template);
+    openProfile();
+  };
+
+  const handleRenameProfile = (profileId, name) => {
+    renameProfile(profileId, name);
+    setProfiles(getProfiles());
+  };
+
+  const handleDeleteProfile = async (profile) => {
+    if (
+      !confirm(
+        `Delete the profile "${profile.name}"? Its folders, items and backups are deleted too. This cannot be undone.`
+      )
+    )
+      return;
+    try {
+      await deleteProfile(profile.id);
+      setProfiles(getProfiles());
+    } catch (e) {
+      logError(e, 'App.deleteProfile');
+      alert(sanitizeErrorForUser(e));
     }
   };
 
   // Get display data based on current view - using useMemo for proper recalculation
   const displayFolders = React.useMemo(() => {
     if (searchQuery.trim()) return searchResults.folders;
+    if (selectedTag) return tagResults.folders;
     if (selectedCategory) return folders.filter((f) => f.category_id === selectedCategory.id);
     if (selectedArea) {
       const areaCatIds = categories.filter((c) => c.area_id === selectedArea.id).map((c) => c.id);
       return folders.filter((f) => areaCatIds.includes(f.category_id));
     }
     return folders;
-  }, [searchQuery, searchResults.folders, selectedCategory, selectedArea, folders, categories]);
+  }, [
+    searchQuery,
+    searchResults.folders,
+    selectedTag,
+    tagResults.folders,
+    selectedCategory,
+    selectedArea,
+    folders,
+    categories,
+  ]);
 
   const displayItems = React.useMemo(() => {
     if (searchQuery.trim()) return searchResults.items;
+    if (selectedTag) return tagResults.items;
     if (selectedFolder) return items;
     return [];
-  }, [searchQuery, searchResults.items, selectedFolder, items]);
+  }, [searchQuery, searchResults.items, selectedTag, tagResults.items, selectedFolder, items]);
+
+  const selectedFolders = displayFolders.filter((folder) => selectedFolderIds.has(folder.id));
+  const selectedItems = displayItems.filter((item) => selectedItemIds.has(item.id));
+
+  if (loadError) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <div className="glass-card max-w-md w-full p-8 text-center animate-fade-in">
+          <AlertCircle size={48} className="text-red-400 mx-auto mb-4" />
+          <h1 className="text-xl font-bold text-white mb-2">JDex couldn't start</h1>
+          <p className="text-slate-400 mb-6">{sanitizeErrorForUser(loadError)}</p>
+          <button
+            onClick={initApp}
+            className="inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-teal-600 text-white hover:bg-teal-500 transition-colors"
+          >
+            <RefreshCw size={18} />
+            Try Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (locked) {
+    return (
+      <UnlockScreen
+        profiles={profiles}
+        currentProfileId={currentProfileId}
+        onUnlock={handleUnlock}
+        onSwitchProfile={handleSwitchProfile}
+      />
+    );
+  }
 
   if (isLoading) {
     return (
@@ -2108,6 +5989,13 @@ export default function App() {
               <Settings size={18} />
               Settings
             </button>
+            <button
+              onClick={() => setShowTrash(true)}
+              className="w-full flex items-center justify-center gap-2 px-4 py-2 rounded-lg border border-slate-600 text-slate-300 hover:bg-slate-700 transition-colors"
+            >
+              <Trash2 size={18} />
+              Trash
+            </button>
           </div>
 
           {/* Navigation Tree */}
@@ -2136,6 +6024,19 @@ export default function App() {
               onSelectCategory={(cat) => navigateTo('category', cat)}
               onSelectArea={(area) => navigateTo('area', area)}
             />
+
+            {tags.length > 0 && (
+              <>
+                <div className="text-xs text-slate-500 uppercase tracking-wider mt-6 mb-2 px-3">
+                  Tags
+                </div>
+                <TagCloud
+                  tags={tags}
+                  selectedTag={selectedTag}
+                  onSelect={(tag) => navigateTo('tag', tag)}
+                />
+              </>
+            )}
           </div>
 
           {/* Export/Import */}
@@ -2149,7 +6050,7 @@ export default function App() {
                 Backup
               </button>
               <button
-                onClick={exportToJSON}
+                onClick={handleExportJSON}
                 className="flex-1 flex items-center justify-center gap-1 px-3 py-2 rounded-lg border border-slate-600 text-slate-300 hover:bg-slate-700 transition-colors text-sm"
               >
                 <FileText size={14} />
@@ -2194,6 +6095,25 @@ export default function App() {
             <div className="text-sm text-slate-400">
               {displayFolders.length} folders, {displayItems.length} items
             </div>
+
+            {encryptionOn && (
+              <button
+                onClick={handleLock}
+                title="Lock now"
+                className="p-2 hover:bg-slate-700 rounded-lg text-slate-400"
+              >
+                <LockKeyhole size={20} />
+              </button>
+            )}
+
+            <ProfileSwitcher
+              profiles={profiles}
+              currentProfileId={currentProfileId}
+              onSwitch={handleSwitchProfile}
+              onNewProfile={() => setShowNewProfile(true)}
+              onRename={setRenamingProfile}
+              onDelete={handleDeleteProfile}
+            />
           </div>
         </header>
 
@@ -2206,19 +6126,29 @@ export default function App() {
 
           {/* Stats */}
           {currentView === 'home' && !searchQuery && <StatsDashboard stats={stats} />}
+          {currentView === 'home' && !searchQuery && (
+            <DueReviewsPanel
+              reminders={dueReminders}
+              onOpen={(reminder) => navigateTo('folder', getFolder(reminder.folder_id))}
+              onSnooze={handleSnoozeReminder}
+              onComplete={handleCompleteReminder}
+            />
+          )}
 
           {/* Current View Title */}
           <div className="flex items-center justify-between mb-4">
             <h2 className="text-xl font-bold text-white">
               {searchQuery
                 ? `Search: "${searchQuery}"`
-                : currentView === 'folder'
-                  ? `${selectedFolder?.folder_number} ${selectedFolder?.name}`
-                  : currentView === 'category'
-                    ? `${selectedCategory?.number.toString().padStart(2, '0')} ${selectedCategory?.name}`
-                    : currentView === 'area'
-                      ? `${selectedArea?.range_start}-${selectedArea?.range_end} ${selectedArea?.name}`
-                      : 'All Folders'}
+                : currentView === 'tag'
+                  ? `Tagged "${selectedTag?.name}"`
+                  : currentView === 'folder'
+                    ? `${selectedFolder?.folder_number} ${selectedFolder?.name}`
+                    : currentView === 'category'
+                      ? `${selectedCategory?.number.toString().padStart(2, '0')} ${selectedCategory?.name}`
+                      : currentView === 'area'
+                        ? `${selectedArea?.range_start}-${selectedArea?.range_end} ${selectedArea?.name}`
+                        : 'All Folders'}
             </h2>
 
             {currentView !== 'home' && !searchQuery && (
@@ -2238,6 +6168,37 @@ export default function App() {
                 <FolderOpen size={18} className="text-amber-400" />
                 Folders ({displayFolders.length})
               </h3>
+              {selectedFolderIds.size > 0 && (
+                <SelectionBar
+                  count={selectedFolderIds.size}
+                  onSelectAll={() =>
+                    setSelectedFolderIds(new Set(displayFolders.map((folder) => folder.id)))
+                  }
+                  onClear={() => setSelectedFolderIds(new Set())}
+                >
+                  <button
+                    onClick={() => setBulkEdit({ entityType: 'folder', records: selectedFolders })}
+                    className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-teal-600 text-white text-sm hover:bg-teal-500 transition-colors"
+                  >
+                    <Edit2 size={16} />
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => setMovingFolders(selectedFolders)}
+                    className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-teal-600 text-white text-sm hover:bg-teal-500 transition-colors"
+                  >
+                    <FolderInput size={16} />
+                    Move to Category
+                  </button>
+                  <button
+                    onClick={() => handleBulkDelete('folder', selectedFolders)}
+                    className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-red-700 text-white text-sm hover:bg-red-600 transition-colors"
+                  >
+                    <Trash2 size={16} />
+                    Delete
+                  </button>
+                </SelectionBar>
+              )}
               <div className="space-y-3">
                 {displayFolders.map((folder) => (
                   <FolderCard
@@ -2246,6 +6207,11 @@ export default function App() {
                     onEdit={setEditingFolder}
                     onDelete={handleDeleteFolder}
                     onOpen={(f) => navigateTo('folder', f)}
+                    onSaveTemplate={handleSaveFolderAsTemplate}
+                    onHistory={(record) => setHistoryTarget({ entityType: 'folder', record })}
+                    onDuplicate={(record) => setDuplicating({ entityType: 'folder', record })}
+                    selected={selectedFolderIds.has(folder.id)}
+                    onToggleSelect={toggleFolderSelected}
                   />
                 ))}
               </div>
@@ -2253,24 +6219,61 @@ export default function App() {
           )}
 
           {/* Items Section */}
-          {(currentView === 'folder' || searchQuery) && displayItems.length > 0 && (
-            <div>
-              <h3 className="text-lg font-semibold text-slate-300 mb-3 flex items-center gap-2">
-                <File size={18} className="text-slate-400" />
-                Items ({displayItems.length})
-              </h3>
-              <div className="space-y-3">
-                {displayItems.map((item) => (
-                  <ItemCard
-                    key={item.id}
-                    item={item}
-                    onEdit={setEditingItem}
-                    onDelete={handleDeleteItem}
-                  />
-                ))}
+          {(currentView === 'folder' || currentView === 'tag' || searchQuery) &&
+            displayItems.length > 0 && (
+              <div>
+                <h3 className="text-lg font-semibold text-slate-300 mb-3 flex items-center gap-2">
+                  <File size={18} className="text-slate-400" />
+                  Items ({displayItems.length})
+                </h3>
+                {selectedItemIds.size > 0 && (
+                  <SelectionBar
+                    count={selectedItemIds.size}
+                    onSelectAll={() =>
+                      setSelectedItemIds(new Set(displayItems.map((item) => item.id)))
+                    }
+                    onClear={() => setSelectedItemIds(new Set())}
+                  >
+                    <button
+                      onClick={() => setBulkEdit({ entityType: 'item', records: selectedItems })}
+                      className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-teal-600 text-white text-sm hover:bg-teal-500 transition-colors"
+                    >
+                      <Edit2 size={16} />
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => setMovingItems(selectedItems)}
+                      className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-teal-600 text-white text-sm hover:bg-teal-500 transition-colors"
+                    >
+                      <FolderInput size={16} />
+                      Move to Folder
+                    </button>
+                    <button
+                      onClick={() => handleBulkDelete('item', selectedItems)}
+                      className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-red-700 text-white text-sm hover:bg-red-600 transition-colors"
+                    >
+                      <Trash2 size={16} />
+                      Delete
+                    </button>
+                  </SelectionBar>
+                )}
+                <div className="space-y-3">
+                  {displayItems.map((item) => (
+                    <ItemCard
+                      key={item.id}
+                      item={item}
+                      onEdit={setEditingItem}
+                      onDelete={handleDeleteItem}
+                      onMove={() => setMovingItems([item])}
+                      onHistory={(record) => setHistoryTarget({ entityType: 'item', record })}
+                      onDuplicate={(record) => setDuplicating({ entityType: 'item', record })}
+                      selected={selectedItemIds.has(item.id)}
+                      onToggleSelect={toggleItemSelected}
+                    />
+                  ))}
+                </div>
               </div>
-            </div>
-          )}
+            )}
 
           {/* Empty States */}
           {displayFolders.length === 0 && displayItems.length === 0 && (
@@ -2335,6 +6338,7 @@ export default function App() {
 
       <EditFolderModal
         folder={editingFolder}
+        categories={categories}
         isOpen={!!editingFolder}
         onClose={() => setEditingFolder(null)}
         onSave={handleUpdateFolder}
@@ -2342,18 +6346,76 @@ export default function App() {
 
       <EditItemModal
         item={editingItem}
+        folders={folders}
         isOpen={!!editingItem}
         onClose={() => setEditingItem(null)}
         onSave={handleUpdateItem}
       />
 
+      <FieldHistoryModal
+        target={historyTarget}
+        onClose={() => setHistoryTarget(null)}
+        onRevert={handleRevertHistory}
+      />
+
+      <MoveFoldersModal
+        folders={movingFolders}
+        categories={categories}
+        isOpen={movingFolders.length > 0}
+        onClose={() => setMovingFolders([])}
+        onMove={handleMoveFolders}
+      />
+
+      <BulkEditModal target={bulkEdit} onClose={() => setBulkEdit(null)} onApply={handleBulkEdit} />
+
+      <DuplicateModal
+        target={duplicating}
+        categories={categories}
+        onClose={() => setDuplicating(null)}
+        onDuplicate={handleDuplicate}
+      />
+
+      <MoveItemsModal
+        items={movingItems}
+        folders={folders}
+        isOpen={movingItems.length > 0}
+        onClose={() => setMovingItems([])}
+        onMove={handleMoveItems}
+      />
+
       <SettingsModal
         isOpen={showSettings}
         onClose={() => setShowSettings(false)}
         areas={areas}
         categories={categories}
         onDataChange={triggerRefresh}
+        onEncryptionChange={() => setEncryptionOn(isEncryptionEnabled())}
+      />
+
+      <TrashModal
+        isOpen={showTrash}
+        onClose={() => setShowTrash(false)}
+        onRestore={() => {
+          triggerRefresh();
+          if (selectedFolder) {
+            setItems(getItems(selectedFolder.id));
+          }
+        }}
+      />
+
+      <NewProfileModal
+        isOpen={showNewProfile}
+        onClose={() => setShowNewProfile(false)}
+        onCreate={handleCreateProfile}
+      />
+
+      <RenameProfileModal
+        profile={renamingProfile}
+        onClose={() => setRenamingProfile(null)}
+        onRename={handleRenameProfile}
       />
+
+      <UndoToast toast={undoToast} onUndo={handleToastUndo} onDismiss={dismissUndoToast} />
     </div>
   );
 }
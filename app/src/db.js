@@ -6,408 +6,718 @@
 // Level 4: Items (XX.XX.XX - actual tracked objects)
 
 import {
+  ValidationError,
   validateRequiredString,
   validateOptionalString,
+  validateJDFolderNumber,
+  validateJDItemNumber,
   sanitizeText,
 } from './utils/validation.js';
-import { DatabaseError } from './utils/errors.js';
+import { DatabaseError, EncryptionError, logError } from './utils/errors.js';
+import { loadSqlJs } from './utils/sqlLoader.js';
+import {
+  readStoredDatabase,
+  writeStoredDatabase,
+  writeDatabaseBackup,
+  listDatabaseBackups,
+  readDatabaseBackup,
+  rewriteDatabaseBackup,
+  deleteDatabaseBackup,
+  deleteStoredDatabase,
+} from './utils/storage.js';
+import { selectBackupsToPrune } from './utils/backupRetention.js';
+import { findIntegrityViolations } from './utils/integrity.js';
+import { getTrashRetentionDays } from './utils/trash.js';
+import { MAX_SEQUENCE, allocateSequence, getAllocationStrategy } from './utils/numbering.js';
+import { checkAreaRange, checkCategoryPlacement, structureError } from './utils/structure.js';
+import { normalizeTemplate, serializeTemplates, parseTemplateFile } from './utils/templates.js';
+import {
+  normalizeFieldDefinition,
+  normalizeFieldValues,
+  formatFieldValue,
+} from './utils/customFields.js';
+import { normalizeTagName, parseTagList } from './utils/tags.js';
+import { LINK_TYPES } from './utils/links.js';
+import {
+  EXPIRY_NOTICE_DAYS,
+  addDays,
+  advanceReviewDate,
+  describeReviewRule,
+  normalizeReviewFields,
+  todayString,
+} from './utils/reviews.js';
+import {
+  isEncrypted,
+  validatePassphrase,
+  createEncryptionSession,
+  unlockEncryptionSession,
+  verifyPassphrase,
+  rewrapEncryptionSession,
+  encryptDatabaseBytes,
+  decryptDatabaseBytes,
+} from './utils/encryption.js';
+import { createSaveScheduler } from './utils/saveScheduler.js';
+import {
+  DEFAULT_PROFILE_ID,
+  getProfiles,
+  getActiveProfile,
+  setActiveProfile,
+  addProfile,
+  removeProfile,
+} from './utils/profiles.js';
+import {
+  SCHEMA_VERSION,
+  planMigrations,
+  readSchemaVersion,
+  writeSchemaVersion,
+} from './utils/migrations.js';
 
 let db = null;
 let SQL = null;
 
-// Current schema version - increment when adding migrations
-const SCHEMA_VERSION = 7;
+// Profile whose database is open (see utils/profiles.js)
+let activeProfileId = DEFAULT_PROFILE_ID;
 
-// Initialize the database
+// Initialize the database of the last-used profile.
+// Resolves to null if that database is encrypted; see unlockDatabase().
 export async function initDatabase() {
-  if (db) return db;
-
-  // Load sql.js from CDN
-  if (!window.initSqlJs) {
-    await new Promise((resolve, reject) => {
-      const script = document.createElement('script');
-      script.src = 'https://sql.js.org/dist/sql-wasm.js';
-      script.onload = resolve;
-      script.onerror = reject;
-      document.head.appendChild(script);
-    });
-  }
+  if (db || lockedProfileId) return db;
 
-  SQL = await window.initSqlJs({
-    locateFile: (file) => `https://sql.js.org/dist/${file}`,
-  });
+  registerFlushHooks();
 
-  // Try to load existing database from localStorage
-  const savedDb = localStorage.getItem('jdex_database_v2');
+  // Load sql.js from bundled assets (works offline)
+  SQL = await loadSqlJs();
 
-  if (savedDb) {
-    const uint8Array = new Uint8Array(JSON.parse(savedDb));
-    db = new SQL.Database(uint8Array);
-    // Run migrations for existing databases
-    runMigrations();
-  } else {
-    db = new SQL.Database();
-    createTables();
-    seedInitialData();
+  const profileId = getActiveProfile().id;
+  // Only the original profile starts with the sample structure
+  const seed = profileId === DEFAULT_PROFILE_ID ? seedInitialData : () => {};
+  const existing = await openProfileDatabase(profileId, seed);
+
+  if (existing && db) {
+    await takeStartupBackup();
   }
+  startBackupSchedule();
 
   return db;
 }
 
-// Save database to localStorage
+/**
+ * Open a profile's database as the current database, creating it if there
+ * is nothing stored yet. An encrypted database is not opened: db stays unset
+ * and the profile waits for unlockDatabase(). On failure db is left unset so
+ * a retry starts over from the stored file.
+ *
+ * @param {string} profileId
+ * @param {Function} seed - Fills in a brand-new database
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - Ignore anything already stored for this profile
+ * @returns {Promise<boolean>} Whether a stored database was opened (false for a new one)
+ */
+async function openProfileDatabase(profileId, seed, { fresh = false } = {}) {
+  // Try to load existing database (file in Electron, localStorage in browser)
+  const savedDb = fresh ? null : await readStoredDatabase(profileId);
+
+  activeProfileId = profileId;
+  // Encryption is per profile
+  encryptionSession = null;
+
+  if (savedDb && isEncrypted(savedDb)) {
+    db = null;
+    lockedProfileId = profileId;
+    return true;
+  }
+
+  lockedProfileId = null;
+  await loadDatabase(savedDb, seed);
+  return !!savedDb;
+}
+
+/**
+ * Make plain database bytes the open database: migrate, seed if new, save.
+ *
+ * @param {Uint8Array|null} data - null for a brand-new database
+ * @param {Function} seed
+ */
+async function loadDatabase(data, seed) {
+  db = data ? new SQL.Database(data) : new SQL.Database();
+
+  try {
+    // Builds the full schema for a fresh database, upgrades an older one
+    await migrateDatabase();
+
+    if (!data) {
+      seed();
+    }
+    purgeTrash();
+
+    // Make sure migrations and seed data hit disk before the user starts editing
+    await flushDatabase();
+  } catch (error) {
+    db = null;
+    throw error;
+  }
+}
+
+/**
+ * Export the database and write it to persistent storage right away.
+ * Errors are logged here and rethrown to whoever awaits the flush.
+ */
+function persistDatabase() {
+  if (!db) return Promise.resolve();
+  changedSinceBackup = true;
+  const profileId = activeProfileId;
+  return sealDatabase()
+    .then((data) => writeStoredDatabase(data, profileId))
+    .catch((error) => {
+      logError(error, 'db.persistDatabase');
+      throw error;
+    });
+}
+
+const saveScheduler = createSaveScheduler(persistDatabase);
+
+/**
+ * Mark the database as changed. The actual export + write is debounced and
+ * coalesced by the save scheduler, so calling this after every statement is cheap.
+ */
 export function saveDatabase() {
   if (!db) return;
-  const data = db.export();
-  const arr = Array.from(data);
-  localStorage.setItem('jdex_database_v2', JSON.stringify(arr));
+  scheduleCommand();
+  if (transactionDepth > 0) {
+    // Deferred until the outermost transaction commits
+    saveAfterCommit = true;
+    return;
+  }
+  saveScheduler.markDirty();
+}
+
+/**
+ * Write pending changes immediately. Use on critical paths (import, reset,
+ * before close) where the caller needs to know the data is on disk.
+ *
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If the write fails
+ */
+export function flushDatabase() {
+  return saveScheduler.flush();
+}
+
+let flushHooksRegistered = false;
+
+/**
+ * Flush pending saves when the window goes away. The Electron main process
+ * waits for the before-close flush; beforeunload covers reloads and the
+ * browser build (the write is started synchronously, which is enough there).
+ */
+function registerFlushHooks() {
+  if (flushHooksRegistered) return;
+  flushHooksRegistered = true;
+
+  window.addEventListener('beforeunload', () => {
+    saveScheduler.flush().catch(() => {});
+  });
+
+  window.jdex?.lifecycle?.onBeforeClose(() => saveScheduler.flush());
 }
 
 // ============================================
-// DATABASE MIGRATIONS
+// TRANSACTIONS
 // ============================================
 
+let transactionDepth = 0;
+let saveAfterCommit = false;
+
 /**
- * Get current schema version from database.
- * Returns 1 if no version table exists (pre-migration database).
+ * Run a group of statements atomically.
+ *
+ * Everything `fn` does is committed together, or rolled back if it throws
+ * (DatabaseError, ValidationError, or a raw sql.js error). Saves requested
+ * inside the transaction are held back and issued once on commit. Nested
+ * calls use savepoints, so an inner failure that the outer function catches
+ * only undoes the inner work.
+ *
+ * `fn` must be synchronous - sql.js is synchronous, and an await inside a
+ * transaction would let unrelated writes slip into it.
+ *
+ * @param {Function} fn - Synchronous function performing the writes
+ * @returns {*} Whatever `fn` returns
+ * @throws Rethrows the error from `fn` after rolling back
  */
-function getSchemaVersion() {
+export function withTransaction(fn) {
+  const savepoint = `jdex_sp_${transactionDepth}`;
+  const isOutermost = transactionDepth === 0;
+
+  db.run(isOutermost ? 'BEGIN' : `SAVEPOINT ${savepoint}`);
+  transactionDepth++;
+
+  let result;
   try {
-    const result = db.exec('SELECT version FROM schema_version LIMIT 1');
-    return result[0]?.values[0]?.[0] || 1;
-  } catch {
-    // Table doesn't exist, this is a pre-migration database
-    return 1;
+    result = fn();
+    if (result && typeof result.then === 'function') {
+      throw new DatabaseError('Transaction callbacks must be synchronous', 'query');
+    }
+  } catch (error) {
+    transactionDepth--;
+    if (isOutermost) {
+      db.run('ROLLBACK');
+      saveAfterCommit = false;
+    } else {
+      db.run(`ROLLBACK TO ${savepoint}`);
+      db.run(`RELEASE ${savepoint}`);
+    }
+    throw error;
+  }
+
+  transactionDepth--;
+  db.run(isOutermost ? 'COMMIT' : `RELEASE ${savepoint}`);
+
+  if (isOutermost && saveAfterCommit) {
+    saveAfterCommit = false;
+    saveDatabase();
+  }
+
+  return result;
+}
+
+// ============================================
+// QUERY HELPERS
+// ============================================
+// All SQL goes through these. Values are always bound as parameters (never
+// interpolated into the SQL text) and rows come back as objects keyed by
+// column name, so adding a column can't shift anything.
+
+/**
+ * Run a query and return every row.
+ *
+ * @param {string} sql - SQL with ? placeholders
+ * @param {Array} [params=[]] - Values bound to the placeholders
+ * @returns {Object[]} Rows keyed by column name
+ */
+function queryAll(sql, params = []) {
+  const stmt = db.prepare(sql);
+  try {
+    stmt.bind(params);
+    const rows = [];
+    while (stmt.step()) {
+      rows.push(stmt.getAsObject());
+    }
+    return rows;
+  } finally {
+    stmt.free();
   }
 }
 
 /**
- * Run all pending migrations to bring database to current schema version.
- * Each migration is idempotent (safe to run multiple times).
+ * Run a query and return the first row.
+ *
+ * @param {string} sql - SQL with ? placeholders
+ * @param {Array} [params=[]] - Values bound to the placeholders
+ * @returns {Object|null} First row, or null if there are none
  */
-function runMigrations() {
-  const currentVersion = getSchemaVersion();
-  console.log(`[JDex DB] Current schema version: ${currentVersion}, target: ${SCHEMA_VERSION}`);
+function queryOne(sql, params = []) {
+  return queryAll(sql, params)[0] || null;
+}
 
-  if (currentVersion >= SCHEMA_VERSION) {
-    console.log('[JDex DB] Database is up to date');
-    return;
+/**
+ * Run a query and return the first column of the first row.
+ * Handy for COUNT(*), SUM() and similar.
+ *
+ * @param {string} sql - SQL with ? placeholders
+ * @param {Array} [params=[]] - Values bound to the placeholders
+ * @returns {*} The value, or null if there are no rows
+ */
+function queryValue(sql, params = []) {
+  const row = queryOne(sql, params);
+  return row ? Object.values(row)[0] : null;
+}
+
+/**
+ * Run a statement that doesn't return rows (INSERT, UPDATE, DELETE).
+ *
+ * @param {string} sql - SQL with ? placeholders
+ * @param {Array} [params=[]] - Values bound to the placeholders
+ */
+function execute(sql, params = []) {
+  db.run(sql, params);
+}
+
+/**
+ * Get the rowid of the last INSERT. Read it before any further writes
+ * (including logActivity) or it will point at the wrong table.
+ *
+ * @returns {number}
+ */
+function lastInsertId() {
+  return queryValue('SELECT last_insert_rowid()');
+}
+
+/**
+ * Build a LIKE pattern that matches `text` anywhere, treating % and _ in
+ * the search text literally. Use with `LIKE ? ESCAPE '\'`.
+ *
+ * @param {string} text - Raw search text
+ * @returns {string}
+ */
+function containsPattern(text) {
+  return `%${String(text).replace(/[\\%_]/g, (ch) => `\\${ch}`)}%`;
+}
+
+// ============================================
+// UNDO / REDO
+// ============================================
+// Temporary triggers record every row a write inserts, updates or deletes
+// (old and new values). The rows changed by one user action - everything
+// written in the same turn of the event loop - become one command, which
+// undo() plays backwards and redo() plays forwards again.
+//
+// Temporary objects don't survive db.export(), which sql.js implements by
+// closing and reopening the database, so the triggers are put back after
+// every export (see sealDatabase). They name every column of their table,
+// so they are off while the schema changes and rebuilt from the new schema
+// afterwards (see migrateDatabase).
+
+// Logs of what happened (undoing an edit doesn't unlog it), and the records
+// of files organized on disk, which undo can't move back
+const HISTORY_EXCLUDED_TABLES = [
+  'activity_log',
+  'watch_activity',
+  'schema_version',
+  'organized_files',
+  'scanned_files',
+  'organization_rules',
+  'watched_folders',
+];
+const HISTORY_LIMIT = 100;
+
+let undoStack = [];
+let redoStack = [];
+// Database the history belongs to; a different one (switch, import, reset) starts afresh
+let historyDb = null;
+let commandPending = false;
+// Set while a schema change is in progress; nothing installs the triggers then
+let captureSuspended = false;
+
+/**
+ * Drop the change-recording triggers, including those of tables that no
+ * longer exist.
+ */
+function removeChangeCapture() {
+  queryAll(
+    "SELECT name FROM sqlite_temp_master WHERE type = 'trigger' AND name LIKE 'history\\_%' ESCAPE '\\'"
+  ).forEach(({ name }) => db.run(`DROP TRIGGER IF EXISTS temp."${name}"`));
+}
+
+/**
+ * (Re)create the change-recording triggers for every table, from its
+ * current columns.
+ */
+function installChangeCapture() {
+  if (captureSuspended) return;
+  if (historyDb !== db) {
+    historyDb = db;
+    undoStack = [];
+    redoStack = [];
   }
 
-  // Migration 2: Add cloud_drives table and schema_version table
-  if (currentVersion < 2) {
-    console.log('[JDex DB] Running migration 2: Adding cloud integration tables...');
-
-    // Create schema_version table
-    db.run(`
-      CREATE TABLE IF NOT EXISTS schema_version (
-        version INTEGER PRIMARY KEY
-      )
-    `);
-
-    // Create cloud_drives table
-    db.run(`
-      CREATE TABLE IF NOT EXISTS cloud_drives (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        base_path TEXT NOT NULL,
-        jd_root_path TEXT,
-        is_default INTEGER DEFAULT 0,
-        is_active INTEGER DEFAULT 1,
-        drive_type TEXT DEFAULT 'generic',
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create index
-    db.run('CREATE INDEX IF NOT EXISTS idx_cloud_drives_default ON cloud_drives(is_default)');
-
-    console.log('[JDex DB] Migration 2 complete');
-  }
-
-  // Migration 3: Add area_storage table
-  if (currentVersion < 3) {
-    console.log('[JDex DB] Running migration 3: Adding area_storage table...');
-
-    db.run(`
-      CREATE TABLE IF NOT EXISTS area_storage (
-        area_id INTEGER PRIMARY KEY,
-        cloud_drive_id TEXT,
-        notes TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (area_id) REFERENCES areas(id),
-        FOREIGN KEY (cloud_drive_id) REFERENCES cloud_drives(id)
-      )
-    `);
-
-    console.log('[JDex DB] Migration 3 complete');
-  }
-
-  // Migration 4: Add organization_rules table
-  if (currentVersion < 4) {
-    console.log('[JDex DB] Running migration 4: Adding organization_rules table...');
-
-    db.run(`
-      CREATE TABLE IF NOT EXISTS organization_rules (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        rule_type TEXT NOT NULL CHECK (rule_type IN ('extension', 'keyword', 'path', 'regex')),
-        pattern TEXT NOT NULL,
-        target_type TEXT NOT NULL CHECK (target_type IN ('folder', 'category', 'area')),
-        target_id TEXT NOT NULL,
-        priority INTEGER DEFAULT 50,
-        is_active INTEGER DEFAULT 1,
-        match_count INTEGER DEFAULT 0,
-        notes TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create indexes
-    db.run(
-      'CREATE INDEX IF NOT EXISTS idx_org_rules_type ON organization_rules(rule_type, is_active)'
-    );
-    db.run(
-      'CREATE INDEX IF NOT EXISTS idx_org_rules_priority ON organization_rules(priority DESC)'
-    );
+  db.run(`
+    CREATE TEMP TABLE IF NOT EXISTS history_changes (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      table_name TEXT NOT NULL,
+      op TEXT NOT NULL,
+      old_rowid INTEGER,
+      new_rowid INTEGER,
+      old_row TEXT,
+      new_row TEXT
+    )
+  `);
 
-    console.log('[JDex DB] Migration 4 complete');
-  }
-
-  // Migration 5: Add organized_files table
-  if (currentVersion < 5) {
-    console.log('[JDex DB] Running migration 5: Adding organized_files table...');
-
-    db.run(`
-      CREATE TABLE IF NOT EXISTS organized_files (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        filename TEXT NOT NULL,
-        original_path TEXT NOT NULL,
-        current_path TEXT NOT NULL,
-        jd_folder_number TEXT,
-        jd_item_id INTEGER,
-        file_extension TEXT,
-        file_type TEXT,
-        file_size INTEGER,
-        file_modified_at TEXT,
-        matched_rule_id INTEGER,
-        cloud_drive_id TEXT,
-        status TEXT DEFAULT 'moved' CHECK (status IN ('moved', 'tracked', 'undone', 'deleted')),
-        organized_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (jd_item_id) REFERENCES items(id),
-        FOREIGN KEY (matched_rule_id) REFERENCES organization_rules(id),
-        FOREIGN KEY (cloud_drive_id) REFERENCES cloud_drives(id)
-      )
-    `);
-
-    // Create indexes
-    db.run('CREATE INDEX IF NOT EXISTS idx_organized_files_path ON organized_files(original_path)');
-    db.run(
-      'CREATE INDEX IF NOT EXISTS idx_organized_files_folder ON organized_files(jd_folder_number)'
-    );
-    db.run('CREATE INDEX IF NOT EXISTS idx_organized_files_status ON organized_files(status)');
-
-    console.log('[JDex DB] Migration 5 complete');
-  }
-
-  // Migration 6: Add scanned_files table
-  if (currentVersion < 6) {
-    console.log('[JDex DB] Running migration 6: Adding scanned_files table...');
-
-    db.run(`
-      CREATE TABLE IF NOT EXISTS scanned_files (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        scan_session_id TEXT NOT NULL,
-        filename TEXT NOT NULL,
-        path TEXT NOT NULL,
-        parent_folder TEXT,
-        file_extension TEXT,
-        file_type TEXT,
-        file_size INTEGER,
-        file_modified_at TEXT,
-        suggested_jd_folder TEXT,
-        suggested_rule_id INTEGER,
-        suggestion_confidence TEXT DEFAULT 'none' CHECK (suggestion_confidence IN ('none', 'low', 'medium', 'high')),
-        user_decision TEXT DEFAULT 'pending' CHECK (user_decision IN ('pending', 'accepted', 'changed', 'skipped')),
-        user_target_folder TEXT,
-        scanned_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (suggested_rule_id) REFERENCES organization_rules(id)
-      )
-    `);
-
-    // Create indexes
-    db.run(
-      'CREATE INDEX IF NOT EXISTS idx_scanned_files_session ON scanned_files(scan_session_id)'
+  const tables = queryAll(
+    "SELECT name FROM main.sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+  ).map((t) => t.name);
+
+  removeChangeCapture();
+
+  // Activity log entries only name the command ("Deleted: Tax Returns")
+  db.run(`
+    CREATE TEMP TRIGGER history_activity_log_log AFTER INSERT ON main.activity_log BEGIN
+      INSERT INTO history_changes (table_name, op, new_row)
+      VALUES ('activity_log', 'log', NEW.details);
+    END
+  `);
+
+  tables
+    .filter((table) => !HISTORY_EXCLUDED_TABLES.includes(table))
+    .forEach((table) => {
+      const columns = queryAll(`PRAGMA main.table_info("${table}")`).map((c) => c.name);
+      const rowJson = (ref) =>
+        `json_object(${columns.map((c) => `'${c}', ${ref}."${c}"`).join(', ')})`;
+
+      db.run(`
+        CREATE TEMP TRIGGER history_${table}_insert AFTER INSERT ON main."${table}" BEGIN
+          INSERT INTO history_changes (table_name, op, new_rowid, new_row)
+          VALUES ('${table}', 'insert', NEW.rowid, ${rowJson('NEW')});
+        END
+      `);
+      db.run(`
+        CREATE TEMP TRIGGER history_${table}_update AFTER UPDATE ON main."${table}" BEGIN
+          INSERT INTO history_changes (table_name, op, old_rowid, new_rowid, old_row, new_row)
+          VALUES ('${table}', 'update', OLD.rowid, NEW.rowid, ${rowJson('OLD')}, ${rowJson('NEW')});
+        END
+      `);
+      db.run(`
+        CREATE TEMP TRIGGER history_${table}_delete AFTER DELETE ON main."${table}" BEGIN
+          INSERT INTO history_changes (table_name, op, old_rowid, old_row)
+          VALUES ('${table}', 'delete', OLD.rowid, ${rowJson('OLD')});
+        END
+      `);
+    });
+}
+
+/**
+ * Group the changes recorded since the last call into one command.
+ * Called from a microtask after writes, and before anything that needs
+ * the history to be up to date.
+ */
+function finalizeCommand() {
+  commandPending = false;
+  if (!db || historyDb !== db) return;
+
+  const changes = queryAll('SELECT * FROM history_changes ORDER BY seq');
+  if (changes.length === 0) return;
+  execute('DELETE FROM history_changes');
+
+  const rowChanges = changes.filter((c) => c.op !== 'log');
+  if (rowChanges.length === 0) return;
+
+  const logged = changes.filter((c) => c.op === 'log').map((c) => c.new_row);
+  undoStack.push({
+    label: logged[0] || `${rowChanges.length} change${rowChanges.length === 1 ? '' : 's'}`,
+    changes: rowChanges,
+  });
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  redoStack = [];
+}
+
+// Collect the current turn's writes once it finishes
+function scheduleCommand() {
+  if (commandPending) return;
+  commandPending = true;
+  queueMicrotask(finalizeCommand);
+}
+
+/**
+ * Put a row into the state `to`, from the state `from` ({rowid, row}; a
+ * null row means the row doesn't exist).
+ */
+function replaceRow(table, from, to) {
+  if (from.row && (!to.row || from.rowid !== to.rowid)) {
+    execute(`DELETE FROM "${table}" WHERE rowid = ?`, [from.rowid]);
+  }
+  if (!to.row) return;
+
+  const columns = Object.keys(to.row);
+  if (from.row && from.rowid === to.rowid) {
+    execute(
+      `UPDATE "${table}" SET ${columns.map((c) => `"${c}" = ?`).join(', ')} WHERE rowid = ?`,
+      [...columns.map((c) => to.row[c]), to.rowid]
     );
-    db.run('CREATE INDEX IF NOT EXISTS idx_scanned_files_decision ON scanned_files(user_decision)');
-    db.run('CREATE INDEX IF NOT EXISTS idx_scanned_files_type ON scanned_files(file_type)');
-
-    console.log('[JDex DB] Migration 6 complete');
-  }
-
-  // Migration 7: Add watched_folders and watch_activity tables
-  if (currentVersion < 7) {
-    console.log('[JDex DB] Running migration 7: Adding watch folders tables...');
-
-    // Watched folders configuration
-    db.run(`
-      CREATE TABLE IF NOT EXISTS watched_folders (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        path TEXT NOT NULL UNIQUE,
-        is_active INTEGER DEFAULT 1,
-        auto_organize INTEGER DEFAULT 0,
-        confidence_threshold TEXT DEFAULT 'medium' CHECK (confidence_threshold IN ('low', 'medium', 'high')),
-        include_subdirs INTEGER DEFAULT 0,
-        file_types TEXT,
-        notify_on_organize INTEGER DEFAULT 1,
-        last_checked_at TEXT,
-        files_processed INTEGER DEFAULT 0,
-        files_organized INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Watch activity log - tracks files detected and actions taken
-    db.run(`
-      CREATE TABLE IF NOT EXISTS watch_activity (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        watched_folder_id INTEGER NOT NULL,
-        filename TEXT NOT NULL,
-        path TEXT NOT NULL,
-        file_extension TEXT,
-        file_type TEXT,
-        file_size INTEGER,
-        action TEXT NOT NULL CHECK (action IN ('detected', 'queued', 'auto_organized', 'skipped', 'error')),
-        matched_rule_id INTEGER,
-        target_folder TEXT,
-        error_message TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (watched_folder_id) REFERENCES watched_folders(id) ON DELETE CASCADE,
-        FOREIGN KEY (matched_rule_id) REFERENCES organization_rules(id)
-      )
-    `);
-
-    // Create indexes
-    db.run('CREATE INDEX IF NOT EXISTS idx_watched_folders_active ON watched_folders(is_active)');
-    db.run(
-      'CREATE INDEX IF NOT EXISTS idx_watch_activity_folder ON watch_activity(watched_folder_id)'
+  } else {
+    execute(
+      `INSERT INTO "${table}" (rowid, ${columns.map((c) => `"${c}"`).join(', ')})
+       VALUES (?, ${columns.map(() => '?').join(', ')})`,
+      [to.rowid, ...columns.map((c) => to.row[c])]
     );
-    db.run('CREATE INDEX IF NOT EXISTS idx_watch_activity_action ON watch_activity(action)');
-    db.run(
-      'CREATE INDEX IF NOT EXISTS idx_watch_activity_created ON watch_activity(created_at DESC)'
+  }
+}
+
+/**
+ * Apply a command's changes backwards (undo) or forwards (redo).
+ */
+function replayCommand(command, direction) {
+  const steps = direction === 'undo' ? [...command.changes].reverse() : command.changes;
+
+  withTransaction(() => {
+    steps.forEach((change) => {
+      const before = { rowid: change.old_rowid, row: change.old_row && JSON.parse(change.old_row) };
+      const after = { rowid: change.new_rowid, row: change.new_row && JSON.parse(change.new_row) };
+      if (direction === 'undo') {
+        replaceRow(change.table_name, after, before);
+      } else {
+        replaceRow(change.table_name, before, after);
+      }
+    });
+    logActivity(
+      direction,
+      null,
+      null,
+      `${direction === 'undo' ? 'Undid' : 'Redid'}: ${command.label}`
     );
+  });
+
+  // The replay itself isn't a new command
+  execute('DELETE FROM history_changes');
+  saveDatabase();
+}
+
+/**
+ * What undo() and redo() would do next.
+ *
+ * @returns {{undo: string|null, redo: string|null}} Labels of the next commands
+ */
+export function getHistoryState() {
+  finalizeCommand();
+  return {
+    undo: undoStack[undoStack.length - 1]?.label ?? null,
+    redo: redoStack[redoStack.length - 1]?.label ?? null,
+  };
+}
+
+/**
+ * Revert the most recent command.
+ *
+ * @returns {string|null} Label of the undone command, or null if there was nothing to undo
+ * @throws {DatabaseError} If the changes can't be reverted; the history is left as it was
+ */
+export function undo() {
+  return stepHistory(undoStack, redoStack, 'undo');
+}
 
-    console.log('[JDex DB] Migration 7 complete');
+/**
+ * Re-apply the most recently undone command.
+ *
+ * @returns {string|null} Label of the redone command, or null if there was nothing to redo
+ * @throws {DatabaseError} If the changes can't be re-applied; the history is left as it was
+ */
+export function redo() {
+  return stepHistory(redoStack, undoStack, 'redo');
+}
+
+function stepHistory(from, to, direction) {
+  if (!db) return null;
+  finalizeCommand();
+
+  const command = from[from.length - 1];
+  if (!command) return null;
+
+  try {
+    replayCommand(command, direction);
+  } catch (error) {
+    throw new DatabaseError(`Couldn't ${direction} "${command.label}": ${error.message}`, 'update');
   }
+  to.push(from.pop());
+  return command.label;
+}
 
-  // Update schema version
-  db.run('INSERT OR REPLACE INTO schema_version (version) VALUES (?)', [SCHEMA_VERSION]);
-  saveDatabase();
+/**
+ * Forget all undo/redo history (e.g. after a schema change).
+ */
+function clearHistory() {
+  finalizeCommand();
+  undoStack = [];
+  redoStack = [];
+}
+
+// ============================================
+// DATABASE MIGRATIONS
+// ============================================
+// The schema itself lives in utils/migrations.js. Fresh databases are built
+// by running every migration from version 0.
+
+/**
+ * Plan a move to the given schema version for the open database.
+ *
+ * @param {number} targetVersion
+ * @returns {Object} Plan from planMigrations()
+ * @throws {DatabaseError} If the target can't be reached
+ */
+function planSchemaChange(targetVersion) {
+  try {
+    return planMigrations(readSchemaVersion(db), targetVersion);
+  } catch (error) {
+    throw new DatabaseError(error.message, 'migrate');
+  }
+}
+
+/**
+ * Run a migration plan. All steps share one transaction, so a failing step
+ * leaves the database exactly as it was.
+ *
+ * @param {Object} plan - Plan from planMigrations()
+ */
+function applyMigrations(plan) {
+  if (plan.direction === 'none') return;
+
+  withTransaction(() => {
+    for (const step of plan.steps) {
+      if (plan.direction === 'up') {
+        console.log(`[JDex DB] Running migration ${step.version}: ${step.description}`);
+        step.up(db);
+      } else {
+        console.log(`[JDex DB] Reverting migration ${step.version}: ${step.description}`);
+        step.down(db);
+      }
+    }
+    writeSchemaVersion(db, plan.toVersion);
+  });
 
-  console.log(`[JDex DB] Migrations complete. Now at version ${SCHEMA_VERSION}`);
+  console.log(`[JDex DB] Schema now at version ${plan.toVersion}`);
 }
 
-// Create database tables - NEW 4-LEVEL STRUCTURE
-function createTables() {
-  db.run(`
-    -- Areas table (Level 1)
-    CREATE TABLE IF NOT EXISTS areas (
-      id INTEGER PRIMARY KEY,
-      range_start INTEGER NOT NULL,
-      range_end INTEGER NOT NULL,
-      name TEXT NOT NULL,
-      description TEXT,
-      color TEXT DEFAULT '#64748b',
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    );
-    
-    -- Categories table (Level 2)
-    CREATE TABLE IF NOT EXISTS categories (
-      id INTEGER PRIMARY KEY,
-      number INTEGER NOT NULL UNIQUE,
-      area_id INTEGER NOT NULL,
-      name TEXT NOT NULL,
-      description TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (area_id) REFERENCES areas(id)
-    );
-    
-    -- Folders table (Level 3) - XX.XX format containers
-    CREATE TABLE IF NOT EXISTS folders (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      folder_number TEXT NOT NULL UNIQUE,
-      category_id INTEGER NOT NULL,
-      sequence INTEGER NOT NULL,
-      name TEXT NOT NULL,
-      description TEXT,
-      sensitivity TEXT DEFAULT 'standard' CHECK (sensitivity IN ('standard', 'sensitive', 'work')),
-      location TEXT,
-      storage_path TEXT,
-      keywords TEXT,
-      notes TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (category_id) REFERENCES categories(id)
-    );
-    
-    -- Items table (Level 4) - XX.XX.XX format actual objects
-    CREATE TABLE IF NOT EXISTS items (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      item_number TEXT NOT NULL UNIQUE,
-      folder_id INTEGER NOT NULL,
-      sequence INTEGER NOT NULL,
-      name TEXT NOT NULL,
-      description TEXT,
-      file_type TEXT,
-      sensitivity TEXT DEFAULT 'inherit' CHECK (sensitivity IN ('inherit', 'standard', 'sensitive', 'work')),
-      location TEXT,
-      storage_path TEXT,
-      file_size INTEGER,
-      keywords TEXT,
-      notes TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (folder_id) REFERENCES folders(id)
-    );
-    
-    -- Storage locations reference
-    CREATE TABLE IF NOT EXISTS storage_locations (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      type TEXT NOT NULL,
-      path TEXT,
-      is_encrypted INTEGER DEFAULT 0,
-      notes TEXT
-    );
-    
-    -- Activity log
-    CREATE TABLE IF NOT EXISTS activity_log (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      action TEXT NOT NULL,
-      entity_type TEXT,
-      entity_number TEXT,
-      details TEXT,
-      timestamp TEXT DEFAULT CURRENT_TIMESTAMP
-    );
-    
-    -- Schema version tracking
-    CREATE TABLE IF NOT EXISTS schema_version (
-      version INTEGER PRIMARY KEY
-    );
-    
-    -- Create indexes for performance
-    CREATE INDEX IF NOT EXISTS idx_folders_category ON folders(category_id);
-    CREATE INDEX IF NOT EXISTS idx_folders_number ON folders(folder_number);
-    CREATE INDEX IF NOT EXISTS idx_items_folder ON items(folder_id);
-    CREATE INDEX IF NOT EXISTS idx_items_number ON items(item_number);
-  `);
+/**
+ * Report which migration steps would run, without changing anything.
+ *
+ * @param {number} [targetVersion=SCHEMA_VERSION] - Version to plan for (lower = down-migration)
+ * @returns {{fromVersion: number, toVersion: number, direction: string, steps: Array<{version: number, description: string}>}}
+ * @throws {DatabaseError} If the target version is invalid
+ */
+export function getMigrationReport(targetVersion = SCHEMA_VERSION) {
+  const plan = planSchemaChange(targetVersion);
+  return {
+    ...plan,
+    steps: plan.steps.map(({ version, description }) => ({ version, description })),
+  };
+}
+
+/**
+ * Migrate the open database up or down to a schema version.
+ * A backup of the current database is written first; if that fails the
+ * migration is not attempted.
+ *
+ * @param {number} [targetVersion=SCHEMA_VERSION]
+ * @returns {Promise<Object>} The report of the steps that ran (see getMigrationReport)
+ * @throws {DatabaseError} If the backup or any migration step fails
+ */
+export async function migrateDatabase(targetVersion = SCHEMA_VERSION) {
+  const report = getMigrationReport(targetVersion);
+  if (report.direction === 'none') return report;
+
+  console.log(
+    `[JDex DB] Migrating schema from version ${report.fromVersion} to ${report.toVersion}`
+  );
+
+  // The backup's export would put the capture triggers back, and they'd
+  // break any step that drops or renames a column they name
+  captureSuspended = true;
+  try {
+    // Nothing to preserve in a brand-new database
+    if (report.fromVersion > 0) {
+      await createBackup(`pre-migration-v${report.fromVersion}`);
+    }
+
+    removeChangeCapture();
+    applyMigrations(planSchemaChange(targetVersion));
+  } catch (error) {
+    if (error instanceof DatabaseError) throw error;
+    throw new DatabaseError(`Migration failed: ${error.message}`, 'migrate');
+  } finally {
+    captureSuspended = false;
+    installChangeCapture();
+  }
 
-  // Set initial schema version
-  db.run('INSERT OR REPLACE INTO schema_version (version) VALUES (?)', [SCHEMA_VERSION]);
+  // Recorded changes may refer to tables or columns that no longer exist
+  clearHistory();
+  saveDatabase();
+  return report;
 }
 
 // Seed initial data based on James's system
@@ -473,7 +783,7 @@ function seedInitialData() {
   ];
 
   areas.forEach((area) => {
-    db.run(
+    execute(
       'INSERT INTO areas (range_start, range_end, name, description, color) VALUES (?, ?, ?, ?, ?)',
       [area.range_start, area.range_end, area.name, area.description, area.color]
     );
@@ -622,7 +932,7 @@ function seedInitialData() {
   ];
 
   categories.forEach((cat) => {
-    db.run('INSERT INTO categories (number, area_id, name, description) VALUES (?, ?, ?, ?)', [
+    execute('INSERT INTO categories (number, area_id, name, description) VALUES (?, ?, ?, ?)', [
       cat.number,
       cat.area_id,
       cat.name,
@@ -691,7 +1001,7 @@ function seedInitialData() {
   ];
 
   locations.forEach((loc) => {
-    db.run(
+    execute(
       'INSERT INTO storage_locations (name, type, path, is_encrypted, notes) VALUES (?, ?, ?, ?, ?)',
       [loc.name, loc.type, loc.path, loc.is_encrypted, loc.notes]
     );
@@ -701,66 +1011,456 @@ function seedInitialData() {
 }
 
 // ============================================
-// AREA FUNCTIONS
+// PROFILES
 // ============================================
 
-export function getAreas() {
-  const results = db.exec('SELECT * FROM areas ORDER BY range_start');
-  return (
-    results[0]?.values.map((row) => ({
-      id: row[0],
-      range_start: row[1],
-      range_end: row[2],
-      name: row[3],
-      description: row[4],
-      color: row[5],
-      created_at: row[6],
-    })) || []
-  );
-}
+/**
+ * What a new profile can start from:
+ * - empty: no areas or categories
+ * - starter: the sample structure new installs get
+ * - copy: the areas and categories of the current profile
+ */
+export const PROFILE_TEMPLATES = ['empty', 'starter', 'copy'];
 
-export function createArea(area) {
-  db.run(
-    'INSERT INTO areas (range_start, range_end, name, description, color) VALUES (?, ?, ?, ?, ?)',
-    [area.range_start, area.range_end, area.name, area.description || '', area.color || '#64748b']
-  );
-  logActivity(
-    'create',
-    'area',
-    `${area.range_start}-${area.range_end}`,
-    `Created area: ${area.name}`
-  );
-  saveDatabase();
-  return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+/**
+ * Get the id of the profile whose database is open.
+ *
+ * @returns {string}
+ */
+export function getCurrentProfileId() {
+  return activeProfileId;
 }
 
-export function updateArea(id, updates) {
-  const validColumns = ['range_start', 'range_end', 'name', 'description', 'color'];
-  const fields = [];
-  const values = [];
+/**
+ * Close the current database and open another profile's.
+ * Pending changes are saved first. If the other database can't be opened,
+ * the current one stays open.
+ *
+ * @param {string} profileId
+ * @param {Function} [seed] - Fills in the database if the profile has none yet
+ * @param {Object} [options] - Passed to openProfileDatabase
+ * @throws {DatabaseError} If the profile doesn't exist or its database can't be opened
+ */
+export async function switchProfile(profileId, seed = () => {}, options = {}) {
+  if (!getProfiles().some((p) => p.id === profileId)) {
+    throw new DatabaseError(`Profile not found: ${profileId}`, 'connect');
+  }
+  if (db && profileId === activeProfileId) return;
 
-  Object.entries(updates).forEach(([key, value]) => {
-    if (validColumns.includes(key) && value !== undefined) {
-      fields.push(`${key} = ?`);
-      values.push(value);
+  await flushDatabase();
+
+  const previous = {
+    db,
+    profileId: activeProfileId,
+    session: encryptionSession,
+    lockedProfileId,
+  };
+  try {
+    await openProfileDatabase(profileId, seed, options);
+  } catch (error) {
+    db = previous.db;
+    activeProfileId = previous.profileId;
+    encryptionSession = previous.session;
+    lockedProfileId = previous.lockedProfileId;
+    throw error;
+  }
+
+  previous.db?.close();
+  setActiveProfile(profileId);
+  console.log(`[JDex DB] Switched to profile: ${profileId}`);
+}
+
+/**
+ * Create a profile and switch to it.
+ *
+ * @param {string} name - Display name
+ * @param {string} [template='empty'] - One of PROFILE_TEMPLATES
+ * @returns {Promise<Object>} The new profile
+ * @throws {ValidationError} If the name is invalid or taken
+ * @throws {DatabaseError} If the database can't be created
+ */
+export async function createProfile(name, template = 'empty') {
+  if (!PROFILE_TEMPLATES.includes(template)) {
+    throw new DatabaseError(`Unknown profile template: ${template}`, 'insert');
+  }
+
+  // Snapshot the structure before the current database is closed
+  const structure = template === 'copy' ? { areas: getAreas(), categories: getCategories() } : null;
+
+  const seeds = {
+    empty: () => {},
+    starter: seedInitialData,
+    copy: () => seedStructure(structure),
+  };
+
+  const profile = addProfile(name);
+  try {
+    await switchProfile(profile.id, seeds[template], { fresh: true });
+  } catch (error) {
+    removeProfile(profile.id);
+    throw error;
+  }
+
+  return profile;
+}
+
+/**
+ * Delete a profile along with its database and backups. The default
+ * profile and the one that's open can't be deleted.
+ *
+ * @param {string} profileId
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If the profile can't be deleted, or its files can't be removed
+ */
+export async function deleteProfile(profileId) {
+  if (!getProfiles().some((p) => p.id === profileId)) {
+    throw new DatabaseError(`Profile not found: ${profileId}`, 'delete');
+  }
+  if (profileId === DEFAULT_PROFILE_ID) {
+    throw new DatabaseError("The first profile can't be deleted", 'delete');
+  }
+  if (profileId === activeProfileId) {
+    throw new DatabaseError('Switch to another profile before deleting this one', 'delete');
+  }
+
+  // Files first: if they can't go, the profile stays listed
+  await deleteStoredDatabase(profileId);
+  removeProfile(profileId);
+  console.log(`[JDex DB] Deleted profile: ${profileId}`);
+}
+
+/**
+ * Fill a new database with copied areas and categories.
+ * Ids are kept so categories still point at their areas.
+ *
+ * @param {{areas: Array, categories: Array}} structure
+ */
+function seedStructure({ areas, categories }) {
+  withTransaction(() => {
+    areas.forEach((area) => {
+      execute(
+        'INSERT INTO areas (id, range_start, range_end, name, description, color) VALUES (?, ?, ?, ?, ?, ?)',
+        [area.id, area.range_start, area.range_end, area.name, area.description, area.color]
+      );
+    });
+    categories.forEach((cat) => {
+      execute(
+        'INSERT INTO categories (id, number, area_id, name, description) VALUES (?, ?, ?, ?, ?)',
+        [cat.id, cat.number, cat.area_id, cat.name, cat.description]
+      );
+    });
+  });
+  saveDatabase();
+}
+
+// ============================================
+// ENCRYPTION
+// ============================================
+// Optional passphrase encryption at rest (see utils/encryption.js). While a
+// session is set, everything written for the open profile - saves, backups,
+// .sqlite exports - is encrypted. The open database itself stays in memory
+// in plain form until it is locked.
+
+let encryptionSession = null;
+// Profile whose encrypted database is waiting for unlockDatabase()
+let lockedProfileId = null;
+
+/**
+ * Export the open database, encrypted if encryption is on.
+ * db.export() runs before the first await, so the bytes reflect the
+ * database at the moment of the call.
+ *
+ * @returns {Promise<Uint8Array>}
+ */
+async function sealDatabase() {
+  finalizeCommand();
+  const data = db.export();
+  installChangeCapture();
+  return encryptionSession ? encryptDatabaseBytes(data, encryptionSession) : data;
+}
+
+/**
+ * Turn stored or imported bytes back into a plain database. Encrypted data
+ * is opened with the given passphrase, or else with the current session
+ * (which has the same data key as everything this profile encrypted).
+ *
+ * @param {Uint8Array} data
+ * @param {string} [passphrase]
+ * @returns {Promise<Uint8Array>}
+ * @throws {EncryptionError} 'passphrase' if the data is encrypted and no passphrase opens it,
+ *   'unlock' if the given passphrase is wrong
+ */
+async function unsealDatabase(data, passphrase) {
+  if (!isEncrypted(data)) return data;
+
+  if (passphrase !== undefined) {
+    return decryptDatabaseBytes(data, await unlockEncryptionSession(data, passphrase));
+  }
+  if (encryptionSession) {
+    try {
+      return await decryptDatabaseBytes(data, encryptionSession);
+    } catch {
+      // Encrypted under a different data key
+    }
+  }
+  throw new EncryptionError('Encrypted data needs its passphrase', 'passphrase');
+}
+
+export function isDatabaseLocked() {
+  return lockedProfileId !== null;
+}
+
+export function isEncryptionEnabled() {
+  return encryptionSession !== null;
+}
+
+/**
+ * Open the locked (encrypted) database of the current profile.
+ *
+ * @param {string} passphrase
+ * @throws {EncryptionError} 'unlock' if the passphrase is wrong
+ */
+export async function unlockDatabase(passphrase) {
+  if (!lockedProfileId) return;
+
+  const stored = await readStoredDatabase(lockedProfileId);
+  const session = await unlockEncryptionSession(stored, passphrase);
+  const data = await decryptDatabaseBytes(stored, session);
+
+  encryptionSession = session;
+  try {
+    await loadDatabase(data, () => {});
+  } catch (error) {
+    encryptionSession = null;
+    throw error;
+  }
+
+  lockedProfileId = null;
+  await takeStartupBackup();
+  console.log('[JDex DB] Database unlocked');
+}
+
+/**
+ * Save and close an encrypted database, leaving only the encrypted copy.
+ * Does nothing when encryption is off.
+ *
+ * @returns {Promise<boolean>} Whether the database was locked
+ */
+export async function lockDatabase() {
+  if (!db || !encryptionSession) return false;
+
+  await flushDatabase();
+  db.close();
+  db = null;
+  encryptionSession = null;
+  lockedProfileId = activeProfileId;
+
+  console.log('[JDex DB] Database locked');
+  return true;
+}
+
+/**
+ * Re-write every backup of the profile to match a new session: encrypted
+ * with it, or plain when `session` is null. Backups that can't be read
+ * with the old session are left alone.
+ */
+async function rewriteBackups(oldSession, session) {
+  const backups = await listDatabaseBackups(activeProfileId);
+  for (const backup of backups) {
+    try {
+      let data = await readDatabaseBackup(backup.id, activeProfileId);
+      if (isEncrypted(data)) data = await decryptDatabaseBytes(data, oldSession);
+      if (session) data = await encryptDatabaseBytes(data, session);
+      await rewriteDatabaseBackup(backup.id, data, activeProfileId);
+    } catch (error) {
+      logError(error, 'db.rewriteBackups');
     }
+  }
+}
+
+/**
+ * Switch an encryption session in: save the database with it and bring the
+ * backups along.
+ */
+async function applyEncryptionSession(session) {
+  const oldSession = encryptionSession;
+  encryptionSession = session;
+  saveDatabase();
+  try {
+    await flushDatabase();
+  } catch (error) {
+    encryptionSession = oldSession;
+    throw error;
+  }
+  await rewriteBackups(oldSession, session);
+}
+
+/**
+ * Turn on encryption for the open profile.
+ *
+ * @param {string} passphrase
+ * @throws {ValidationError} If the passphrase is too short
+ */
+export async function enableEncryption(passphrase) {
+  if (encryptionSession) return;
+  await applyEncryptionSession(await createEncryptionSession(passphrase));
+  console.log('[JDex DB] Encryption enabled');
+}
+
+/**
+ * Protect the database with a new passphrase.
+ *
+ * @param {string} currentPassphrase
+ * @param {string} newPassphrase
+ * @throws {EncryptionError} 'unlock' if the current passphrase is wrong
+ * @throws {ValidationError} If the new passphrase is too short
+ */
+export async function changePassphrase(currentPassphrase, newPassphrase) {
+  await requirePassphrase(currentPassphrase);
+  validatePassphrase(newPassphrase);
+  await applyEncryptionSession(await rewrapEncryptionSession(encryptionSession, newPassphrase));
+  console.log('[JDex DB] Passphrase changed');
+}
+
+/**
+ * Turn off encryption for the open profile; the database and its backups
+ * are written in plain form again.
+ *
+ * @param {string} passphrase - Current passphrase, as confirmation
+ * @throws {EncryptionError} 'unlock' if the passphrase is wrong
+ */
+export async function disableEncryption(passphrase) {
+  await requirePassphrase(passphrase);
+  await applyEncryptionSession(null);
+  console.log('[JDex DB] Encryption disabled');
+}
+
+async function requirePassphrase(passphrase) {
+  if (!encryptionSession) {
+    throw new EncryptionError('Encryption is not enabled', 'unknown');
+  }
+  if (!(await verifyPassphrase(encryptionSession, passphrase))) {
+    throw new EncryptionError('Wrong passphrase', 'unlock');
+  }
+}
+
+// ============================================
+// AREA FUNCTIONS
+// ============================================
+
+// The fields of a partial update that are actually being set
+function definedValues(updates) {
+  return Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined));
+}
+
+export function getAreas() {
+  return queryAll('SELECT * FROM areas ORDER BY range_start');
+}
+
+/**
+ * Check an area's range against the other areas (see utils/structure.js).
+ * When an existing area changes only one end, its categories must still fit;
+ * shifting the whole range takes them along.
+ *
+ * @param {{range_start: number, range_end: number}} area
+ * @param {number|null} [id=null] - The area being edited
+ * @returns {Array<Object>} Field errors; empty when the range is valid
+ */
+export function validateArea(area, id = null) {
+  const current = id === null ? null : queryOne('SELECT * FROM areas WHERE id = ?', [id]);
+  const shift = current ? Number(area.range_start) - current.range_start : 0;
+  const isShift = shift !== 0 && Number(area.range_end) - current.range_end === shift;
+
+  return checkAreaRange(area, {
+    areas: queryAll('SELECT id, range_start, range_end, name FROM areas WHERE id IS NOT ?', [id]),
+    categories:
+      current && !isShift
+        ? queryAll('SELECT number, name FROM categories WHERE area_id = ?', [id])
+        : [],
   });
+}
 
-  if (fields.length === 0) return;
+export function createArea(area) {
+  const errors = validateArea(area);
+  if (errors.length > 0) throw structureError(errors);
 
-  values.push(id);
-  db.run(`UPDATE areas SET ${fields.join(', ')} WHERE id = ?`, values);
-  logActivity('update', 'area', id.toString(), `Updated area ID: ${id}`);
+  return withTransaction(() => {
+    execute(
+      'INSERT INTO areas (range_start, range_end, name, description, color) VALUES (?, ?, ?, ?, ?)',
+      [area.range_start, area.range_end, area.name, area.description || '', area.color || '#64748b']
+    );
+    const id = lastInsertId();
+    logActivity(
+      'create',
+      'area',
+      `${area.range_start}-${area.range_end}`,
+      `Created area: ${area.name}`
+    );
+    saveDatabase();
+    return id;
+  });
+}
+
+export function updateArea(id, updates) {
+  // One transaction, so a renumber never lands without the rest of the edit
+  withTransaction(() => {
+    // Shifting the whole range renumbers every category, folder and item in the area.
+    // Changing only one end resizes the area and leaves the numbers alone.
+    const current = queryOne('SELECT range_start, range_end FROM areas WHERE id = ?', [id]);
+    const range = { ...current, ...definedValues(updates) };
+    if (
+      current &&
+      (Number(range.range_start) !== current.range_start ||
+        Number(range.range_end) !== current.range_end)
+    ) {
+      const errors = validateArea(range, id);
+      if (errors.length > 0) throw structureError(errors);
+    }
+    if (
+      current &&
+      updates.range_start !== undefined &&
+      Number(updates.range_start) !== current.range_start
+    ) {
+      const shift = Number(updates.range_start) - current.range_start;
+      const newEnd =
+        updates.range_end === undefined ? current.range_end + shift : Number(updates.range_end);
+      if (newEnd - current.range_end === shift) {
+        renumberArea(id, Number(updates.range_start));
+        updates = Object.fromEntries(
+          Object.entries(updates).filter(([key]) => !['range_start', 'range_end'].includes(key))
+        );
+      }
+    }
+
+    const validColumns = ['range_start', 'range_end', 'name', 'description', 'color'];
+    const fields = [];
+    const values = [];
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (validColumns.includes(key) && value !== undefined) {
+        fields.push(`${key} = ?`);
+        values.push(value);
+      }
+    });
+
+    if (fields.length === 0) return;
+
+    values.push(id);
+    execute(`UPDATE areas SET ${fields.join(', ')} WHERE id = ?`, values);
+    logActivity('update', 'area', id.toString(), `Updated area ID: ${id}`);
+  });
   saveDatabase();
 }
 
 export function deleteArea(id) {
-  const cats = db.exec(`SELECT COUNT(*) FROM categories WHERE area_id = ${id}`);
-  if (cats[0]?.values[0][0] > 0) {
+  const categoryCount = queryValue('SELECT COUNT(*) FROM categories WHERE area_id = ?', [id]);
+  if (categoryCount > 0) {
     throw new Error('Cannot delete area with existing categories. Delete categories first.');
   }
-  db.run(`DELETE FROM areas WHERE id = ${id}`);
-  logActivity('delete', 'area', id.toString(), `Deleted area ID: ${id}`);
+  withTransaction(() => {
+    moveToTrash('area', id);
+    logActivity('delete', 'area', id.toString(), `Deleted area ID: ${id}`);
+  });
   saveDatabase();
 }
 
@@ -771,534 +1471,3136 @@ export function deleteArea(id) {
 export function getCategories(areaId = null) {
   let query =
     'SELECT c.*, a.name as area_name, a.color as area_color FROM categories c JOIN areas a ON c.area_id = a.id';
-  if (areaId) query += ` WHERE c.area_id = ${areaId}`;
+  const params = [];
+  if (areaId) {
+    query += ' WHERE c.area_id = ?';
+    params.push(areaId);
+  }
   query += ' ORDER BY c.number';
 
-  const results = db.exec(query);
-  return (
-    results[0]?.values.map((row) => ({
-      id: row[0],
-      number: row[1],
-      area_id: row[2],
-      name: row[3],
-      description: row[4],
-      created_at: row[5],
-      area_name: row[6],
-      area_color: row[7],
-    })) || []
-  );
+  return queryAll(query, params);
+}
+
+/**
+ * Check a category's number and area (see utils/structure.js).
+ *
+ * @param {{number: number, area_id: number}} category
+ * @param {number|null} [id=null] - The category being edited
+ * @returns {Array<Object>} Field errors; empty when the placement is valid
+ */
+export function validateCategory(category, id = null) {
+  return checkCategoryPlacement(category, {
+    areas: queryAll('SELECT id, range_start, range_end, name FROM areas'),
+    categories: queryAll('SELECT number, area_id, name FROM categories WHERE id IS NOT ?', [id]),
+  });
 }
 
 export function createCategory(category) {
-  db.run('INSERT INTO categories (number, area_id, name, description) VALUES (?, ?, ?, ?)', [
-    category.number,
-    category.area_id,
-    category.name,
-    category.description || '',
-  ]);
-  logActivity(
-    'create',
-    'category',
-    category.number.toString(),
-    `Created category: ${category.name}`
-  );
-  saveDatabase();
-  return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  const errors = validateCategory(category);
+  if (errors.length > 0) throw structureError(errors);
+
+  return withTransaction(() => {
+    execute('INSERT INTO categories (number, area_id, name, description) VALUES (?, ?, ?, ?)', [
+      category.number,
+      category.area_id,
+      category.name,
+      category.description || '',
+    ]);
+    const id = lastInsertId();
+    logActivity(
+      'create',
+      'category',
+      category.number.toString(),
+      `Created category: ${category.name}`
+    );
+    saveDatabase();
+    return id;
+  });
 }
 
 export function updateCategory(id, updates) {
-  const validColumns = ['number', 'area_id', 'name', 'description'];
-  const fields = [];
-  const values = [];
-
-  Object.entries(updates).forEach(([key, value]) => {
-    if (validColumns.includes(key) && value !== undefined) {
-      fields.push(`${key} = ?`);
-      values.push(value);
+  // One transaction, so a renumber never lands without the rest of the edit
+  withTransaction(() => {
+    // A new number means new numbers for every folder and item in the category
+    const current = queryOne('SELECT number, area_id FROM categories WHERE id = ?', [id]);
+    const placement = { ...current, ...definedValues(updates) };
+    if (
+      current &&
+      (Number(placement.number) !== current.number || Number(placement.area_id) !== current.area_id)
+    ) {
+      const errors = validateCategory(placement, id);
+      if (errors.length > 0) throw structureError(errors);
+    }
+    if (current && updates.number !== undefined && Number(updates.number) !== current.number) {
+      renumberCategory(id, Number(updates.number));
+      updates = Object.fromEntries(Object.entries(updates).filter(([key]) => key !== 'number'));
     }
-  });
 
-  if (fields.length === 0) return;
+    const validColumns = ['number', 'area_id', 'name', 'description'];
+    const fields = [];
+    const values = [];
 
-  values.push(id);
-  db.run(`UPDATE categories SET ${fields.join(', ')} WHERE id = ?`, values);
-  logActivity('update', 'category', id.toString(), `Updated category ID: ${id}`);
+    Object.entries(updates).forEach(([key, value]) => {
+      if (validColumns.includes(key) && value !== undefined) {
+        fields.push(`${key} = ?`);
+        values.push(value);
+      }
+    });
+
+    if (fields.length === 0) return;
+
+    values.push(id);
+    execute(`UPDATE categories SET ${fields.join(', ')} WHERE id = ?`, values);
+    logActivity('update', 'category', id.toString(), `Updated category ID: ${id}`);
+  });
   saveDatabase();
 }
 
 export function deleteCategory(id) {
-  const folders = db.exec(`SELECT COUNT(*) FROM folders WHERE category_id = ${id}`);
-  if (folders[0]?.values[0][0] > 0) {
+  const folderCount = queryValue('SELECT COUNT(*) FROM folders WHERE category_id = ?', [id]);
+  if (folderCount > 0) {
     throw new Error('Cannot delete category with existing folders. Delete or move folders first.');
   }
-  db.run(`DELETE FROM categories WHERE id = ${id}`);
-  logActivity('delete', 'category', id.toString(), `Deleted category ID: ${id}`);
+  withTransaction(() => {
+    moveToTrash('category', id);
+    logActivity('delete', 'category', id.toString(), `Deleted category ID: ${id}`);
+  });
   saveDatabase();
 }
 
 // ============================================
-// FOLDER FUNCTIONS (Level 3 - XX.XX containers)
+// RENUMBERING (categories and areas)
 // ============================================
 
-export function getFolders(categoryId = null) {
-  let query = `
-    SELECT f.*, c.number as category_number, c.name as category_name, 
-           a.name as area_name, a.color as area_color
-    FROM folders f 
-    JOIN categories c ON f.category_id = c.id 
-    JOIN areas a ON c.area_id = a.id
-    WHERE 1=1
-  `;
-
-  if (categoryId) query += ` AND f.category_id = ${categoryId}`;
-  query += ' ORDER BY f.folder_number';
+function pad2(number) {
+  return String(number).padStart(2, '0');
+}
 
-  const results = db.exec(query);
-  return (
-    results[0]?.values.map((row) => ({
-      id: row[0],
-      folder_number: row[1],
-      category_id: row[2],
-      sequence: row[3],
-      name: row[4],
-      description: row[5],
-      sensitivity: row[6],
-      location: row[7],
-      storage_path: row[8],
-      keywords: row[9],
-      notes: row[10],
-      created_at: row[11],
-      updated_at: row[12],
-      category_number: row[13],
-      category_name: row[14],
-      area_name: row[15],
-      area_color: row[16],
-    })) || []
+/**
+ * Preview giving a category a new number: every category, folder and item
+ * number that changes, how many file records and rules refer to them, and
+ * any collisions that would stop the renumber.
+ *
+ * @param {number} categoryId
+ * @param {number} newNumber - 0-99
+ * @returns {{changes: Array, references: Object, collisions: string[], warnings: string[]}}
+ *   changes are {entity_type, id, name, old_number, new_number}
+ * @throws {DatabaseError} If the category doesn't exist
+ */
+export function previewCategoryRenumber(categoryId, newNumber) {
+  const id = validatePositiveInteger(categoryId, 'Category ID');
+  const category = queryOne(
+    `SELECT c.*, a.name as area_name, a.range_start, a.range_end
+     FROM categories c JOIN areas a ON c.area_id = a.id WHERE c.id = ?`,
+    [id]
   );
+  if (!category) {
+    throw new DatabaseError(`Category not found: ${id}`, 'query');
+  }
+
+  const plan = planCategoryNumbers([{ category, number: newNumber }]);
+  if (
+    Number.isInteger(newNumber) &&
+    (newNumber < category.range_start || newNumber > category.range_end)
+  ) {
+    plan.warnings.push(
+      `Category ${pad2(newNumber)} will be outside its area ${category.area_name} (${category.range_start}-${category.range_end})`
+    );
+  }
+  return plan;
 }
 
-export function getFolder(folderId) {
-  const query = `
-    SELECT f.*, c.number as category_number, c.name as category_name, 
-           a.name as area_name, a.color as area_color
-    FROM folders f 
-    JOIN categories c ON f.category_id = c.id 
-    JOIN areas a ON c.area_id = a.id
-    WHERE f.id = ${folderId}
-  `;
+/**
+ * Give a category a new number and carry it through its folders, items,
+ * organized file records, scanned file suggestions and organization rules,
+ * all in one transaction. Old folder and item numbers are kept as aliases.
+ *
+ * @param {number} categoryId
+ * @param {number} newNumber - 0-99
+ * @returns {Object} The plan that was applied (see previewCategoryRenumber)
+ * @throws {DatabaseError} If the category doesn't exist or a number collides
+ */
+export function renumberCategory(categoryId, newNumber) {
+  const plan = withTransaction(() => {
+    const preview = previewCategoryRenumber(categoryId, newNumber);
+    if (preview.collisions.length > 0) {
+      throw new DatabaseError(`Can't renumber: ${preview.collisions.join('; ')}`, 'update');
+    }
+    applyCategoryNumbers(preview);
+    return preview;
+  });
+  saveDatabase();
+  return plan;
+}
+
+/**
+ * Preview shifting an area to a new range of the same width (e.g. 60-69 to
+ * 70-79). Every category in the area moves by the same amount.
+ *
+ * @param {number} areaId
+ * @param {number} newStart - First number of the new range
+ * @returns {{changes: Array, references: Object, collisions: string[], warnings: string[]}}
+ * @throws {DatabaseError} If the area doesn't exist
+ */
+export function previewAreaRenumber(areaId, newStart) {
+  const id = validatePositiveInteger(areaId, 'Area ID');
+  const area = queryOne('SELECT * FROM areas WHERE id = ?', [id]);
+  if (!area) {
+    throw new DatabaseError(`Area not found: ${id}`, 'query');
+  }
+
+  const shift = newStart - area.range_start;
+  const newEnd = area.range_end + shift;
+  const categories = queryAll('SELECT * FROM categories WHERE area_id = ?', [id]);
+  const plan = planCategoryNumbers(
+    categories.map((category) => ({ category, number: category.number + shift }))
+  );
+
+  plan.changes.unshift({
+    entity_type: 'area',
+    id,
+    name: area.name,
+    old_number: `${area.range_start}-${area.range_end}`,
+    new_number: `${newStart}-${newEnd}`,
+  });
+  plan.area = { id, range_start: newStart, range_end: newEnd };
 
-  const results = db.exec(query);
-  if (!results[0]?.values[0]) return null;
+  if (!Number.isInteger(newStart) || newStart < 0 || newEnd > 99) {
+    plan.collisions.unshift('The area has to stay within 00-99');
+  }
+  queryAll('SELECT * FROM areas WHERE id != ?', [id]).forEach((other) => {
+    if (newStart <= other.range_end && newEnd >= other.range_start) {
+      plan.collisions.push(
+        `${newStart}-${newEnd} overlaps ${other.name} (${other.range_start}-${other.range_end})`
+      );
+    }
+  });
+  return plan;
+}
+
+/**
+ * Shift an area to a new range and renumber its categories, folders and
+ * items to match, with the same cascade as renumberCategory.
+ *
+ * @param {number} areaId
+ * @param {number} newStart
+ * @returns {Object} The plan that was applied (see previewAreaRenumber)
+ * @throws {DatabaseError} If the area doesn't exist or a number collides
+ */
+export function renumberArea(areaId, newStart) {
+  const plan = withTransaction(() => {
+    const preview = previewAreaRenumber(areaId, newStart);
+    if (preview.collisions.length > 0) {
+      throw new DatabaseError(`Can't renumber: ${preview.collisions.join('; ')}`, 'update');
+    }
+    const { id, range_start, range_end } = preview.area;
+    const old = preview.changes[0].old_number;
+    execute('UPDATE areas SET range_start = ?, range_end = ? WHERE id = ?', [
+      range_start,
+      range_end,
+      id,
+    ]);
+    logActivity(
+      'renumber',
+      'area',
+      `${range_start}-${range_end}`,
+      `Renumbered ${preview.changes[0].name} from ${old}`
+    );
+    applyCategoryNumbers(preview);
+    return preview;
+  });
+  saveDatabase();
+  return plan;
+}
+
+/**
+ * Work out the new numbers for categories getting new numbers. Folders keep
+ * their own part and take the new category prefix, items follow their folder.
+ * Collisions are found by checking the numbering as it would be afterwards.
+ *
+ * @param {Array<{category: Object, number: number}>} moves
+ */
+function planCategoryNumbers(moves) {
+  const changes = [];
+  const collisions = [];
+  const newCategoryNumber = new Map(moves.map((m) => [m.category.id, m.number]));
+  const oldCategoryNumber = new Map(moves.map((m) => [m.category.id, m.category.number]));
+
+  moves.forEach(({ category, number }) => {
+    if (!Number.isInteger(number) || number < 0 || number > 99) {
+      collisions.push(`Category ${pad2(category.number)} can't become ${number}: use 00-99`);
+    } else if (number !== category.number) {
+      changes.push({
+        entity_type: 'category',
+        id: category.id,
+        name: category.name,
+        old_number: pad2(category.number),
+        new_number: pad2(number),
+      });
+    }
+  });
+
+  const finalCategories = queryAll('SELECT id, number, name FROM categories').map((c) => ({
+    ...c,
+    number: newCategoryNumber.get(c.id) ?? c.number,
+  }));
+  findDuplicates(finalCategories, (c) => c.number).forEach((c) =>
+    collisions.push(`Category ${pad2(c.number)} already exists (${c.name})`)
+  );
+
+  // Folders not numbered under their category's prefix are already
+  // inconsistent and left for the integrity check
+  const folders = queryAll('SELECT id, folder_number, category_id, name FROM folders');
+  const newFolderNumber = new Map();
+  const finalFolders = folders.map((folder) => {
+    const number = newCategoryNumber.get(folder.category_id);
+    const oldPrefix = `${pad2(oldCategoryNumber.get(folder.category_id))}.`;
+    if (number === undefined || !folder.folder_number.startsWith(oldPrefix)) return folder;
+
+    const folderNumber = `${pad2(number)}.${folder.folder_number.slice(oldPrefix.length)}`;
+    if (folderNumber !== folder.folder_number) {
+      newFolderNumber.set(folder.id, folderNumber);
+      changes.push({
+        entity_type: 'folder',
+        id: folder.id,
+        name: folder.name,
+        old_number: folder.folder_number,
+        new_number: folderNumber,
+      });
+    }
+    return { ...folder, folder_number: folderNumber };
+  });
+  findDuplicates(finalFolders, (f) => f.folder_number).forEach((f) =>
+    collisions.push(`Folder ${f.folder_number} already exists (${f.name})`)
+  );
+
+  const folderById = new Map(folders.map((f) => [f.id, f]));
+  const finalItems = queryAll('SELECT id, item_number, folder_id, name FROM items').map((item) => {
+    const folderNumber = newFolderNumber.get(item.folder_id);
+    const oldPrefix = `${folderById.get(item.folder_id)?.folder_number}.`;
+    if (folderNumber === undefined || !item.item_number.startsWith(oldPrefix)) return item;
+
+    const itemNumber = `${folderNumber}.${item.item_number.slice(oldPrefix.length)}`;
+    changes.push({
+      entity_type: 'item',
+      id: item.id,
+      name: item.name,
+      old_number: item.item_number,
+      new_number: itemNumber,
+    });
+    return { ...item, item_number: itemNumber };
+  });
+  findDuplicates(finalItems, (i) => i.item_number).forEach((i) =>
+    collisions.push(`Item ${i.item_number} already exists (${i.name})`)
+  );
+
+  // Records that refer to the changing folders and categories by number
+  const oldFolderNumbers = new Set(
+    changes.filter((c) => c.entity_type === 'folder').map((c) => c.old_number)
+  );
+  const oldCategoryTargets = new Set(
+    changes
+      .filter((c) => c.entity_type === 'category')
+      .flatMap((c) => [c.old_number, String(Number(c.old_number))])
+  );
+  const references = {
+    organized_files: queryAll('SELECT jd_folder_number FROM organized_files').filter((f) =>
+      oldFolderNumbers.has(f.jd_folder_number)
+    ).length,
+    scanned_files: queryAll(
+      'SELECT suggested_jd_folder, user_target_folder FROM scanned_files'
+    ).filter(
+      (f) =>
+        oldFolderNumbers.has(f.suggested_jd_folder) || oldFolderNumbers.has(f.user_target_folder)
+    ).length,
+    rules: queryAll('SELECT target_type, target_id FROM organization_rules').filter(
+      (r) =>
+        (r.target_type === 'folder' && oldFolderNumbers.has(r.target_id)) ||
+        (r.target_type === 'category' && oldCategoryTargets.has(r.target_id))
+    ).length,
+  };
+
+  return { changes, references, collisions, warnings: [] };
+}
+
+// The second and later rows sharing a key
+function findDuplicates(rows, keyOf) {
+  const seen = new Set();
+  return rows.filter((row) => {
+    const key = keyOf(row);
+    if (seen.has(key)) return true;
+    seen.add(key);
+    return false;
+  });
+}
+
+/**
+ * Apply the category part of a renumber plan. Run inside a transaction,
+ * after checking the plan has no collisions.
+ */
+function applyCategoryNumbers(plan) {
+  const categoryChanges = plan.changes.filter((c) => c.entity_type === 'category');
+  const folderChanges = plan.changes.filter((c) => c.entity_type === 'folder');
+
+  // When an area shifts, a category's new number can be the old number of
+  // the next one along; renumbering from the far end never reuses a number
+  // that is still taken
+  const upwards = categoryChanges.some((c) => Number(c.new_number) > Number(c.old_number));
+  categoryChanges.sort((a, b) =>
+    upwards
+      ? Number(b.old_number) - Number(a.old_number)
+      : Number(a.old_number) - Number(b.old_number)
+  );
+
+  categoryChanges.forEach((change) => {
+    execute('UPDATE categories SET number = ? WHERE id = ?', [
+      Number(change.new_number),
+      change.id,
+    ]);
+    moveReservations(`${change.old_number}.`, `${change.new_number}.`);
+
+    // Category rules may store the number with or without the leading zero
+    execute(
+      "UPDATE organization_rules SET target_id = ?, updated_at = CURRENT_TIMESTAMP WHERE target_type = 'category' AND target_id = ?",
+      [change.new_number, change.old_number]
+    );
+    execute(
+      "UPDATE organization_rules SET target_id = ?, updated_at = CURRENT_TIMESTAMP WHERE target_type = 'category' AND target_id = ?",
+      [String(Number(change.new_number)), String(Number(change.old_number))]
+    );
+
+    logActivity(
+      'renumber',
+      'category',
+      change.new_number,
+      `Renumbered ${change.name} from ${change.old_number}`
+    );
+
+    const folderIds = queryAll('SELECT id FROM folders WHERE category_id = ?', [change.id]).map(
+      (f) => f.id
+    );
+    folderChanges
+      .filter((f) => folderIds.includes(f.id))
+      .forEach((folder) => {
+        applyFolderNumber(folder.id, folder.new_number);
+        logActivity(
+          'renumber',
+          'folder',
+          folder.new_number,
+          `Renumbered from ${folder.old_number} (category renumbered)`
+        );
+      });
+  });
+
+  plan.changes
+    .filter((c) => c.entity_type === 'item')
+    .forEach((item) => {
+      logActivity(
+        'renumber',
+        'item',
+        item.new_number,
+        `Renumbered from ${item.old_number} (category renumbered)`
+      );
+    });
+}
+
+// ============================================
+// NUMBER ALLOCATION
+// ============================================
+// Picking new folder and item numbers (strategies in utils/numbering.js),
+// checking numbers typed by hand, and reserving numbers for planned use.
+
+/**
+ * Pick the next child number under a category ("11") or folder ("11.01").
+ *
+ * @param {string} prefix - Category or folder number
+ * @param {number[]} used - Sequences already in use under the prefix
+ * @param {string} strategy - See ALLOCATION_STRATEGIES
+ * @param {string} container - "Category 11 Finance", for the error message
+ * @returns {number} Sequence
+ * @throws {ValidationError} If there is no number left
+ */
+function nextSequence(prefix, used, strategy, container) {
+  const reserved = queryAll('SELECT number FROM reserved_numbers WHERE number LIKE ?', [
+    `${prefix}.__`,
+  ]).map((r) => parseInt(r.number.slice(prefix.length + 1), 10));
+
+  const { sequence, free } = allocateSequence(used, reserved, strategy);
+  if (sequence !== null) return sequence;
+
+  const field = prefix.includes('.') ? 'itemNumber' : 'folderNumber';
+  if (free > 0) {
+    throw new ValidationError(
+      `${container} has no numbers left after ${prefix}.${MAX_SEQUENCE}. ${free} lower number${free === 1 ? ' is' : 's are'} free; switch to lowest-free numbering to use ${free === 1 ? 'it' : 'them'}.`,
+      field
+    );
+  }
+  throw new ValidationError(
+    `${container} is full: all ${MAX_SEQUENCE} numbers are in use or reserved`,
+    field
+  );
+}
+
+/**
+ * Check a folder or item number chosen for a new record: the right format,
+ * under its parent's number, and not already taken. Claims the number if it
+ * was reserved. Run inside a transaction.
+ *
+ * @param {'folder'|'item'} entityType
+ * @param {string} number
+ * @param {string} parentNumber - Category number (padded) or folder number
+ * @returns {{number: string, sequence: number}}
+ * @throws {ValidationError} If the number can't be used
+ */
+function claimNumber(entityType, number, parentNumber) {
+  const valid =
+    entityType === 'folder' ? validateJDFolderNumber(number) : validateJDItemNumber(number);
+  const field = entityType === 'folder' ? 'folderNumber' : 'itemNumber';
+
+  if (!valid.startsWith(`${parentNumber}.`)) {
+    throw new ValidationError(`${valid} must start with ${parentNumber}.`, field, number);
+  }
+  const table = entityType === 'folder' ? 'folders' : 'items';
+  const column = entityType === 'folder' ? 'folder_number' : 'item_number';
+  if (queryValue(`SELECT COUNT(*) FROM ${table} WHERE ${column} = ?`, [valid]) > 0) {
+    throw new ValidationError(`${valid} is already in use`, field, number);
+  }
+
+  execute('DELETE FROM reserved_numbers WHERE number = ?', [valid]);
+  return { number: valid, sequence: parseInt(valid.slice(parentNumber.length + 1), 10) };
+}
+
+/**
+ * Numbers reserved for planned folders and items.
+ *
+ * @returns {Array<Object>} id, entity_type, number, note, created_at - by number
+ */
+export function getReservedNumbers() {
+  return queryAll('SELECT * FROM reserved_numbers ORDER BY number');
+}
+
+/**
+ * Keep a folder or item number free for planned use. Automatic numbering
+ * skips it; creating a record with the number by hand uses up the reservation.
+ *
+ * @param {string} number - XX.XX for a folder, XX.XX.XX for an item
+ * @param {string} [note] - What the number is meant for
+ * @returns {number} Reservation id
+ * @throws {ValidationError} If the number is malformed, in use or already reserved,
+ *   or its category or folder doesn't exist
+ */
+export function reserveNumber(number, note = '') {
+  const trimmed = String(number ?? '').trim();
+  const entityType = trimmed.split('.').length === 3 ? 'item' : 'folder';
+  const valid =
+    entityType === 'folder' ? validateJDFolderNumber(trimmed) : validateJDItemNumber(trimmed);
+  const parentNumber = valid.slice(0, valid.lastIndexOf('.'));
+
+  const parentExists =
+    entityType === 'folder'
+      ? queryValue('SELECT COUNT(*) FROM categories WHERE number = ?', [Number(parentNumber)])
+      : queryValue('SELECT COUNT(*) FROM folders WHERE folder_number = ?', [parentNumber]);
+  if (!parentExists) {
+    throw new ValidationError(
+      `${entityType === 'folder' ? 'Category' : 'Folder'} ${parentNumber} doesn't exist`,
+      'number',
+      number
+    );
+  }
+  if (queryValue('SELECT COUNT(*) FROM reserved_numbers WHERE number = ?', [valid]) > 0) {
+    throw new ValidationError(`${valid} is already reserved`, 'number', number);
+  }
+
+  return withTransaction(() => {
+    claimNumber(entityType, valid, parentNumber);
+    execute('INSERT INTO reserved_numbers (entity_type, number, note) VALUES (?, ?, ?)', [
+      entityType,
+      valid,
+      validateOptionalString(note, 'Note', 200),
+    ]);
+    const id = lastInsertId();
+    logActivity('reserve', entityType, valid, `Reserved ${valid}${note ? `: ${note}` : ''}`);
+    saveDatabase();
+    return id;
+  });
+}
+
+/**
+ * Give a reserved number back to automatic numbering.
+ *
+ * @param {number} id - Reservation id
+ */
+export function releaseReservedNumber(id) {
+  const reservation = queryOne('SELECT * FROM reserved_numbers WHERE id = ?', [id]);
+  if (!reservation) return;
+
+  withTransaction(() => {
+    execute('DELETE FROM reserved_numbers WHERE id = ?', [id]);
+    logActivity(
+      'release',
+      reservation.entity_type,
+      reservation.number,
+      `Released reserved number ${reservation.number}`
+    );
+    saveDatabase();
+  });
+}
+
+/**
+ * Carry reservations along when the category or folder they sit under is
+ * renumbered ("11." to "13."). Run inside a transaction.
+ *
+ * @throws {ValidationError} If a moved reservation would land on one left
+ *   behind under the new number
+ */
+function moveReservations(oldPrefix, newPrefix) {
+  const clashes = queryAll(
+    `SELECT target.number FROM reserved_numbers moving
+     JOIN reserved_numbers target ON target.number = ? || substr(moving.number, ?)
+     WHERE substr(moving.number, 1, ?) = ?`,
+    [newPrefix, oldPrefix.length + 1, oldPrefix.length, oldPrefix]
+  ).map((row) => row.number);
+  if (clashes.length > 0) {
+    throw new ValidationError(
+      `Can't renumber: reservations would clash at ${clashes.join(', ')}`,
+      'number',
+      newPrefix.slice(0, -1)
+    );
+  }
+
+  execute(
+    'UPDATE reserved_numbers SET number = ? || substr(number, ?) WHERE substr(number, 1, ?) = ?',
+    [newPrefix, oldPrefix.length + 1, oldPrefix.length, oldPrefix]
+  );
+}
+
+// ============================================
+// TAGS
+// ============================================
+// Tags on folders and items (see utils/tags.js). Every tag is in use: one
+// that loses its last folder or item is deleted.
+
+const TAG_LINKS = {
+  folder: { table: 'folder_tags', column: 'folder_id' },
+  item: { table: 'item_tags', column: 'item_id' },
+};
+
+/**
+ * SELECT column with a record's tag names as a JSON array, alphabetically.
+ *
+ * @param {'folder'|'item'} entityType
+ * @param {string} idRef - SQL for the record id, e.g. 'f.id'
+ */
+function tagNamesColumn(entityType, idRef) {
+  const { table, column } = TAG_LINKS[entityType];
+  return `(SELECT json_group_array(name) FROM (
+            SELECT t.name FROM ${table} l JOIN tags t ON t.id = l.tag_id
+            WHERE l.${column} = ${idRef} ORDER BY t.name COLLATE NOCASE
+          )) as tags`;
+}
+
+/**
+ * Replace the tags on a folder or item. Run inside a transaction.
+ *
+ * @param {'folder'|'item'} entityType
+ * @param {number} id
+ * @param {string|string[]} [names] - A list, or comma-separated text
+ */
+function setTags(entityType, id, names) {
+  const { table, column } = TAG_LINKS[entityType];
+  execute(`DELETE FROM ${table} WHERE ${column} = ?`, [id]);
+  parseTagList(names).forEach((name) => {
+    execute('INSERT OR IGNORE INTO tags (name) VALUES (?)', [name]);
+    execute(
+      `INSERT OR IGNORE INTO ${table} (${column}, tag_id) SELECT ?, id FROM tags WHERE name = ?`,
+      [id, name]
+    );
+  });
+  execute(`
+    DELETE FROM tags
+    WHERE id NOT IN (SELECT tag_id FROM folder_tags) AND id NOT IN (SELECT tag_id FROM item_tags)
+  `);
+}
+
+/**
+ * Every tag with how many folders and items have it.
+ *
+ * @returns {Array<{id: number, name: string, folder_count: number, item_count: number,
+ *   count: number}>} By name
+ */
+export function getTags() {
+  return queryAll(`
+    SELECT t.id, t.name,
+           (SELECT COUNT(*) FROM folder_tags l JOIN folders f ON f.id = l.folder_id
+            WHERE l.tag_id = t.id) as folder_count,
+           (SELECT COUNT(*) FROM item_tags l JOIN items i ON i.id = l.item_id
+            WHERE l.tag_id = t.id) as item_count
+    FROM tags t
+    ORDER BY t.name COLLATE NOCASE
+  `).map((tag) => ({ ...tag, count: tag.folder_count + tag.item_count }));
+}
+
+/**
+ * Folders and items with a tag.
+ *
+ * @param {number} tagId
+ * @returns {{folders: Array<Object>, items: Array<Object>}}
+ */
+export function getTaggedRecords(tagId) {
+  return {
+    folders: queryAll(
+      `${FOLDER_SELECT} WHERE f.id IN (SELECT folder_id FROM folder_tags WHERE tag_id = ?)
+       ORDER BY f.folder_number`,
+      [tagId]
+    ).map(toFolder),
+    items: queryAll(
+      `${ITEM_SELECT} WHERE i.id IN (SELECT item_id FROM item_tags WHERE tag_id = ?)
+       ORDER BY i.item_number`,
+      [tagId]
+    ).map(toItem),
+  };
+}
+
+/**
+ * Rename a tag everywhere it's used.
+ *
+ * @param {number} id
+ * @param {string} name
+ * @throws {ValidationError} If the name is invalid or another tag has it (merge them instead)
+ */
+export function renameTag(id, name) {
+  const newName = normalizeTagName(name);
+  const oldName = queryValue('SELECT name FROM tags WHERE id = ?', [id]);
+  if (oldName === null) {
+    throw new ValidationError('Tag not found', 'id', id);
+  }
+  const other = queryValue('SELECT name FROM tags WHERE name = ? AND id <> ?', [newName, id]);
+  if (other !== null) {
+    throw new ValidationError(
+      `There is already a tag "${other}"; merge the two instead`,
+      'name',
+      newName
+    );
+  }
+
+  withTransaction(() => {
+    execute('UPDATE tags SET name = ? WHERE id = ?', [newName, id]);
+    logActivity('update', 'tag', newName, `Renamed tag "${oldName}" to "${newName}"`);
+  });
+  saveDatabase();
+}
+
+/**
+ * Merge tags into one: everything tagged with any of them gets the target
+ * tag, and the others are deleted.
+ *
+ * @param {number[]} sourceIds - Tags to merge away
+ * @param {number} targetId - Tag to keep
+ * @throws {ValidationError} If the target tag doesn't exist
+ */
+export function mergeTags(sourceIds, targetId) {
+  const target = queryValue('SELECT name FROM tags WHERE id = ?', [targetId]);
+  if (target === null) {
+    throw new ValidationError('Tag not found', 'targetId', targetId);
+  }
+  const sources = sourceIds.filter((id) => id !== targetId);
+  if (sources.length === 0) return;
+
+  withTransaction(() => {
+    const names = sources.map((id) => queryValue('SELECT name FROM tags WHERE id = ?', [id]));
+    sources.forEach((id) => {
+      Object.values(TAG_LINKS).forEach(({ table, column }) => {
+        execute(
+          `INSERT OR IGNORE INTO ${table} (${column}, tag_id) SELECT ${column}, ? FROM ${table} WHERE tag_id = ?`,
+          [targetId, id]
+        );
+        execute(`DELETE FROM ${table} WHERE tag_id = ?`, [id]);
+      });
+      execute('DELETE FROM tags WHERE id = ?', [id]);
+    });
+    logActivity(
+      'update',
+      'tag',
+      target,
+      `Merged tags ${names
+        .filter(Boolean)
+        .map((n) => `"${n}"`)
+        .join(', ')} into "${target}"`
+    );
+  });
+  saveDatabase();
+}
+
+// ============================================
+// LINKS
+// ============================================
+// Typed links between folders and items (see utils/links.js), stored by id
+// so renumbering either end doesn't break them.
+
+// Table each kind of link end lives in
+const LINK_TABLES = { folder: 'folders', item: 'items' };
+
+/**
+ * Links seen from one end, with the current number and name of the other end.
+ * Links to records that no longer exist are left out.
+ *
+ * @param {'source'|'target'} from - The end the record is on
+ */
+function queryLinks(from, entityType, id) {
+  const to = from === 'source' ? 'target' : 'source';
+  return queryAll(
+    `SELECT l.id, l.link_type, l.${to}_type as other_type, l.${to}_id as other_id,
+            COALESCE(f.folder_number, i.item_number) as other_number,
+            COALESCE(f.name, i.name) as other_name
+     FROM record_links l
+     LEFT JOIN folders f ON l.${to}_type = 'folder' AND f.id = l.${to}_id
+     LEFT JOIN items i ON l.${to}_type = 'item' AND i.id = l.${to}_id
+     WHERE l.${from}_type = ? AND l.${from}_id = ? AND (f.id IS NOT NULL OR i.id IS NOT NULL)
+     ORDER BY other_number, l.link_type`,
+    [entityType, id]
+  );
+}
+
+/**
+ * A folder's or item's links, both ways.
+ *
+ * @param {'folder'|'item'} entityType
+ * @param {number} id
+ * @returns {{outgoing: Array<Object>, backlinks: Array<Object>}} Each link has id, link_type,
+ *   other_type, other_id, other_number and other_name
+ */
+export function getLinks(entityType, id) {
+  return {
+    outgoing: queryLinks('source', entityType, id),
+    backlinks: queryLinks('target', entityType, id),
+  };
+}
+
+/**
+ * Every link with the numbers of both ends, for exports.
+ *
+ * @returns {Array<Object>}
+ */
+export function getAllLinks() {
+  return queryAll(`
+    SELECT l.*, COALESCE(sf.folder_number, si.item_number) as source_number,
+           COALESCE(tf.folder_number, ti.item_number) as target_number
+    FROM record_links l
+    LEFT JOIN folders sf ON l.source_type = 'folder' AND sf.id = l.source_id
+    LEFT JOIN items si ON l.source_type = 'item' AND si.id = l.source_id
+    LEFT JOIN folders tf ON l.target_type = 'folder' AND tf.id = l.target_id
+    LEFT JOIN items ti ON l.target_type = 'item' AND ti.id = l.target_id
+    WHERE COALESCE(sf.id, si.id) IS NOT NULL AND COALESCE(tf.id, ti.id) IS NOT NULL
+    ORDER BY source_number, target_number
+  `);
+}
+
+/**
+ * Folders and items to offer in the link picker: number or name matches.
+ *
+ * @param {string} query - Part of a JD number or name
+ * @param {number} [limit=10]
+ * @returns {Array<{entity_type: string, id: number, number: string, name: string}>}
+ */
+export function findLinkTargets(query, limit = 10) {
+  if (!query.trim()) return [];
+  const pattern = containsPattern(query.trim());
+  return queryAll(
+    `SELECT 'folder' as entity_type, id, folder_number as number, name FROM folders
+     WHERE folder_number LIKE ? ESCAPE '\\' OR name LIKE ? ESCAPE '\\'
+     UNION ALL
+     SELECT 'item', id, item_number, name FROM items
+     WHERE item_number LIKE ? ESCAPE '\\' OR name LIKE ? ESCAPE '\\'
+     ORDER BY number
+     LIMIT ?`,
+    [pattern, pattern, pattern, pattern, limit]
+  );
+}
+
+/**
+ * Check the outgoing links a folder or item is about to get.
+ *
+ * @throws {ValidationError} On an unknown link type, a link to itself or to a missing record
+ */
+function checkLinks(entityType, id, links) {
+  links.forEach((link) => {
+    if (!(link.link_type in LINK_TYPES)) {
+      throw new ValidationError('Choose the kind of link', 'link_type', link.link_type);
+    }
+    const table = LINK_TABLES[link.other_type];
+    const exists =
+      table && queryValue(`SELECT COUNT(*) FROM ${table} WHERE id = ?`, [link.other_id]) > 0;
+    if (!exists) {
+      throw new ValidationError(
+        `${link.other_number || 'The linked record'} no longer exists`,
+        'links',
+        link.other_id
+      );
+    }
+    if (link.other_type === entityType && link.other_id === id) {
+      throw new ValidationError(`A ${entityType} can't link to itself`, 'links', id);
+    }
+  });
+}
+
+/**
+ * Replace a folder's or item's outgoing links. Run inside a transaction,
+ * after checkLinks.
+ */
+function setLinks(entityType, id, links) {
+  execute('DELETE FROM record_links WHERE source_type = ? AND source_id = ?', [entityType, id]);
+  links.forEach((link) => {
+    execute(
+      `INSERT OR IGNORE INTO record_links (source_type, source_id, target_type, target_id, link_type)
+       VALUES (?, ?, ?, ?, ?)`,
+      [entityType, id, link.other_type, link.other_id, link.link_type]
+    );
+  });
+}
+
+// ============================================
+// FIELD HISTORY
+// ============================================
+// Every update to a folder or item records the old and new value of each
+// field it changed, as one numbered version of the record. Reverts go back
+// through updateFolder/updateItem, so a revert is a new version (and undo
+// takes it back like any other edit).
+
+// Fields whose changes are recorded, besides tags. Numbers follow the
+// category or folder, so they're shown but not reverted on their own.
+const HISTORY_FIELDS = {
+  folder: {
+    table: 'folders',
+    number: 'folder_number',
+    columns: [
+      'folder_number',
+      'category_id',
+      'name',
+      'description',
+      'sensitivity',
+      'location',
+      'storage_path',
+      'notes',
+      'review_date',
+      'review_rule',
+      'expires_on',
+    ],
+  },
+  item: {
+    table: 'items',
+    number: 'item_number',
+    columns: [
+      'item_number',
+      'folder_id',
+      'name',
+      'description',
+      'file_type',
+      'sensitivity',
+      'location',
+      'storage_path',
+      'file_size',
+      'notes',
+      'custom_values',
+      'review_date',
+      'review_rule',
+      'expires_on',
+    ],
+  },
+};
+
+// Text columns that hold '' rather than NULL when empty
+const EMPTY_TEXT_COLUMNS = ['description', 'file_type', 'location', 'storage_path', 'notes'];
+
+// Records inside trackFieldChanges, so a move made by an update isn't recorded twice
+const trackedRecords = new Set();
+
+// A field value as stored in field_history; empty values are all null
+function historyValue(field, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (field === 'tags') return value === '[]' ? null : value;
+  if (field === 'custom_values') {
+    const entries = Object.entries(parseCustomValues(value)).sort(([a], [b]) => a - b);
+    return entries.length > 0 ? JSON.stringify(Object.fromEntries(entries)) : null;
+  }
+  return String(value);
+}
+
+// The recorded fields of a folder or item, or null if it doesn't exist
+function readHistoryFields(entityType, id) {
+  const { table, columns } = HISTORY_FIELDS[entityType];
+  const row = queryOne(
+    `SELECT ${columns.join(', ')}, ${tagNamesColumn(entityType, 'r.id')} FROM ${table} r WHERE r.id = ?`,
+    [id]
+  );
+  if (!row) return null;
+  return Object.fromEntries(
+    Object.entries(row).map(([field, v]) => [field, historyValue(field, v)])
+  );
+}
+
+/**
+ * Run `fn` and record what it changed on a folder or item as one version.
+ *
+ * @param {'folder'|'item'} entityType
+ * @param {number} id
+ * @param {Function} fn - The update; runs inside a transaction
+ * @returns {*} What fn returns
+ */
+function trackFieldChanges(entityType, id, fn) {
+  const key = `${entityType}:${Number(id)}`;
+  if (trackedRecords.has(key)) return fn();
+
+  trackedRecords.add(key);
+  try {
+    return withTransaction(() => {
+      const before = readHistoryFields(entityType, id);
+      const result = fn();
+      const after = readHistoryFields(entityType, id);
+      const changed =
+        before && after ? Object.keys(after).filter((f) => before[f] !== after[f]) : [];
+
+      if (changed.length > 0) {
+        const version = queryValue(
+          'SELECT COALESCE(MAX(version), 0) + 1 FROM field_history WHERE entity_type = ? AND entity_id = ?',
+          [entityType, id]
+        );
+        changed.forEach((field) => {
+          execute(
+            `INSERT INTO field_history (entity_type, entity_id, version, field, old_value, new_value)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [entityType, id, version, field, before[field], after[field]]
+          );
+        });
+      }
+      return result;
+    });
+  } finally {
+    trackedRecords.delete(key);
+  }
+}
+
+// A recorded value as text for the History panel
+function describeHistoryValue(field, value) {
+  if (value === null) return null;
+  switch (field) {
+    case 'category_id': {
+      const category = queryOne('SELECT number, name FROM categories WHERE id = ?', [value]);
+      return category ? `${pad2(category.number)} ${category.name}` : `Deleted category`;
+    }
+    case 'folder_id': {
+      const folder = queryOne('SELECT folder_number, name FROM folders WHERE id = ?', [value]);
+      return folder ? `${folder.folder_number} ${folder.name}` : `Deleted folder`;
+    }
+    case 'tags':
+      return JSON.parse(value).join(', ');
+    case 'review_rule':
+      return describeReviewRule(value);
+    case 'custom_values':
+      return Object.entries(parseCustomValues(value))
+        .map(([fieldId, v]) => {
+          const definition = queryOne('SELECT * FROM custom_fields WHERE id = ?', [fieldId]);
+          return definition
+            ? `${definition.name}: ${formatFieldValue(definition, v)}`
+            : `Deleted field: ${v}`;
+        })
+        .join('; ');
+    default:
+      return value;
+  }
+}
+
+/**
+ * A folder's or item's versions, newest first.
+ *
+ * @param {'folder'|'item'} entityType
+ * @param {number} id
+ * @returns {Array<{version: number, changed_at: string, changes: Array<Object>}>} Each change
+ *   has id, field, old_value, new_value, old_text and new_text (null when empty), and
+ *   revertable
+ */
+export function getFieldHistory(entityType, id) {
+  const { number } = HISTORY_FIELDS[entityType];
+  const versions = [];
+  queryAll(
+    `SELECT * FROM field_history WHERE entity_type = ? AND entity_id = ?
+     ORDER BY version DESC, id`,
+    [entityType, id]
+  ).forEach((change) => {
+    let version = versions[versions.length - 1];
+    if (version?.version !== change.version) {
+      version = { version: change.version, changed_at: change.changed_at, changes: [] };
+      versions.push(version);
+    }
+    version.changes.push({
+      id: change.id,
+      field: change.field,
+      old_value: change.old_value,
+      new_value: change.new_value,
+      old_text: describeHistoryValue(change.field, change.old_value),
+      new_text: describeHistoryValue(change.field, change.new_value),
+      revertable: change.field !== number,
+    });
+  });
+  return versions;
+}
+
+// Write recorded values back through updateFolder/updateItem, as one logged revert
+function applyHistoryValues(entityType, id, values, description) {
+  const { table, number } = HISTORY_FIELDS[entityType];
+  const record = queryOne(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  if (!record) {
+    throw new DatabaseError(
+      `${entityType === 'folder' ? 'Folder' : 'Item'} not found: ${id}`,
+      'update'
+    );
+  }
+
+  const updates = {};
+  Object.entries(values).forEach(([field, value]) => {
+    if (field === 'tags') {
+      updates.tags = value ? JSON.parse(value) : [];
+    } else if (field === 'custom_values') {
+      // Clear what's there now, then put the old values back
+      const current = Object.keys(parseCustomValues(record.custom_values));
+      updates.custom_values = {
+        ...Object.fromEntries(current.map((fieldId) => [fieldId, null])),
+        ...parseCustomValues(value),
+      };
+    } else if (field === 'category_id' || field === 'folder_id') {
+      updates[field] = Number(value);
+    } else if (value === null && EMPTY_TEXT_COLUMNS.includes(field)) {
+      updates[field] = '';
+    } else {
+      updates[field] = value;
+    }
+  });
+  if (Object.keys(updates).length === 0) return;
+
+  withTransaction(() => {
+    logActivity('revert', entityType, record[number], `${description}: ${record.name}`);
+    if (entityType === 'folder') {
+      updateFolder(id, updates);
+    } else {
+      updateItem(id, updates);
+    }
+  });
+  saveDatabase();
+}
+
+/**
+ * Put one field back to the value it had before a recorded change.
+ *
+ * @param {number} changeId - A field_history id (see getFieldHistory)
+ * @throws {ValidationError} If the change is to a number, which follows the category or folder
+ */
+export function revertFieldChange(changeId) {
+  const id = validatePositiveInteger(changeId, 'Change ID');
+  const change = queryOne('SELECT * FROM field_history WHERE id = ?', [id]);
+  if (!change) {
+    throw new DatabaseError(`Change not found: ${id}`, 'update');
+  }
+  const { number } = HISTORY_FIELDS[change.entity_type];
+  if (change.field === number) {
+    const parent = change.entity_type === 'folder' ? 'category' : 'folder';
+    throw new ValidationError(
+      `The number follows the ${parent}; revert the ${parent} instead`,
+      'field',
+      change.field
+    );
+  }
+  applyHistoryValues(
+    change.entity_type,
+    change.entity_id,
+    { [change.field]: change.old_value },
+    `Reverted ${change.field.replace(/_/g, ' ')}`
+  );
+}
+
+/**
+ * Put a folder or item back the way it was after a version: every field
+ * changed since then gets the value it had at that point. Version 0 is the
+ * record as created.
+ *
+ * @param {'folder'|'item'} entityType
+ * @param {number} id
+ * @param {number} version
+ */
+export function revertToVersion(entityType, id, version) {
+  const { number } = HISTORY_FIELDS[entityType];
+  const values = {};
+  // Newest first, so each field ends up with the value before its earliest later change
+  queryAll(
+    `SELECT field, old_value FROM field_history
+     WHERE entity_type = ? AND entity_id = ? AND version > ? AND field != ?
+     ORDER BY version DESC, id DESC`,
+    [entityType, id, version, number]
+  ).forEach((change) => {
+    values[change.field] = change.old_value;
+  });
+  applyHistoryValues(
+    entityType,
+    id,
+    values,
+    version === 0 ? 'Reverted to as created' : `Reverted to version ${version}`
+  );
+}
+
+// ============================================
+// REVIEWS
+// ============================================
+// Review and expiry dates on folders and items (see utils/reviews.js). The
+// dates are ordinary columns, set through updateFolder/updateItem, so they
+// have field history; snoozing only sets snoozed_until, which isn't.
+
+const REVIEW_TABLES = {
+  folder: { table: 'folders', number: 'folder_number' },
+  item: { table: 'items', number: 'item_number' },
+};
+
+/**
+ * Reviews and expiries that are due, oldest first: reviews dated today or
+ * earlier, and expiries within EXPIRY_NOTICE_DAYS. Snoozed records are left
+ * out until their snooze ends.
+ *
+ * @param {string} [today=todayString()] - YYYY-MM-DD
+ * @returns {Array<{key: string, kind: 'review'|'expiry', entity_type: string, id: number,
+ *   number: string, name: string, folder_id: number, due: string, review_rule: string|null}>}
+ *   folder_id is the folder itself, or the item's folder
+ */
+export function getDueReminders(today = todayString()) {
+  const noticeDate = addDays(today, EXPIRY_NOTICE_DAYS);
+  const reminders = [];
+
+  Object.entries(REVIEW_TABLES).forEach(([entityType, { table, number }]) => {
+    const folderId = entityType === 'folder' ? 'id' : 'folder_id';
+    queryAll(
+      `SELECT id, ${number} as number, name, ${folderId} as folder_id,
+              review_date, review_rule, expires_on
+       FROM ${table}
+       WHERE (review_date <= ? OR expires_on <= ?)
+         AND (snoozed_until IS NULL OR snoozed_until <= ?)`,
+      [today, noticeDate, today]
+    ).forEach((row) => {
+      const record = {
+        entity_type: entityType,
+        id: row.id,
+        number: row.number,
+        name: row.name,
+        folder_id: row.folder_id,
+      };
+      if (row.review_date && row.review_date <= today) {
+        reminders.push({
+          ...record,
+          key: `${entityType}:${row.id}:review`,
+          kind: 'review',
+          due: row.review_date,
+          review_rule: row.review_rule,
+        });
+      }
+      if (row.expires_on && row.expires_on <= noticeDate) {
+        reminders.push({
+          ...record,
+          key: `${entityType}:${row.id}:expiry`,
+          kind: 'expiry',
+          due: row.expires_on,
+          review_rule: null,
+        });
+      }
+    });
+  });
+
+  return reminders.sort((a, b) => a.due.localeCompare(b.due) || a.number.localeCompare(b.number));
+}
+
+function getReviewRecord(entityType, id) {
+  const { table, number } = REVIEW_TABLES[entityType];
+  const record = queryOne(`SELECT *, ${number} as number FROM ${table} WHERE id = ?`, [id]);
+  if (!record) {
+    throw new DatabaseError(
+      `${entityType === 'folder' ? 'Folder' : 'Item'} not found: ${id}`,
+      'update'
+    );
+  }
+  return record;
+}
+
+/**
+ * Put off a folder's or item's reminders (review and expiry) for a while.
+ *
+ * @param {'folder'|'item'} entityType
+ * @param {number} id
+ * @param {number} days
+ */
+export function snoozeReminder(entityType, id, days) {
+  const recordId = validatePositiveInteger(id, 'ID');
+  const snoozeDays = validatePositiveInteger(days, 'Snooze days');
+  const until = addDays(todayString(), snoozeDays);
+
+  withTransaction(() => {
+    const record = getReviewRecord(entityType, recordId);
+    execute(`UPDATE ${REVIEW_TABLES[entityType].table} SET snoozed_until = ? WHERE id = ?`, [
+      until,
+      recordId,
+    ]);
+    logActivity('snooze', entityType, record.number, `Snoozed until ${until}: ${record.name}`);
+  });
+  saveDatabase();
+}
+
+/**
+ * Mark a reminder done. A recurring review moves to its next date and a
+ * one-off review is cleared; an expiry takes the renewed date, or is
+ * cleared if there isn't one.
+ *
+ * @param {'folder'|'item'} entityType
+ * @param {number} id
+ * @param {'review'|'expiry'} kind
+ * @param {string|null} [renewedUntil=null] - New expiry date (YYYY-MM-DD)
+ * @throws {ValidationError} If the new expiry date is invalid
+ */
+export function completeReminder(entityType, id, kind, renewedUntil = null) {
+  const recordId = validatePositiveInteger(id, 'ID');
+  const record = getReviewRecord(entityType, recordId);
+
+  let updates;
+  let description;
+  if (kind === 'expiry') {
+    updates = normalizeReviewFields({ expires_on: renewedUntil });
+    description = updates.expires_on ? `Renewed until ${updates.expires_on}` : 'Expiry cleared';
+  } else {
+    const next =
+      record.review_rule && record.review_date
+        ? advanceReviewDate(record.review_rule, record.review_date)
+        : null;
+    updates = { review_date: next };
+    description = next ? `Reviewed, next review ${next}` : 'Reviewed';
+  }
+
+  withTransaction(() => {
+    logActivity('review', entityType, record.number, `${description}: ${record.name}`);
+    if (entityType === 'folder') {
+      updateFolder(recordId, updates);
+    } else {
+      updateItem(recordId, updates);
+    }
+    execute(`UPDATE ${REVIEW_TABLES[entityType].table} SET snoozed_until = NULL WHERE id = ?`, [
+      recordId,
+    ]);
+  });
+  saveDatabase();
+}
+
+// ============================================
+// FOLDER FUNCTIONS (Level 3 - XX.XX containers)
+// ============================================
+
+// Folder columns plus the category/area details shown alongside them
+const FOLDER_SELECT = `
+  SELECT f.*, c.number as category_number, c.name as category_name,
+         a.name as area_name, a.color as area_color,
+         (SELECT GROUP_CONCAT(alias, ', ') FROM number_aliases
+          WHERE entity_type = 'folder' AND entity_id = f.id) as aliases,
+         ${tagNamesColumn('folder', 'f.id')}
+  FROM folders f
+  JOIN categories c ON f.category_id = c.id
+  JOIN areas a ON c.area_id = a.id
+`;
+
+// A folder row as the app uses it, with its tags parsed
+function toFolder(row) {
+  return row && { ...row, tags: JSON.parse(row.tags) };
+}
+
+export function getFolders(categoryId = null) {
+  let query = `${FOLDER_SELECT} WHERE 1=1`;
+  const params = [];
+
+  if (categoryId) {
+    query += ' AND f.category_id = ?';
+    params.push(categoryId);
+  }
+  query += ' ORDER BY f.folder_number';
+
+  return queryAll(query, params).map(toFolder);
+}
+
+export function getFolder(folderId) {
+  return toFolder(queryOne(`${FOLDER_SELECT} WHERE f.id = ?`, [folderId]));
+}
+
+/**
+ * Get a folder by its JD folder number (e.g., "11.01").
+ *
+ * @param {string} folderNumber - The JD folder number
+ * @returns {Object|null} The folder object or null if not found
+ */
+export function getFolderByNumber(folderNumber) {
+  if (!folderNumber || typeof folderNumber !== 'string') {
+    return null;
+  }
+
+  return toFolder(
+    queryOne(`${FOLDER_SELECT} WHERE f.folder_number = ? LIMIT 1`, [folderNumber.trim()])
+  );
+}
+
+/**
+ * Next free folder number in a category.
+ *
+ * @param {number} categoryId
+ * @param {string} [strategy] - Defaults to the saved strategy (see utils/numbering.js)
+ * @returns {{folder_number: string, sequence: number}|null} null if the category doesn't exist
+ * @throws {ValidationError} If the category has no folder numbers left
+ */
+export function getNextFolderNumber(categoryId, strategy = getAllocationStrategy()) {
+  const category = queryOne('SELECT number, name FROM categories WHERE id = ?', [categoryId]);
+  if (!category) return null;
+
+  const catStr = pad2(category.number);
+  const used = queryAll('SELECT sequence FROM folders WHERE category_id = ?', [categoryId]).map(
+    (f) => f.sequence
+  );
+  const nextSeq = nextSequence(catStr, used, strategy, `Category ${catStr} ${category.name}`);
+
+  return { folder_number: `${catStr}.${pad2(nextSeq)}`, sequence: nextSeq };
+}
+
+export function createFolder(folder) {
+  return withTransaction(() => {
+    const { id, number } = insertFolder(folder);
+    logActivity('create', 'folder', number, `Created folder: ${folder.name}`);
+    saveDatabase();
+    return id;
+  });
+}
+
+/**
+ * Insert a folder without an activity entry, for callers that log the
+ * change their own way (see duplicateFolder). Run inside a transaction.
+ *
+ * @returns {{id: number, number: string}}
+ * @throws {ValidationError} If the category doesn't exist or the number can't be used
+ */
+function insertFolder(folder) {
+  const catNumber = queryValue('SELECT number FROM categories WHERE id = ?', [folder.category_id]);
+  if (catNumber === null) {
+    throw new ValidationError('Category not found', 'category_id', folder.category_id);
+  }
+
+  const { number, sequence } = claimNumber('folder', folder.folder_number, pad2(catNumber));
+  execute(
+    `INSERT INTO folders (folder_number, category_id, sequence, name, description, sensitivity, location, storage_path, notes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      number,
+      folder.category_id,
+      sequence,
+      folder.name,
+      folder.description || '',
+      folder.sensitivity || 'standard',
+      folder.location || '',
+      folder.storage_path || '',
+      folder.notes || '',
+    ]
+  );
+
+  const id = lastInsertId();
+  setTags('folder', id, folder.tags);
+  return { id, number };
+}
+
+export function updateFolder(id, updates) {
+  if (updates.links !== undefined) checkLinks('folder', id, updates.links);
+  updates = { ...updates, ...normalizeReviewFields(updates) };
+
+  // The whole edit, a move included, is one version in the folder's history
+  trackFieldChanges('folder', id, () => {
+    // A new category means a new number for the folder and its items
+    const currentCategory = queryValue('SELECT category_id FROM folders WHERE id = ?', [id]);
+    if (
+      updates.category_id !== undefined &&
+      currentCategory !== null &&
+      Number(updates.category_id) !== currentCategory
+    ) {
+      moveFolder(id, Number(updates.category_id));
+      updates = Object.fromEntries(
+        Object.entries(updates).filter(
+          ([key]) => !['category_id', 'folder_number', 'sequence'].includes(key)
+        )
+      );
+    }
+
+    const validColumns = [
+      'folder_number',
+      'category_id',
+      'sequence',
+      'name',
+      'description',
+      'sensitivity',
+      'location',
+      'storage_path',
+      'notes',
+      'review_date',
+      'review_rule',
+      'expires_on',
+    ];
+
+    const fields = [];
+    const values = [];
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (validColumns.includes(key) && value !== undefined) {
+        fields.push(`${key} = ?`);
+        values.push(value);
+      }
+    });
+
+    if (fields.length === 0 && updates.tags === undefined && updates.links === undefined) return;
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+
+    execute(`UPDATE folders SET ${fields.join(', ')} WHERE id = ?`, values);
+    if (updates.tags !== undefined) setTags('folder', id, updates.tags);
+    if (updates.links !== undefined) setLinks('folder', id, updates.links);
+
+    const folder = queryOne('SELECT folder_number, name FROM folders WHERE id = ?', [id]);
+    if (folder) {
+      logActivity('update', 'folder', folder.folder_number, `Updated: ${folder.name}`);
+    }
+  });
+
+  saveDatabase();
+}
+
+/**
+ * Move a folder to another category. The folder gets the next free number
+ * there, and its items, organized file records and organization rules follow
+ * (see applyFolderNumber). The old and new numbers of the folder and each
+ * item go to the activity log so they can still be traced.
+ *
+ * @param {number} folderId
+ * @param {number} targetCategoryId
+ * @returns {{old_number: string, folder_number: string}}
+ * @throws {DatabaseError} If the folder or the target category doesn't exist
+ */
+export function moveFolder(folderId, targetCategoryId) {
+  const id = validatePositiveInteger(folderId, 'Folder ID');
+  const categoryId = validatePositiveInteger(targetCategoryId, 'Category ID');
+
+  const result = trackFieldChanges('folder', id, () => {
+    const folder = queryOne('SELECT folder_number, category_id, name FROM folders WHERE id = ?', [
+      id,
+    ]);
+    if (!folder) {
+      throw new DatabaseError(`Folder not found: ${id}`, 'update');
+    }
+    if (folder.category_id === categoryId) {
+      return { old_number: folder.folder_number, folder_number: folder.folder_number };
+    }
+
+    const next = getNextFolderNumber(categoryId);
+    if (!next) {
+      throw new DatabaseError(`Category not found: ${categoryId}`, 'update');
+    }
+
+    const oldItems = queryAll('SELECT id, item_number FROM items WHERE folder_id = ?', [id]);
+
+    applyFolderNumber(id, next.folder_number);
+    execute(
+      'UPDATE folders SET category_id = ?, sequence = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [categoryId, next.sequence, id]
+    );
+
+    logActivity(
+      'move',
+      'folder',
+      next.folder_number,
+      `Moved ${folder.name} from ${folder.folder_number} to ${next.folder_number}`
+    );
+    oldItems.forEach((item) => {
+      const newNumber = queryValue('SELECT item_number FROM items WHERE id = ?', [item.id]);
+      if (newNumber !== item.item_number) {
+        logActivity(
+          'renumber',
+          'item',
+          newNumber,
+          `Renumbered from ${item.item_number} (folder moved)`
+        );
+      }
+    });
+
+    return { old_number: folder.folder_number, folder_number: next.folder_number };
+  });
+
+  saveDatabase();
+  return result;
+}
+
+/**
+ * Give a folder a new number and carry it over to everything that refers
+ * to the folder by number: its items' numbers, organized file records,
+ * scanned file suggestions and organization rules that target it. The old numbers are kept as aliases.
+ * Run inside a transaction.
+ *
+ * @param {number} folderId
+ * @param {string} newNumber - e.g. "12.03"
+ * @returns {string|null} The old number, or null if the folder doesn't exist
+ */
+function applyFolderNumber(folderId, newNumber) {
+  const oldNumber = queryValue('SELECT folder_number FROM folders WHERE id = ?', [folderId]);
+  if (oldNumber === null || oldNumber === newNumber) return oldNumber;
+
+  execute('UPDATE folders SET folder_number = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [
+    newNumber,
+    folderId,
+  ]);
+  recordNumberAlias('folder', folderId, oldNumber, newNumber);
+
+  // Only items numbered under the old prefix; anything else is already inconsistent
+  const oldPrefix = `${oldNumber}.`;
+  const items = queryAll(
+    'SELECT id, item_number FROM items WHERE folder_id = ? AND substr(item_number, 1, ?) = ?',
+    [folderId, oldPrefix.length, oldPrefix]
+  );
+  items.forEach((item) => {
+    recordNumberAlias(
+      'item',
+      item.id,
+      item.item_number,
+      newNumber + item.item_number.slice(oldNumber.length)
+    );
+  });
+  execute(
+    `UPDATE items SET item_number = ? || substr(item_number, ?), updated_at = CURRENT_TIMESTAMP
+     WHERE folder_id = ? AND substr(item_number, 1, ?) = ?`,
+    [newNumber, oldPrefix.length, folderId, oldPrefix.length, oldPrefix]
+  );
+  moveReservations(oldPrefix, `${newNumber}.`);
+
+  execute('UPDATE organized_files SET jd_folder_number = ? WHERE jd_folder_number = ?', [
+    newNumber,
+    oldNumber,
+  ]);
+  execute('UPDATE scanned_files SET suggested_jd_folder = ? WHERE suggested_jd_folder = ?', [
+    newNumber,
+    oldNumber,
+  ]);
+  execute('UPDATE scanned_files SET user_target_folder = ? WHERE user_target_folder = ?', [
+    newNumber,
+    oldNumber,
+  ]);
+  execute(
+    "UPDATE organization_rules SET target_id = ?, updated_at = CURRENT_TIMESTAMP WHERE target_type = 'folder' AND target_id = ?",
+    [newNumber, oldNumber]
+  );
+
+  return oldNumber;
+}
+
+/**
+ * Remember a folder's or item's former number so searching for it still
+ * finds the record. Run inside a transaction.
+ *
+ * @param {'folder'|'item'} entityType
+ * @param {number} entityId
+ * @param {string} oldNumber
+ * @param {string} newNumber
+ */
+function recordNumberAlias(entityType, entityId, oldNumber, newNumber) {
+  execute('INSERT OR IGNORE INTO number_aliases (entity_type, entity_id, alias) VALUES (?, ?, ?)', [
+    entityType,
+    entityId,
+    oldNumber,
+  ]);
+  // Moving back to a former number makes it the current one again
+  execute('DELETE FROM number_aliases WHERE entity_type = ? AND entity_id = ? AND alias = ?', [
+    entityType,
+    entityId,
+    newNumber,
+  ]);
+}
+
+export function deleteFolder(id) {
+  // Check if folder has items
+  const itemCount = queryValue('SELECT COUNT(*) FROM items WHERE folder_id = ?', [id]);
+  if (itemCount > 0) {
+    throw new Error('Cannot delete folder with existing items. Delete or move items first.');
+  }
+
+  withTransaction(() => {
+    const folder = queryOne('SELECT folder_number, name FROM folders WHERE id = ?', [id]);
+    if (folder) {
+      logActivity('delete', 'folder', folder.folder_number, `Deleted: ${folder.name}`);
+    }
+
+    moveToTrash('folder', id);
+  });
+  saveDatabase();
+}
+
+// ============================================
+// ITEM FUNCTIONS (Level 4 - XX.XX.XX objects)
+// ============================================
+
+// Item columns plus the folder/category/area details shown alongside them
+const ITEM_SELECT = `
+  SELECT i.*, f.folder_number, f.name as folder_name, f.sensitivity as folder_sensitivity,
+         c.number as category_number, c.name as category_name,
+         a.name as area_name, a.color as area_color,
+         (SELECT GROUP_CONCAT(alias, ', ') FROM number_aliases
+          WHERE entity_type = 'item' AND entity_id = i.id) as aliases,
+         ${tagNamesColumn('item', 'i.id')}
+  FROM items i
+  JOIN folders f ON i.folder_id = f.id
+  JOIN categories c ON f.category_id = c.id
+  JOIN areas a ON c.area_id = a.id
+`;
+
+/**
+ * An item row as the app uses it: with the computed effective_sensitivity
+ * (items set to 'inherit' take their folder's sensitivity), and the custom
+ * field values and tags parsed.
+ */
+function toItem(item) {
+  return {
+    ...item,
+    effective_sensitivity:
+      item.sensitivity === 'inherit' ? item.folder_sensitivity : item.sensitivity,
+    custom_values: parseCustomValues(item.custom_values),
+    tags: JSON.parse(item.tags),
+  };
+}
+
+export function getItems(folderId = null) {
+  let query = `${ITEM_SELECT} WHERE 1=1`;
+  const params = [];
+
+  if (folderId) {
+    query += ' AND i.folder_id = ?';
+    params.push(folderId);
+  }
+  query += ' ORDER BY i.item_number';
+
+  return queryAll(query, params).map(toItem);
+}
+
+/**
+ * Next free item number in a folder.
+ *
+ * @param {number} folderId
+ * @param {string} [strategy] - Defaults to the saved strategy (see utils/numbering.js)
+ * @returns {{item_number: string, sequence: number}|null} null if the folder doesn't exist
+ * @throws {ValidationError} If the folder has no item numbers left
+ */
+export function getNextItemNumber(folderId, strategy = getAllocationStrategy()) {
+  const folder = queryOne('SELECT folder_number, name FROM folders WHERE id = ?', [folderId]);
+  if (!folder) return null;
+
+  const used = queryAll('SELECT sequence FROM items WHERE folder_id = ?', [folderId]).map(
+    (i) => i.sequence
+  );
+  const nextSeq = nextSequence(
+    folder.folder_number,
+    used,
+    strategy,
+    `Folder ${folder.folder_number} ${folder.name}`
+  );
+
+  return { item_number: `${folder.folder_number}.${pad2(nextSeq)}`, sequence: nextSeq };
+}
+
+export function createItem(item) {
+  return withTransaction(() => {
+    const { id, number } = insertItem(item);
+    logActivity('create', 'item', number, `Created item: ${item.name}`);
+    saveDatabase();
+    return id;
+  });
+}
+
+/**
+ * Insert an item without an activity entry, for callers that log the
+ * change their own way (see duplicateFolder). Run inside a transaction.
+ *
+ * @returns {{id: number, number: string}}
+ * @throws {ValidationError} If the folder doesn't exist or the number can't be used
+ */
+function insertItem(item) {
+  const folderNumber = queryValue('SELECT folder_number FROM folders WHERE id = ?', [
+    item.folder_id,
+  ]);
+  if (folderNumber === null) {
+    throw new ValidationError('Folder not found', 'folder_id', item.folder_id);
+  }
+
+  const { number, sequence } = claimNumber('item', item.item_number, folderNumber);
+  const customValues = normalizeFieldValues(
+    getFieldsForFolder(item.folder_id),
+    item.custom_values || {}
+  );
+  execute(
+    `INSERT INTO items (item_number, folder_id, sequence, name, description, file_type, sensitivity, location, storage_path, file_size, notes, custom_values)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      number,
+      item.folder_id,
+      sequence,
+      item.name,
+      item.description || '',
+      item.file_type || '',
+      item.sensitivity || 'inherit',
+      item.location || '',
+      item.storage_path || '',
+      item.file_size || null,
+      item.notes || '',
+      JSON.stringify(customValues),
+    ]
+  );
+
+  const id = lastInsertId();
+  setTags('item', id, item.tags);
+  return { id, number };
+}
+
+export function updateItem(id, updates) {
+  if (updates.links !== undefined) checkLinks('item', id, updates.links);
+  updates = { ...updates, ...normalizeReviewFields(updates) };
+
+  // The whole edit, a move included, is one version in the item's history
+  trackFieldChanges('item', id, () => {
+    // Custom values are checked against the fields of the item's (new) folder,
+    // before anything is moved
+    if (updates.custom_values !== undefined) {
+      const item = queryOne('SELECT folder_id, custom_values FROM items WHERE id = ?', [id]);
+      const folderId =
+        updates.folder_id !== undefined ? Number(updates.folder_id) : item?.folder_id;
+      updates = {
+        ...updates,
+        custom_values:
+          item &&
+          JSON.stringify(
+            normalizeFieldValues(
+              getFieldsForFolder(folderId),
+              updates.custom_values,
+              parseCustomValues(item.custom_values)
+            )
+          ),
+      };
+    }
+
+    // A new folder means a new number for the item
+    const currentFolder = queryValue('SELECT folder_id FROM items WHERE id = ?', [id]);
+    if (
+      updates.folder_id !== undefined &&
+      currentFolder !== null &&
+      Number(updates.folder_id) !== currentFolder
+    ) {
+      moveItem(id, Number(updates.folder_id));
+      updates = Object.fromEntries(
+        Object.entries(updates).filter(
+          ([key]) => !['folder_id', 'item_number', 'sequence'].includes(key)
+        )
+      );
+    }
+
+    const validColumns = [
+      'item_number',
+      'folder_id',
+      'sequence',
+      'name',
+      'description',
+      'file_type',
+      'sensitivity',
+      'location',
+      'storage_path',
+      'file_size',
+      'notes',
+      'custom_values',
+      'review_date',
+      'review_rule',
+      'expires_on',
+    ];
+
+    const fields = [];
+    const values = [];
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (validColumns.includes(key) && value !== undefined) {
+        fields.push(`${key} = ?`);
+        values.push(value);
+      }
+    });
+
+    if (fields.length === 0 && updates.tags === undefined && updates.links === undefined) return;
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+
+    execute(`UPDATE items SET ${fields.join(', ')} WHERE id = ?`, values);
+    if (updates.tags !== undefined) setTags('item', id, updates.tags);
+    if (updates.links !== undefined) setLinks('item', id, updates.links);
+
+    const item = queryOne('SELECT item_number, name FROM items WHERE id = ?', [id]);
+    if (item) {
+      logActivity('update', 'item', item.item_number, `Updated: ${item.name}`);
+    }
+  });
+
+  saveDatabase();
+}
+
+/**
+ * Move an item to another folder. The item gets the next free number there
+ * and keeps its old number as an alias, so searching for it still finds the
+ * item. Organized file records for the item follow it to the new folder.
+ *
+ * @param {number} itemId
+ * @param {number} targetFolderId
+ * @returns {{old_number: string, item_number: string}}
+ * @throws {DatabaseError} If the item or the target folder doesn't exist
+ */
+export function moveItem(itemId, targetFolderId) {
+  const result = trackFieldChanges('item', itemId, () => applyItemMove(itemId, targetFolderId));
+  saveDatabase();
+  return result;
+}
+
+/**
+ * Move several items to one folder in a single transaction. They are
+ * numbered in the order given.
+ *
+ * @param {number[]} itemIds
+ * @param {number} targetFolderId
+ * @returns {Array<{id: number, old_number: string, item_number: string}>}
+ * @throws {DatabaseError} If any item or the target folder doesn't exist; nothing is moved
+ */
+export function moveItems(itemIds, targetFolderId) {
+  const results = withTransaction(() =>
+    itemIds.map((itemId) => ({
+      id: itemId,
+      ...trackFieldChanges('item', itemId, () => applyItemMove(itemId, targetFolderId)),
+    }))
+  );
+  saveDatabase();
+  return results;
+}
+
+// Shared by moveItem and moveItems; run inside a transaction
+function applyItemMove(itemId, targetFolderId) {
+  const id = validatePositiveInteger(itemId, 'Item ID');
+  const folderId = validatePositiveInteger(targetFolderId, 'Folder ID');
+
+  const item = queryOne('SELECT item_number, folder_id, name FROM items WHERE id = ?', [id]);
+  if (!item) {
+    throw new DatabaseError(`Item not found: ${id}`, 'update');
+  }
+  if (item.folder_id === folderId) {
+    return { old_number: item.item_number, item_number: item.item_number };
+  }
+
+  const next = getNextItemNumber(folderId);
+  if (!next) {
+    throw new DatabaseError(`Folder not found: ${folderId}`, 'update');
+  }
+  const folderNumber = next.item_number.slice(0, next.item_number.lastIndexOf('.'));
+
+  execute(
+    'UPDATE items SET folder_id = ?, item_number = ?, sequence = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [folderId, next.item_number, next.sequence, id]
+  );
+  recordNumberAlias('item', id, item.item_number, next.item_number);
+  execute('UPDATE organized_files SET jd_folder_number = ? WHERE jd_item_id = ?', [
+    folderNumber,
+    id,
+  ]);
+
+  logActivity(
+    'move',
+    'item',
+    next.item_number,
+    `Moved ${item.name} from ${item.item_number} to ${next.item_number}`
+  );
+
+  return { old_number: item.item_number, item_number: next.item_number };
+}
+
+export function deleteItem(id) {
+  withTransaction(() => {
+    const item = queryOne('SELECT item_number, name FROM items WHERE id = ?', [id]);
+    if (item) {
+      logActivity('delete', 'item', item.item_number, `Deleted: ${item.name}`);
+    }
+
+    moveToTrash('item', id);
+  });
+  saveDatabase();
+}
+
+// ============================================
+// BULK EDITS
+// ============================================
+// Changes to a multi-selection of folders or items. Each bulk action runs in
+// one transaction, so it's all or nothing, and logs one entry before the
+// per-record changes, so undo takes it back in one step under that label.
+// Records go through updateFolder/updateItem and keep their field history.
+
+const BULK_ENTITIES = {
+  folder: {
+    table: 'folders',
+    number: 'folder_number',
+    sensitivities: ['standard', 'sensitive', 'work'],
+  },
+  item: {
+    table: 'items',
+    number: 'item_number',
+    sensitivities: ['inherit', 'standard', 'sensitive', 'work'],
+  },
+};
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * Work out what a bulk edit does to each record.
+ *
+ * @returns {Array<{id: number, updates: Object, changed: string[]}>} Records it changes
+ */
+function planBulkEdit(entityType, ids, changes) {
+  const { table, sensitivities } = BULK_ENTITIES[entityType];
+  if (changes.sensitivity !== undefined && !sensitivities.includes(changes.sensitivity)) {
+    throw new ValidationError('Choose a sensitivity', 'sensitivity', changes.sensitivity);
+  }
+  const addTags = parseTagList(changes.add_tags);
+  const removeTags = new Set(parseTagList(changes.remove_tags).map((t) => t.toLowerCase()));
+
+  return ids
+    .map((rawId) => {
+      const id = validatePositiveInteger(rawId, 'ID');
+      const row = queryOne(
+        `SELECT sensitivity, location, storage_path, ${tagNamesColumn(entityType, 'r.id')}
+         FROM ${table} r WHERE r.id = ?`,
+        [id]
+      );
+      if (!row) {
+        throw new DatabaseError(
+          `${entityType === 'folder' ? 'Folder' : 'Item'} not found: ${id}`,
+          'update'
+        );
+      }
+
+      const updates = {};
+      const changed = [];
+      ['sensitivity', 'location', 'storage_path'].forEach((field) => {
+        if (changes[field] !== undefined && changes[field] !== (row[field] || '')) {
+          updates[field] = changes[field];
+          changed.push(field);
+        }
+      });
+
+      const tags = JSON.parse(row.tags);
+      const kept = tags.filter((tag) => !removeTags.has(tag.toLowerCase()));
+      if (kept.length < tags.length) changed.push('remove_tags');
+      const present = new Set(kept.map((tag) => tag.toLowerCase()));
+      const added = addTags.filter((tag) => !present.has(tag.toLowerCase()));
+      if (added.length > 0) changed.push('add_tags');
+      if (kept.length < tags.length || added.length > 0) updates.tags = [...kept, ...added];
+
+      return { id, updates, changed };
+    })
+    .filter((plan) => plan.changed.length > 0);
+}
+
+/**
+ * How many of the selected records each part of a bulk edit would change,
+ * for the confirmation summary.
+ *
+ * @param {'folder'|'item'} entityType
+ * @param {number[]} ids
+ * @param {Object} changes - See bulkEditRecords
+ * @returns {{records: number, sensitivity: number, location: number, storage_path: number,
+ *   add_tags: number, remove_tags: number}}
+ * @throws {ValidationError} If the sensitivity isn't allowed
+ */
+export function previewBulkEdit(entityType, ids, changes) {
+  const counts = {
+    records: 0,
+    sensitivity: 0,
+    location: 0,
+    storage_path: 0,
+    add_tags: 0,
+    remove_tags: 0,
+  };
+  planBulkEdit(entityType, ids, changes).forEach(({ changed }) => {
+    counts.records += 1;
+    changed.forEach((field) => {
+      counts[field] += 1;
+    });
+  });
+  return counts;
+}
+
+/**
+ * Set sensitivity, location or storage path, and add or remove tags, on
+ * several folders or items at once. Fields left undefined aren't touched.
+ *
+ * @param {'folder'|'item'} entityType
+ * @param {number[]} ids
+ * @param {{sensitivity?: string, location?: string, storage_path?: string,
+ *   add_tags?: string|string[], remove_tags?: string|string[]}} changes
+ * @returns {number} Number of records changed
+ * @throws {ValidationError} If the sensitivity isn't allowed; nothing is changed
+ */
+export function bulkEditRecords(entityType, ids, changes) {
+  const count = withTransaction(() => {
+    const plans = planBulkEdit(entityType, ids, changes);
+    if (plans.length === 0) return 0;
+
+    logActivity('update', entityType, null, `Bulk edited ${plural(plans.length, entityType)}`);
+    plans.forEach(({ id, updates }) => {
+      if (entityType === 'folder') {
+        updateFolder(id, updates);
+      } else {
+        updateItem(id, updates);
+      }
+    });
+    return plans.length;
+  });
+  saveDatabase();
+  return count;
+}
+
+/**
+ * Move several folders to one category in a single transaction. They are
+ * numbered in the order given (see moveFolder).
+ *
+ * @param {number[]} folderIds
+ * @param {number} targetCategoryId
+ * @returns {Array<{id: number, old_number: string, folder_number: string}>}
+ * @throws {DatabaseError} If any folder or the category doesn't exist; nothing is moved
+ */
+export function moveFolders(folderIds, targetCategoryId) {
+  const results = withTransaction(() => {
+    logActivity('move', 'folder', null, `Moved ${plural(folderIds.length, 'folder')}`);
+    return folderIds.map((folderId) => ({
+      id: folderId,
+      ...moveFolder(folderId, targetCategoryId),
+    }));
+  });
+  saveDatabase();
+  return results;
+}
+
+/**
+ * Move several folders or items to the trash in a single transaction.
+ *
+ * @param {'folder'|'item'} entityType
+ * @param {number[]} ids
+ * @throws {ValidationError} If a folder still has items; nothing is deleted
+ */
+export function deleteRecords(entityType, ids) {
+  const { table, number } = BULK_ENTITIES[entityType];
+  withTransaction(() => {
+    if (entityType === 'folder') {
+      const withItems = ids
+        .filter((id) => queryValue('SELECT COUNT(*) FROM items WHERE folder_id = ?', [id]) > 0)
+        .map((id) => queryValue('SELECT folder_number FROM folders WHERE id = ?', [id]));
+      if (withItems.length > 0) {
+        throw new ValidationError(
+          `Delete or move the items in ${withItems.join(', ')} first`,
+          'ids',
+          withItems
+        );
+      }
+    }
+
+    logActivity('delete', entityType, null, `Deleted ${plural(ids.length, entityType)}`);
+    ids.forEach((id) => {
+      const record = queryOne(`SELECT ${number} as number, name FROM ${table} WHERE id = ?`, [id]);
+      if (record) {
+        logActivity('delete', entityType, record.number, `Deleted: ${record.name}`);
+      }
+      moveToTrash(entityType, id);
+    });
+  });
+  saveDatabase();
+}
+
+// ============================================
+// DUPLICATES
+// ============================================
+// Copies of a folder with its items (next year's tax folder, a new client)
+// or of a single item. Copies take the next free numbers and get their own
+// tags and custom values; links, history and review dates stay with the
+// original.
+
+/**
+ * A copy's values, leaving out what the options say to clear.
+ *
+ * @param {Object} record - Folder or item
+ * @param {{clear_notes?: boolean, clear_paths?: boolean, clear_sizes?: boolean}} options
+ */
+function copyValues(record, options) {
+  return {
+    description: record.description,
+    sensitivity: record.sensitivity,
+    location: record.location,
+    storage_path: options.clear_paths ? '' : record.storage_path,
+    notes: options.clear_notes ? '' : record.notes,
+    tags: record.tags,
+    ...('item_number' in record && {
+      file_type: record.file_type,
+      file_size: options.clear_sizes ? null : record.file_size,
+      custom_values: record.custom_values,
+    }),
+  };
+}
+
+/**
+ * Custom fields for a copied folder's items: the target category's field of
+ * the same name and type where there is one, otherwise a copy of the
+ * original folder's own field. Values of other fields aren't copied.
+ *
+ * @returns {Object} Original field id -> field id in the copy
+ */
+function copyFolderFields(sourceFolderId, targetFolderId) {
+  const targetFields = getFieldsForFolder(targetFolderId);
+  const fieldIds = {};
+  getFieldsForFolder(sourceFolderId).forEach((field) => {
+    const match = targetFields.find((t) => t.name.toLowerCase() === field.name.toLowerCase());
+    if (match) {
+      if (match.field_type === field.field_type) fieldIds[field.id] = match.id;
+    } else if (field.scope_type === 'folder') {
+      execute(
+        'INSERT INTO custom_fields (scope_type, scope_id, name, field_type, options) VALUES (?, ?, ?, ?, ?)',
+        ['folder', targetFolderId, field.name, field.field_type, JSON.stringify(field.options)]
+      );
+      fieldIds[field.id] = lastInsertId();
+    }
+  });
+  return fieldIds;
+}
+
+/**
+ * Copy a folder and its items into a category. The folder takes the next
+ * folder number there, and the items are numbered in their original order.
+ *
+ * @param {number} folderId
+ * @param {{category_id: number, name: string, clear_notes?: boolean, clear_paths?: boolean,
+ *   clear_sizes?: boolean}} options - clear_* leave notes, storage paths or file sizes empty
+ * @returns {number} Id of the copy
+ * @throws {ValidationError} If the name is missing or the category is full
+ */
+export function duplicateFolder(folderId, options) {
+  const source = getFolder(folderId);
+  if (!source) {
+    throw new DatabaseError(`Folder not found: ${folderId}`, 'insert');
+  }
+  const name = validateRequiredString(options.name, 'Folder name', 200);
+  const categoryId = validatePositiveInteger(options.category_id, 'Category ID');
+
+  const newId = withTransaction(() => {
+    const next = getNextFolderNumber(categoryId);
+    if (!next) {
+      throw new ValidationError('Category not found', 'category_id', categoryId);
+    }
+    const { id, number } = insertFolder({
+      ...copyValues(source, options),
+      ...next,
+      category_id: categoryId,
+      name,
+    });
+    const fieldIds = copyFolderFields(source.id, id);
+    getItems(source.id).forEach((item) => {
+      const values = copyValues(item, options);
+      insertItem({
+        ...values,
+        ...getNextItemNumber(id),
+        folder_id: id,
+        name: item.name,
+        custom_values: Object.fromEntries(
+          Object.entries(values.custom_values)
+            .filter(([fieldId]) => fieldId in fieldIds)
+            .map(([fieldId, value]) => [fieldIds[fieldId], value])
+        ),
+      });
+    });
+
+    // One entry for the folder, its items and fields
+    logActivity(
+      'create',
+      'folder',
+      number,
+      `Duplicated ${source.folder_number} as ${number}: ${name}`
+    );
+    return id;
+  });
+  saveDatabase();
+  return newId;
+}
+
+/**
+ * Copy an item into the same folder under the next item number.
+ *
+ * @param {number} itemId
+ * @param {{name: string, clear_notes?: boolean, clear_paths?: boolean, clear_sizes?: boolean}} options
+ * @returns {number} Id of the copy
+ * @throws {ValidationError} If the name is missing or the folder is full
+ */
+export function duplicateItem(itemId, options) {
+  const source = queryOne(`${ITEM_SELECT} WHERE i.id = ?`, [itemId]);
+  if (!source) {
+    throw new DatabaseError(`Item not found: ${itemId}`, 'insert');
+  }
+  const item = toItem(source);
+  const name = validateRequiredString(options.name, 'Item name', 200);
+
+  const newId = withTransaction(() => {
+    const { id, number } = insertItem({
+      ...copyValues(item, options),
+      ...getNextItemNumber(item.folder_id),
+      folder_id: item.folder_id,
+      name,
+    });
+    logActivity('create', 'item', number, `Duplicated ${item.item_number} as ${number}: ${name}`);
+    return id;
+  });
+  saveDatabase();
+  return newId;
+}
+
+// ============================================
+// CUSTOM FIELDS
+// ============================================
+// Typed fields defined on a category or folder and filled in on the items
+// below it (see utils/customFields.js). Values are stored on the item row.
+
+function parseCustomValues(json) {
+  try {
+    return JSON.parse(json || '{}');
+  } catch {
+    return {};
+  }
+}
+
+// Field columns plus the number and name of the category or folder it's defined on
+const FIELD_SELECT = `
+  SELECT cf.*,
+         CASE cf.scope_type WHEN 'category' THEN printf('%02d', c.number) ELSE f.folder_number END
+           as scope_number,
+         CASE cf.scope_type WHEN 'category' THEN c.name ELSE f.name END as scope_name
+  FROM custom_fields cf
+  LEFT JOIN categories c ON cf.scope_type = 'category' AND c.id = cf.scope_id
+  LEFT JOIN folders f ON cf.scope_type = 'folder' AND f.id = cf.scope_id
+`;
+
+function parseFieldRow(row) {
+  return row && { ...row, options: row.options ? JSON.parse(row.options) : [] };
+}
+
+/**
+ * Every field, grouped by the category or folder it's defined on.
+ *
+ * @returns {Array<Object>} id, scope_type, scope_id, scope_number, scope_name, name,
+ *   field_type, options
+ */
+export function getCustomFields() {
+  return queryAll(`${FIELD_SELECT} ORDER BY cf.scope_type, scope_number, cf.id`).map(parseFieldRow);
+}
+
+/**
+ * Fields the items in a folder have: its category's, then its own.
+ *
+ * @param {number} folderId
+ * @returns {Array<Object>} As for getCustomFields
+ */
+export function getFieldsForFolder(folderId) {
+  if (!folderId) return [];
+  return queryAll(
+    `${FIELD_SELECT}
+     WHERE (cf.scope_type = 'category' AND cf.scope_id = (SELECT category_id FROM folders WHERE id = ?))
+        OR (cf.scope_type = 'folder' AND cf.scope_id = ?)
+     ORDER BY cf.scope_type, cf.id`,
+    [folderId, folderId]
+  ).map(parseFieldRow);
+}
+
+/**
+ * An item sees its category's fields and its folder's, so a name can't be
+ * used twice across a category and its folders.
+ */
+function fieldNameTaken(scopeType, scopeId, name, exceptId = null) {
+  const categoryId =
+    scopeType === 'category'
+      ? scopeId
+      : queryValue('SELECT category_id FROM folders WHERE id = ?', [scopeId]);
+  const folderIds =
+    scopeType === 'category'
+      ? queryAll('SELECT id FROM folders WHERE category_id = ?', [scopeId]).map((f) => f.id)
+      : [scopeId];
+
+  return queryOne(
+    `${FIELD_SELECT}
+     WHERE cf.name = ? COLLATE NOCASE AND cf.id IS NOT ?
+       AND ((cf.scope_type = 'category' AND cf.scope_id = ?)
+         OR (cf.scope_type = 'folder' AND cf.scope_id IN (${folderIds.map(() => '?').join(', ')})))`,
+    [name, exceptId, categoryId, ...folderIds]
+  );
+}
+
+/**
+ * Define a field on a category or folder.
+ *
+ * @param {Object} field - {scope_type: 'category'|'folder', scope_id, name, field_type, options}
+ * @returns {number} Field id
+ * @throws {ValidationError} If the definition is invalid, the category or folder doesn't
+ *   exist, or an item there already has a field with that name
+ */
+export function createCustomField(field) {
+  const { name, field_type, options } = normalizeFieldDefinition(field);
+  const scopeId = Number(field.scope_id);
+  const scope =
+    field.scope_type === 'category'
+      ? queryOne("SELECT printf('%02d', number) as number, name FROM categories WHERE id = ?", [
+          scopeId,
+        ])
+      : queryOne('SELECT folder_number as number, name FROM folders WHERE id = ?', [scopeId]);
+  if (!scope) {
+    throw new ValidationError('Choose the category or folder for the field', 'scope_id', scopeId);
+  }
+
+  const taken = fieldNameTaken(field.scope_type, scopeId, name);
+  if (taken) {
+    throw new ValidationError(
+      `${taken.scope_number} ${taken.scope_name} already has a field named "${taken.name}"`,
+      'name',
+      name
+    );
+  }
+
+  return withTransaction(() => {
+    execute(
+      'INSERT INTO custom_fields (scope_type, scope_id, name, field_type, options) VALUES (?, ?, ?, ?, ?)',
+      [field.scope_type, scopeId, name, field_type, JSON.stringify(options)]
+    );
+    const id = lastInsertId();
+    logActivity(
+      'create',
+      'field',
+      scope.number,
+      `Added field "${name}" to ${scope.number} ${scope.name}`
+    );
+    saveDatabase();
+    return id;
+  });
+}
+
+/**
+ * Rename a field or change its choices. The type can't change once the
+ * field exists, since items may have values of that type.
+ *
+ * @param {number} id
+ * @param {Object} updates - {name, options}
+ * @throws {ValidationError} If the name is taken or a removed choice is still in use
+ */
+export function updateCustomField(id, updates) {
+  const current = parseFieldRow(queryOne(`${FIELD_SELECT} WHERE cf.id = ?`, [id]));
+  if (!current) {
+    throw new ValidationError('Field not found', 'id', id);
+  }
+  const { name, options } = normalizeFieldDefinition({
+    ...current,
+    ...definedValues(updates),
+    field_type: current.field_type,
+  });
+
+  const taken = fieldNameTaken(current.scope_type, current.scope_id, name, id);
+  if (taken) {
+    throw new ValidationError(
+      `${taken.scope_number} ${taken.scope_name} already has a field named "${taken.name}"`,
+      'name',
+      name
+    );
+  }
+
+  const path = `$."${id}"`;
+  const removed = current.options.filter((o) => !options.includes(o));
+  removed.forEach((option) => {
+    const inUse = queryValue(
+      'SELECT COUNT(*) FROM items WHERE json_extract(custom_values, ?) = ?',
+      [path, option]
+    );
+    if (inUse > 0) {
+      throw new ValidationError(
+        `"${option}" is still chosen on ${inUse} item${inUse === 1 ? '' : 's'}; change them first`,
+        'options',
+        option
+      );
+    }
+  });
+
+  withTransaction(() => {
+    execute('UPDATE custom_fields SET name = ?, options = ? WHERE id = ?', [
+      name,
+      JSON.stringify(options),
+      id,
+    ]);
+    logActivity(
+      'update',
+      'field',
+      current.scope_number,
+      `Updated field "${name}" on ${current.scope_number} ${current.scope_name}`
+    );
+  });
+  saveDatabase();
+}
+
+/**
+ * Delete a field and every item's value for it.
+ *
+ * @param {number} id
+ */
+export function deleteCustomField(id) {
+  const field = queryOne(`${FIELD_SELECT} WHERE cf.id = ?`, [id]);
+  if (!field) return;
+
+  const path = `$."${id}"`;
+  withTransaction(() => {
+    execute(
+      'UPDATE items SET custom_values = json_remove(custom_values, ?) WHERE json_extract(custom_values, ?) IS NOT NULL',
+      [path, path]
+    );
+    execute('DELETE FROM custom_fields WHERE id = ?', [id]);
+    logActivity(
+      'delete',
+      'field',
+      field.scope_number,
+      `Deleted field "${field.name}" from ${field.scope_number} ${field.scope_name}`
+    );
+  });
+  saveDatabase();
+}
+
+// ============================================
+// FOLDER TEMPLATES
+// ============================================
+// Named sets of items to create in a new folder (see utils/templates.js).
+// The items are stored as a JSON array on the template row.
+
+function parseTemplateRow(row) {
+  return row && { ...row, items: JSON.parse(row.items) };
+}
+
+/**
+ * @returns {Array<Object>} id, name, description, items, created_at, updated_at - by name
+ */
+export function getFolderTemplates() {
+  return queryAll('SELECT * FROM folder_templates ORDER BY name COLLATE NOCASE').map(
+    parseTemplateRow
+  );
+}
+
+export function getFolderTemplate(id) {
+  return parseTemplateRow(queryOne('SELECT * FROM folder_templates WHERE id = ?', [id]));
+}
+
+function templateNameTaken(name, exceptId = null) {
+  return (
+    queryValue(
+      'SELECT COUNT(*) FROM folder_templates WHERE name = ? COLLATE NOCASE AND id IS NOT ?',
+      [name, exceptId]
+    ) > 0
+  );
+}
+
+/**
+ * @param {Object} template - {name, description, items}
+ * @returns {number} Template id
+ * @throws {ValidationError} If the template is invalid or the name is taken
+ */
+export function createFolderTemplate(template) {
+  const { name, description, items } = normalizeTemplate(template);
+  if (templateNameTaken(name)) {
+    throw new ValidationError(`A template named "${name}" already exists`, 'name', name);
+  }
+
+  return withTransaction(() => {
+    execute('INSERT INTO folder_templates (name, description, items) VALUES (?, ?, ?)', [
+      name,
+      description,
+      JSON.stringify(items),
+    ]);
+    const id = lastInsertId();
+    logActivity('create', 'template', name, `Created template: ${name}`);
+    saveDatabase();
+    return id;
+  });
+}
+
+/**
+ * Replace a template's name, description and items.
+ *
+ * @throws {ValidationError} If the template is invalid or the name is taken
+ */
+export function updateFolderTemplate(id, template) {
+  const { name, description, items } = normalizeTemplate(template);
+  if (templateNameTaken(name, id)) {
+    throw new ValidationError(`A template named "${name}" already exists`, 'name', name);
+  }
+
+  withTransaction(() => {
+    execute(
+      'UPDATE folder_templates SET name = ?, description = ?, items = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [name, description, JSON.stringify(items), id]
+    );
+    logActivity('update', 'template', name, `Updated template: ${name}`);
+  });
+  saveDatabase();
+}
+
+export function deleteFolderTemplate(id) {
+  const name = queryValue('SELECT name FROM folder_templates WHERE id = ?', [id]);
+  if (name === null) return;
+
+  withTransaction(() => {
+    execute('DELETE FROM folder_templates WHERE id = ?', [id]);
+    logActivity('delete', 'template', name, `Deleted template: ${name}`);
+  });
+  saveDatabase();
+}
+
+/**
+ * Make a template from the items in an existing folder.
+ *
+ * @param {number} folderId
+ * @param {string} name - Template name
+ * @param {string} [description]
+ * @returns {number} Template id
+ * @throws {ValidationError} If the folder has no items or the name is taken
+ */
+export function saveFolderAsTemplate(folderId, name, description = '') {
+  const items = getItems(folderId).map((item) => ({
+    name: item.name,
+    description: item.description,
+    tags: item.tags,
+    sensitivity: item.sensitivity,
+  }));
+  return createFolderTemplate({ name, description, items });
+}
+
+/**
+ * Create a folder and the template's items in it, numbered in template order.
+ *
+ * @param {Object} folder - As for createFolder
+ * @param {number} templateId
+ * @returns {number} Folder id
+ * @throws {ValidationError} If the template doesn't exist or the folder can't be created
+ */
+export function createFolderFromTemplate(folder, templateId) {
+  const template = getFolderTemplate(templateId);
+  if (!template) {
+    throw new ValidationError('Template not found', 'template_id', templateId);
+  }
+
+  return withTransaction(() => {
+    const folderId = createFolder(folder);
+    template.items.forEach((item) => {
+      createItem({
+        ...item,
+        ...getNextItemNumber(folderId),
+        folder_id: folderId,
+      });
+    });
+    return folderId;
+  });
+}
+
+/**
+ * Download all templates as a JSON file.
+ */
+export function exportFolderTemplates() {
+  const blob = new Blob([serializeTemplates(getFolderTemplates())], {
+    type: 'application/json',
+  });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `jdex-templates-${new Date().toISOString().split('T')[0]}.json`;
+  a.click();
 
-  const row = results[0].values[0];
-  return {
-    id: row[0],
-    folder_number: row[1],
-    category_id: row[2],
-    sequence: row[3],
-    name: row[4],
-    description: row[5],
-    sensitivity: row[6],
-    location: row[7],
-    storage_path: row[8],
-    keywords: row[9],
-    notes: row[10],
-    created_at: row[11],
-    updated_at: row[12],
-    category_number: row[13],
-    category_name: row[14],
-    area_name: row[15],
-    area_color: row[16],
-  };
+  URL.revokeObjectURL(url);
 }
 
 /**
- * Get a folder by its JD folder number (e.g., "11.01").
+ * Add the templates from an exported file. A template whose name is taken
+ * is imported under a numbered name ("Client Project (2)").
  *
- * @param {string} folderNumber - The JD folder number
- * @returns {Object|null} The folder object or null if not found
+ * @param {string} text - File contents
+ * @returns {{imported: number, renamed: Array<{from: string, to: string}>}}
+ * @throws {ValidationError} If the file or any template in it is invalid; nothing is imported
  */
-export function getFolderByNumber(folderNumber) {
-  if (!folderNumber || typeof folderNumber !== 'string') {
-    return null;
-  }
-
-  const sanitized = sanitizeText(folderNumber);
-  const result = db.exec(`
-    SELECT f.*, c.name as category_name, c.number as category_number, a.name as area_name, a.color as area_color
-    FROM folders f
-    LEFT JOIN categories c ON f.category_id = c.id
-    LEFT JOIN areas a ON c.area_id = a.id
-    WHERE f.folder_number = '${sanitized}'
-    LIMIT 1
-  `);
-
-  if (!result[0]?.values?.[0]) return null;
+export function importFolderTemplates(text) {
+  const templates = parseTemplateFile(text);
+  const renamed = [];
+
+  withTransaction(() => {
+    templates.forEach((template) => {
+      let name = template.name;
+      for (let n = 2; templateNameTaken(name); n++) {
+        name = `${template.name} (${n})`;
+      }
+      if (name !== template.name) renamed.push({ from: template.name, to: name });
+      createFolderTemplate({ ...template, name });
+    });
+  });
 
-  const row = result[0].values[0];
-  return {
-    id: row[0],
-    folder_number: row[1],
-    category_id: row[2],
-    sequence: row[3],
-    name: row[4],
-    description: row[5],
-    sensitivity: row[6],
-    location: row[7],
-    storage_path: row[8],
-    keywords: row[9],
-    notes: row[10],
-    created_at: row[11],
-    updated_at: row[12],
-    category_name: row[13],
-    category_number: row[14],
-    area_name: row[15],
-    area_color: row[16],
-  };
+  return { imported: templates.length, renamed };
 }
 
-export function getNextFolderNumber(categoryId) {
-  const category = db.exec(`SELECT number FROM categories WHERE id = ${categoryId}`);
-  if (!category[0]) return null;
-
-  const catNumber = category[0].values[0][0];
-  const catStr = String(catNumber).padStart(2, '0');
-
-  const existing = db.exec(`
-    SELECT sequence FROM folders 
-    WHERE category_id = ${categoryId} 
-    ORDER BY sequence DESC LIMIT 1
-  `);
-
-  const nextSeq = existing[0]?.values[0]?.[0] ? existing[0].values[0][0] + 1 : 1;
-  const seqStr = String(nextSeq).padStart(2, '0');
+// ============================================
+// TRASH
+// ============================================
 
-  return { folder_number: `${catStr}.${seqStr}`, sequence: nextSeq };
+// Table each trashable record lives in, and how it points at its parent
+const TRASH_ENTITIES = {
+  area: { table: 'areas', parent: null },
+  category: { table: 'categories', parent: { type: 'area', column: 'area_id' } },
+  folder: { table: 'folders', parent: { type: 'category', column: 'category_id' } },
+  item: { table: 'items', parent: { type: 'folder', column: 'folder_id' } },
+};
+
+// The number a record is shown and searched by
+function describeNumber(entityType, row) {
+  switch (entityType) {
+    case 'area':
+      return `${row.range_start}-${row.range_end}`;
+    case 'category':
+      return pad2(row.number);
+    case 'folder':
+      return row.folder_number;
+    default:
+      return row.item_number;
+  }
 }
 
-export function createFolder(folder) {
-  const stmt = db.prepare(`
-    INSERT INTO folders (folder_number, category_id, sequence, name, description, sensitivity, location, storage_path, keywords, notes)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
-
-  stmt.run([
-    folder.folder_number,
-    folder.category_id,
-    folder.sequence,
-    folder.name,
-    folder.description || '',
-    folder.sensitivity || 'standard',
-    folder.location || '',
-    folder.storage_path || '',
-    folder.keywords || '',
-    folder.notes || '',
+/**
+ * Move a record to the trash with its full row and former numbers, then
+ * delete it. Run inside a transaction.
+ *
+ * @param {'area'|'category'|'folder'|'item'} entityType
+ * @param {number} id
+ */
+function moveToTrash(entityType, id) {
+  const { table } = TRASH_ENTITIES[entityType];
+  const row = queryOne(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  if (!row) return;
+
+  const aliases = queryAll(
+    'SELECT alias FROM number_aliases WHERE entity_type = ? AND entity_id = ?',
+    [entityType, id]
+  ).map((a) => a.alias);
+
+  // Custom fields defined on it; a new category could otherwise reuse the id and inherit them
+  const fields = queryAll('SELECT * FROM custom_fields WHERE scope_type = ? AND scope_id = ?', [
+    entityType,
+    id,
+  ]);
+  const tags = TAG_LINKS[entityType]
+    ? JSON.parse(queryValue(`SELECT ${tagNamesColumn(entityType, '?')}`, [id]))
+    : [];
+  const history = HISTORY_FIELDS[entityType]
+    ? queryAll('SELECT * FROM field_history WHERE entity_type = ? AND entity_id = ?', [
+        entityType,
+        id,
+      ])
+    : [];
+  const linkFilter = '(source_type = ? AND source_id = ?) OR (target_type = ? AND target_id = ?)';
+  const links = queryAll(`SELECT * FROM record_links WHERE ${linkFilter}`, [
+    entityType,
+    id,
+    entityType,
+    id,
   ]);
 
-  stmt.free();
-
-  logActivity('create', 'folder', folder.folder_number, `Created folder: ${folder.name}`);
-  saveDatabase();
+  execute(
+    'INSERT INTO trash (entity_type, entity_id, entity_number, name, data) VALUES (?, ?, ?, ?, ?)',
+    [
+      entityType,
+      id,
+      describeNumber(entityType, row),
+      row.name,
+      JSON.stringify({ row, aliases, fields, tags, links, history }),
+    ]
+  );
+  execute('DELETE FROM number_aliases WHERE entity_type = ? AND entity_id = ?', [entityType, id]);
+  execute('DELETE FROM custom_fields WHERE scope_type = ? AND scope_id = ?', [entityType, id]);
+  execute(`DELETE FROM ${table} WHERE id = ?`, [id]);
+  if (TAG_LINKS[entityType]) setTags(entityType, id, []);
+  execute(`DELETE FROM record_links WHERE ${linkFilter}`, [entityType, id, entityType, id]);
+  execute('DELETE FROM field_history WHERE entity_type = ? AND entity_id = ?', [entityType, id]);
+}
 
-  return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+/**
+ * Trashed parent of a trashed record, if the parent was deleted too.
+ */
+function findTrashedParent(entityType, row) {
+  const { parent } = TRASH_ENTITIES[entityType];
+  if (!parent) return null;
+  return queryOne(
+    'SELECT * FROM trash WHERE entity_type = ? AND entity_id = ? ORDER BY deleted_at DESC, id DESC LIMIT 1',
+    [parent.type, row[parent.column]]
+  );
 }
 
-export function updateFolder(id, updates) {
-  const validColumns = [
-    'folder_number',
-    'category_id',
-    'sequence',
-    'name',
-    'description',
-    'sensitivity',
-    'location',
-    'storage_path',
-    'keywords',
-    'notes',
-  ];
+/**
+ * Everything in the trash, most recently deleted first. Each entry lists
+ * the trashed parents (numbers) that restoring it brings back as well.
+ *
+ * @returns {Array<{id: number, entity_type: string, entity_id: number, entity_number: string,
+ *   name: string, deleted_at: string, restores_with: string[]}>}
+ */
+export function getTrash() {
+  return queryAll('SELECT * FROM trash ORDER BY deleted_at DESC, id DESC').map(
+    ({ data, ...entry }) => {
+      const restoresWith = [];
+      let current = { entity_type: entry.entity_type, data };
+      let parent;
+      while ((parent = findTrashedParent(current.entity_type, JSON.parse(current.data).row))) {
+        restoresWith.push(parent.entity_number);
+        current = parent;
+      }
+      return { ...entry, restores_with: restoresWith };
+    }
+  );
+}
 
-  const fields = [];
-  const values = [];
+/**
+ * Put a trashed record back. A parent that was deleted as well is restored
+ * first. A folder or item whose number has been taken in the meantime (or
+ * whose parent now has another number) gets the next free number, keeping
+ * the old one as an alias.
+ *
+ * @param {number} trashId
+ * @returns {{entity_type: string, id: number, number: string, restored_parents: string[]}}
+ * @throws {DatabaseError} If the entry doesn't exist, its parent is gone for good,
+ *   or a restored category or area would collide with an existing one
+ */
+export function restoreFromTrash(trashId) {
+  const id = validatePositiveInteger(trashId, 'Trash ID');
 
-  Object.entries(updates).forEach(([key, value]) => {
-    if (validColumns.includes(key) && value !== undefined) {
-      fields.push(`${key} = ?`);
-      values.push(value);
+  const result = withTransaction(() => {
+    const entry = queryOne('SELECT * FROM trash WHERE id = ?', [id]);
+    if (!entry) {
+      throw new DatabaseError(`Trash entry not found: ${id}`, 'update');
     }
+    const restoredParents = [];
+    const restored = restoreTrashEntry(entry, restoredParents);
+    return { ...restored, restored_parents: restoredParents };
   });
 
-  if (fields.length === 0) return;
-
-  fields.push('updated_at = CURRENT_TIMESTAMP');
-  values.push(id);
-
-  db.run(`UPDATE folders SET ${fields.join(', ')} WHERE id = ?`, values);
-
-  const folder = db.exec(`SELECT folder_number, name FROM folders WHERE id = ${id}`);
-  if (folder[0]) {
-    logActivity('update', 'folder', folder[0].values[0][0], `Updated: ${folder[0].values[0][1]}`);
-  }
-
   saveDatabase();
+  return result;
 }
 
-export function deleteFolder(id) {
-  // Check if folder has items
-  const items = db.exec(`SELECT COUNT(*) FROM items WHERE folder_id = ${id}`);
-  if (items[0]?.values[0][0] > 0) {
-    throw new Error('Cannot delete folder with existing items. Delete or move items first.');
+// Restore one entry (and its trashed parents); run inside a transaction
+function restoreTrashEntry(entry, restoredParents) {
+  const { table, parent } = TRASH_ENTITIES[entry.entity_type];
+  // Entries trashed before tags existed have keywords on the row instead
+  const {
+    row,
+    aliases,
+    fields = [],
+    tags = row.keywords,
+    links = [],
+    history = [],
+  } = JSON.parse(entry.data);
+  const values = { ...row };
+
+  if (parent) {
+    const trashedParent = findTrashedParent(entry.entity_type, row);
+    if (trashedParent) {
+      const restoredParent = restoreTrashEntry(trashedParent, restoredParents);
+      restoredParents.push(restoredParent.number);
+      values[parent.column] = restoredParent.id;
+    } else if (
+      queryValue(`SELECT COUNT(*) FROM ${TRASH_ENTITIES[parent.type].table} WHERE id = ?`, [
+        row[parent.column],
+      ]) === 0
+    ) {
+      throw new DatabaseError(
+        `Can't restore ${entry.entity_number}: its ${parent.type} no longer exists`,
+        'insert'
+      );
+    }
   }
 
-  const folder = db.exec(`SELECT folder_number, name FROM folders WHERE id = ${id}`);
-  if (folder[0]) {
-    logActivity('delete', 'folder', folder[0].values[0][0], `Deleted: ${folder[0].values[0][1]}`);
+  // Take a new number if the old one is taken or no longer fits the parent
+  let oldNumber = null;
+  if (entry.entity_type === 'folder' || entry.entity_type === 'item') {
+    const numberColumn = `${entry.entity_type}_number`;
+    const parentNumber =
+      entry.entity_type === 'folder'
+        ? pad2(queryValue('SELECT number FROM categories WHERE id = ?', [values.category_id]))
+        : queryValue('SELECT folder_number FROM folders WHERE id = ?', [values.folder_id]);
+    const taken = queryValue(`SELECT COUNT(*) FROM ${table} WHERE ${numberColumn} = ?`, [
+      values[numberColumn],
+    ]);
+    if (taken > 0 || !values[numberColumn].startsWith(`${parentNumber}.`)) {
+      const next =
+        entry.entity_type === 'folder'
+          ? getNextFolderNumber(values.category_id)
+          : getNextItemNumber(values.folder_id);
+      oldNumber = values[numberColumn];
+      values[numberColumn] = next[numberColumn];
+      values.sequence = next.sequence;
+    }
+  } else if (entry.entity_type === 'category') {
+    const other = queryOne('SELECT name FROM categories WHERE number = ?', [values.number]);
+    if (other) {
+      throw new DatabaseError(
+        `Can't restore category ${entry.entity_number}: the number is used by ${other.name}`,
+        'insert'
+      );
+    }
+  } else {
+    const other = queryOne('SELECT name FROM areas WHERE range_start <= ? AND range_end >= ?', [
+      values.range_end,
+      values.range_start,
+    ]);
+    if (other) {
+      throw new DatabaseError(
+        `Can't restore area ${entry.entity_number}: it overlaps ${other.name}`,
+        'insert'
+      );
+    }
   }
 
-  db.run(`DELETE FROM folders WHERE id = ${id}`);
-  saveDatabase();
-}
-
-// ============================================
-// ITEM FUNCTIONS (Level 4 - XX.XX.XX objects)
-// ============================================
-
-export function getItems(folderId = null) {
-  let query = `
-    SELECT i.*, f.folder_number, f.name as folder_name, f.sensitivity as folder_sensitivity,
-           c.number as category_number, c.name as category_name,
-           a.name as area_name, a.color as area_color
-    FROM items i 
-    JOIN folders f ON i.folder_id = f.id
-    JOIN categories c ON f.category_id = c.id 
-    JOIN areas a ON c.area_id = a.id
-    WHERE 1=1
-  `;
-
-  if (folderId) query += ` AND i.folder_id = ${folderId}`;
-  query += ' ORDER BY i.item_number';
-
-  const results = db.exec(query);
-  return (
-    results[0]?.values.map((row) => ({
-      id: row[0],
-      item_number: row[1],
-      folder_id: row[2],
-      sequence: row[3],
-      name: row[4],
-      description: row[5],
-      file_type: row[6],
-      sensitivity: row[7],
-      location: row[8],
-      storage_path: row[9],
-      file_size: row[10],
-      keywords: row[11],
-      notes: row[12],
-      created_at: row[13],
-      updated_at: row[14],
-      folder_number: row[15],
-      folder_name: row[16],
-      folder_sensitivity: row[17],
-      category_number: row[18],
-      category_name: row[19],
-      area_name: row[20],
-      area_color: row[21],
-      // Computed effective sensitivity
-      effective_sensitivity: row[7] === 'inherit' ? row[17] : row[7],
-    })) || []
+  // Areas and categories reuse ids; take a fresh one if the old id is in use
+  const idTaken = queryValue(`SELECT COUNT(*) FROM ${table} WHERE id = ?`, [values.id]) > 0;
+  if (idTaken) delete values.id;
+
+  // Only columns the table still has, in case the schema changed since
+  const columns = queryAll(`PRAGMA table_info(${table})`)
+    .map((c) => c.name)
+    .filter((name) => name in values);
+  execute(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map((name) => values[name])
   );
-}
+  const newId = idTaken ? lastInsertId() : row.id;
 
-export function getNextItemNumber(folderId) {
-  const folder = db.exec(`SELECT folder_number FROM folders WHERE id = ${folderId}`);
-  if (!folder[0]) return null;
+  if (newId !== row.id) {
+    remapTrashedChildren(entry.entity_type, row.id, newId);
+  }
 
-  const folderNumber = folder[0].values[0][0];
+  if (TAG_LINKS[entry.entity_type]) setTags(entry.entity_type, newId, tags);
+  restoreLinks(entry.entity_type, row.id, newId, links);
+  history.forEach((change) => {
+    execute(
+      `INSERT INTO field_history (id, entity_type, entity_id, version, field, old_value, new_value, changed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        change.id,
+        change.entity_type,
+        newId,
+        change.version,
+        change.field,
+        change.old_value,
+        change.new_value,
+        change.changed_at,
+      ]
+    );
+  });
+  fields.forEach((field) => {
+    execute(
+      'INSERT INTO custom_fields (id, scope_type, scope_id, name, field_type, options, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [
+        field.id,
+        field.scope_type,
+        newId,
+        field.name,
+        field.field_type,
+        field.options,
+        field.created_at,
+      ]
+    );
+  });
 
-  const existing = db.exec(`
-    SELECT sequence FROM items 
-    WHERE folder_id = ${folderId} 
-    ORDER BY sequence DESC LIMIT 1
-  `);
+  [...aliases, ...(oldNumber ? [oldNumber] : [])].forEach((alias) => {
+    execute(
+      'INSERT OR IGNORE INTO number_aliases (entity_type, entity_id, alias) VALUES (?, ?, ?)',
+      [entry.entity_type, newId, alias]
+    );
+  });
+  execute('DELETE FROM trash WHERE id = ?', [entry.id]);
 
-  const nextSeq = existing[0]?.values[0]?.[0] ? existing[0].values[0][0] + 1 : 1;
-  const seqStr = String(nextSeq).padStart(2, '0');
+  const number = describeNumber(entry.entity_type, values);
+  logActivity(
+    'restore',
+    entry.entity_type,
+    number,
+    oldNumber
+      ? `Restored from trash: ${row.name} (was ${oldNumber})`
+      : `Restored from trash: ${row.name}`
+  );
 
-  return { item_number: `${folderNumber}.${seqStr}`, sequence: nextSeq };
+  return { entity_type: entry.entity_type, id: newId, number };
 }
 
-export function createItem(item) {
-  const stmt = db.prepare(`
-    INSERT INTO items (item_number, folder_id, sequence, name, description, file_type, sensitivity, location, storage_path, file_size, keywords, notes)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
-
-  stmt.run([
-    item.item_number,
-    item.folder_id,
-    item.sequence,
-    item.name,
-    item.description || '',
-    item.file_type || '',
-    item.sensitivity || 'inherit',
-    item.location || '',
-    item.storage_path || '',
-    item.file_size || null,
-    item.keywords || '',
-    item.notes || '',
-  ]);
+/**
+ * Put back a restored record's links. A link whose other end is gone (or
+ * still in the trash) is skipped; restoring that end brings it back.
+ */
+function restoreLinks(entityType, oldId, newId, links) {
+  const idFor = (type, id) => (type === entityType && id === oldId ? newId : id);
+  links.forEach((link) => {
+    const source = { type: link.source_type, id: idFor(link.source_type, link.source_id) };
+    const target = { type: link.target_type, id: idFor(link.target_type, link.target_id) };
+    const other = source.type === entityType && source.id === newId ? target : source;
+    if (
+      queryValue(`SELECT COUNT(*) FROM ${LINK_TABLES[other.type]} WHERE id = ?`, [other.id]) === 0
+    ) {
+      return;
+    }
+    execute(
+      `INSERT OR IGNORE INTO record_links (source_type, source_id, target_type, target_id, link_type, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [source.type, source.id, target.type, target.id, link.link_type, link.created_at]
+    );
+  });
+}
 
-  stmt.free();
+// Point trashed children at their parent's new id after it was restored under one
+function remapTrashedChildren(parentType, oldId, newId) {
+  const child = Object.entries(TRASH_ENTITIES).find(
+    ([, entity]) => entity.parent?.type === parentType
+  );
+  if (!child) return;
+  const [childType, { parent }] = child;
+
+  queryAll('SELECT id, data FROM trash WHERE entity_type = ?', [childType]).forEach((entry) => {
+    const data = JSON.parse(entry.data);
+    if (data.row[parent.column] === oldId) {
+      data.row[parent.column] = newId;
+      execute('UPDATE trash SET data = ? WHERE id = ?', [JSON.stringify(data), entry.id]);
+    }
+  });
+}
 
-  logActivity('create', 'item', item.item_number, `Created item: ${item.name}`);
+/**
+ * Permanently delete one trash entry.
+ *
+ * @param {number} trashId
+ */
+export function deleteFromTrash(trashId) {
+  const id = validatePositiveInteger(trashId, 'Trash ID');
+  withTransaction(() => {
+    const entry = queryOne('SELECT entity_type, entity_number, name FROM trash WHERE id = ?', [id]);
+    if (entry) {
+      execute('DELETE FROM trash WHERE id = ?', [id]);
+      logActivity(
+        'purge',
+        entry.entity_type,
+        entry.entity_number,
+        `Deleted permanently: ${entry.name}`
+      );
+    }
+  });
   saveDatabase();
-
-  return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
 }
 
-export function updateItem(id, updates) {
-  const validColumns = [
-    'item_number',
-    'folder_id',
-    'sequence',
-    'name',
-    'description',
-    'file_type',
-    'sensitivity',
-    'location',
-    'storage_path',
-    'file_size',
-    'keywords',
-    'notes',
-  ];
-
-  const fields = [];
-  const values = [];
-
-  Object.entries(updates).forEach(([key, value]) => {
-    if (validColumns.includes(key) && value !== undefined) {
-      fields.push(`${key} = ?`);
-      values.push(value);
+/**
+ * Permanently delete everything in the trash.
+ *
+ * @returns {number} Number of entries deleted
+ */
+export function emptyTrash() {
+  const count = withTransaction(() => {
+    const total = queryValue('SELECT COUNT(*) FROM trash');
+    if (total > 0) {
+      execute('DELETE FROM trash');
+      logActivity('purge', 'trash', null, `Emptied trash (${total} entries)`);
     }
+    return total;
   });
-
-  if (fields.length === 0) return;
-
-  fields.push('updated_at = CURRENT_TIMESTAMP');
-  values.push(id);
-
-  db.run(`UPDATE items SET ${fields.join(', ')} WHERE id = ?`, values);
-
-  const item = db.exec(`SELECT item_number, name FROM items WHERE id = ${id}`);
-  if (item[0]) {
-    logActivity('update', 'item', item[0].values[0][0], `Updated: ${item[0].values[0][1]}`);
-  }
-
   saveDatabase();
+  return count;
 }
 
-export function deleteItem(id) {
-  const item = db.exec(`SELECT item_number, name FROM items WHERE id = ${id}`);
-  if (item[0]) {
-    logActivity('delete', 'item', item[0].values[0][0], `Deleted: ${item[0].values[0][1]}`);
-  }
+/**
+ * Delete trash entries older than the retention period.
+ *
+ * @param {number} [days=getTrashRetentionDays()] - 0 keeps everything
+ * @returns {number} Number of entries deleted
+ */
+export function purgeTrash(days = getTrashRetentionDays()) {
+  if (!days) return 0;
 
-  db.run(`DELETE FROM items WHERE id = ${id}`);
-  saveDatabase();
+  const count = withTransaction(() => {
+    const cutoff = `-${Math.floor(days)} days`;
+    const expired = queryValue("SELECT COUNT(*) FROM trash WHERE deleted_at < datetime('now', ?)", [
+      cutoff,
+    ]);
+    if (expired > 0) {
+      execute("DELETE FROM trash WHERE deleted_at < datetime('now', ?)", [cutoff]);
+      logActivity('purge', 'trash', null, `Purged ${expired} entries older than ${days} days`);
+    }
+    return expired;
+  });
+  if (count > 0) saveDatabase();
+  return count;
 }
 
 // ============================================
 // SEARCH FUNCTIONS
 // ============================================
 
-export function searchFolders(query) {
-  const searchQuery = `
-    SELECT f.*, c.number as category_number, c.name as category_name, 
-           a.name as area_name, a.color as area_color
-    FROM folders f 
-    JOIN categories c ON f.category_id = c.id 
-    JOIN areas a ON c.area_id = a.id
-    WHERE f.folder_number LIKE '%${query}%' 
-       OR f.name LIKE '%${query}%' 
-       OR f.description LIKE '%${query}%'
-       OR f.keywords LIKE '%${query}%'
-       OR f.notes LIKE '%${query}%'
-       OR c.name LIKE '%${query}%'
-       OR a.name LIKE '%${query}%'
-    ORDER BY f.folder_number
-  `;
+// Records with a former number matching the pattern (see recordNumberAlias)
+const ALIAS_MATCH = `
+  SELECT entity_id FROM number_aliases WHERE entity_type = ? AND alias LIKE ? ESCAPE '\\'
+`;
 
-  const results = db.exec(searchQuery);
-  return (
-    results[0]?.values.map((row) => ({
-      id: row[0],
-      folder_number: row[1],
-      category_id: row[2],
-      sequence: row[3],
-      name: row[4],
-      description: row[5],
-      sensitivity: row[6],
-      location: row[7],
-      storage_path: row[8],
-      keywords: row[9],
-      notes: row[10],
-      created_at: row[11],
-      updated_at: row[12],
-      category_number: row[13],
-      category_name: row[14],
-      area_name: row[15],
-      area_color: row[16],
-    })) || []
-  );
+// Folders or items with a tag matching the pattern
+function tagMatch(entityType) {
+  const { table, column } = TAG_LINKS[entityType];
+  return `SELECT l.${column} FROM ${table} l JOIN tags t ON t.id = l.tag_id
+    WHERE t.name LIKE ? ESCAPE '\\'`;
 }
 
-export function searchItems(query) {
-  const searchQuery = `
-    SELECT i.*, f.folder_number, f.name as folder_name, f.sensitivity as folder_sensitivity,
-           c.number as category_number, c.name as category_name,
-           a.name as area_name, a.color as area_color
-    FROM items i 
-    JOIN folders f ON i.folder_id = f.id
-    JOIN categories c ON f.category_id = c.id 
-    JOIN areas a ON c.area_id = a.id
-    WHERE i.item_number LIKE '%${query}%' 
-       OR i.name LIKE '%${query}%' 
-       OR i.description LIKE '%${query}%'
-       OR i.keywords LIKE '%${query}%'
-       OR i.notes LIKE '%${query}%'
-       OR f.name LIKE '%${query}%'
-       OR c.name LIKE '%${query}%'
-       OR a.name LIKE '%${query}%'
-    ORDER BY i.item_number
-  `;
+export function searchFolders(query) {
+  const columns = ['f.folder_number', 'f.name', 'f.description', 'f.notes', 'c.name', 'a.name'];
+  const where = columns.map((col) => `${col} LIKE ? ESCAPE '\\'`).join(' OR ');
+  const pattern = containsPattern(query);
+
+  return queryAll(
+    `${FOLDER_SELECT} WHERE ${where} OR f.id IN (${tagMatch('folder')})
+       OR f.id IN (${ALIAS_MATCH}) ORDER BY f.folder_number`,
+    [...columns.map(() => pattern), pattern, 'folder', pattern]
+  ).map(toFolder);
+}
 
-  const results = db.exec(searchQuery);
-  return (
-    results[0]?.values.map((row) => ({
-      id: row[0],
-      item_number: row[1],
-      folder_id: row[2],
-      sequence: row[3],
-      name: row[4],
-      description: row[5],
-      file_type: row[6],
-      sensitivity: row[7],
-      location: row[8],
-      storage_path: row[9],
-      file_size: row[10],
-      keywords: row[11],
-      notes: row[12],
-      created_at: row[13],
-      updated_at: row[14],
-      folder_number: row[15],
-      folder_name: row[16],
-      folder_sensitivity: row[17],
-      category_number: row[18],
-      category_name: row[19],
-      area_name: row[20],
-      area_color: row[21],
-      effective_sensitivity: row[7] === 'inherit' ? row[17] : row[7],
-    })) || []
-  );
+export function searchItems(query) {
+  const columns = [
+    'i.item_number',
+    'i.name',
+    'i.description',
+    'i.notes',
+    'f.name',
+    'c.name',
+    'a.name',
+  ];
+  const where = columns.map((col) => `${col} LIKE ? ESCAPE '\\'`).join(' OR ');
+  const pattern = containsPattern(query);
+
+  // Custom field values, except checkboxes (true/false would match "1" and "0")
+  const customMatch = `EXISTS (SELECT 1 FROM json_each(i.custom_values)
+    WHERE type NOT IN ('true', 'false') AND value LIKE ? ESCAPE '\\')`;
+
+  return queryAll(
+    `${ITEM_SELECT} WHERE ${where} OR i.id IN (${tagMatch('item')}) OR ${customMatch}
+       OR i.id IN (${ALIAS_MATCH}) ORDER BY i.item_number`,
+    [...columns.map(() => pattern), pattern, pattern, 'item', pattern]
+  ).map(toItem);
 }
 
 // Combined search across folders and items
@@ -1314,21 +4616,11 @@ export function searchAll(query) {
 // ============================================
 
 export function getStorageLocations() {
-  const results = db.exec('SELECT * FROM storage_locations ORDER BY name');
-  return (
-    results[0]?.values.map((row) => ({
-      id: row[0],
-      name: row[1],
-      type: row[2],
-      path: row[3],
-      is_encrypted: row[4],
-      notes: row[5],
-    })) || []
-  );
+  return queryAll('SELECT * FROM storage_locations ORDER BY name');
 }
 
 export function createStorageLocation(location) {
-  db.run(
+  execute(
     'INSERT INTO storage_locations (name, type, path, is_encrypted, notes) VALUES (?, ?, ?, ?, ?)',
     [
       location.name,
@@ -1338,8 +4630,9 @@ export function createStorageLocation(location) {
       location.notes || '',
     ]
   );
+  const id = lastInsertId();
   saveDatabase();
-  return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  return id;
 }
 
 export function updateStorageLocation(id, updates) {
@@ -1357,12 +4650,12 @@ export function updateStorageLocation(id, updates) {
   if (fields.length === 0) return;
 
   values.push(id);
-  db.run(`UPDATE storage_locations SET ${fields.join(', ')} WHERE id = ?`, values);
+  execute(`UPDATE storage_locations SET ${fields.join(', ')} WHERE id = ?`, values);
   saveDatabase();
 }
 
 export function deleteStorageLocation(id) {
-  db.run(`DELETE FROM storage_locations WHERE id = ${id}`);
+  execute('DELETE FROM storage_locations WHERE id = ?', [id]);
   saveDatabase();
 }
 
@@ -1375,27 +4668,21 @@ export function deleteStorageLocation(id) {
  */
 const VALID_DRIVE_TYPES = ['icloud', 'dropbox', 'onedrive', 'google', 'proton', 'generic'];
 
+/**
+ * Convert a cloud_drives row's integer flags to booleans.
+ */
+function toCloudDrive(row) {
+  return { ...row, is_default: row.is_default === 1, is_active: row.is_active === 1 };
+}
+
 /**
  * Get all configured cloud drives.
  * @returns {Array} Array of cloud drive objects
  */
 export function getCloudDrives() {
-  const results = db.exec(
+  return queryAll(
     'SELECT * FROM cloud_drives WHERE is_active = 1 ORDER BY is_default DESC, name ASC'
-  );
-  return (
-    results[0]?.values.map((row) => ({
-      id: row[0],
-      name: row[1],
-      base_path: row[2],
-      jd_root_path: row[3],
-      is_default: row[4] === 1,
-      is_active: row[5] === 1,
-      drive_type: row[6],
-      created_at: row[7],
-      updated_at: row[8],
-    })) || []
-  );
+  ).map(toCloudDrive);
 }
 
 /**
@@ -1405,22 +4692,8 @@ export function getCloudDrives() {
  */
 export function getCloudDrive(driveId) {
   const id = validateRequiredString(driveId, 'Drive ID', 50);
-  const results = db.exec(`SELECT * FROM cloud_drives WHERE id = '${sanitizeText(id)}'`);
-
-  if (!results[0]?.values[0]) return null;
-
-  const row = results[0].values[0];
-  return {
-    id: row[0],
-    name: row[1],
-    base_path: row[2],
-    jd_root_path: row[3],
-    is_default: row[4] === 1,
-    is_active: row[5] === 1,
-    drive_type: row[6],
-    created_at: row[7],
-    updated_at: row[8],
-  };
+  const row = queryOne('SELECT * FROM cloud_drives WHERE id = ?', [id]);
+  return row ? toCloudDrive(row) : null;
 }
 
 /**
@@ -1428,24 +4701,8 @@ export function getCloudDrive(driveId) {
  * @returns {Object|null} The default drive or null
  */
 export function getDefaultCloudDrive() {
-  const results = db.exec(
-    'SELECT * FROM cloud_drives WHERE is_default = 1 AND is_active = 1 LIMIT 1'
-  );
-
-  if (!results[0]?.values[0]) return null;
-
-  const row = results[0].values[0];
-  return {
-    id: row[0],
-    name: row[1],
-    base_path: row[2],
-    jd_root_path: row[3],
-    is_default: true,
-    is_active: true,
-    drive_type: row[6],
-    created_at: row[7],
-    updated_at: row[8],
-  };
+  const row = queryOne('SELECT * FROM cloud_drives WHERE is_default = 1 AND is_active = 1 LIMIT 1');
+  return row ? toCloudDrive(row) : null;
 }
 
 /**
@@ -1474,25 +4731,23 @@ export function createCloudDrive(drive) {
         ? drive.drive_type
         : 'generic';
 
-    // If this is set as default, unset any existing default
-    if (drive.is_default) {
-      db.run('UPDATE cloud_drives SET is_default = 0 WHERE is_default = 1');
-    }
-
-    // Insert using parameterized query
-    const stmt = db.prepare(`
-      INSERT INTO cloud_drives (id, name, base_path, jd_root_path, is_default, is_active, drive_type)
-      VALUES (?, ?, ?, ?, ?, 1, ?)
-    `);
-
-    stmt.run([id, name, basePath, jdRootPath, drive.is_default ? 1 : 0, driveType]);
+    return withTransaction(() => {
+      // If this is set as default, unset any existing default
+      if (drive.is_default) {
+        execute('UPDATE cloud_drives SET is_default = 0 WHERE is_default = 1');
+      }
 
-    stmt.free();
+      execute(
+        `INSERT INTO cloud_drives (id, name, base_path, jd_root_path, is_default, is_active, drive_type)
+         VALUES (?, ?, ?, ?, ?, 1, ?)`,
+        [id, name, basePath, jdRootPath, drive.is_default ? 1 : 0, driveType]
+      );
 
-    logActivity('create', 'cloud_drive', id, `Added cloud drive: ${name}`);
-    saveDatabase();
+      logActivity('create', 'cloud_drive', id, `Added cloud drive: ${name}`);
+      saveDatabase();
 
-    return id;
+      return id;
+    });
   } catch (error) {
     if (error.name === 'ValidationError') {
       throw error;
@@ -1523,40 +4778,42 @@ export function updateCloudDrive(driveId, updates) {
     const fields = [];
     const values = [];
 
-    // Handle is_default specially - unset others first
-    if (updates.is_default === true) {
-      db.run('UPDATE cloud_drives SET is_default = 0 WHERE is_default = 1');
-    }
+    withTransaction(() => {
+      // Handle is_default specially - unset others first
+      if (updates.is_default === true) {
+        execute('UPDATE cloud_drives SET is_default = 0 WHERE is_default = 1');
+      }
 
-    Object.entries(updates).forEach(([key, value]) => {
-      if (validColumns.includes(key) && value !== undefined) {
-        // Validate string fields
-        if (key === 'name') {
-          value = validateRequiredString(value, 'Name', 100);
-        } else if (key === 'base_path') {
-          value = validateRequiredString(value, 'Base path', 500);
-        } else if (key === 'jd_root_path') {
-          value = validateOptionalString(value, 'JD root path', 500);
-        } else if (key === 'drive_type') {
-          value = VALID_DRIVE_TYPES.includes(value) ? value : 'generic';
-        } else if (key === 'is_default' || key === 'is_active') {
-          value = value ? 1 : 0;
-        }
+      Object.entries(updates).forEach(([key, value]) => {
+        if (validColumns.includes(key) && value !== undefined) {
+          // Validate string fields
+          if (key === 'name') {
+            value = validateRequiredString(value, 'Name', 100);
+          } else if (key === 'base_path') {
+            value = validateRequiredString(value, 'Base path', 500);
+          } else if (key === 'jd_root_path') {
+            value = validateOptionalString(value, 'JD root path', 500);
+          } else if (key === 'drive_type') {
+            value = VALID_DRIVE_TYPES.includes(value) ? value : 'generic';
+          } else if (key === 'is_default' || key === 'is_active') {
+            value = value ? 1 : 0;
+          }
 
-        fields.push(`${key} = ?`);
-        values.push(value);
-      }
-    });
+          fields.push(`${key} = ?`);
+          values.push(value);
+        }
+      });
 
-    if (fields.length === 0) return;
+      if (fields.length === 0) return;
 
-    fields.push('updated_at = CURRENT_TIMESTAMP');
-    values.push(id);
+      fields.push('updated_at = CURRENT_TIMESTAMP');
+      values.push(id);
 
-    db.run(`UPDATE cloud_drives SET ${fields.join(', ')} WHERE id = ?`, values);
+      execute(`UPDATE cloud_drives SET ${fields.join(', ')} WHERE id = ?`, values);
 
-    logActivity('update', 'cloud_drive', id, `Updated cloud drive: ${id}`);
-    saveDatabase();
+      logActivity('update', 'cloud_drive', id, `Updated cloud drive: ${id}`);
+      saveDatabase();
+    });
   } catch (error) {
     if (error.name === 'ValidationError') {
       throw error;
@@ -1574,12 +4831,14 @@ export function updateCloudDrive(driveId, updates) {
 export function deleteCloudDrive(driveId) {
   const id = validateRequiredString(driveId, 'Drive ID', 50);
 
-  // Soft delete - just mark as inactive
-  db.run('UPDATE cloud_drives SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [
-    id,
-  ]);
+  withTransaction(() => {
+    // Soft delete - just mark as inactive
+    execute('UPDATE cloud_drives SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [
+      id,
+    ]);
 
-  logActivity('delete', 'cloud_drive', id, `Removed cloud drive: ${id}`);
+    logActivity('delete', 'cloud_drive', id, `Removed cloud drive: ${id}`);
+  });
   saveDatabase();
 }
 
@@ -1591,15 +4850,17 @@ export function deleteCloudDrive(driveId) {
 export function setDefaultCloudDrive(driveId) {
   const id = validateRequiredString(driveId, 'Drive ID', 50);
 
-  // Unset current default
-  db.run('UPDATE cloud_drives SET is_default = 0 WHERE is_default = 1');
+  withTransaction(() => {
+    // Unset current default
+    execute('UPDATE cloud_drives SET is_default = 0 WHERE is_default = 1');
 
-  // Set new default
-  db.run('UPDATE cloud_drives SET is_default = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [
-    id,
-  ]);
+    // Set new default
+    execute('UPDATE cloud_drives SET is_default = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [
+      id,
+    ]);
 
-  logActivity('update', 'cloud_drive', id, `Set as default cloud drive: ${id}`);
+    logActivity('update', 'cloud_drive', id, `Set as default cloud drive: ${id}`);
+  });
   saveDatabase();
 }
 
@@ -1633,24 +4894,7 @@ export function getAreaStorageMappings() {
     ORDER BY a.range_start
   `;
 
-  const results = db.exec(query);
-  return (
-    results[0]?.values.map((row) => ({
-      area_id: row[0],
-      cloud_drive_id: row[1],
-      notes: row[2],
-      created_at: row[3],
-      updated_at: row[4],
-      area_name: row[5],
-      range_start: row[6],
-      range_end: row[7],
-      area_color: row[8],
-      drive_name: row[9],
-      base_path: row[10],
-      jd_root_path: row[11],
-      drive_type: row[12],
-    })) || []
-  );
+  return queryAll(query);
 }
 
 /**
@@ -1664,26 +4908,18 @@ export function getAreaCloudDrive(areaId) {
   const id = validatePositiveInteger(areaId, 'Area ID');
 
   // First, try to find specific mapping for this area
-  const mappingResult = db.exec(`
-    SELECT cd.* 
+  const mapped = queryOne(
+    `
+    SELECT cd.*
     FROM area_storage ast
     JOIN cloud_drives cd ON ast.cloud_drive_id = cd.id
-    WHERE ast.area_id = ${id} AND cd.is_active = 1
-  `);
+    WHERE ast.area_id = ? AND cd.is_active = 1
+  `,
+    [id]
+  );
 
-  if (mappingResult[0]?.values[0]) {
-    const row = mappingResult[0].values[0];
-    return {
-      id: row[0],
-      name: row[1],
-      base_path: row[2],
-      jd_root_path: row[3],
-      is_default: row[4] === 1,
-      is_active: row[5] === 1,
-      drive_type: row[6],
-      created_at: row[7],
-      updated_at: row[8],
-    };
+  if (mapped) {
+    return toCloudDrive(mapped);
   }
 
   // Fall back to default drive
@@ -1704,38 +4940,36 @@ export function setAreaCloudDrive(areaId, cloudDriveId, notes = null) {
   const sanitizedNotes = validateOptionalString(notes, 'Notes', 500);
 
   // Verify area exists
-  const areaCheck = db.exec(`SELECT id FROM areas WHERE id = ${id}`);
-  if (!areaCheck[0]?.values[0]) {
+  if (!queryOne('SELECT id FROM areas WHERE id = ?', [id])) {
     throw new DatabaseError(`Area with ID ${id} not found`, 'query');
   }
 
   // Verify drive exists if provided
   if (driveId) {
-    const driveCheck = db.exec(
-      `SELECT id FROM cloud_drives WHERE id = '${sanitizeText(driveId)}' AND is_active = 1`
-    );
-    if (!driveCheck[0]?.values[0]) {
+    if (!queryOne('SELECT id FROM cloud_drives WHERE id = ? AND is_active = 1', [driveId])) {
       throw new DatabaseError(`Cloud drive '${driveId}' not found or inactive`, 'query');
     }
   }
 
-  // Use INSERT OR REPLACE (SQLite upsert)
-  if (driveId) {
-    db.run(
-      `
-      INSERT OR REPLACE INTO area_storage (area_id, cloud_drive_id, notes, updated_at)
-      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
-    `,
-      [id, driveId, sanitizedNotes]
-    );
-
-    logActivity('update', 'area_storage', `area-${id}`, `Mapped area ${id} to drive ${driveId}`);
-  } else {
-    // Remove mapping if driveId is null
-    db.run('DELETE FROM area_storage WHERE area_id = ?', [id]);
-    logActivity('delete', 'area_storage', `area-${id}`, `Removed drive mapping for area ${id}`);
-  }
-
+  withTransaction(() => {
+    // Use INSERT OR REPLACE (SQLite upsert)
+    if (driveId) {
+      execute(
+        `
+        INSERT OR REPLACE INTO area_storage (area_id, cloud_drive_id, notes, updated_at)
+        VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      `,
+        [id, driveId, sanitizedNotes]
+      );
+
+      logActivity('update', 'area_storage', `area-${id}`, `Mapped area ${id} to drive ${driveId}`);
+    } else {
+      // Remove mapping if driveId is null
+      execute('DELETE FROM area_storage WHERE area_id = ?', [id]);
+      logActivity('delete', 'area_storage', `area-${id}`, `Removed drive mapping for area ${id}`);
+    }
+  });
+
   saveDatabase();
 }
 
@@ -1754,18 +4988,7 @@ export function getUnmappedAreas() {
     ORDER BY a.range_start
   `;
 
-  const results = db.exec(query);
-  return (
-    results[0]?.values.map((row) => ({
-      id: row[0],
-      range_start: row[1],
-      range_end: row[2],
-      name: row[3],
-      description: row[4],
-      color: row[5],
-      created_at: row[6],
-    })) || []
-  );
+  return queryAll(query);
 }
 
 /**
@@ -1802,6 +5025,13 @@ const VALID_RULE_TYPES = ['extension', 'keyword', 'path', 'regex'];
  */
 const VALID_TARGET_TYPES = ['folder', 'category', 'area'];
 
+/**
+ * Convert an organization_rules row's is_active flag to a boolean.
+ */
+function toOrganizationRule(row) {
+  return { ...row, is_active: row.is_active === 1 };
+}
+
 /**
  * Get all organization rules, optionally filtered by type.
  * Rules are returned in priority order (highest first).
@@ -1815,34 +5045,20 @@ export function getOrganizationRules(options = {}) {
   const { ruleType, activeOnly = true } = options;
 
   let query = 'SELECT * FROM organization_rules WHERE 1=1';
+  const params = [];
 
   if (activeOnly) {
     query += ' AND is_active = 1';
   }
 
   if (ruleType && VALID_RULE_TYPES.includes(ruleType)) {
-    query += ` AND rule_type = '${ruleType}'`;
+    query += ' AND rule_type = ?';
+    params.push(ruleType);
   }
 
   query += ' ORDER BY priority DESC, match_count DESC, created_at ASC';
 
-  const results = db.exec(query);
-  return (
-    results[0]?.values.map((row) => ({
-      id: row[0],
-      name: row[1],
-      rule_type: row[2],
-      pattern: row[3],
-      target_type: row[4],
-      target_id: row[5],
-      priority: row[6],
-      is_active: row[7] === 1,
-      match_count: row[8],
-      notes: row[9],
-      created_at: row[10],
-      updated_at: row[11],
-    })) || []
-  );
+  return queryAll(query, params).map(toOrganizationRule);
 }
 
 /**
@@ -1854,25 +5070,8 @@ export function getOrganizationRules(options = {}) {
 export function getOrganizationRule(ruleId) {
   const id = validatePositiveInteger(ruleId, 'Rule ID');
 
-  const results = db.exec(`SELECT * FROM organization_rules WHERE id = ${id}`);
-
-  if (!results[0]?.values[0]) return null;
-
-  const row = results[0].values[0];
-  return {
-    id: row[0],
-    name: row[1],
-    rule_type: row[2],
-    pattern: row[3],
-    target_type: row[4],
-    target_id: row[5],
-    priority: row[6],
-    is_active: row[7] === 1,
-    match_count: row[8],
-    notes: row[9],
-    created_at: row[10],
-    updated_at: row[11],
-  };
+  const row = queryOne('SELECT * FROM organization_rules WHERE id = ?', [id]);
+  return row ? toOrganizationRule(row) : null;
 }
 
 /**
@@ -1924,21 +5123,20 @@ export function createOrganizationRule(rule) {
       }
     }
 
-    const stmt = db.prepare(`
-      INSERT INTO organization_rules (name, rule_type, pattern, target_type, target_id, priority, notes)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    stmt.run([name, rule.rule_type, pattern, rule.target_type, targetId, priority, notes]);
-
-    stmt.free();
+    return withTransaction(() => {
+      execute(
+        `INSERT INTO organization_rules (name, rule_type, pattern, target_type, target_id, priority, notes)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [name, rule.rule_type, pattern, rule.target_type, targetId, priority, notes]
+      );
 
-    const newId = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+      const newId = lastInsertId();
 
-    logActivity('create', 'organization_rule', newId.toString(), `Created rule: ${name}`);
-    saveDatabase();
+      logActivity('create', 'organization_rule', newId.toString(), `Created rule: ${name}`);
+      saveDatabase();
 
-    return newId;
+      return newId;
+    });
   } catch (error) {
     if (error.name === 'ValidationError' || error instanceof DatabaseError) {
       throw error;
@@ -2018,9 +5216,11 @@ export function updateOrganizationRule(ruleId, updates) {
     fields.push('updated_at = CURRENT_TIMESTAMP');
     values.push(id);
 
-    db.run(`UPDATE organization_rules SET ${fields.join(', ')} WHERE id = ?`, values);
+    withTransaction(() => {
+      execute(`UPDATE organization_rules SET ${fields.join(', ')} WHERE id = ?`, values);
 
-    logActivity('update', 'organization_rule', id.toString(), `Updated rule ID: ${id}`);
+      logActivity('update', 'organization_rule', id.toString(), `Updated rule ID: ${id}`);
+    });
     saveDatabase();
   } catch (error) {
     if (error.name === 'ValidationError' || error instanceof DatabaseError) {
@@ -2038,9 +5238,11 @@ export function updateOrganizationRule(ruleId, updates) {
 export function deleteOrganizationRule(ruleId) {
   const id = validatePositiveInteger(ruleId, 'Rule ID');
 
-  db.run('DELETE FROM organization_rules WHERE id = ?', [id]);
+  withTransaction(() => {
+    execute('DELETE FROM organization_rules WHERE id = ?', [id]);
 
-  logActivity('delete', 'organization_rule', id.toString(), `Deleted rule ID: ${id}`);
+    logActivity('delete', 'organization_rule', id.toString(), `Deleted rule ID: ${id}`);
+  });
   saveDatabase();
 }
 
@@ -2053,7 +5255,7 @@ export function deleteOrganizationRule(ruleId) {
 export function incrementRuleMatchCount(ruleId) {
   const id = validatePositiveInteger(ruleId, 'Rule ID');
 
-  db.run(
+  execute(
     'UPDATE organization_rules SET match_count = match_count + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
     [id]
   );
@@ -2069,14 +5271,13 @@ export function incrementRuleMatchCount(ruleId) {
 export function toggleOrganizationRule(ruleId) {
   const id = validatePositiveInteger(ruleId, 'Rule ID');
 
-  db.run(
+  execute(
     'UPDATE organization_rules SET is_active = 1 - is_active, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
     [id]
   );
   saveDatabase();
 
-  const result = db.exec(`SELECT is_active FROM organization_rules WHERE id = ${id}`);
-  return result[0]?.values[0]?.[0] === 1;
+  return queryValue('SELECT is_active FROM organization_rules WHERE id = ?', [id]) === 1;
 }
 
 // ============================================
@@ -2103,42 +5304,27 @@ export function getOrganizedFiles(options = {}) {
   const { status, jdFolderNumber, fileType, limit = 100, offset = 0 } = options;
 
   let query = 'SELECT * FROM organized_files WHERE 1=1';
+  const params = [];
 
   if (status && VALID_FILE_STATUSES.includes(status)) {
-    query += ` AND status = '${status}'`;
+    query += ' AND status = ?';
+    params.push(status);
   }
 
   if (jdFolderNumber) {
-    const folder = sanitizeText(jdFolderNumber);
-    query += ` AND jd_folder_number = '${folder}'`;
+    query += ' AND jd_folder_number = ?';
+    params.push(sanitizeText(jdFolderNumber));
   }
 
   if (fileType) {
-    const type = sanitizeText(fileType);
-    query += ` AND file_type = '${type}'`;
+    query += ' AND file_type = ?';
+    params.push(sanitizeText(fileType));
   }
 
-  query += ` ORDER BY organized_at DESC LIMIT ${Math.min(limit, 1000)} OFFSET ${offset}`;
+  query += ' ORDER BY organized_at DESC LIMIT ? OFFSET ?';
+  params.push(Math.min(limit, 1000), offset);
 
-  const results = db.exec(query);
-  return (
-    results[0]?.values.map((row) => ({
-      id: row[0],
-      filename: row[1],
-      original_path: row[2],
-      current_path: row[3],
-      jd_folder_number: row[4],
-      jd_item_id: row[5],
-      file_extension: row[6],
-      file_type: row[7],
-      file_size: row[8],
-      file_modified_at: row[9],
-      matched_rule_id: row[10],
-      cloud_drive_id: row[11],
-      status: row[12],
-      organized_at: row[13],
-    })) || []
-  );
+  return queryAll(query, params);
 }
 
 /**
@@ -2150,27 +5336,7 @@ export function getOrganizedFiles(options = {}) {
 export function getOrganizedFile(fileId) {
   const id = validatePositiveInteger(fileId, 'File ID');
 
-  const results = db.exec(`SELECT * FROM organized_files WHERE id = ${id}`);
-
-  if (!results[0]?.values[0]) return null;
-
-  const row = results[0].values[0];
-  return {
-    id: row[0],
-    filename: row[1],
-    original_path: row[2],
-    current_path: row[3],
-    jd_folder_number: row[4],
-    jd_item_id: row[5],
-    file_extension: row[6],
-    file_type: row[7],
-    file_size: row[8],
-    file_modified_at: row[9],
-    matched_rule_id: row[10],
-    cloud_drive_id: row[11],
-    status: row[12],
-    organized_at: row[13],
-  };
+  return queryOne('SELECT * FROM organized_files WHERE id = ?', [id]);
 }
 
 /**
@@ -2182,33 +5348,10 @@ export function getOrganizedFile(fileId) {
 export function findOrganizedFileByPath(originalPath) {
   const path = validateRequiredString(originalPath, 'Original path', 1000);
 
-  // Use parameterized query for safety
-  const stmt = db.prepare('SELECT * FROM organized_files WHERE original_path = ? AND status != ?');
-  stmt.bind([path, 'undone']);
-
-  let result = null;
-  if (stmt.step()) {
-    const row = stmt.get();
-    result = {
-      id: row[0],
-      filename: row[1],
-      original_path: row[2],
-      current_path: row[3],
-      jd_folder_number: row[4],
-      jd_item_id: row[5],
-      file_extension: row[6],
-      file_type: row[7],
-      file_size: row[8],
-      file_modified_at: row[9],
-      matched_rule_id: row[10],
-      cloud_drive_id: row[11],
-      status: row[12],
-      organized_at: row[13],
-    };
-  }
-
-  stmt.free();
-  return result;
+  return queryOne('SELECT * FROM organized_files WHERE original_path = ? AND status != ?', [
+    path,
+    'undone',
+  ]);
 }
 
 /**
@@ -2244,42 +5387,46 @@ export function recordOrganizedFile(file) {
 
     const status = file.status && VALID_FILE_STATUSES.includes(file.status) ? file.status : 'moved';
 
-    const stmt = db.prepare(`
-      INSERT INTO organized_files (
-        filename, original_path, current_path, jd_folder_number, jd_item_id,
-        file_extension, file_type, file_size, file_modified_at,
-        matched_rule_id, cloud_drive_id, status
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    stmt.run([
-      filename,
-      originalPath,
-      currentPath,
-      jdFolderNumber,
-      file.jd_item_id || null,
-      fileExtension,
-      fileType,
-      file.file_size || null,
-      file.file_modified_at || null,
-      file.matched_rule_id || null,
-      cloudDriveId,
-      status,
-    ]);
-
-    stmt.free();
+    return withTransaction(() => {
+      execute(
+        `INSERT INTO organized_files (
+          filename, original_path, current_path, jd_folder_number, jd_item_id,
+          file_extension, file_type, file_size, file_modified_at,
+          matched_rule_id, cloud_drive_id, status
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          filename,
+          originalPath,
+          currentPath,
+          jdFolderNumber,
+          file.jd_item_id || null,
+          fileExtension,
+          fileType,
+          file.file_size || null,
+          file.file_modified_at || null,
+          file.matched_rule_id || null,
+          cloudDriveId,
+          status,
+        ]
+      );
 
-    const newId = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+      const newId = lastInsertId();
 
-    // Increment rule match count if a rule was used
-    if (file.matched_rule_id) {
-      incrementRuleMatchCount(file.matched_rule_id);
-    }
+      // Increment rule match count if a rule was used
+      if (file.matched_rule_id) {
+        incrementRuleMatchCount(file.matched_rule_id);
+      }
 
-    logActivity('organize', 'file', filename, `Organized file to ${jdFolderNumber || currentPath}`);
-    saveDatabase();
+      logActivity(
+        'organize',
+        'file',
+        filename,
+        `Organized file to ${jdFolderNumber || currentPath}`
+      );
+      saveDatabase();
 
-    return newId;
+      return newId;
+    });
   } catch (error) {
     if (error.name === 'ValidationError' || error instanceof DatabaseError) {
       throw error;
@@ -2296,12 +5443,14 @@ export function recordOrganizedFile(file) {
 export function markFileUndone(fileId) {
   const id = validatePositiveInteger(fileId, 'File ID');
 
-  db.run("UPDATE organized_files SET status = 'undone' WHERE id = ?", [id]);
+  withTransaction(() => {
+    execute("UPDATE organized_files SET status = 'undone' WHERE id = ?", [id]);
 
-  const file = getOrganizedFile(id);
-  if (file) {
-    logActivity('undo', 'file', file.filename, `Undid organization of ${file.filename}`);
-  }
+    const file = getOrganizedFile(id);
+    if (file) {
+      logActivity('undo', 'file', file.filename, `Undid organization of ${file.filename}`);
+    }
+  });
 
   saveDatabase();
 }
@@ -2331,7 +5480,7 @@ export function updateOrganizedFile(fileId, updates) {
   }
 
   values.push(id);
-  db.run(`UPDATE organized_files SET ${updateParts.join(', ')} WHERE id = ?`, values);
+  execute(`UPDATE organized_files SET ${updateParts.join(', ')} WHERE id = ?`, values);
   saveDatabase();
 }
 
@@ -2351,47 +5500,37 @@ export function getRecentOrganizedFiles(limit = 20) {
  * @returns {Object} Statistics object
  */
 export function getOrganizedFilesStats() {
-  const totalMoved =
-    db.exec("SELECT COUNT(*) FROM organized_files WHERE status = 'moved'")[0]?.values[0][0] || 0;
-  const totalTracked =
-    db.exec("SELECT COUNT(*) FROM organized_files WHERE status = 'tracked'")[0]?.values[0][0] || 0;
-  const totalUndone =
-    db.exec("SELECT COUNT(*) FROM organized_files WHERE status = 'undone'")[0]?.values[0][0] || 0;
+  const countByStatus = (status) =>
+    queryValue('SELECT COUNT(*) FROM organized_files WHERE status = ?', [status]) || 0;
+
+  const totalMoved = countByStatus('moved');
+  const totalTracked = countByStatus('tracked');
+  const totalUndone = countByStatus('undone');
   const totalSize =
-    db.exec("SELECT SUM(file_size) FROM organized_files WHERE status = 'moved'")[0]?.values[0][0] ||
-    0;
+    queryValue("SELECT SUM(file_size) FROM organized_files WHERE status = 'moved'") || 0;
 
   // Get breakdown by file type
-  const byTypeResults = db.exec(`
-    SELECT file_type, COUNT(*) as count 
-    FROM organized_files 
+  const byType = {};
+  queryAll(`
+    SELECT file_type, COUNT(*) as count
+    FROM organized_files
     WHERE status = 'moved' AND file_type IS NOT NULL
-    GROUP BY file_type 
+    GROUP BY file_type
     ORDER BY count DESC
-  `);
-
-  const byType =
-    byTypeResults[0]?.values.reduce((acc, row) => {
-      acc[row[0]] = row[1];
-      return acc;
-    }, {}) || {};
+  `).forEach((row) => {
+    byType[row.file_type] = row.count;
+  });
 
   // Get breakdown by JD folder
-  const byFolderResults = db.exec(`
-    SELECT jd_folder_number, COUNT(*) as count 
-    FROM organized_files 
+  const topFolders = queryAll(`
+    SELECT jd_folder_number as folder_number, COUNT(*) as count
+    FROM organized_files
     WHERE status = 'moved' AND jd_folder_number IS NOT NULL
-    GROUP BY jd_folder_number 
+    GROUP BY jd_folder_number
     ORDER BY count DESC
     LIMIT 10
   `);
 
-  const topFolders =
-    byFolderResults[0]?.values.map((row) => ({
-      folder_number: row[0],
-      count: row[1],
-    })) || [];
-
   return {
     totalMoved,
     totalTracked,
@@ -2422,10 +5561,9 @@ export function generateScanSessionId() {
  */
 export function clearScannedFiles(sessionId = null) {
   if (sessionId) {
-    const id = sanitizeText(sessionId);
-    db.run(`DELETE FROM scanned_files WHERE scan_session_id = '${id}'`);
+    execute('DELETE FROM scanned_files WHERE scan_session_id = ?', [sanitizeText(sessionId)]);
   } else {
-    db.run('DELETE FROM scanned_files');
+    execute('DELETE FROM scanned_files');
   }
   saveDatabase();
 }
@@ -2452,36 +5590,33 @@ export function addScannedFile(file) {
   const filename = validateRequiredString(file.filename, 'Filename', 500);
   const path = validateRequiredString(file.path, 'Path', 1000);
 
-  const stmt = db.prepare(`
-    INSERT INTO scanned_files (
-      scan_session_id, filename, path, parent_folder, file_extension,
-      file_type, file_size, file_modified_at, suggested_jd_folder,
-      suggested_rule_id, suggestion_confidence
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
-
   const confidence = ['none', 'low', 'medium', 'high'].includes(file.suggestion_confidence)
     ? file.suggestion_confidence
     : 'none';
 
-  stmt.run([
-    sessionId,
-    filename,
-    path,
-    file.parent_folder || null,
-    file.file_extension || null,
-    file.file_type || null,
-    file.file_size || null,
-    file.file_modified_at || null,
-    file.suggested_jd_folder || null,
-    file.suggested_rule_id || null,
-    confidence,
-  ]);
-
-  stmt.free();
+  execute(
+    `INSERT INTO scanned_files (
+      scan_session_id, filename, path, parent_folder, file_extension,
+      file_type, file_size, file_modified_at, suggested_jd_folder,
+      suggested_rule_id, suggestion_confidence
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      sessionId,
+      filename,
+      path,
+      file.parent_folder || null,
+      file.file_extension || null,
+      file.file_type || null,
+      file.file_size || null,
+      file.file_modified_at || null,
+      file.suggested_jd_folder || null,
+      file.suggested_rule_id || null,
+      confidence,
+    ]
+  );
 
   // Don't save after each file - caller should batch save
-  return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  return lastInsertId();
 }
 
 /**
@@ -2495,14 +5630,16 @@ export function addScannedFilesBatch(files) {
 
   let count = 0;
 
-  for (const file of files) {
-    try {
-      addScannedFile(file);
-      count++;
-    } catch (e) {
-      console.warn(`[JDex DB] Skipped invalid file: ${e.message}`);
+  withTransaction(() => {
+    for (const file of files) {
+      try {
+        withTransaction(() => addScannedFile(file));
+        count++;
+      } catch (e) {
+        console.warn(`[JDex DB] Skipped invalid file: ${e.message}`);
+      }
     }
-  }
+  });
 
   saveDatabase();
   return count;
@@ -2522,14 +5659,17 @@ export function getScannedFiles(sessionId, options = {}) {
   const id = validateRequiredString(sessionId, 'Session ID', 50);
   const { decision, fileType, hasSuggestion } = options;
 
-  let query = `SELECT * FROM scanned_files WHERE scan_session_id = '${sanitizeText(id)}'`;
+  let query = 'SELECT * FROM scanned_files WHERE scan_session_id = ?';
+  const params = [sanitizeText(id)];
 
   if (decision && ['pending', 'accepted', 'changed', 'skipped'].includes(decision)) {
-    query += ` AND user_decision = '${decision}'`;
+    query += ' AND user_decision = ?';
+    params.push(decision);
   }
 
   if (fileType) {
-    query += ` AND file_type = '${sanitizeText(fileType)}'`;
+    query += ' AND file_type = ?';
+    params.push(sanitizeText(fileType));
   }
 
   if (hasSuggestion === true) {
@@ -2540,26 +5680,7 @@ export function getScannedFiles(sessionId, options = {}) {
 
   query += ' ORDER BY filename ASC';
 
-  const results = db.exec(query);
-  return (
-    results[0]?.values.map((row) => ({
-      id: row[0],
-      scan_session_id: row[1],
-      filename: row[2],
-      path: row[3],
-      parent_folder: row[4],
-      file_extension: row[5],
-      file_type: row[6],
-      file_size: row[7],
-      file_modified_at: row[8],
-      suggested_jd_folder: row[9],
-      suggested_rule_id: row[10],
-      suggestion_confidence: row[11],
-      user_decision: row[12],
-      user_target_folder: row[13],
-      scanned_at: row[14],
-    })) || []
-  );
+  return queryAll(query, params);
 }
 
 /**
@@ -2578,7 +5699,7 @@ export function updateScannedFileDecision(fileId, decision, targetFolder = null)
 
   const folder = targetFolder ? sanitizeText(targetFolder) : null;
 
-  db.run(
+  execute(
     `
     UPDATE scanned_files 
     SET user_decision = ?, user_target_folder = ?
@@ -2627,56 +5748,48 @@ export function changeScannedFileTarget(fileId, targetFolder) {
 export function getScanStats(sessionId) {
   const id = sanitizeText(sessionId);
 
-  const total =
-    db.exec(`SELECT COUNT(*) FROM scanned_files WHERE scan_session_id = '${id}'`)[0]
-      ?.values[0][0] || 0;
-  const pending =
-    db.exec(
-      `SELECT COUNT(*) FROM scanned_files WHERE scan_session_id = '${id}' AND user_decision = 'pending'`
-    )[0]?.values[0][0] || 0;
-  const accepted =
-    db.exec(
-      `SELECT COUNT(*) FROM scanned_files WHERE scan_session_id = '${id}' AND user_decision = 'accepted'`
-    )[0]?.values[0][0] || 0;
-  const changed =
-    db.exec(
-      `SELECT COUNT(*) FROM scanned_files WHERE scan_session_id = '${id}' AND user_decision = 'changed'`
-    )[0]?.values[0][0] || 0;
-  const skipped =
-    db.exec(
-      `SELECT COUNT(*) FROM scanned_files WHERE scan_session_id = '${id}' AND user_decision = 'skipped'`
-    )[0]?.values[0][0] || 0;
-  const withSuggestions =
-    db.exec(
-      `SELECT COUNT(*) FROM scanned_files WHERE scan_session_id = '${id}' AND suggested_jd_folder IS NOT NULL`
-    )[0]?.values[0][0] || 0;
-  const totalSize =
-    db.exec(`SELECT SUM(file_size) FROM scanned_files WHERE scan_session_id = '${id}'`)[0]
-      ?.values[0][0] || 0;
+  const totals = queryOne(
+    `
+    SELECT
+      COUNT(*) as total,
+      SUM(user_decision = 'pending') as pending,
+      SUM(user_decision = 'accepted') as accepted,
+      SUM(user_decision = 'changed') as changed,
+      SUM(user_decision = 'skipped') as skipped,
+      SUM(suggested_jd_folder IS NOT NULL) as withSuggestions,
+      SUM(file_size) as totalSize
+    FROM scanned_files
+    WHERE scan_session_id = ?
+  `,
+    [id]
+  );
 
   // By file type
-  const byTypeResults = db.exec(`
-    SELECT file_type, COUNT(*) 
-    FROM scanned_files 
-    WHERE scan_session_id = '${id}' AND file_type IS NOT NULL
+  const byType = {};
+  queryAll(
+    `
+    SELECT file_type, COUNT(*) as count
+    FROM scanned_files
+    WHERE scan_session_id = ? AND file_type IS NOT NULL
     GROUP BY file_type
-  `);
+  `,
+    [id]
+  ).forEach((row) => {
+    byType[row.file_type] = row.count;
+  });
 
-  const byType =
-    byTypeResults[0]?.values.reduce((acc, row) => {
-      acc[row[0]] = row[1];
-      return acc;
-    }, {}) || {};
+  const total = totals.total || 0;
+  const withSuggestions = totals.withSuggestions || 0;
 
   return {
     total,
-    pending,
-    accepted,
-    changed,
-    skipped,
+    pending: totals.pending || 0,
+    accepted: totals.accepted || 0,
+    changed: totals.changed || 0,
+    skipped: totals.skipped || 0,
     withSuggestions,
     withoutSuggestions: total - withSuggestions,
-    totalSize,
+    totalSize: totals.totalSize || 0,
     byType,
   };
 }
@@ -2690,34 +5803,19 @@ export function getScanStats(sessionId) {
 export function getFilesReadyToOrganize(sessionId) {
   const id = sanitizeText(sessionId);
 
-  const results = db.exec(`
-    SELECT * FROM scanned_files 
-    WHERE scan_session_id = '${id}' 
+  return queryAll(
+    `
+    SELECT * FROM scanned_files
+    WHERE scan_session_id = ?
     AND user_decision IN ('accepted', 'changed')
     ORDER BY filename
-  `);
-
-  return (
-    results[0]?.values.map((row) => ({
-      id: row[0],
-      scan_session_id: row[1],
-      filename: row[2],
-      path: row[3],
-      parent_folder: row[4],
-      file_extension: row[5],
-      file_type: row[6],
-      file_size: row[7],
-      file_modified_at: row[8],
-      suggested_jd_folder: row[9],
-      suggested_rule_id: row[10],
-      suggestion_confidence: row[11],
-      user_decision: row[12],
-      user_target_folder: row[13],
-      scanned_at: row[14],
-      // The final target: user override or suggestion
-      final_target: row[13] || row[9],
-    })) || []
-  );
+  `,
+    [id]
+  ).map((file) => ({
+    ...file,
+    // The final target: user override or suggestion
+    final_target: file.user_target_folder || file.suggested_jd_folder,
+  }));
 }
 
 // ============================================
@@ -2725,44 +5823,31 @@ export function getFilesReadyToOrganize(sessionId) {
 // ============================================
 
 export function logActivity(action, entityType, entityNumber, details) {
-  db.run(
+  execute(
     'INSERT INTO activity_log (action, entity_type, entity_number, details) VALUES (?, ?, ?, ?)',
     [action, entityType, entityNumber, details]
   );
 }
 
 export function getRecentActivity(limit = 20) {
-  const results = db.exec(`SELECT * FROM activity_log ORDER BY timestamp DESC LIMIT ${limit}`);
-  return (
-    results[0]?.values.map((row) => ({
-      id: row[0],
-      action: row[1],
-      entity_type: row[2],
-      entity_number: row[3],
-      details: row[4],
-      timestamp: row[5],
-    })) || []
-  );
+  return queryAll('SELECT * FROM activity_log ORDER BY timestamp DESC LIMIT ?', [limit]);
 }
 
 export function getStats() {
-  const totalFolders = db.exec('SELECT COUNT(*) FROM folders')[0]?.values[0][0] || 0;
-  const totalItems = db.exec('SELECT COUNT(*) FROM items')[0]?.values[0][0] || 0;
-  const totalCategories = db.exec('SELECT COUNT(*) FROM categories')[0]?.values[0][0] || 0;
+  const totalFolders = queryValue('SELECT COUNT(*) FROM folders') || 0;
+  const totalItems = queryValue('SELECT COUNT(*) FROM items') || 0;
+  const totalCategories = queryValue('SELECT COUNT(*) FROM categories') || 0;
 
   // Folder stats by sensitivity
   const sensitiveFolders =
-    db.exec("SELECT COUNT(*) FROM folders WHERE sensitivity = 'sensitive'")[0]?.values[0][0] || 0;
-  const workFolders =
-    db.exec("SELECT COUNT(*) FROM folders WHERE sensitivity = 'work'")[0]?.values[0][0] || 0;
+    queryValue("SELECT COUNT(*) FROM folders WHERE sensitivity = 'sensitive'") || 0;
+  const workFolders = queryValue("SELECT COUNT(*) FROM folders WHERE sensitivity = 'work'") || 0;
 
   // Item stats - need to compute effective sensitivity
-  const inheritItems =
-    db.exec("SELECT COUNT(*) FROM items WHERE sensitivity = 'inherit'")[0]?.values[0][0] || 0;
+  const inheritItems = queryValue("SELECT COUNT(*) FROM items WHERE sensitivity = 'inherit'") || 0;
   const sensitiveItems =
-    db.exec("SELECT COUNT(*) FROM items WHERE sensitivity = 'sensitive'")[0]?.values[0][0] || 0;
-  const workItems =
-    db.exec("SELECT COUNT(*) FROM items WHERE sensitivity = 'work'")[0]?.values[0][0] || 0;
+    queryValue("SELECT COUNT(*) FROM items WHERE sensitivity = 'sensitive'") || 0;
+  const workItems = queryValue("SELECT COUNT(*) FROM items WHERE sensitivity = 'work'") || 0;
 
   return {
     totalFolders,
@@ -2782,6 +5867,18 @@ export function getStats() {
 // WATCHED FOLDERS CRUD (Premium Feature)
 // ============================================
 
+/**
+ * Parse a watched_folders row's file_types JSON column.
+ */
+function parseWatchedFolder(row) {
+  if (!row.file_types) return row;
+  try {
+    return { ...row, file_types: JSON.parse(row.file_types) };
+  } catch {
+    return { ...row, file_types: [] };
+  }
+}
+
 /**
  * Get all watched folders.
  *
@@ -2791,36 +5888,14 @@ export function getStats() {
  */
 export function getWatchedFolders(options = {}) {
   let sql = 'SELECT * FROM watched_folders';
-  const conditions = [];
 
   if (options.activeOnly) {
-    conditions.push('is_active = 1');
-  }
-
-  if (conditions.length > 0) {
-    sql += ' WHERE ' + conditions.join(' AND ');
+    sql += ' WHERE is_active = 1';
   }
 
   sql += ' ORDER BY created_at DESC';
 
-  const result = db.exec(sql);
-  if (!result[0]) return [];
-
-  return result[0].values.map((row) => {
-    const obj = {};
-    result[0].columns.forEach((col, i) => {
-      obj[col] = row[i];
-    });
-    // Parse file_types JSON if present
-    if (obj.file_types) {
-      try {
-        obj.file_types = JSON.parse(obj.file_types);
-      } catch {
-        obj.file_types = [];
-      }
-    }
-    return obj;
-  });
+  return queryAll(sql).map(parseWatchedFolder);
 }
 
 /**
@@ -2832,24 +5907,8 @@ export function getWatchedFolders(options = {}) {
 export function getWatchedFolder(id) {
   const folderId = validatePositiveInteger(id, 'Watched Folder ID');
 
-  const result = db.exec(`SELECT * FROM watched_folders WHERE id = ${folderId}`);
-  if (!result[0]?.values?.[0]) return null;
-
-  const obj = {};
-  result[0].columns.forEach((col, i) => {
-    obj[col] = result[0].values[0][i];
-  });
-
-  // Parse file_types JSON if present
-  if (obj.file_types) {
-    try {
-      obj.file_types = JSON.parse(obj.file_types);
-    } catch {
-      obj.file_types = [];
-    }
-  }
-
-  return obj;
+  const row = queryOne('SELECT * FROM watched_folders WHERE id = ?', [folderId]);
+  return row ? parseWatchedFolder(row) : null;
 }
 
 /**
@@ -2859,17 +5918,7 @@ export function getWatchedFolder(id) {
  * @returns {Object|null} The watched folder or null
  */
 export function getWatchedFolderByPath(path) {
-  const sanitizedPath = sanitizeText(path);
-
-  const result = db.exec(`SELECT * FROM watched_folders WHERE path = '${sanitizedPath}'`);
-  if (!result[0]?.values?.[0]) return null;
-
-  const obj = {};
-  result[0].columns.forEach((col, i) => {
-    obj[col] = result[0].values[0][i];
-  });
-
-  return obj;
+  return queryOne('SELECT * FROM watched_folders WHERE path = ?', [sanitizeText(path)]);
 }
 
 /**
@@ -2895,7 +5944,7 @@ export function createWatchedFolder(folder) {
     throw new DatabaseError(`Invalid confidence threshold: ${confidenceThreshold}`);
   }
 
-  db.run(
+  execute(
     `
     INSERT INTO watched_folders (name, path, is_active, auto_organize, confidence_threshold, 
                                   include_subdirs, file_types, notify_on_organize)
@@ -2913,8 +5962,7 @@ export function createWatchedFolder(folder) {
     ]
   );
 
-  const result = db.exec('SELECT last_insert_rowid()');
-  const newId = result[0].values[0][0];
+  const newId = lastInsertId();
 
   saveDatabase();
   return newId;
@@ -2967,7 +6015,7 @@ export function updateWatchedFolder(id, updates) {
 
   updateParts.push('updated_at = CURRENT_TIMESTAMP');
 
-  db.run(
+  execute(
     `
     UPDATE watched_folders 
     SET ${updateParts.join(', ')}
@@ -2987,7 +6035,7 @@ export function updateWatchedFolder(id, updates) {
 export function deleteWatchedFolder(id) {
   const folderId = validatePositiveInteger(id, 'Watched Folder ID');
 
-  db.run('DELETE FROM watched_folders WHERE id = ?', [folderId]);
+  execute('DELETE FROM watched_folders WHERE id = ?', [folderId]);
   saveDatabase();
 }
 
@@ -3001,7 +6049,7 @@ export function incrementWatchedFolderStats(id, organized = false) {
   const folderId = validatePositiveInteger(id, 'Watched Folder ID');
 
   if (organized) {
-    db.run(
+    execute(
       `
       UPDATE watched_folders 
       SET files_processed = files_processed + 1,
@@ -3012,7 +6060,7 @@ export function incrementWatchedFolderStats(id, organized = false) {
       [folderId]
     );
   } else {
-    db.run(
+    execute(
       `
       UPDATE watched_folders 
       SET files_processed = files_processed + 1,
@@ -3048,7 +6096,7 @@ export function logWatchActivity(activity) {
     throw new DatabaseError(`Invalid action: ${action}`);
   }
 
-  db.run(
+  execute(
     `
     INSERT INTO watch_activity (watched_folder_id, filename, path, file_extension, file_type,
                                  file_size, action, matched_rule_id, target_folder, error_message)
@@ -3068,8 +6116,7 @@ export function logWatchActivity(activity) {
     ]
   );
 
-  const result = db.exec('SELECT last_insert_rowid()');
-  const newId = result[0].values[0][0];
+  const newId = lastInsertId();
 
   saveDatabase();
   return newId;
@@ -3091,25 +6138,19 @@ export function getWatchActivity(watchedFolderId, options = {}) {
     FROM watch_activity wa
     LEFT JOIN watched_folders wf ON wa.watched_folder_id = wf.id
     LEFT JOIN organization_rules r ON wa.matched_rule_id = r.id
-    WHERE wa.watched_folder_id = ${folderId}
+    WHERE wa.watched_folder_id = ?
   `;
+  const params = [folderId];
 
   if (options.action) {
-    sql += ` AND wa.action = '${sanitizeText(options.action)}'`;
+    sql += ' AND wa.action = ?';
+    params.push(sanitizeText(options.action));
   }
 
-  sql += ` ORDER BY wa.created_at DESC LIMIT ${limit}`;
-
-  const result = db.exec(sql);
-  if (!result[0]) return [];
+  sql += ' ORDER BY wa.created_at DESC LIMIT ?';
+  params.push(limit);
 
-  return result[0].values.map((row) => {
-    const obj = {};
-    result[0].columns.forEach((col, i) => {
-      obj[col] = row[i];
-    });
-    return obj;
-  });
+  return queryAll(sql, params);
 }
 
 /**
@@ -3129,31 +6170,26 @@ export function getRecentWatchActivity(options = {}) {
   `;
 
   const conditions = [];
+  const params = [];
 
   if (options.action) {
-    conditions.push(`wa.action = '${sanitizeText(options.action)}'`);
+    conditions.push('wa.action = ?');
+    params.push(sanitizeText(options.action));
   }
 
   if (options.since) {
-    conditions.push(`wa.created_at >= '${sanitizeText(options.since)}'`);
+    conditions.push('wa.created_at >= ?');
+    params.push(sanitizeText(options.since));
   }
 
   if (conditions.length > 0) {
     sql += ' WHERE ' + conditions.join(' AND ');
   }
 
-  sql += ` ORDER BY wa.created_at DESC LIMIT ${limit}`;
+  sql += ' ORDER BY wa.created_at DESC LIMIT ?';
+  params.push(limit);
 
-  const result = db.exec(sql);
-  if (!result[0]) return [];
-
-  return result[0].values.map((row) => {
-    const obj = {};
-    result[0].columns.forEach((col, i) => {
-      obj[col] = row[i];
-    });
-    return obj;
-  });
+  return queryAll(sql, params);
 }
 
 /**
@@ -3170,16 +6206,7 @@ export function getQueuedFileCounts() {
     GROUP BY wf.id
   `;
 
-  const result = db.exec(sql);
-  if (!result[0]) return [];
-
-  return result[0].values.map((row) => {
-    const obj = {};
-    result[0].columns.forEach((col, i) => {
-      obj[col] = row[i];
-    });
-    return obj;
-  });
+  return queryAll(sql);
 }
 
 /**
@@ -3188,11 +6215,144 @@ export function getQueuedFileCounts() {
  * @param {number} daysOld - Delete activity older than this many days
  */
 export function clearOldWatchActivity(daysOld = 30) {
-  db.run(`
-    DELETE FROM watch_activity 
-    WHERE created_at < datetime('now', '-${daysOld} days')
-  `);
+  const days = validatePositiveInteger(daysOld, 'Days');
+
+  execute("DELETE FROM watch_activity WHERE created_at < datetime('now', ?)", [`-${days} days`]);
+  saveDatabase();
+}
+
+// ============================================
+// INTEGRITY CHECKS
+// ============================================
+// The checks themselves live in utils/integrity.js and only see a snapshot.
+
+// Columns a fix may change, per table
+const REPAIRABLE_COLUMNS = {
+  categories: ['area_id'],
+  folders: ['folder_number', 'category_id', 'sequence'],
+  items: ['item_number', 'folder_id', 'sequence'],
+  organized_files: ['jd_folder_number'],
+};
+
+/**
+ * Check the whole index for numbering and linking problems.
+ *
+ * @returns {Array<Object>} Violations, most serious first (see findIntegrityViolations)
+ */
+export function checkIntegrity() {
+  return findIntegrityViolations({
+    areas: queryAll('SELECT id, range_start, range_end, name FROM areas'),
+    categories: queryAll('SELECT id, number, area_id, name FROM categories'),
+    folders: queryAll('SELECT id, folder_number, category_id, sequence, name FROM folders'),
+    items: queryAll('SELECT id, item_number, folder_id, sequence, name FROM items'),
+    organizedFiles: queryAll(
+      "SELECT id, filename, jd_folder_number, jd_item_id FROM organized_files WHERE status IN ('moved', 'tracked')"
+    ),
+    reservedNumbers: queryAll('SELECT number FROM reserved_numbers').map((r) => r.number),
+  });
+}
+
+/**
+ * Apply one row change from a proposed fix.
+ */
+function applyIntegrityChange(change) {
+  const columns = REPAIRABLE_COLUMNS[change.table];
+  if (!columns) {
+    throw new DatabaseError(`Cannot repair table: ${change.table}`, 'update');
+  }
+
+  if (change.type === 'delete') {
+    execute(`DELETE FROM ${change.table} WHERE id = ?`, [change.id]);
+    return;
+  }
+
+  if (Object.keys(change.values).some((key) => !columns.includes(key))) {
+    throw new DatabaseError(`Cannot repair column on ${change.table}`, 'update');
+  }
+
+  // Folder numbers are referenced elsewhere, so they go through the cascade
+  const { folder_number: folderNumber, ...values } = change.values;
+  if (change.table === 'folders' && folderNumber !== undefined) {
+    applyFolderNumber(change.id, folderNumber);
+  }
+
+  const entries = Object.entries(values);
+  if (entries.length === 0) return;
+
+  execute(
+    `UPDATE ${change.table} SET ${entries.map(([key]) => `${key} = ?`).join(', ')} WHERE id = ?`,
+    [...entries.map(([, value]) => value), change.id]
+  );
+}
+
+// Tables the *_id columns a fix may set point into
+const REPAIR_PARENT_TABLES = { area_id: 'areas', category_id: 'categories', folder_id: 'folders' };
+
+/**
+ * What a fix change touches: its row, any number it assigns and any parent
+ * row it points at. Two fixes sharing a key can't both be trusted from one
+ * check.
+ */
+function integrityChangeKeys(change) {
+  const keys = [`${change.table}:${change.id}`];
+  Object.entries(change.values || {}).forEach(([column, value]) => {
+    if (column.endsWith('_number')) keys.push(`number:${value}`);
+    if (REPAIR_PARENT_TABLES[column]) keys.push(`${REPAIR_PARENT_TABLES[column]}:${value}`);
+  });
+  return keys;
+}
+
+/**
+ * Apply the proposed fixes of the given violations, in order, in one
+ * transaction. The index is checked once per pass, and a fix that touches
+ * a row or number an earlier fix in the pass already changed (e.g. two
+ * renumbers competing for the same number) waits for the next pass rather
+ * than being applied blindly. Violations that are already resolved or have
+ * no fix are skipped.
+ *
+ * @param {Array<string>} violationIds - `id`s from checkIntegrity()
+ * @returns {{applied: Array<string>, skipped: Array<string>}}
+ * @throws {DatabaseError} If a fix fails (nothing is applied)
+ */
+export function repairIntegrity(violationIds) {
+  const result = withTransaction(() => {
+    const applied = [];
+    const skipped = [];
+    let pending = [...violationIds];
+
+    // Each pass applies at least its first fix, so this ends
+    while (pending.length > 0) {
+      const violations = new Map(checkIntegrity().map((v) => [v.id, v]));
+      const touched = new Set();
+      const deferred = [];
+
+      for (const id of pending) {
+        const current = violations.get(id);
+        if (!current?.fix) {
+          skipped.push(id);
+          continue;
+        }
+
+        const keys = current.fix.changes.flatMap(integrityChangeKeys);
+        if (keys.some((key) => touched.has(key))) {
+          deferred.push(id);
+          continue;
+        }
+
+        current.fix.changes.forEach(applyIntegrityChange);
+        keys.forEach((key) => touched.add(key));
+        logActivity('repair', current.entity_type, null, current.fix.description);
+        applied.push(id);
+      }
+
+      pending = deferred;
+    }
+
+    return { applied, skipped };
+  });
+
   saveDatabase();
+  return result;
 }
 
 // ============================================
@@ -3200,18 +6360,26 @@ export function clearOldWatchActivity(daysOld = 30) {
 // ============================================
 
 export function executeSQL(sql) {
+  // Schema changes run without the history triggers, which name every column
+  const changesSchema = /\b(ALTER|CREATE|DROP)\b/i.test(sql);
   try {
+    if (changesSchema) removeChangeCapture();
     const results = db.exec(sql);
+    if (changesSchema) clearHistory();
     saveDatabase();
     return { success: true, results };
   } catch (error) {
     return { success: false, error: error.message };
+  } finally {
+    // Rebuilt from the columns the tables have now
+    installChangeCapture();
   }
 }
 
 export function getTables() {
-  const results = db.exec("SELECT name FROM sqlite_master WHERE type='table' ORDER BY name");
-  return results[0]?.values.map((row) => row[0]) || [];
+  return queryAll("SELECT name FROM sqlite_master WHERE type='table' ORDER BY name").map(
+    (row) => row.name
+  );
 }
 
 export function getTableData(tableName) {
@@ -3227,21 +6395,134 @@ export function getTableData(tableName) {
     return { columns: [], rows: [] };
   }
 
-  const results = db.exec(`SELECT * FROM ${tableName}`);
-  if (!results[0]) return { columns: [], rows: [] };
+  // tableName is checked against the list above, so it's safe to interpolate
+  const rows = queryAll(`SELECT * FROM ${tableName}`);
+  if (rows.length === 0) return { columns: [], rows: [] };
 
+  const columns = Object.keys(rows[0]);
   return {
-    columns: results[0].columns,
-    rows: results[0].values,
+    columns,
+    rows: rows.map((row) => columns.map((col) => row[col])),
   };
 }
 
+// ============================================
+// BACKUPS
+// ============================================
+
+// How often to take a scheduled snapshot (skipped if nothing changed)
+const BACKUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let backupTimer = null;
+let changedSinceBackup = false;
+
+/**
+ * Count the records shown next to each snapshot in the restore browser.
+ */
+function countRecords() {
+  return {
+    areas: queryValue('SELECT COUNT(*) FROM areas') || 0,
+    categories: queryValue('SELECT COUNT(*) FROM categories') || 0,
+    folders: queryValue('SELECT COUNT(*) FROM folders') || 0,
+    items: queryValue('SELECT COUNT(*) FROM items') || 0,
+  };
+}
+
+/**
+ * Take a snapshot of the open database, then delete the snapshots the
+ * retention policy no longer needs (see utils/backupRetention.js).
+ *
+ * @param {string} [label='manual'] - Why the snapshot was taken
+ * @returns {Promise<Object>} The new backup (id, label, created_at, size, counts)
+ * @throws {DatabaseError} If the snapshot can't be written
+ */
+export async function createBackup(label = 'manual') {
+  const counts = countRecords();
+  const backup = await writeDatabaseBackup(await sealDatabase(), label, activeProfileId, counts);
+  changedSinceBackup = false;
+
+  await pruneBackups();
+  return backup;
+}
+
+/**
+ * Delete old snapshots. Failures are only logged - a snapshot that
+ * outlives its retention slot is harmless.
+ */
+async function pruneBackups() {
+  try {
+    const backups = await listDatabaseBackups(activeProfileId);
+    for (const backup of selectBackupsToPrune(backups)) {
+      await deleteDatabaseBackup(backup.id, activeProfileId);
+    }
+  } catch (error) {
+    logError(error, 'db.pruneBackups');
+  }
+}
+
+/**
+ * List the current profile's snapshots, newest first.
+ *
+ * @returns {Promise<Array<{id: string, label: string, created_at: string, size: number, counts: Object}>>}
+ * @throws {DatabaseError} If the snapshots can't be listed
+ */
+export function getBackups() {
+  return listDatabaseBackups(activeProfileId);
+}
+
+/**
+ * Replace the open database with a snapshot. The current state is
+ * snapshotted first, so a restore can itself be undone.
+ *
+ * @param {string} backupId - id from getBackups()
+ * @param {string} [passphrase] - For a snapshot encrypted under another key
+ * @throws {DatabaseError} If the snapshot can't be read or opened
+ * @throws {EncryptionError} If the snapshot is encrypted and can't be decrypted
+ */
+export async function restoreBackup(backupId, passphrase) {
+  // Read first: the pre-restore snapshot may prune the one being restored
+  const stored = await readDatabaseBackup(backupId, activeProfileId);
+  const data = await unsealDatabase(stored, passphrase);
+
+  await flushDatabase();
+  await createBackup('pre-restore');
+  await replaceDatabase(data);
+
+  console.log(`[JDex DB] Restored backup: ${backupId}`);
+}
+
+let startupBackupTaken = false;
+
+/**
+ * Snapshot the database as it was opened, once per app start. An encrypted
+ * database gets its snapshot when it is first unlocked.
+ * A failed snapshot shouldn't keep the user out of their data.
+ */
+async function takeStartupBackup() {
+  if (startupBackupTaken) return;
+  startupBackupTaken = true;
+  await createBackup('startup').catch((error) => logError(error, 'db.startupBackup'));
+}
+
+/**
+ * Start the scheduled snapshots. Safe to call more than once.
+ */
+function startBackupSchedule() {
+  if (backupTimer) return;
+
+  backupTimer = setInterval(() => {
+    if (!db || !changedSinceBackup) return;
+    createBackup('scheduled').catch((error) => logError(error, 'db.scheduledBackup'));
+  }, BACKUP_INTERVAL_MS);
+}
+
 // ============================================
 // EXPORT/IMPORT
 // ============================================
 
-export function exportDatabase() {
-  const data = db.export();
+// Downloads a .sqlite copy, encrypted if encryption is on
+export async function exportDatabase() {
+  const data = await sealDatabase();
   const blob = new Blob([data], { type: 'application/octet-stream' });
   const url = URL.createObjectURL(blob);
 
@@ -3253,16 +6534,49 @@ export function exportDatabase() {
   URL.revokeObjectURL(url);
 }
 
-export async function importDatabase(file) {
+/**
+ * Replace the database with an exported .sqlite file.
+ *
+ * @param {File} file
+ * @param {string} [passphrase] - For an encrypted export from another profile or install
+ * @throws {EncryptionError} 'passphrase' if the file is encrypted and needs its passphrase
+ */
+export async function importDatabase(file, passphrase) {
   const buffer = await file.arrayBuffer();
-  const uint8Array = new Uint8Array(buffer);
+  const data = await unsealDatabase(new Uint8Array(buffer), passphrase);
 
-  db = new SQL.Database(uint8Array);
-  saveDatabase();
+  await createBackup('pre-import');
+  await replaceDatabase(data);
 
   return true;
 }
 
+/**
+ * Swap the open database for another one (an import or a restored backup).
+ * The replacement is migrated to the current schema first; if that fails
+ * the current database stays open.
+ *
+ * @param {Uint8Array} data - SQLite database bytes
+ * @throws {DatabaseError} If the replacement can't be migrated
+ */
+async function replaceDatabase(data) {
+  const previous = db;
+  db = new SQL.Database(data);
+
+  try {
+    // Backups exported by older versions need the newer tables
+    await migrateDatabase();
+  } catch (error) {
+    db.close();
+    db = previous;
+    throw error;
+  }
+
+  previous.close();
+  saveDatabase();
+  await flushDatabase();
+}
+
 export function exportToJSON() {
   const data = {
     exported_at: new Date().toISOString(),
@@ -3272,6 +6586,9 @@ export function exportToJSON() {
     categories: getCategories(),
     folders: getFolders(),
     items: getItems(),
+    custom_fields: getCustomFields(),
+    tags: getTags(),
+    links: getAllLinks(),
     storage_locations: getStorageLocations(),
   };
 
@@ -3287,10 +6604,13 @@ export function exportToJSON() {
 }
 
 // Reset database (for development/testing)
-export function resetDatabase() {
-  localStorage.removeItem('jdex_database_v2');
+export async function resetDatabase() {
+  await createBackup('pre-reset');
+
+  db.close();
   db = new SQL.Database();
-  createTables();
+  applyMigrations(planSchemaChange(SCHEMA_VERSION));
   seedInitialData();
+  await flushDatabase();
   return true;
 }
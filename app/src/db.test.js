@@ -0,0 +1,706 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import initSqlJs from 'sql.js';
+import { LEGACY_STORAGE_KEY } from './utils/storage.js';
+import { isEncrypted } from './utils/encryption.js';
+import { getProfiles, renameProfile } from './utils/profiles.js';
+import { SCHEMA_VERSION, planMigrations, writeSchemaVersion } from './utils/migrations.js';
+
+let db;
+
+// Writes made in one turn of the event loop become one undo command
+const nextTurn = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function storedDatabase() {
+  return new Uint8Array(JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY)));
+}
+
+function addFolder(categoryId, name, fields = {}) {
+  return db.createFolder({
+    ...db.getNextFolderNumber(categoryId),
+    category_id: categoryId,
+    name,
+    ...fields,
+  });
+}
+
+function addItem(folderId, name, fields = {}) {
+  return db.createItem({ ...db.getNextItemNumber(folderId), folder_id: folderId, name, ...fields });
+}
+
+// A fresh copy per test: it keeps the open database in module state
+async function openDatabase() {
+  vi.resetModules();
+  db = await import('./db.js');
+  await db.initDatabase();
+  await nextTurn();
+}
+
+// Otherwise a pending save lands in the next test's storage
+afterEach(() => db.flushDatabase());
+
+// Store a database built by the migrations up to `version`, stamped `stamp`
+async function storeDatabase(version, stamp, sql) {
+  const SQL = await initSqlJs();
+  const old = new SQL.Database();
+  planMigrations(0, version).steps.forEach((step) => step.up(old));
+  writeSchemaVersion(old, stamp);
+  old.run(sql);
+  localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(Array.from(old.export())));
+  old.close();
+}
+
+/**
+ * Store a database the way the release before the migration registry
+ * left a new install: only the core tables, but stamped version 7.
+ *
+ * @param {string} [sql] - Rows to put in it
+ */
+const storeBaselineDatabase = (sql = '') => storeDatabase(1, 7, sql);
+
+describe('schema migrations', () => {
+  it('builds the current schema and the sample structure for a new install', async () => {
+    await openDatabase();
+    expect(db.getMigrationReport().fromVersion).toBe(SCHEMA_VERSION);
+    expect(db.getAreas().length).toBeGreaterThan(0);
+    expect(db.getFolders()).toEqual([]);
+    expect(localStorage.getItem(LEGACY_STORAGE_KEY)).not.toBeNull();
+  });
+
+  it('creates the tables a baseline database stamped version 7 never got', async () => {
+    await storeBaselineDatabase(`
+      INSERT INTO areas (id, range_start, range_end, name) VALUES (1, 10, 19, 'Finance');
+      INSERT INTO categories (id, number, area_id, name) VALUES (11, 11, 1, 'Tax');
+      INSERT INTO folders (id, folder_number, category_id, sequence, name)
+        VALUES (1, '11.01', 11, 1, 'Returns');
+    `);
+    await openDatabase();
+
+    expect(db.getMigrationReport().fromVersion).toBe(SCHEMA_VERSION);
+    expect(db.getTables()).toEqual(
+      expect.arrayContaining([
+        'cloud_drives',
+        'area_storage',
+        'organization_rules',
+        'organized_files',
+        'scanned_files',
+        'watched_folders',
+        'watch_activity',
+      ])
+    );
+    expect(db.getFolder(1).name).toBe('Returns');
+  });
+
+  it('turns keywords into tags and records edits for undo once upgraded', async () => {
+    await storeBaselineDatabase(`
+      INSERT INTO areas (id, range_start, range_end, name) VALUES (1, 10, 19, 'Finance');
+      INSERT INTO categories (id, number, area_id, name) VALUES (11, 11, 1, 'Tax');
+      INSERT INTO folders (id, folder_number, category_id, sequence, name, keywords)
+        VALUES (1, '11.01', 11, 1, 'Returns', 'tax, IRS');
+      INSERT INTO items (id, item_number, folder_id, sequence, name, keywords)
+        VALUES (1, '11.01.01', 1, 1, 'Return 2023', '2023, irs, tax');
+    `);
+    await openDatabase();
+
+    expect(db.getFolder(1).tags).toEqual(['IRS', 'tax']);
+    // Tags are shared, in the spelling they were first used with
+    expect(db.getItems(1).map((i) => i.tags)).toEqual([['2023', 'IRS', 'tax']]);
+
+    db.updateFolder(1, { name: 'Tax returns' });
+    await nextTurn();
+    expect(db.undo()).not.toBeNull();
+    expect(db.getFolder(1).name).toBe('Returns');
+  });
+
+  it('turns the keywords of saved template items into tags', async () => {
+    const items = [{ name: 'Invoices', description: '', keywords: 'billing, tax' }];
+    await storeDatabase(
+      12,
+      12,
+      `INSERT INTO folder_templates (name, items) VALUES ('Client', '${JSON.stringify(items)}')`
+    );
+    await openDatabase();
+
+    const [template] = db.getFolderTemplates();
+    expect(template.items).toEqual([
+      { name: 'Invoices', description: '', tags: ['billing', 'tax'] },
+    ]);
+  });
+});
+
+describe('withTransaction', () => {
+  beforeEach(openDatabase);
+
+  it('rolls back every write when the callback throws', () => {
+    const [category] = db.getCategories();
+    expect(() =>
+      db.withTransaction(() => {
+        addFolder(category.id, 'Kept?');
+        throw new Error('boom');
+      })
+    ).toThrow('boom');
+    expect(db.getFolders()).toEqual([]);
+  });
+
+  it('rolls a nested transaction back to its savepoint only', () => {
+    const [category] = db.getCategories();
+    db.withTransaction(() => {
+      addFolder(category.id, 'Outer');
+      expect(() =>
+        db.withTransaction(() => {
+          addFolder(category.id, 'Inner');
+          throw new Error('inner failed');
+        })
+      ).toThrow('inner failed');
+    });
+    expect(db.getFolders().map((f) => f.name)).toEqual(['Outer']);
+  });
+
+  it('refuses async callbacks', () => {
+    expect(() => db.withTransaction(async () => {})).toThrow(/synchronous/);
+  });
+});
+
+describe('encryption', () => {
+  beforeEach(openDatabase);
+
+  it('stores the database encrypted and opens it only with the passphrase', async () => {
+    const [category] = db.getCategories();
+    const folderId = addFolder(category.id, 'Passports');
+
+    await db.enableEncryption('correct horse battery');
+    expect(isEncrypted(storedDatabase())).toBe(true);
+
+    expect(await db.lockDatabase()).toBe(true);
+    expect(db.isDatabaseLocked()).toBe(true);
+
+    await expect(db.unlockDatabase('wrong passphrase')).rejects.toMatchObject({
+      name: 'EncryptionError',
+      operation: 'unlock',
+    });
+    expect(db.isDatabaseLocked()).toBe(true);
+
+    await db.unlockDatabase('correct horse battery');
+    expect(db.isDatabaseLocked()).toBe(false);
+    expect(db.getFolder(folderId).name).toBe('Passports');
+  });
+
+  it('writes the database in plain form again once disabled', async () => {
+    await db.enableEncryption('correct horse battery');
+    await expect(db.disableEncryption('wrong passphrase')).rejects.toMatchObject({
+      operation: 'unlock',
+    });
+
+    await db.disableEncryption('correct horse battery');
+    expect(isEncrypted(storedDatabase())).toBe(false);
+  });
+});
+
+describe('profiles', () => {
+  beforeEach(openDatabase);
+
+  it('renames a profile, keeping names unique', async () => {
+    const work = await db.createProfile('Work');
+    renameProfile(work.id, 'Day job');
+    expect(getProfiles().find((p) => p.id === work.id).name).toBe('Day job');
+    expect(() => renameProfile(work.id, 'my index')).toThrow(/already exists/);
+  });
+
+  it('deletes a profile with its database, but not the open one', async () => {
+    const work = await db.createProfile('Work');
+    await expect(db.deleteProfile(work.id)).rejects.toThrow(/Switch to another profile/);
+
+    await db.switchProfile('default');
+    await db.deleteProfile(work.id);
+    expect(getProfiles().map((p) => p.id)).toEqual(['default']);
+    expect(localStorage.getItem(`${LEGACY_STORAGE_KEY}:${work.id}`)).toBeNull();
+    await expect(db.deleteProfile('default')).rejects.toThrow(/can't be deleted/);
+  });
+});
+
+// A free category number in the same area as the category
+function freeCategoryNumber(category) {
+  const area = db.getAreas().find((a) => a.id === category.area_id);
+  const taken = new Set(db.getCategories().map((c) => c.number));
+  let number = area.range_start;
+  while (taken.has(number)) number++;
+  expect(number).toBeLessThanOrEqual(area.range_end);
+  return number;
+}
+
+describe('renumberCategory', () => {
+  beforeEach(openDatabase);
+
+  it('renumbers the folders and items of the category', () => {
+    const [category] = db.getCategories();
+    const target = freeCategoryNumber(category);
+
+    const folderId = addFolder(category.id, 'Taxes');
+    addItem(folderId, 'Return 2025');
+    db.renumberCategory(category.id, target);
+
+    const prefix = String(target).padStart(2, '0');
+    expect(db.getFolder(folderId).folder_number).toBe(`${prefix}.01`);
+    expect(db.getItems(folderId).map((i) => i.item_number)).toEqual([`${prefix}.01.01`]);
+  });
+
+  it('changes nothing when the number is taken', () => {
+    const [category, other] = db.getCategories();
+    const folderId = addFolder(category.id, 'Taxes');
+    const before = db.getFolder(folderId).folder_number;
+
+    expect(() => db.renumberCategory(category.id, other.number)).toThrow(/Can't renumber/);
+    expect(db.getCategories()[0].number).toBe(category.number);
+    expect(db.getFolder(folderId).folder_number).toBe(before);
+  });
+
+  it('keeps the old number when the rest of a category edit fails', () => {
+    const [category] = db.getCategories();
+    const folderId = addFolder(category.id, 'Taxes');
+    const before = db.getFolder(folderId).folder_number;
+
+    expect(() =>
+      db.updateCategory(category.id, { number: freeCategoryNumber(category), name: null })
+    ).toThrow();
+    expect(db.getCategories().find((c) => c.id === category.id)).toMatchObject({
+      number: category.number,
+      name: category.name,
+    });
+    expect(db.getFolder(folderId).folder_number).toBe(before);
+  });
+});
+
+describe('reserved numbers', () => {
+  beforeEach(openDatabase);
+
+  it('refuses a renumber that would move a reservation onto another one', () => {
+    const [category] = db.getCategories();
+    const target = freeCategoryNumber(category);
+    const prefix = String(category.number).padStart(2, '0');
+    const targetPrefix = String(target).padStart(2, '0');
+
+    db.reserveNumber(`${prefix}.05`, 'Pensions');
+    // Left behind by a category that had the number before
+    db.executeSQL(
+      `INSERT INTO reserved_numbers (entity_type, number) VALUES ('folder', '${targetPrefix}.05')`
+    );
+
+    expect(() => db.renumberCategory(category.id, target)).toThrow(/reservations would clash/);
+    expect(db.getCategories().find((c) => c.id === category.id).number).toBe(category.number);
+    expect(
+      db
+        .getReservedNumbers()
+        .map((r) => r.number)
+        .sort()
+    ).toEqual([`${prefix}.05`, `${targetPrefix}.05`].sort());
+  });
+});
+
+describe('undo and redo', () => {
+  beforeEach(openDatabase);
+
+  it('undoes and redoes a bulk edit as one step', async () => {
+    const [category] = db.getCategories();
+    const ids = [
+      addFolder(category.id, 'Taxes', { location: 'Desk' }),
+      addFolder(category.id, 'Insurance', { location: 'Desk', tags: ['home'] }),
+    ];
+    await nextTurn();
+
+    expect(db.bulkEditRecords('folder', ids, { location: 'Safe', add_tags: ['paper'] })).toBe(2);
+    await nextTurn();
+
+    const state = () => ids.map((id) => [db.getFolder(id).location, db.getFolder(id).tags]);
+    expect(state()).toEqual([
+      ['Safe', ['paper']],
+      ['Safe', ['home', 'paper']],
+    ]);
+
+    expect(db.undo()).toBe('Bulk edited 2 folders');
+    expect(state()).toEqual([
+      ['Desk', []],
+      ['Desk', ['home']],
+    ]);
+
+    expect(db.redo()).toBe('Bulk edited 2 folders');
+    expect(state()).toEqual([
+      ['Safe', ['paper']],
+      ['Safe', ['home', 'paper']],
+    ]);
+  });
+
+  it("doesn't undo the records of files organized on disk", async () => {
+    const [category] = db.getCategories();
+    const folderId = addFolder(category.id, 'Taxes');
+    const ruleId = db.createOrganizationRule({
+      name: 'PDFs',
+      rule_type: 'extension',
+      pattern: 'pdf',
+      target_type: 'folder',
+      target_id: db.getFolder(folderId).folder_number,
+    });
+    await nextTurn();
+
+    db.recordOrganizedFile({
+      filename: 'return.pdf',
+      original_path: '/downloads/return.pdf',
+      current_path: '/jd/return.pdf',
+      jd_folder_number: db.getFolder(folderId).folder_number,
+      matched_rule_id: ruleId,
+    });
+    await nextTurn();
+
+    // Next in line is still the folder's creation
+    expect(db.undo()).toMatch(/Taxes/);
+    expect(db.getOrganizedFiles().map((f) => f.filename)).toEqual(['return.pdf']);
+  });
+});
+
+describe('folder templates', () => {
+  beforeEach(openDatabase);
+
+  it("keeps a folder's item tags through a template", () => {
+    const [category] = db.getCategories();
+    const folderId = addFolder(category.id, 'Acme');
+    addItem(folderId, 'Contract', { tags: ['legal', 'signed'] });
+
+    const templateId = db.saveFolderAsTemplate(folderId, 'Client');
+    expect(db.getFolderTemplate(templateId).items[0].tags).toEqual(['legal', 'signed']);
+
+    const copyId = db.createFolderFromTemplate(
+      { ...db.getNextFolderNumber(category.id), category_id: category.id, name: 'Globex' },
+      templateId
+    );
+    expect(db.getItems(copyId).map((i) => [i.name, i.tags])).toEqual([
+      ['Contract', ['legal', 'signed']],
+    ]);
+  });
+
+  it('reads the keywords of a version 1 export as tags', () => {
+    const file = {
+      format: 'jdex-folder-templates',
+      version: 1,
+      templates: [{ name: 'Client', items: [{ name: 'Invoices', keywords: 'billing, tax' }] }],
+    };
+    db.importFolderTemplates(JSON.stringify(file));
+
+    const [template] = db.getFolderTemplates();
+    expect(template.items[0].tags).toEqual(['billing', 'tax']);
+    expect(template.items[0]).not.toHaveProperty('keywords');
+  });
+});
+
+describe('repairIntegrity', () => {
+  beforeEach(openDatabase);
+
+  it('applies fixes competing for one number one at a time', () => {
+    const [category] = db.getCategories();
+    const ids = ['Taxes', 'Insurance', 'Pension'].map((name) => addFolder(category.id, name));
+    const prefix = String(category.number).padStart(2, '0');
+    db.executeSQL(`UPDATE folders SET folder_number = '99.02' WHERE id = ${ids[1]}`);
+
+    // Renumbering the stray folder and closing the gap it left both want .02
+    const violations = db.checkIntegrity();
+    expect(violations.map((v) => v.code)).toEqual([
+      'folder_number_mismatch',
+      'folder_sequence_gap',
+    ]);
+
+    const result = db.repairIntegrity(violations.map((v) => v.id));
+    expect(result).toEqual({ applied: [violations[0].id], skipped: [violations[1].id] });
+    expect(ids.map((id) => db.getFolder(id).folder_number)).toEqual(
+      ['01', '02', '03'].map((seq) => `${prefix}.${seq}`)
+    );
+    expect(db.checkIntegrity()).toEqual([]);
+  });
+});
+
+describe('trash', () => {
+  beforeEach(openDatabase);
+
+  const trashEntry = (name) => db.getTrash().find((entry) => entry.name === name);
+
+  it('restores into the next free number when the old one was taken', () => {
+    const [category] = db.getCategories();
+    const folderId = addFolder(category.id, 'Taxes');
+    const folderNumber = db.getFolder(folderId).folder_number;
+    db.deleteItem(addItem(folderId, 'Return 2024'));
+    addItem(folderId, 'Return 2025');
+
+    const restored = db.restoreFromTrash(trashEntry('Return 2024').id);
+    expect(restored.number).toBe(`${folderNumber}.02`);
+    expect(db.getItems(folderId).map((i) => [i.item_number, i.name])).toEqual([
+      [`${folderNumber}.01`, 'Return 2025'],
+      [`${folderNumber}.02`, 'Return 2024'],
+    ]);
+    // The number it was deleted under still finds it
+    expect(db.searchItems(`${folderNumber}.01`).map((i) => i.name)).toContain('Return 2024');
+  });
+
+  it("restores a trashed item's trashed folder first", () => {
+    const [category] = db.getCategories();
+    const folderId = addFolder(category.id, 'Taxes');
+    const folderNumber = db.getFolder(folderId).folder_number;
+    db.deleteItem(addItem(folderId, 'Return 2024'));
+    db.deleteFolder(folderId);
+    expect(trashEntry('Return 2024').restores_with).toEqual([folderNumber]);
+
+    const restored = db.restoreFromTrash(trashEntry('Return 2024').id);
+    expect(restored.restored_parents).toEqual([folderNumber]);
+    expect(db.getFolder(folderId).name).toBe('Taxes');
+    expect(db.getItems(folderId).map((i) => i.name)).toEqual(['Return 2024']);
+    expect(db.getTrash()).toEqual([]);
+  });
+
+  it('purges only entries older than the retention period', () => {
+    const [category] = db.getCategories();
+    db.deleteFolder(addFolder(category.id, 'Old'));
+    db.deleteFolder(addFolder(category.id, 'Recent'));
+    db.executeSQL("UPDATE trash SET deleted_at = datetime('now', '-40 days') WHERE name = 'Old'");
+
+    expect(db.purgeTrash(30)).toBe(1);
+    expect(db.getTrash().map((entry) => entry.name)).toEqual(['Recent']);
+    expect(db.purgeTrash(0)).toBe(0);
+  });
+});
+
+describe('moveFolder', () => {
+  beforeEach(openDatabase);
+
+  it('renumbers the folder, its items and its organized files into the category', () => {
+    const [from, to] = db.getCategories();
+    const folderId = addFolder(from.id, 'Taxes');
+    const itemId = addItem(folderId, 'Return 2025');
+    const oldNumber = db.getFolder(folderId).folder_number;
+    db.recordOrganizedFile({
+      filename: 'return.pdf',
+      original_path: '/downloads/return.pdf',
+      current_path: '/jd/return.pdf',
+      jd_folder_number: oldNumber,
+    });
+
+    const result = db.moveFolder(folderId, to.id);
+    const prefix = String(to.number).padStart(2, '0');
+    expect(result).toEqual({ old_number: oldNumber, folder_number: `${prefix}.01` });
+    expect(db.getFolder(folderId)).toMatchObject({
+      category_id: to.id,
+      folder_number: `${prefix}.01`,
+    });
+    expect(db.getItems(folderId).map((i) => i.item_number)).toEqual([`${prefix}.01.01`]);
+    expect(db.getOrganizedFiles()[0].jd_folder_number).toBe(`${prefix}.01`);
+
+    // The old numbers still find both
+    expect(db.searchFolders(oldNumber).map((f) => f.id)).toEqual([folderId]);
+    expect(db.searchItems(`${oldNumber}.01`).map((i) => i.id)).toEqual([itemId]);
+  });
+
+  it('leaves the folder alone when the category does not exist', () => {
+    const [from] = db.getCategories();
+    const folderId = addFolder(from.id, 'Taxes');
+    const before = db.getFolder(folderId).folder_number;
+
+    expect(() => db.moveFolder(folderId, 9999)).toThrow(/Category not found/);
+    expect(db.getFolder(folderId).folder_number).toBe(before);
+  });
+});
+
+describe('moveItem', () => {
+  beforeEach(openDatabase);
+
+  it('numbers the item in its new folder and keeps the old number searchable', () => {
+    const [category] = db.getCategories();
+    const fromId = addFolder(category.id, 'Taxes');
+    const toId = addFolder(category.id, 'Archive');
+    addItem(toId, 'Return 2020');
+    const itemId = addItem(fromId, 'Return 2024');
+    const from = db.getFolder(fromId).folder_number;
+    const to = db.getFolder(toId).folder_number;
+
+    expect(db.moveItem(itemId, toId)).toEqual({
+      old_number: `${from}.01`,
+      item_number: `${to}.02`,
+    });
+    expect(db.getItems(fromId)).toEqual([]);
+    expect(db.getItems(toId).map((i) => i.name)).toEqual(['Return 2020', 'Return 2024']);
+    expect(db.searchItems(`${from}.01`).map((i) => i.id)).toEqual([itemId]);
+  });
+
+  it('moves none of the items when one of them fails', () => {
+    const [category] = db.getCategories();
+    const fromId = addFolder(category.id, 'Taxes');
+    const toId = addFolder(category.id, 'Archive');
+    const itemId = addItem(fromId, 'Return 2024');
+
+    expect(() => db.moveItems([itemId, 9999], toId)).toThrow(/Item not found/);
+    expect(db.getItems(fromId).map((i) => i.id)).toEqual([itemId]);
+    expect(db.getItems(toId)).toEqual([]);
+  });
+});
+
+describe('duplicateFolder', () => {
+  beforeEach(openDatabase);
+
+  it("maps custom values onto the target category's fields by name and type", () => {
+    const [from, to] = db.getCategories();
+    const field = (scope_type, scope_id, name, field_type) =>
+      db.createCustomField({ scope_type, scope_id, name, field_type });
+    const year = field('category', from.id, 'Year', 'number');
+    const status = field('category', from.id, 'Status', 'text');
+    const targetYear = field('category', to.id, 'year', 'number');
+    field('category', to.id, 'Status', 'checkbox');
+
+    const folderId = addFolder(from.id, 'Acme');
+    const client = field('folder', folderId, 'Client', 'text');
+    addItem(folderId, 'Contract', {
+      custom_values: { [year]: 2024, [status]: 'Signed', [client]: 'Acme Ltd' },
+    });
+
+    const copyId = db.duplicateFolder(folderId, { category_id: to.id, name: 'Acme 2025' });
+    const copiedClient = db.getFieldsForFolder(copyId).find((f) => f.scope_type === 'folder');
+    expect(copiedClient).toMatchObject({ name: 'Client', scope_id: copyId });
+    // Status changed type in the target category, so its value stays behind
+    expect(db.getItems(copyId)[0].custom_values).toEqual({
+      [targetYear]: 2024,
+      [copiedClient.id]: 'Acme Ltd',
+    });
+  });
+
+  it('leaves out what the clear options name and logs one entry', async () => {
+    const [category] = db.getCategories();
+    const folderId = addFolder(category.id, 'Taxes', { notes: 'Ask the accountant' });
+    addItem(folderId, 'Return', {
+      notes: 'Filed late',
+      storage_path: '/docs/return.pdf',
+      file_size: 1200,
+      tags: ['irs'],
+    });
+    await nextTurn();
+    const logged = db.getRecentActivity(100).length;
+
+    const copyId = db.duplicateFolder(folderId, {
+      category_id: category.id,
+      name: 'Taxes 2026',
+      clear_notes: true,
+      clear_paths: true,
+      clear_sizes: true,
+    });
+    expect(db.getFolder(copyId).notes).toBe('');
+    expect(db.getItems(copyId)[0]).toMatchObject({
+      name: 'Return',
+      notes: '',
+      storage_path: '',
+      file_size: null,
+      tags: ['irs'],
+    });
+
+    expect(db.getRecentActivity(100).length).toBe(logged + 1);
+    await nextTurn();
+    expect(db.undo()).toMatch(/^Duplicated .* Taxes 2026$/);
+    expect(db.getFolder(copyId)).toBeNull();
+  });
+});
+
+describe('bulk edits', () => {
+  beforeEach(openDatabase);
+
+  it('changes as many records as the preview counted', () => {
+    const [category] = db.getCategories();
+    const ids = [
+      addFolder(category.id, 'Taxes', { location: 'Safe', tags: ['Paper'] }),
+      addFolder(category.id, 'Insurance', { location: 'Desk' }),
+      addFolder(category.id, 'Pension', { location: 'Desk', tags: ['archive'] }),
+    ];
+    const changes = { location: 'Safe', add_tags: ['paper'], remove_tags: ['ARCHIVE'] };
+
+    expect(db.previewBulkEdit('folder', ids, changes)).toEqual({
+      records: 2,
+      sensitivity: 0,
+      location: 2,
+      storage_path: 0,
+      add_tags: 2,
+      remove_tags: 1,
+    });
+    expect(db.bulkEditRecords('folder', ids, changes)).toBe(2);
+    // Tags match ignoring case, and the existing spelling stays
+    expect(ids.map((id) => db.getFolder(id).tags)).toEqual([['Paper'], ['Paper'], ['Paper']]);
+    expect(db.previewBulkEdit('folder', ids, changes).records).toBe(0);
+  });
+
+  it('deletes none of the folders when one still has items', () => {
+    const [category] = db.getCategories();
+    const emptyId = addFolder(category.id, 'Empty');
+    const fullId = addFolder(category.id, 'Full');
+    addItem(fullId, 'Contract');
+
+    expect(() => db.deleteRecords('folder', [emptyId, fullId])).toThrow(/first/);
+    expect(db.getFolder(emptyId).name).toBe('Empty');
+    expect(db.getTrash()).toEqual([]);
+  });
+});
+
+describe('custom fields', () => {
+  beforeEach(openDatabase);
+
+  it("won't remove a choice an item still has", () => {
+    const [category] = db.getCategories();
+    const fieldId = db.createCustomField({
+      scope_type: 'category',
+      scope_id: category.id,
+      name: 'Status',
+      field_type: 'select',
+      options: ['Open', 'Closed', 'Lost'],
+    });
+    const folderId = addFolder(category.id, 'Claims');
+    addItem(folderId, 'Water damage', { custom_values: { [fieldId]: 'Open' } });
+
+    expect(() => db.updateCustomField(fieldId, { options: ['Closed'] })).toThrow(
+      /"Open" is still chosen on 1 item/
+    );
+    db.updateCustomField(fieldId, { options: ['Open', 'Closed'] });
+    expect(db.getFieldsForFolder(folderId)[0].options).toEqual(['Open', 'Closed']);
+  });
+});
+
+describe('links', () => {
+  beforeEach(openDatabase);
+
+  it('shows the new number of a linked record after it is renumbered', () => {
+    const [from, to] = db.getCategories();
+    const folderId = addFolder(from.id, 'Mortgage');
+    const otherId = addFolder(from.id, 'House');
+    db.updateFolder(folderId, {
+      links: [{ link_type: 'depends_on', other_type: 'folder', other_id: otherId }],
+    });
+
+    const { folder_number: newNumber } = db.moveFolder(otherId, to.id);
+    expect(db.getLinks('folder', folderId).outgoing).toEqual([
+      expect.objectContaining({
+        other_id: otherId,
+        other_number: newNumber,
+        link_type: 'depends_on',
+      }),
+    ]);
+    expect(db.getLinks('folder', otherId).backlinks.map((l) => l.other_id)).toEqual([folderId]);
+  });
+});
+
+describe('field history', () => {
+  beforeEach(openDatabase);
+
+  it('reverts to version 0, the record as created', () => {
+    const [category] = db.getCategories();
+    const folderId = addFolder(category.id, 'Taxes');
+    const itemId = addItem(folderId, 'Return', { location: 'Desk', tags: ['irs'] });
+
+    db.updateItem(itemId, { name: 'Return 2025', location: 'Safe' });
+    db.updateItem(itemId, { notes: 'Filed', tags: ['irs', 'filed'] });
+    expect(db.getFieldHistory('item', itemId).map((v) => v.version)).toEqual([2, 1]);
+
+    db.revertToVersion('item', itemId, 0);
+    expect(db.getItems(folderId)[0]).toMatchObject({
+      name: 'Return',
+      location: 'Desk',
+      notes: '',
+      tags: ['irs'],
+    });
+  });
+});
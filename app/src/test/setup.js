@@ -0,0 +1,41 @@
+/**
+ * Test Environment
+ * ================
+ * Runs db.js under Node the way the plain browser build runs it: sql.js
+ * comes from node_modules instead of the bundled assets, and the database
+ * lives in an in-memory localStorage.
+ */
+
+import { afterEach, vi } from 'vitest';
+
+vi.mock('../utils/sqlLoader.js', async () => {
+  const { default: initSqlJs } = await import('sql.js');
+  let sqlPromise = null;
+  return {
+    loadSqlJs: () => (sqlPromise ??= initSqlJs()),
+  };
+});
+
+const store = new Map();
+
+globalThis.localStorage = {
+  getItem: (key) => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key),
+  clear: () => store.clear(),
+  key: (index) => [...store.keys()][index] ?? null,
+  get length() {
+    return store.size;
+  },
+};
+
+// No Electron bridge (window.jdex), so storage falls back to localStorage
+globalThis.window = globalThis;
+globalThis.addEventListener = () => {};
+
+// Migrations and backups narrate everything they do
+vi.spyOn(console, 'log').mockImplementation(() => {});
+
+afterEach(() => {
+  store.clear();
+});
@@ -0,0 +1,78 @@
+/**
+ * Backup Retention for JDex
+ * =========================
+ * Grandfather-father-son rotation for the automatic database snapshots.
+ *
+ * A snapshot is kept if it is one of the newest few (so several backups
+ * taken minutes apart, e.g. before an import and after, all survive), or if
+ * it is the newest snapshot of one of the most recent days (sons), weeks
+ * (fathers) or months (grandfathers). Everything else can be deleted.
+ *
+ * Periods are counted among the ones that have snapshots, so a week without
+ * the app open doesn't use up a slot.
+ */
+
+export const BACKUP_RETENTION = {
+  recent: 5,
+  daily: 7,
+  weekly: 4,
+  monthly: 12,
+};
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Weeks start on Monday; the key is that Monday's date
+function weekKey(date) {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return dayKey(monday);
+}
+
+function monthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Pick the snapshots to keep.
+ *
+ * @param {Array<{id: string, created_at: string}>} backups
+ * @param {Object} [policy=BACKUP_RETENTION]
+ * @returns {Set<string>} Ids of the snapshots to keep
+ */
+export function selectBackupsToKeep(backups, policy = BACKUP_RETENTION) {
+  const newestFirst = [...backups].sort((a, b) => b.created_at.localeCompare(a.created_at));
+  const keep = new Set(newestFirst.slice(0, policy.recent).map((b) => b.id));
+
+  const tiers = [
+    [dayKey, policy.daily],
+    [weekKey, policy.weekly],
+    [monthKey, policy.monthly],
+  ];
+
+  for (const [periodOf, limit] of tiers) {
+    const periods = new Set();
+    for (const backup of newestFirst) {
+      const period = periodOf(new Date(backup.created_at));
+      if (periods.has(period)) continue;
+      if (periods.size >= limit) break;
+      periods.add(period);
+      keep.add(backup.id);
+    }
+  }
+
+  return keep;
+}
+
+/**
+ * Pick the snapshots the retention policy no longer needs.
+ *
+ * @param {Array<{id: string, created_at: string}>} backups
+ * @param {Object} [policy=BACKUP_RETENTION]
+ * @returns {Array<Object>} The backups to delete
+ */
+export function selectBackupsToPrune(backups, policy = BACKUP_RETENTION) {
+  const keep = selectBackupsToKeep(backups, policy);
+  return backups.filter((b) => !keep.has(b.id));
+}
@@ -0,0 +1,155 @@
+/**
+ * Custom Fields for JDex
+ * ======================
+ * Typed fields (amount, tax year, VIN, renewal date...) defined on a
+ * category or a folder. Every item below the category or folder has the
+ * field; an item sees its category's fields first, then its folder's.
+ *
+ * Definitions live in the custom_fields table (see the CUSTOM FIELDS section
+ * of db.js). An item's values are a JSON object on items.custom_values,
+ * keyed by field id, so they travel with the row through moves, the trash
+ * and undo. Empty values are left out of the object.
+ */
+
+import { ValidationError, validateRequiredString, validateOptionalString } from './validation.js';
+
+/** Field types and how they're labelled in forms. */
+export const FIELD_TYPES = {
+  text: 'Text',
+  number: 'Number',
+  date: 'Date',
+  select: 'Choice list',
+  url: 'URL',
+  checkbox: 'Checkbox',
+};
+
+const MAX_OPTIONS = 50;
+
+/**
+ * Check and clean up a field definition.
+ *
+ * @param {Object} field - {name, field_type, options}; options are for 'select' fields
+ * @returns {{name: string, field_type: string, options: string[]}}
+ * @throws {ValidationError} If the name or type is missing, or a choice list has no choices
+ */
+export function normalizeFieldDefinition(field) {
+  const name = validateRequiredString(field?.name, 'Field name', 100);
+  if (!(field.field_type in FIELD_TYPES)) {
+    throw new ValidationError('Choose a field type', 'field_type', field.field_type);
+  }
+
+  let options = [];
+  if (field.field_type === 'select') {
+    const raw = Array.isArray(field.options)
+      ? field.options
+      : String(field.options || '').split(',');
+    options = [...new Set(raw.map((o) => String(o).trim()).filter(Boolean))];
+    if (options.length === 0) {
+      throw new ValidationError(`List the choices for "${name}"`, 'options');
+    }
+    if (options.length > MAX_OPTIONS) {
+      throw new ValidationError(`"${name}" can have at most ${MAX_OPTIONS} choices`, 'options');
+    }
+  }
+
+  return { name, field_type: field.field_type, options };
+}
+
+/**
+ * Check and convert one value for storage.
+ *
+ * @param {Object} field - Field definition
+ * @param {unknown} value - As entered in a form
+ * @returns {string|number|boolean|null} null when the value is empty
+ * @throws {ValidationError} If the value doesn't fit the field type
+ */
+export function normalizeFieldValue(field, value) {
+  if (value === null || value === undefined || value === '' || value === false) {
+    return null;
+  }
+
+  switch (field.field_type) {
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        throw new ValidationError(`${field.name} must be a number`, field.name, value);
+      }
+      return number;
+    }
+    case 'date': {
+      const text = String(value).trim();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(text))) {
+        throw new ValidationError(`${field.name} must be a date (YYYY-MM-DD)`, field.name, value);
+      }
+      return text;
+    }
+    case 'select':
+      if (!field.options.includes(value)) {
+        throw new ValidationError(
+          `${field.name} must be one of: ${field.options.join(', ')}`,
+          field.name,
+          value
+        );
+      }
+      return value;
+    case 'url': {
+      const text = String(value).trim();
+      let url;
+      try {
+        url = new URL(text);
+      } catch {
+        url = null;
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new ValidationError(
+          `${field.name} must be a web address starting with http:// or https://`,
+          field.name,
+          value
+        );
+      }
+      return text;
+    }
+    case 'checkbox':
+      return true;
+    default:
+      return validateOptionalString(String(value), field.name, 2000);
+  }
+}
+
+/**
+ * Apply form values to an item's stored values. Values for fields that
+ * aren't in `fields` (the item was moved from a folder that had them) are
+ * kept, so moving it back brings them back.
+ *
+ * @param {Array<Object>} fields - Fields the item has (see getFieldsForFolder)
+ * @param {Object} values - Form values keyed by field id
+ * @param {Object} [current={}] - The item's stored values
+ * @returns {Object} Values to store, keyed by field id
+ * @throws {ValidationError} If a value doesn't fit its field
+ */
+export function normalizeFieldValues(fields, values, current = {}) {
+  const result = { ...current };
+  fields.forEach((field) => {
+    if (!(field.id in values)) return;
+    const value = normalizeFieldValue(field, values[field.id]);
+    if (value === null) {
+      delete result[field.id];
+    } else {
+      result[field.id] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * A stored value as text, for item cards.
+ *
+ * @param {Object} field
+ * @param {string|number|boolean} value
+ * @returns {string}
+ */
+export function formatFieldValue(field, value) {
+  if (field.field_type === 'checkbox') return value ? 'Yes' : 'No';
+  if (field.field_type === 'number') return Number(value).toLocaleString();
+  return String(value);
+}
@@ -0,0 +1,243 @@
+/**
+ * Database Encryption for JDex
+ * ============================
+ * Optional passphrase encryption of the database bytes at rest (saved file,
+ * backups and .sqlite exports). Uses the Web Crypto API, available in both
+ * the Electron renderer and the browser build.
+ *
+ * The database is encrypted with a random data key (AES-GCM, 256-bit). The
+ * data key is stored wrapped by a key derived from the passphrase
+ * (PBKDF2-SHA256), so changing the passphrase only re-wraps the data key.
+ * Every encrypted file carries its wrapped key in the header and can be
+ * opened on its own with the passphrase:
+ *
+ *   "JDEXENC1" | iterations (uint32) | salt (16) | wrap IV (12) |
+ *   wrapped data key (48) | data IV (12) | ciphertext
+ *
+ * A session ({dataKey, header}) is what db.js keeps in memory while the
+ * database is unlocked.
+ */
+
+import { EncryptionError } from './errors.js';
+import { ValidationError } from './validation.js';
+
+const MAGIC = new TextEncoder().encode('JDEXENC1');
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const WRAPPED_KEY_BYTES = 48; // 32-byte key + 16-byte GCM tag
+
+const HEADER_BYTES = MAGIC.length + 4 + SALT_BYTES + IV_BYTES + WRAPPED_KEY_BYTES;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Whether bytes are an encrypted database (as opposed to a plain SQLite file).
+ *
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isEncrypted(bytes) {
+  return bytes?.length > HEADER_BYTES + IV_BYTES && MAGIC.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * @throws {ValidationError} If the passphrase is too short
+ */
+export function validatePassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new ValidationError(
+      `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`,
+      'Passphrase'
+    );
+  }
+  return passphrase;
+}
+
+function deriveWrappingKey(passphrase, salt, iterations) {
+  return crypto.subtle
+    .importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+    .then((baseKey) =>
+      crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['wrapKey', 'unwrapKey']
+      )
+    );
+}
+
+/**
+ * Wrap the data key with a passphrase, producing the file header.
+ */
+async function wrapDataKey(dataKey, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const wrapIv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const wrappingKey = await deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const wrappedKey = new Uint8Array(
+    await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, { name: 'AES-GCM', iv: wrapIv })
+  );
+
+  const header = new Uint8Array(HEADER_BYTES);
+  header.set(MAGIC, 0);
+  new DataView(header.buffer).setUint32(MAGIC.length, PBKDF2_ITERATIONS);
+  header.set(salt, MAGIC.length + 4);
+  header.set(wrapIv, MAGIC.length + 4 + SALT_BYTES);
+  header.set(wrappedKey, MAGIC.length + 4 + SALT_BYTES + IV_BYTES);
+  return header;
+}
+
+/**
+ * Recover the data key from a header with a passphrase.
+ *
+ * @throws {EncryptionError} 'unlock' if the passphrase is wrong
+ */
+async function unwrapDataKey(header, passphrase) {
+  let offset = MAGIC.length;
+  const iterations = new DataView(header.buffer, header.byteOffset).getUint32(offset);
+  const salt = header.slice((offset += 4), (offset += SALT_BYTES));
+  const wrapIv = header.slice(offset, (offset += IV_BYTES));
+  const wrappedKey = header.slice(offset, offset + WRAPPED_KEY_BYTES);
+
+  const wrappingKey = await deriveWrappingKey(passphrase, salt, iterations);
+  try {
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      wrappedKey,
+      wrappingKey,
+      { name: 'AES-GCM', iv: wrapIv },
+      { name: 'AES-GCM' },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  } catch {
+    throw new EncryptionError('Wrong passphrase', 'unlock');
+  }
+}
+
+/**
+ * Start encrypting with a new random data key.
+ *
+ * @param {string} passphrase
+ * @returns {Promise<{dataKey: CryptoKey, header: Uint8Array}>} Session
+ * @throws {ValidationError} If the passphrase is too short
+ */
+export async function createEncryptionSession(passphrase) {
+  validatePassphrase(passphrase);
+  const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, [
+    'encrypt',
+    'decrypt',
+  ]);
+  return { dataKey, header: await wrapDataKey(dataKey, passphrase) };
+}
+
+/**
+ * Open the session stored in an encrypted file.
+ *
+ * @param {Uint8Array} bytes - Encrypted database
+ * @param {string} passphrase
+ * @returns {Promise<{dataKey: CryptoKey, header: Uint8Array}>} Session
+ * @throws {EncryptionError} 'unlock' if the passphrase is wrong
+ */
+export async function unlockEncryptionSession(bytes, passphrase) {
+  if (!isEncrypted(bytes)) {
+    throw new EncryptionError('Data is not encrypted', 'decrypt');
+  }
+  const header = bytes.slice(0, HEADER_BYTES);
+  return { dataKey: await unwrapDataKey(header, passphrase), header };
+}
+
+/**
+ * Check a passphrase against a session.
+ *
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassphrase(session, passphrase) {
+  try {
+    await unwrapDataKey(session.header, passphrase);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Keep the data key but protect it with a new passphrase.
+ *
+ * @returns {Promise<{dataKey: CryptoKey, header: Uint8Array}>} New session
+ * @throws {ValidationError} If the new passphrase is too short
+ */
+export async function rewrapEncryptionSession(session, newPassphrase) {
+  validatePassphrase(newPassphrase);
+  return { dataKey: session.dataKey, header: await wrapDataKey(session.dataKey, newPassphrase) };
+}
+
+/**
+ * Encrypt database bytes.
+ *
+ * @param {Uint8Array} data - Output of db.export()
+ * @param {{dataKey: CryptoKey, header: Uint8Array}} session
+ * @returns {Promise<Uint8Array>}
+ * @throws {EncryptionError} If encryption fails
+ */
+export async function encryptDatabaseBytes(data, session) {
+  try {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const ciphertext = new Uint8Array(
+      await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, session.dataKey, data)
+    );
+
+    const out = new Uint8Array(HEADER_BYTES + IV_BYTES + ciphertext.length);
+    out.set(session.header, 0);
+    out.set(iv, HEADER_BYTES);
+    out.set(ciphertext, HEADER_BYTES + IV_BYTES);
+    return out;
+  } catch (error) {
+    throw new EncryptionError(`Encryption failed: ${error.message}`, 'encrypt');
+  }
+}
+
+/**
+ * Decrypt database bytes.
+ *
+ * @param {Uint8Array} bytes - Output of encryptDatabaseBytes()
+ * @param {{dataKey: CryptoKey}} session
+ * @returns {Promise<Uint8Array>}
+ * @throws {EncryptionError} 'decrypt' if the data was encrypted with another key or is damaged
+ */
+export async function decryptDatabaseBytes(bytes, session) {
+  try {
+    const iv = bytes.slice(HEADER_BYTES, HEADER_BYTES + IV_BYTES);
+    const ciphertext = bytes.slice(HEADER_BYTES + IV_BYTES);
+    return new Uint8Array(
+      await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, session.dataKey, ciphertext)
+    );
+  } catch {
+    throw new EncryptionError('Decryption failed', 'decrypt');
+  }
+}
+
+// ============================================
+// AUTO-LOCK
+// ============================================
+
+const AUTO_LOCK_STORAGE_KEY = 'jdex_auto_lock_minutes';
+const DEFAULT_AUTO_LOCK_MINUTES = 10;
+
+/**
+ * Minutes of inactivity before an encrypted database locks (0 = never).
+ *
+ * @returns {number}
+ */
+export function getAutoLockMinutes() {
+  const saved = parseInt(localStorage.getItem(AUTO_LOCK_STORAGE_KEY), 10);
+  return Number.isNaN(saved) ? DEFAULT_AUTO_LOCK_MINUTES : saved;
+}
+
+/**
+ * @param {number} minutes - 0 disables auto-lock
+ */
+export function setAutoLockMinutes(minutes) {
+  localStorage.setItem(AUTO_LOCK_STORAGE_KEY, String(Math.max(0, Math.floor(minutes))));
+}
@@ -77,7 +77,7 @@ export class DatabaseError extends AppError {
   constructor(message, operation = 'unknown') {
     super(message, 'DATABASE_ERROR');
     this.name = 'DatabaseError';
-    this.operation = operation; // 'query', 'insert', 'update', 'delete', 'connect'
+    this.operation = operation; // 'query', 'insert', 'update', 'delete', 'connect', 'load', 'save'
   }
 
   getUserMessage() {
@@ -87,6 +87,8 @@ export class DatabaseError extends AppError {
       update: 'Unable to update the item. Please try again.',
       delete: 'Unable to delete the item. Please try again.',
       connect: 'Unable to connect to the database. Please restart the app.',
+      load: 'Unable to load the database engine. Please reinstall or restart the app.',
+      save: 'Unable to save your changes. Please check disk space and permissions.',
       migrate: 'Database update failed. Please contact support.',
       unknown: 'A database error occurred. Please try again.',
     };
@@ -150,6 +152,30 @@ export class OrganizationError extends AppError {
   }
 }
 
+/**
+ * Error for database encryption.
+ * Use when a passphrase is wrong or missing, or encrypted data can't be read.
+ */
+export class EncryptionError extends AppError {
+  constructor(message, operation = 'unknown') {
+    super(message, 'ENCRYPTION_ERROR');
+    this.name = 'EncryptionError';
+    this.operation = operation; // 'unlock', 'passphrase', 'decrypt', 'encrypt', 'locked'
+  }
+
+  getUserMessage() {
+    const messages = {
+      unlock: 'Wrong passphrase. Please try again.',
+      passphrase: 'This database is encrypted. Please enter its passphrase.',
+      decrypt: 'Unable to decrypt the data. It may be damaged or use a different passphrase.',
+      encrypt: 'Unable to encrypt the database. Your changes were not saved.',
+      locked: 'The database is locked. Please unlock it first.',
+      unknown: 'An encryption error occurred. Please try again.',
+    };
+    return messages[this.operation] || messages.unknown;
+  }
+}
+
 // =============================================================================
 // Error Sanitization
 // =============================================================================
@@ -208,6 +234,9 @@ export function sanitizeErrorForUser(error) {
   if (error instanceof OrganizationError) {
     return error.getUserMessage();
   }
+  if (error instanceof EncryptionError) {
+    return error.getUserMessage();
+  }
 
   // For ValidationError, the message is usually safe to show
   // (we control what goes into it)
@@ -0,0 +1,427 @@
+/**
+ * Index Integrity Checks for JDex
+ * ===============================
+ * Finds places where the Johnny Decimal numbering and the rows behind it
+ * disagree: an item whose number doesn't start with its folder's number, a
+ * category outside its area's range, gaps in a folder sequence, organized
+ * file records pointing at a folder that no longer exists, and so on.
+ *
+ * The checks are pure functions over a snapshot of the tables (see
+ * checkIntegrity in db.js). Each violation carries a proposed fix, described
+ * as plain row changes that db.js applies inside a transaction.
+ */
+
+/**
+ * Violation severities, most serious first.
+ * - error: the numbering is wrong or a row is detached from its parent
+ * - warning: stored data disagrees with itself but the visible number is fine
+ * - info: tidiness only (gaps in a sequence)
+ */
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "11.04" -> { prefix: '11', seq: 4 }; "11.04.02" -> { prefix: '11.04', seq: 2 }
+function splitNumber(number) {
+  const match = /^(.+)\.(\d{2,})$/.exec(number || '');
+  return match ? { prefix: match[1], seq: parseInt(match[2], 10) } : null;
+}
+
+function violation(code, severity, entity_type, entity_id, message, fix = null) {
+  return { id: `${code}:${entity_id}`, code, severity, entity_type, entity_id, message, fix };
+}
+
+function update(table, id, values) {
+  return { type: 'update', table, id, values };
+}
+
+function remove(table, id) {
+  return { type: 'delete', table, id };
+}
+
+/**
+ * Lowest sequence >= 1 that doesn't produce a number already in use.
+ */
+function nextFreeSequence(prefix, usedNumbers) {
+  let seq = 1;
+  while (usedNumbers.has(`${prefix}.${pad(seq)}`)) seq++;
+  return seq;
+}
+
+/**
+ * Missing sequence numbers between the first and the last one used.
+ * A sequence may start at 00 (often used for an index or meta folder).
+ */
+function findGaps(sequences, reserved = []) {
+  if (sequences.length === 0) return [];
+  const used = new Set([...sequences, ...reserved]);
+  const gaps = [];
+  for (let seq = Math.min(1, ...sequences); seq < Math.max(...sequences); seq++) {
+    if (!used.has(seq)) gaps.push(seq);
+  }
+  return gaps;
+}
+
+/**
+ * Reserved sequences under a prefix ("11" or "11.01").
+ */
+function reservedUnder(prefix, reservedNumbers = []) {
+  return reservedNumbers
+    .map((number) => splitNumber(number))
+    .filter((parts) => parts?.prefix === prefix)
+    .map((parts) => parts.seq);
+}
+
+/**
+ * Changes that shift a container's children down so their sequences are
+ * consecutive. Children are renumbered in ascending order, so each target
+ * number is already free when it is assigned.
+ */
+function compactChanges(table, numberColumn, prefix, children) {
+  const sorted = [...children].sort((a, b) => a.seq - b.seq);
+  const start = Math.min(1, sorted[0].seq);
+  return sorted
+    .map((child, i) => ({ child, seq: start + i }))
+    .filter(({ child, seq }) => child.seq !== seq)
+    .map(({ child, seq }) =>
+      update(table, child.row.id, { [numberColumn]: `${prefix}.${pad(seq)}`, sequence: seq })
+    );
+}
+
+function checkCategories({ areas, categories }) {
+  const violations = [];
+  const areasById = new Map(areas.map((a) => [a.id, a]));
+
+  for (const cat of categories) {
+    const area = areasById.get(cat.area_id);
+    const inRange = (a) => cat.number >= a.range_start && cat.number <= a.range_end;
+    if (area && inRange(area)) continue;
+
+    const home = areas.find(inRange);
+    const fix = home && {
+      action: 'reattach',
+      description: `Move category ${pad(cat.number)} to area ${pad(home.range_start)}-${pad(home.range_end)} ${home.name}`,
+      changes: [update('categories', cat.id, { area_id: home.id })],
+    };
+    const message = area
+      ? `Category ${pad(cat.number)} ${cat.name} is outside its area ${pad(area.range_start)}-${pad(area.range_end)} ${area.name}`
+      : `Category ${pad(cat.number)} ${cat.name} belongs to an area that no longer exists`;
+
+    violations.push(
+      violation(
+        area ? 'category_outside_area' : 'category_orphan',
+        'error',
+        'category',
+        cat.id,
+        message,
+        fix
+      )
+    );
+  }
+
+  return violations;
+}
+
+function checkFolders({ categories, folders, items, reservedNumbers }) {
+  const violations = [];
+  const categoriesById = new Map(categories.map((c) => [c.id, c]));
+  const usedNumbers = new Set(folders.map((f) => f.folder_number));
+  const itemCounts = new Map();
+  items.forEach((i) => itemCounts.set(i.folder_id, (itemCounts.get(i.folder_id) || 0) + 1));
+
+  // Folders whose number is consistent, grouped for the sequence checks
+  const byCategory = new Map();
+
+  for (const folder of folders) {
+    const label = `Folder ${folder.folder_number} ${folder.name}`;
+    const cat = categoriesById.get(folder.category_id);
+    const parts = splitNumber(folder.folder_number);
+
+    if (!cat) {
+      const home = parts && categories.find((c) => pad(c.number) === parts.prefix);
+      let fix = null;
+      if (home) {
+        fix = {
+          action: 'reattach',
+          description: `Attach to category ${pad(home.number)} ${home.name}`,
+          changes: [update('folders', folder.id, { category_id: home.id })],
+        };
+      } else if (!itemCounts.get(folder.id)) {
+        fix = {
+          action: 'delete',
+          description: 'Delete the empty folder',
+          changes: [remove('folders', folder.id)],
+        };
+      }
+      violations.push(
+        violation(
+          'folder_orphan',
+          'error',
+          'folder',
+          folder.id,
+          `${label} belongs to a category that no longer exists`,
+          fix
+        )
+      );
+      continue;
+    }
+
+    const catPrefix = pad(cat.number);
+    if (!parts || parts.prefix !== catPrefix) {
+      const seq = usedNumbers.has(`${catPrefix}.${pad(folder.sequence)}`)
+        ? nextFreeSequence(catPrefix, usedNumbers)
+        : folder.sequence;
+      const target = `${catPrefix}.${pad(seq)}`;
+      // Reserve it so two broken folders aren't offered the same number
+      usedNumbers.add(target);
+      violations.push(
+        violation(
+          'folder_number_mismatch',
+          'error',
+          'folder',
+          folder.id,
+          `${label} doesn't start with its category number ${catPrefix}`,
+          {
+            action: 'renumber',
+            description: `Renumber to ${target}`,
+            changes: [update('folders', folder.id, { folder_number: target, sequence: seq })],
+          }
+        )
+      );
+      continue;
+    }
+
+    if (parts.seq !== folder.sequence) {
+      const duplicate = folders.find(
+        (f) =>
+          f.id !== folder.id &&
+          f.category_id === folder.category_id &&
+          f.sequence === folder.sequence
+      );
+      violations.push(
+        violation(
+          duplicate ? 'folder_sequence_duplicate' : 'folder_sequence_mismatch',
+          'warning',
+          'folder',
+          folder.id,
+          duplicate
+            ? `${label} has sequence ${folder.sequence}, which is also used by ${duplicate.folder_number}`
+            : `${label} has sequence ${folder.sequence} instead of ${parts.seq}`,
+          {
+            action: 'renumber',
+            description: `Set the sequence to ${parts.seq}`,
+            changes: [update('folders', folder.id, { sequence: parts.seq })],
+          }
+        )
+      );
+    }
+
+    if (!byCategory.has(cat.id)) byCategory.set(cat.id, []);
+    byCategory.get(cat.id).push({ row: folder, seq: parts.seq });
+  }
+
+  for (const [catId, children] of byCategory) {
+    const cat = categoriesById.get(catId);
+    const catPrefix = pad(cat.number);
+    const gaps = findGaps(
+      children.map((c) => c.seq),
+      reservedUnder(catPrefix, reservedNumbers)
+    );
+    if (gaps.length === 0) continue;
+
+    violations.push(
+      violation(
+        'folder_sequence_gap',
+        'info',
+        'category',
+        catId,
+        `Category ${catPrefix} ${cat.name} skips folder ${gaps.map((g) => `${catPrefix}.${pad(g)}`).join(', ')}`,
+        {
+          action: 'renumber',
+          description: `Renumber the folders in ${catPrefix} to close the gaps`,
+          changes: compactChanges('folders', 'folder_number', catPrefix, children),
+        }
+      )
+    );
+  }
+
+  return violations;
+}
+
+function checkItems({ folders, items, reservedNumbers }) {
+  const violations = [];
+  const foldersById = new Map(folders.map((f) => [f.id, f]));
+  const usedNumbers = new Set(items.map((i) => i.item_number));
+  const byFolder = new Map();
+
+  for (const item of items) {
+    const label = `Item ${item.item_number} ${item.name}`;
+    const folder = foldersById.get(item.folder_id);
+    const parts = splitNumber(item.item_number);
+
+    if (!folder) {
+      const home = parts && folders.find((f) => f.folder_number === parts.prefix);
+      const fix = home
+        ? {
+            action: 'reattach',
+            description: `Attach to folder ${home.folder_number} ${home.name}`,
+            changes: [update('items', item.id, { folder_id: home.id })],
+          }
+        : {
+            action: 'delete',
+            description: 'Delete the orphaned item',
+            changes: [remove('items', item.id)],
+          };
+      violations.push(
+        violation(
+          'item_orphan',
+          'error',
+          'item',
+          item.id,
+          `${label} belongs to a folder that no longer exists`,
+          fix
+        )
+      );
+      continue;
+    }
+
+    if (!parts || parts.prefix !== folder.folder_number) {
+      const seq = usedNumbers.has(`${folder.folder_number}.${pad(item.sequence)}`)
+        ? nextFreeSequence(folder.folder_number, usedNumbers)
+        : item.sequence;
+      const target = `${folder.folder_number}.${pad(seq)}`;
+      usedNumbers.add(target);
+      violations.push(
+        violation(
+          'item_number_mismatch',
+          'error',
+          'item',
+          item.id,
+          `${label} doesn't start with its folder number ${folder.folder_number}`,
+          {
+            action: 'renumber',
+            description: `Renumber to ${target}`,
+            changes: [update('items', item.id, { item_number: target, sequence: seq })],
+          }
+        )
+      );
+      continue;
+    }
+
+    if (parts.seq !== item.sequence) {
+      const duplicate = items.find(
+        (i) => i.id !== item.id && i.folder_id === item.folder_id && i.sequence === item.sequence
+      );
+      violations.push(
+        violation(
+          duplicate ? 'item_sequence_duplicate' : 'item_sequence_mismatch',
+          'warning',
+          'item',
+          item.id,
+          duplicate
+            ? `${label} has sequence ${item.sequence}, which is also used by ${duplicate.item_number}`
+            : `${label} has sequence ${item.sequence} instead of ${parts.seq}`,
+          {
+            action: 'renumber',
+            description: `Set the sequence to ${parts.seq}`,
+            changes: [update('items', item.id, { sequence: parts.seq })],
+          }
+        )
+      );
+    }
+
+    if (!byFolder.has(folder.id)) byFolder.set(folder.id, []);
+    byFolder.get(folder.id).push({ row: item, seq: parts.seq });
+  }
+
+  for (const [folderId, children] of byFolder) {
+    const folder = foldersById.get(folderId);
+    const gaps = findGaps(
+      children.map((c) => c.seq),
+      reservedUnder(folder.folder_number, reservedNumbers)
+    );
+    if (gaps.length === 0) continue;
+
+    violations.push(
+      violation(
+        'item_sequence_gap',
+        'info',
+        'folder',
+        folderId,
+        `Folder ${folder.folder_number} ${folder.name} skips item ${gaps.map((g) => `${folder.folder_number}.${pad(g)}`).join(', ')}`,
+        {
+          action: 'renumber',
+          description: `Renumber the items in ${folder.folder_number} to close the gaps`,
+          changes: compactChanges('items', 'item_number', folder.folder_number, children),
+        }
+      )
+    );
+  }
+
+  return violations;
+}
+
+function checkOrganizedFiles({ folders, items, organizedFiles }) {
+  const violations = [];
+  const folderNumbers = new Set(folders.map((f) => f.folder_number));
+  const foldersById = new Map(folders.map((f) => [f.id, f]));
+  const itemsById = new Map(items.map((i) => [i.id, i]));
+
+  for (const file of organizedFiles) {
+    if (!file.jd_folder_number || folderNumbers.has(file.jd_folder_number)) continue;
+
+    // The item the file was filed as still knows where it lives now
+    const home = foldersById.get(itemsById.get(file.jd_item_id)?.folder_id);
+    const fix = home
+      ? {
+          action: 'reattach',
+          description: `Point the record at folder ${home.folder_number} ${home.name}`,
+          changes: [update('organized_files', file.id, { jd_folder_number: home.folder_number })],
+        }
+      : {
+          action: 'delete',
+          description: 'Delete the history record (the file itself is not touched)',
+          changes: [remove('organized_files', file.id)],
+        };
+
+    violations.push(
+      violation(
+        'organized_file_dangling',
+        'warning',
+        'organized_file',
+        file.id,
+        `Organized file "${file.filename}" points to folder ${file.jd_folder_number}, which doesn't exist`,
+        fix
+      )
+    );
+  }
+
+  return violations;
+}
+
+/**
+ * Run every check over a snapshot of the index.
+ *
+ * @param {Object} snapshot
+ * @param {Array} snapshot.areas - id, range_start, range_end, name
+ * @param {Array} snapshot.categories - id, number, area_id, name
+ * @param {Array} snapshot.folders - id, folder_number, category_id, sequence, name
+ * @param {Array} snapshot.items - id, item_number, folder_id, sequence, name
+ * @param {Array} snapshot.organizedFiles - id, filename, jd_folder_number, jd_item_id
+ * @param {Array<string>} [snapshot.reservedNumbers] - Numbers reserved for planned use,
+ *   which don't count as gaps
+ * @returns {Array<Object>} Violations, most serious first. Each has a stable `id`,
+ *   `code`, `severity`, `entity_type`, `entity_id`, `message`, and a `fix`
+ *   ({action: 'renumber'|'reattach'|'delete', description, changes}) or null
+ *   when the problem has to be resolved by hand.
+ */
+export function findIntegrityViolations(snapshot) {
+  const violations = [
+    ...checkCategories(snapshot),
+    ...checkFolders(snapshot),
+    ...checkItems(snapshot),
+    ...checkOrganizedFiles(snapshot),
+  ];
+
+  return violations.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
@@ -0,0 +1,29 @@
+/**
+ * Cross-references for JDex
+ * =========================
+ * Typed links from one folder or item to another ("11.02 Tax Returns
+ * depends on 22.01 Payroll"). Links are stored by record id in the
+ * record_links table (see the LINKS section of db.js), so they follow both
+ * ends through renumbering and moves. The far end shows the link as a
+ * backlink, under the inverse label.
+ */
+
+/** Link types: how a link reads from its source, and from its target. */
+export const LINK_TYPES = {
+  see_also: { label: 'See also', inverse: 'See also' },
+  supersedes: { label: 'Supersedes', inverse: 'Superseded by' },
+  depends_on: { label: 'Depends on', inverse: 'Needed by' },
+};
+
+/**
+ * How a link reads from one end.
+ *
+ * @param {string} linkType - A LINK_TYPES key
+ * @param {boolean} [backlink=false] - Read from the target's side
+ * @returns {string}
+ */
+export function describeLink(linkType, backlink = false) {
+  const type = LINK_TYPES[linkType];
+  if (!type) return linkType;
+  return backlink ? type.inverse : type.label;
+}
@@ -0,0 +1,663 @@
+/**
+ * Schema Migrations for JDex
+ * ==========================
+ * The single source of truth for the database schema. Every table is
+ * created by a numbered migration, so a brand-new database is built by
+ * running all of them from version 0, and an existing one by running the
+ * ones it hasn't seen yet.
+ *
+ * Rules for adding a migration:
+ * - Append it with the next version number; never edit a shipped one.
+ * - `up` must be safe to run on a database that already has the change
+ *   (use IF NOT EXISTS), since older builds stamped versions unreliably.
+ * - Provide `down` so the step can be reverted. Version 1 is the base
+ *   schema and has no down step.
+ */
+
+import { parseTagList } from './tags.js';
+
+// Tables whose keywords column became tags in version 13, and their link tables
+const TAGGED_TABLES = [
+  { table: 'folders', links: 'folder_tags', column: 'folder_id' },
+  { table: 'items', links: 'item_tags', column: 'item_id' },
+];
+
+// Added to folders and items in version 16 (see utils/reviews.js)
+const REVIEW_COLUMNS = ['review_date', 'review_rule', 'expires_on', 'snoozed_until'];
+
+// Apply a change to every item of every folder template
+function rewriteTemplateItems(db, change) {
+  const rows = db.exec('SELECT id, items FROM folder_templates')[0]?.values || [];
+  rows.forEach(([id, items]) => {
+    db.run('UPDATE folder_templates SET items = ? WHERE id = ?', [
+      JSON.stringify(JSON.parse(items).map(change)),
+      id,
+    ]);
+  });
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Core tables: areas, categories, folders, items, storage locations, activity log',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS areas (
+          id INTEGER PRIMARY KEY,
+          range_start INTEGER NOT NULL,
+          range_end INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          description TEXT,
+          color TEXT DEFAULT '#64748b',
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS categories (
+          id INTEGER PRIMARY KEY,
+          number INTEGER NOT NULL UNIQUE,
+          area_id INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          description TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (area_id) REFERENCES areas(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS folders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          folder_number TEXT NOT NULL UNIQUE,
+          category_id INTEGER NOT NULL,
+          sequence INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          description TEXT,
+          sensitivity TEXT DEFAULT 'standard' CHECK (sensitivity IN ('standard', 'sensitive', 'work')),
+          location TEXT,
+          storage_path TEXT,
+          keywords TEXT,
+          notes TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (category_id) REFERENCES categories(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          item_number TEXT NOT NULL UNIQUE,
+          folder_id INTEGER NOT NULL,
+          sequence INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          description TEXT,
+          file_type TEXT,
+          sensitivity TEXT DEFAULT 'inherit' CHECK (sensitivity IN ('inherit', 'standard', 'sensitive', 'work')),
+          location TEXT,
+          storage_path TEXT,
+          file_size INTEGER,
+          keywords TEXT,
+          notes TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (folder_id) REFERENCES folders(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS storage_locations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL,
+          path TEXT,
+          is_encrypted INTEGER DEFAULT 0,
+          notes TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS activity_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          action TEXT NOT NULL,
+          entity_type TEXT,
+          entity_number TEXT,
+          details TEXT,
+          timestamp TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_folders_category ON folders(category_id);
+        CREATE INDEX IF NOT EXISTS idx_folders_number ON folders(folder_number);
+        CREATE INDEX IF NOT EXISTS idx_items_folder ON items(folder_id);
+        CREATE INDEX IF NOT EXISTS idx_items_number ON items(item_number);
+      `);
+    },
+  },
+  {
+    version: 2,
+    description: 'Cloud drives',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS cloud_drives (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          base_path TEXT NOT NULL,
+          jd_root_path TEXT,
+          is_default INTEGER DEFAULT 0,
+          is_active INTEGER DEFAULT 1,
+          drive_type TEXT DEFAULT 'generic',
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      db.run('CREATE INDEX IF NOT EXISTS idx_cloud_drives_default ON cloud_drives(is_default)');
+    },
+    down(db) {
+      db.run('DROP TABLE IF EXISTS cloud_drives');
+    },
+  },
+  {
+    version: 3,
+    description: 'Area-to-drive storage mappings',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS area_storage (
+          area_id INTEGER PRIMARY KEY,
+          cloud_drive_id TEXT,
+          notes TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (area_id) REFERENCES areas(id),
+          FOREIGN KEY (cloud_drive_id) REFERENCES cloud_drives(id)
+        )
+      `);
+    },
+    down(db) {
+      db.run('DROP TABLE IF EXISTS area_storage');
+    },
+  },
+  {
+    version: 4,
+    description: 'File organization rules',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS organization_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          rule_type TEXT NOT NULL CHECK (rule_type IN ('extension', 'keyword', 'path', 'regex')),
+          pattern TEXT NOT NULL,
+          target_type TEXT NOT NULL CHECK (target_type IN ('folder', 'category', 'area')),
+          target_id TEXT NOT NULL,
+          priority INTEGER DEFAULT 50,
+          is_active INTEGER DEFAULT 1,
+          match_count INTEGER DEFAULT 0,
+          notes TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      db.run(
+        'CREATE INDEX IF NOT EXISTS idx_org_rules_type ON organization_rules(rule_type, is_active)'
+      );
+      db.run(
+        'CREATE INDEX IF NOT EXISTS idx_org_rules_priority ON organization_rules(priority DESC)'
+      );
+    },
+    down(db) {
+      db.run('DROP TABLE IF EXISTS organization_rules');
+    },
+  },
+  {
+    version: 5,
+    description: 'Organized file history',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS organized_files (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          filename TEXT NOT NULL,
+          original_path TEXT NOT NULL,
+          current_path TEXT NOT NULL,
+          jd_folder_number TEXT,
+          jd_item_id INTEGER,
+          file_extension TEXT,
+          file_type TEXT,
+          file_size INTEGER,
+          file_modified_at TEXT,
+          matched_rule_id INTEGER,
+          cloud_drive_id TEXT,
+          status TEXT DEFAULT 'moved' CHECK (status IN ('moved', 'tracked', 'undone', 'deleted')),
+          organized_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (jd_item_id) REFERENCES items(id),
+          FOREIGN KEY (matched_rule_id) REFERENCES organization_rules(id),
+          FOREIGN KEY (cloud_drive_id) REFERENCES cloud_drives(id)
+        )
+      `);
+      db.run(
+        'CREATE INDEX IF NOT EXISTS idx_organized_files_path ON organized_files(original_path)'
+      );
+      db.run(
+        'CREATE INDEX IF NOT EXISTS idx_organized_files_folder ON organized_files(jd_folder_number)'
+      );
+      db.run('CREATE INDEX IF NOT EXISTS idx_organized_files_status ON organized_files(status)');
+    },
+    down(db) {
+      db.run('DROP TABLE IF EXISTS organized_files');
+    },
+  },
+  {
+    version: 6,
+    description: 'Scanned files awaiting review',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS scanned_files (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          scan_session_id TEXT NOT NULL,
+          filename TEXT NOT NULL,
+          path TEXT NOT NULL,
+          parent_folder TEXT,
+          file_extension TEXT,
+          file_type TEXT,
+          file_size INTEGER,
+          file_modified_at TEXT,
+          suggested_jd_folder TEXT,
+          suggested_rule_id INTEGER,
+          suggestion_confidence TEXT DEFAULT 'none' CHECK (suggestion_confidence IN ('none', 'low', 'medium', 'high')),
+          user_decision TEXT DEFAULT 'pending' CHECK (user_decision IN ('pending', 'accepted', 'changed', 'skipped')),
+          user_target_folder TEXT,
+          scanned_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (suggested_rule_id) REFERENCES organization_rules(id)
+        )
+      `);
+      db.run(
+        'CREATE INDEX IF NOT EXISTS idx_scanned_files_session ON scanned_files(scan_session_id)'
+      );
+      db.run(
+        'CREATE INDEX IF NOT EXISTS idx_scanned_files_decision ON scanned_files(user_decision)'
+      );
+      db.run('CREATE INDEX IF NOT EXISTS idx_scanned_files_type ON scanned_files(file_type)');
+    },
+    down(db) {
+      db.run('DROP TABLE IF EXISTS scanned_files');
+    },
+  },
+  {
+    version: 7,
+    description: 'Watched folders and watch activity log',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS watched_folders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          path TEXT NOT NULL UNIQUE,
+          is_active INTEGER DEFAULT 1,
+          auto_organize INTEGER DEFAULT 0,
+          confidence_threshold TEXT DEFAULT 'medium' CHECK (confidence_threshold IN ('low', 'medium', 'high')),
+          include_subdirs INTEGER DEFAULT 0,
+          file_types TEXT,
+          notify_on_organize INTEGER DEFAULT 1,
+          last_checked_at TEXT,
+          files_processed INTEGER DEFAULT 0,
+          files_organized INTEGER DEFAULT 0,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      db.run(`
+        CREATE TABLE IF NOT EXISTS watch_activity (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          watched_folder_id INTEGER NOT NULL,
+          filename TEXT NOT NULL,
+          path TEXT NOT NULL,
+          file_extension TEXT,
+          file_type TEXT,
+          file_size INTEGER,
+          action TEXT NOT NULL CHECK (action IN ('detected', 'queued', 'auto_organized', 'skipped', 'error')),
+          matched_rule_id INTEGER,
+          target_folder TEXT,
+          error_message TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (watched_folder_id) REFERENCES watched_folders(id) ON DELETE CASCADE,
+          FOREIGN KEY (matched_rule_id) REFERENCES organization_rules(id)
+        )
+      `);
+      db.run('CREATE INDEX IF NOT EXISTS idx_watched_folders_active ON watched_folders(is_active)');
+      db.run(
+        'CREATE INDEX IF NOT EXISTS idx_watch_activity_folder ON watch_activity(watched_folder_id)'
+      );
+      db.run('CREATE INDEX IF NOT EXISTS idx_watch_activity_action ON watch_activity(action)');
+      db.run(
+        'CREATE INDEX IF NOT EXISTS idx_watch_activity_created ON watch_activity(created_at DESC)'
+      );
+    },
+    down(db) {
+      db.run('DROP TABLE IF EXISTS watch_activity');
+      db.run('DROP TABLE IF EXISTS watched_folders');
+    },
+  },
+  {
+    version: 8,
+    description: 'Former numbers of moved folders and items',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS number_aliases (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entity_type TEXT NOT NULL CHECK (entity_type IN ('folder', 'item')),
+          entity_id INTEGER NOT NULL,
+          alias TEXT NOT NULL,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (entity_type, entity_id, alias)
+        )
+      `);
+      db.run('CREATE INDEX IF NOT EXISTS idx_number_aliases_alias ON number_aliases(alias)');
+    },
+    down(db) {
+      db.run('DROP TABLE IF EXISTS number_aliases');
+    },
+  },
+  {
+    version: 9,
+    description: 'Trash for deleted areas, categories, folders and items',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS trash (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entity_type TEXT NOT NULL CHECK (entity_type IN ('area', 'category', 'folder', 'item')),
+          entity_id INTEGER NOT NULL,
+          entity_number TEXT,
+          name TEXT,
+          data TEXT NOT NULL,
+          deleted_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      db.run('CREATE INDEX IF NOT EXISTS idx_trash_entity ON trash(entity_type, entity_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_trash_deleted ON trash(deleted_at)');
+    },
+    down(db) {
+      db.run('DROP TABLE IF EXISTS trash');
+    },
+  },
+  {
+    version: 10,
+    description: 'Folder and item numbers reserved for planned use',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS reserved_numbers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entity_type TEXT NOT NULL CHECK (entity_type IN ('folder', 'item')),
+          number TEXT NOT NULL UNIQUE,
+          note TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    },
+    down(db) {
+      db.run('DROP TABLE IF EXISTS reserved_numbers');
+    },
+  },
+  {
+    version: 11,
+    description: 'Folder templates',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS folder_templates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          description TEXT,
+          items TEXT NOT NULL,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    },
+    down(db) {
+      db.run('DROP TABLE IF EXISTS folder_templates');
+    },
+  },
+  {
+    version: 12,
+    description: 'Custom fields on categories and folders',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS custom_fields (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          scope_type TEXT NOT NULL CHECK (scope_type IN ('category', 'folder')),
+          scope_id INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          field_type TEXT NOT NULL
+            CHECK (field_type IN ('text', 'number', 'date', 'select', 'url', 'checkbox')),
+          options TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (scope_type, scope_id, name)
+        )
+      `);
+      db.run(
+        'CREATE INDEX IF NOT EXISTS idx_custom_fields_scope ON custom_fields(scope_type, scope_id)'
+      );
+
+      const columns = db.exec('PRAGMA table_info(items)')[0].values.map((c) => c[1]);
+      if (!columns.includes('custom_values')) {
+        db.run("ALTER TABLE items ADD COLUMN custom_values TEXT DEFAULT '{}'");
+      }
+    },
+    down(db) {
+      db.run('ALTER TABLE items DROP COLUMN custom_values');
+      db.run('DROP TABLE IF EXISTS custom_fields');
+    },
+  },
+  {
+    version: 13,
+    description: 'Tags for folders and items, replacing keywords',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS tags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      db.run(`
+        CREATE TABLE IF NOT EXISTS folder_tags (
+          folder_id INTEGER NOT NULL,
+          tag_id INTEGER NOT NULL,
+          PRIMARY KEY (folder_id, tag_id)
+        )
+      `);
+      db.run(`
+        CREATE TABLE IF NOT EXISTS item_tags (
+          item_id INTEGER NOT NULL,
+          tag_id INTEGER NOT NULL,
+          PRIMARY KEY (item_id, tag_id)
+        )
+      `);
+      db.run('CREATE INDEX IF NOT EXISTS idx_folder_tags_tag ON folder_tags(tag_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_item_tags_tag ON item_tags(tag_id)');
+
+      // Each keyword becomes a tag, then the keywords columns go
+      TAGGED_TABLES.forEach(({ table, links, column }) => {
+        const columns = db.exec(`PRAGMA table_info(${table})`)[0].values.map((c) => c[1]);
+        if (!columns.includes('keywords')) return;
+
+        const rows =
+          db.exec(`SELECT id, keywords FROM ${table} WHERE keywords <> ''`)[0]?.values || [];
+        rows.forEach(([id, keywords]) => {
+          parseTagList(keywords).forEach((tag) => {
+            db.run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [tag]);
+            db.run(
+              `INSERT OR IGNORE INTO ${links} (${column}, tag_id) SELECT ?, id FROM tags WHERE name = ?`,
+              [id, tag]
+            );
+          });
+        });
+        db.run(`ALTER TABLE ${table} DROP COLUMN keywords`);
+      });
+
+      // Template items (JSON on the template row) get tags the same way
+      rewriteTemplateItems(db, ({ keywords, ...item }) =>
+        keywords === undefined ? item : { ...item, tags: parseTagList(keywords) }
+      );
+    },
+    down(db) {
+      rewriteTemplateItems(db, ({ tags, ...item }) =>
+        tags === undefined ? item : { ...item, keywords: tags.join(', ') }
+      );
+      TAGGED_TABLES.forEach(({ table, links, column }) => {
+        db.run(`ALTER TABLE ${table} ADD COLUMN keywords TEXT`);
+        db.run(`
+          UPDATE ${table} SET keywords = (
+            SELECT GROUP_CONCAT(t.name, ', ') FROM ${links} l JOIN tags t ON t.id = l.tag_id
+            WHERE l.${column} = ${table}.id
+          )
+        `);
+      });
+      db.run('DROP TABLE IF EXISTS item_tags');
+      db.run('DROP TABLE IF EXISTS folder_tags');
+      db.run('DROP TABLE IF EXISTS tags');
+    },
+  },
+  {
+    version: 14,
+    description: 'Links between folders and items',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS record_links (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          source_type TEXT NOT NULL CHECK (source_type IN ('folder', 'item')),
+          source_id INTEGER NOT NULL,
+          target_type TEXT NOT NULL CHECK (target_type IN ('folder', 'item')),
+          target_id INTEGER NOT NULL,
+          link_type TEXT NOT NULL CHECK (link_type IN ('see_also', 'supersedes', 'depends_on')),
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (source_type, source_id, target_type, target_id, link_type)
+        )
+      `);
+      db.run(
+        'CREATE INDEX IF NOT EXISTS idx_record_links_target ON record_links(target_type, target_id)'
+      );
+    },
+    down(db) {
+      db.run('DROP TABLE IF EXISTS record_links');
+    },
+  },
+  {
+    version: 15,
+    description: 'Field-level change history for folders and items',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS field_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entity_type TEXT NOT NULL CHECK (entity_type IN ('folder', 'item')),
+          entity_id INTEGER NOT NULL,
+          version INTEGER NOT NULL,
+          field TEXT NOT NULL,
+          old_value TEXT,
+          new_value TEXT,
+          changed_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      db.run(
+        'CREATE INDEX IF NOT EXISTS idx_field_history_entity ON field_history(entity_type, entity_id, version)'
+      );
+    },
+    down(db) {
+      db.run('DROP TABLE IF EXISTS field_history');
+    },
+  },
+  {
+    version: 16,
+    description: 'Review and expiry dates on folders and items',
+    up(db) {
+      ['folders', 'items'].forEach((table) => {
+        const columns = db.exec(`PRAGMA table_info(${table})`)[0].values.map((c) => c[1]);
+        REVIEW_COLUMNS.filter((column) => !columns.includes(column)).forEach((column) => {
+          db.run(`ALTER TABLE ${table} ADD COLUMN ${column} TEXT`);
+        });
+      });
+    },
+    down(db) {
+      ['folders', 'items'].forEach((table) => {
+        REVIEW_COLUMNS.forEach((column) => db.run(`ALTER TABLE ${table} DROP COLUMN ${column}`));
+      });
+    },
+  },
+];
+
+/** Schema version a fully migrated database is at. */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Tables created by versions 2-7. Builds before version 8 stamped a new
+// database with version 7 but only created the core tables, so up to
+// version 7 the stamp is checked against these.
+const TABLES_BY_VERSION = {
+  2: ['cloud_drives'],
+  3: ['area_storage'],
+  4: ['organization_rules'],
+  5: ['organized_files'],
+  6: ['scanned_files'],
+  7: ['watched_folders', 'watch_activity'],
+};
+
+/**
+ * Read the schema version of a database.
+ *
+ * Databases from before version tracking have the core tables but no
+ * schema_version table, so they count as version 1. An empty database is 0.
+ * A database stamped 7 or lower that lacks the tables of a version counts
+ * as the version before it, so the missing steps run again.
+ *
+ * @param {Object} db - sql.js Database
+ * @returns {number}
+ */
+export function readSchemaVersion(db) {
+  const tables = db.exec("SELECT name FROM sqlite_master WHERE type = 'table'");
+  const names = new Set(tables[0]?.values.map((row) => row[0]) || []);
+
+  let version = names.has('areas') ? 1 : 0;
+  if (names.has('schema_version')) {
+    // MAX() because older builds added a row per upgrade instead of replacing it
+    const result = db.exec('SELECT MAX(version) FROM schema_version');
+    version = result[0]?.values[0]?.[0] || version;
+  }
+
+  for (let v = 2; v <= version && TABLES_BY_VERSION[v]; v++) {
+    if (!TABLES_BY_VERSION[v].every((table) => names.has(table))) return v - 1;
+  }
+  return version;
+}
+
+/**
+ * Record the schema version, replacing whatever was stored before.
+ *
+ * @param {Object} db - sql.js Database
+ * @param {number} version
+ */
+export function writeSchemaVersion(db, version) {
+  db.run('CREATE TABLE IF NOT EXISTS schema_version (version INTEGER PRIMARY KEY)');
+  db.run('DELETE FROM schema_version');
+  db.run('INSERT INTO schema_version (version) VALUES (?)', [version]);
+}
+
+/**
+ * Work out which migration steps move a database between two versions.
+ * Doesn't touch the database, so it doubles as the dry-run report.
+ *
+ * @param {number} fromVersion - Current schema version
+ * @param {number} [toVersion=SCHEMA_VERSION] - Desired schema version
+ * @returns {{fromVersion: number, toVersion: number, direction: string, steps: Array}}
+ *   direction is 'up', 'down' or 'none'; steps are in the order they would run
+ * @throws {RangeError} If the target version is unknown or can't be reached
+ */
+export function planMigrations(fromVersion, toVersion = SCHEMA_VERSION) {
+  if (!Number.isInteger(toVersion) || toVersion < 1 || toVersion > SCHEMA_VERSION) {
+    throw new RangeError(`Schema version must be between 1 and ${SCHEMA_VERSION}`);
+  }
+
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new RangeError(
+      `Database schema v${fromVersion} is newer than this version of JDex supports (v${SCHEMA_VERSION})`
+    );
+  }
+
+  if (toVersion === fromVersion) {
+    return { fromVersion, toVersion, direction: 'none', steps: [] };
+  }
+
+  if (toVersion > fromVersion) {
+    const steps = MIGRATIONS.filter((m) => m.version > fromVersion && m.version <= toVersion);
+    return { fromVersion, toVersion, direction: 'up', steps };
+  }
+
+  const steps = MIGRATIONS.filter(
+    (m) => m.version <= fromVersion && m.version > toVersion
+  ).reverse();
+  return { fromVersion, toVersion, direction: 'down', steps };
+}
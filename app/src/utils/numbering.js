@@ -0,0 +1,73 @@
+/**
+ * Number Allocation for JDex
+ * ==========================
+ * How the next folder (XX.XX) or item (XX.XX.XX) number is picked. A
+ * category holds at most 99 folders and a folder at most 99 items; the
+ * format has no room for a third digit. Numbers reserved for planned use
+ * (the reserved_numbers table) are never handed out automatically.
+ */
+
+export const MAX_SEQUENCE = 99;
+
+export const ALLOCATION_STRATEGIES = [
+  {
+    id: 'next',
+    label: 'Next after highest',
+    description: 'Count up from the highest number in use. Numbers freed by deletions stay free.',
+  },
+  {
+    id: 'lowest',
+    label: 'Lowest free',
+    description: 'Fill the gaps left by deleted or moved records first.',
+  },
+  {
+    id: 'manual',
+    label: 'Manual',
+    description:
+      'Type the number yourself when creating a folder or item. Moves and restores count up.',
+  },
+];
+
+const STRATEGY_STORAGE_KEY = 'jdex_number_allocation';
+export const DEFAULT_ALLOCATION_STRATEGY = 'next';
+
+/**
+ * @returns {'next'|'lowest'|'manual'}
+ */
+export function getAllocationStrategy() {
+  const saved = localStorage.getItem(STRATEGY_STORAGE_KEY);
+  return ALLOCATION_STRATEGIES.some((s) => s.id === saved) ? saved : DEFAULT_ALLOCATION_STRATEGY;
+}
+
+/**
+ * @param {'next'|'lowest'|'manual'} strategy
+ */
+export function setAllocationStrategy(strategy) {
+  if (!ALLOCATION_STRATEGIES.some((s) => s.id === strategy)) {
+    throw new RangeError(`Unknown allocation strategy: ${strategy}`);
+  }
+  localStorage.setItem(STRATEGY_STORAGE_KEY, strategy);
+}
+
+/**
+ * Pick a sequence for a new child of a category or folder.
+ *
+ * @param {number[]} used - Sequences of the existing children
+ * @param {number[]} reserved - Sequences reserved for planned use
+ * @param {'next'|'lowest'|'manual'} strategy - 'manual' counts up like 'next'
+ * @returns {{sequence: number|null, free: number}} sequence is null when none is left
+ *   for this strategy; free counts the unused, unreserved sequences 01-99
+ */
+export function allocateSequence(used, reserved, strategy) {
+  const taken = new Set([...used, ...reserved]);
+  let free = 0;
+  for (let seq = 1; seq <= MAX_SEQUENCE; seq++) {
+    if (!taken.has(seq)) free++;
+  }
+
+  const start = strategy === 'lowest' ? 1 : Math.max(0, ...used) + 1;
+  for (let seq = start; seq <= MAX_SEQUENCE; seq++) {
+    if (!taken.has(seq)) return { sequence: seq, free };
+  }
+  return { sequence: null, free };
+}
@@ -0,0 +1,171 @@
+/**
+ * Index Profiles for JDex
+ * =======================
+ * A profile is a separate Johnny Decimal system (e.g. "Work" and "Personal")
+ * with its own database, so its cloud drives, rules and history are kept
+ * apart too. This module only manages the list of profiles and which one
+ * was used last; opening and switching databases happens in db.js.
+ *
+ * The list lives in localStorage, which Electron keeps in the user data
+ * directory next to the database files.
+ */
+
+import { validateRequiredString, ValidationError } from './validation.js';
+
+const PROFILES_STORAGE_KEY = 'jdex_profiles';
+
+/**
+ * The profile every install starts with. Its database is the original
+ * jdex.sqlite file, so upgrading users keep their data.
+ */
+export const DEFAULT_PROFILE_ID = 'default';
+
+const DEFAULT_PROFILE = { id: DEFAULT_PROFILE_ID, name: 'My Index', created_at: null };
+
+/**
+ * Read the saved registry, falling back to just the default profile.
+ *
+ * @returns {{profiles: Array<{id: string, name: string, created_at: string|null}>, activeId: string}}
+ */
+function readRegistry() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+    if (saved && Array.isArray(saved.profiles) && saved.profiles.length > 0) {
+      return saved;
+    }
+  } catch {
+    // Corrupt registry - start over with the default profile
+  }
+  return { profiles: [DEFAULT_PROFILE], activeId: DEFAULT_PROFILE_ID };
+}
+
+function writeRegistry(registry) {
+  localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(registry));
+}
+
+/**
+ * Get all profiles in the order they were created.
+ *
+ * @returns {Array<{id: string, name: string, created_at: string|null}>}
+ */
+export function getProfiles() {
+  return readRegistry().profiles;
+}
+
+/**
+ * Get the profile that was used last (and should be opened on launch).
+ *
+ * @returns {{id: string, name: string, created_at: string|null}}
+ */
+export function getActiveProfile() {
+  const { profiles, activeId } = readRegistry();
+  return profiles.find((p) => p.id === activeId) || profiles[0];
+}
+
+/**
+ * Remember a profile as the last used one.
+ *
+ * @param {string} profileId
+ * @throws {ValidationError} If the profile doesn't exist
+ */
+export function setActiveProfile(profileId) {
+  const registry = readRegistry();
+  if (!registry.profiles.some((p) => p.id === profileId)) {
+    throw new ValidationError(`Unknown profile: ${profileId}`, 'Profile');
+  }
+  writeRegistry({ ...registry, activeId: profileId });
+}
+
+/**
+ * Turn a profile name into a unique id that is safe to use in a filename.
+ */
+function makeProfileId(name, existing) {
+  const base =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 32) || 'profile';
+
+  let id = base;
+  let n = 2;
+  while (existing.some((p) => p.id === id)) {
+    id = `${base}-${n++}`;
+  }
+  return id;
+}
+
+/**
+ * Register a new profile. Doesn't create its database or make it active.
+ *
+ * @param {string} name - Display name
+ * @returns {{id: string, name: string, created_at: string}} The new profile
+ * @throws {ValidationError} If the name is empty, too long or already taken
+ */
+export function addProfile(name) {
+  const cleanName = validateRequiredString(name, 'Profile name', 50);
+  const registry = readRegistry();
+
+  if (registry.profiles.some((p) => p.name.toLowerCase() === cleanName.toLowerCase())) {
+    throw new ValidationError(`A profile named "${cleanName}" already exists`, 'Profile name');
+  }
+
+  const profile = {
+    id: makeProfileId(cleanName, registry.profiles),
+    name: cleanName,
+    created_at: new Date().toISOString(),
+  };
+
+  writeRegistry({ ...registry, profiles: [...registry.profiles, profile] });
+  return profile;
+}
+
+/**
+ * Give a profile a new display name. Its id, and so its database file,
+ * stays the same.
+ *
+ * @param {string} profileId
+ * @param {string} name - New display name
+ * @returns {{id: string, name: string, created_at: string|null}} The renamed profile
+ * @throws {ValidationError} If the profile doesn't exist, or the name is empty, too long or taken
+ */
+export function renameProfile(profileId, name) {
+  const cleanName = validateRequiredString(name, 'Profile name', 50);
+  const registry = readRegistry();
+
+  const profile = registry.profiles.find((p) => p.id === profileId);
+  if (!profile) {
+    throw new ValidationError(`Unknown profile: ${profileId}`, 'Profile');
+  }
+  if (
+    registry.profiles.some(
+      (p) => p.id !== profileId && p.name.toLowerCase() === cleanName.toLowerCase()
+    )
+  ) {
+    throw new ValidationError(`A profile named "${cleanName}" already exists`, 'Profile name');
+  }
+
+  const renamed = { ...profile, name: cleanName };
+  writeRegistry({
+    ...registry,
+    profiles: registry.profiles.map((p) => (p.id === profileId ? renamed : p)),
+  });
+  return renamed;
+}
+
+/**
+ * Remove a profile from the list. Its database isn't touched; see
+ * deleteProfile in db.js for removing that as well. The default profile
+ * can't be removed.
+ *
+ * @param {string} profileId
+ */
+export function removeProfile(profileId) {
+  if (profileId === DEFAULT_PROFILE_ID) return;
+  const registry = readRegistry();
+  writeRegistry({
+    ...registry,
+    profiles: registry.profiles.filter((p) => p.id !== profileId),
+    activeId: registry.activeId === profileId ? DEFAULT_PROFILE_ID : registry.activeId,
+  });
+}
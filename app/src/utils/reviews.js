@@ -0,0 +1,263 @@
+/**
+ * Review Dates for JDex
+ * =====================
+ * Folders and items can have a review date, optionally recurring ("every
+ * month", "every January"), and an expiry date (passport, insurance,
+ * warranty). Both come up in the "Due for review" list on the home screen:
+ * a review from its date, an expiry EXPIRY_NOTICE_DAYS ahead of it. See the
+ * REVIEWS section of db.js.
+ *
+ * Dates are calendar days as YYYY-MM-DD strings, in local time.
+ */
+
+import { ValidationError } from './validation.js';
+import { DEFAULT_PROFILE_ID } from './profiles.js';
+
+/** Recurrences with a fixed interval. */
+export const REVIEW_INTERVALS = {
+  weekly: 'Every week',
+  monthly: 'Every month',
+  quarterly: 'Every 3 months',
+  yearly: 'Every year',
+};
+
+export const MONTH_NAMES = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+
+/** Days before an expiry date that it comes up for review. */
+export const EXPIRY_NOTICE_DAYS = 30;
+
+/** How long a reminder can be put off for. */
+export const SNOOZE_OPTIONS = [
+  { days: 1, label: '1 day' },
+  { days: 7, label: '1 week' },
+  { days: 30, label: '1 month' },
+];
+
+// "month:1" is every January (on the 1st)
+const MONTH_RULE = /^month:(1[0-2]|[1-9])$/;
+
+/**
+ * Every recurrence, for a select.
+ *
+ * @returns {Array<{value: string, label: string}>}
+ */
+export function reviewRuleOptions() {
+  return [
+    ...Object.entries(REVIEW_INTERVALS).map(([value, label]) => ({ value, label })),
+    ...MONTH_NAMES.map((month, i) => ({ value: `month:${i + 1}`, label: `Every ${month}` })),
+  ];
+}
+
+/**
+ * @param {string|null} rule
+ * @returns {string} e.g. "Every January"; empty for a one-off review
+ */
+export function describeReviewRule(rule) {
+  if (!rule) return '';
+  const month = MONTH_RULE.exec(rule);
+  return month ? `Every ${MONTH_NAMES[month[1] - 1]}` : REVIEW_INTERVALS[rule] || rule;
+}
+
+/**
+ * Today's date, or another day's.
+ *
+ * @param {Date} [date=new Date()]
+ * @returns {string} YYYY-MM-DD
+ */
+export function todayString(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Calendar arithmetic in UTC, so daylight saving doesn't shift days
+function parseDay(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return { year, month, date };
+}
+
+function formatDay(year, month, date) {
+  return new Date(Date.UTC(year, month - 1, date)).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} YYYY-MM-DD
+ */
+export function addDays(day, days) {
+  const { year, month, date } = parseDay(day);
+  return formatDay(year, month, date + days);
+}
+
+// The same day `months` later, or the month's last day if it's shorter
+function addMonths(day, months) {
+  const { year, month, date } = parseDay(day);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return formatDay(year, month + months, Math.min(date, lastDay));
+}
+
+/**
+ * The first review after a day under a recurrence.
+ *
+ * @param {string} rule - A REVIEW_INTERVALS key or "month:N"
+ * @param {string} after - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export function nextReviewDate(rule, after) {
+  const month = MONTH_RULE.exec(rule);
+  if (month) {
+    const { year } = parseDay(after);
+    const thisYear = formatDay(year, Number(month[1]), 1);
+    return thisYear > after ? thisYear : formatDay(year + 1, Number(month[1]), 1);
+  }
+  switch (rule) {
+    case 'weekly':
+      return addDays(after, 7);
+    case 'monthly':
+      return addMonths(after, 1);
+    case 'quarterly':
+      return addMonths(after, 3);
+    default:
+      return addMonths(after, 12);
+  }
+}
+
+/**
+ * Where a recurring review goes once it's done: the first date in its
+ * cycle after today, so reviews missed while away don't pile up.
+ *
+ * @param {string} rule
+ * @param {string} dueDate - The review date being completed
+ * @param {string} [today=todayString()]
+ * @returns {string} YYYY-MM-DD
+ */
+export function advanceReviewDate(rule, dueDate, today = todayString()) {
+  let next = dueDate;
+  do {
+    next = nextReviewDate(rule, next);
+  } while (next <= today);
+  return next;
+}
+
+function normalizeDay(value, field, label) {
+  if (value === null || value === undefined || value === '') return null;
+  const day = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || formatDay(...day.split('-').map(Number)) !== day) {
+    throw new ValidationError(`${label} must be a date (YYYY-MM-DD)`, field, value);
+  }
+  return day;
+}
+
+/**
+ * Check the review fields of an update. Only the fields present are
+ * returned. A recurring review without a date starts at the next date in
+ * its cycle.
+ *
+ * @param {Object} values - review_date, review_rule and/or expires_on
+ * @returns {Object} The same fields, cleaned up (null when empty)
+ * @throws {ValidationError} If a date or the recurrence is invalid
+ */
+export function normalizeReviewFields(values) {
+  const result = {};
+  if ('review_date' in values) {
+    result.review_date = normalizeDay(values.review_date, 'review_date', 'Review date');
+  }
+  if ('expires_on' in values) {
+    result.expires_on = normalizeDay(values.expires_on, 'expires_on', 'Expiry date');
+  }
+  if ('review_rule' in values) {
+    const rule = values.review_rule || null;
+    if (rule && !(rule in REVIEW_INTERVALS) && !MONTH_RULE.test(rule)) {
+      throw new ValidationError('Choose how often to review', 'review_rule', rule);
+    }
+    result.review_rule = rule;
+    if (rule && 'review_date' in result && !result.review_date) {
+      result.review_date = nextReviewDate(rule, todayString());
+    }
+  }
+  return result;
+}
+
+// Whole days from one date to another
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+/**
+ * What a due reminder is about, e.g. "Review overdue by 3 days" or
+ * "Expires in 12 days".
+ *
+ * @param {{kind: string, due: string}} reminder - See getDueReminders
+ * @param {string} [today=todayString()]
+ * @returns {string}
+ */
+export function describeReminder(reminder, today = todayString()) {
+  const days = daysBetween(today, reminder.due);
+  const plural = (n) => `${n} day${n === 1 ? '' : 's'}`;
+  if (reminder.kind === 'expiry') {
+    if (days > 0) return `Expires in ${plural(days)}`;
+    return days === 0 ? 'Expires today' : `Expired ${plural(-days)} ago`;
+  }
+  return days === 0 ? 'Review due today' : `Review overdue by ${plural(-days)}`;
+}
+
+/**
+ * localStorage key prefix for the reminders already notified; one list per
+ * profile, since record ids repeat across profiles.
+ */
+const NOTIFIED_STORAGE_KEY = 'jdex_review_notified';
+
+/**
+ * Show a desktop notification (Electron only) for reminders that have come
+ * due since the last call. Reminders are remembered by record and due date,
+ * so a completed recurring review notifies again next time, and so does one
+ * whose snooze has run out.
+ *
+ * @param {Array<Object>} reminders - See getDueReminders
+ * @param {string} [profileId=DEFAULT_PROFILE_ID] - Profile the reminders come from
+ * @returns {Promise<void>}
+ */
+export async function notifyDueReminders(reminders, profileId = DEFAULT_PROFILE_ID) {
+  if (typeof window === 'undefined' || !window.jdex?.notifications) return;
+
+  const storageKey = `${NOTIFIED_STORAGE_KEY}:${profileId}`;
+  let notified;
+  try {
+    notified = new Set(JSON.parse(localStorage.getItem(storageKey)) || []);
+  } catch {
+    notified = new Set();
+  }
+  const id = (reminder) => `${reminder.key}:${reminder.due}`;
+  const fresh = reminders.filter((reminder) => !notified.has(id(reminder)));
+  // Only what's still due is kept, so the list doesn't grow
+  localStorage.setItem(storageKey, JSON.stringify(reminders.map(id)));
+  if (fresh.length === 0) return;
+
+  const [first] = fresh;
+  const title = fresh.length === 1 ? 'Due for review' : `${fresh.length} records due for review`;
+  const body =
+    fresh.length === 1
+      ? `${first.number} ${first.name}: ${describeReminder(first)}`
+      : fresh
+          .slice(0, 3)
+          .map((reminder) => `${reminder.number} ${reminder.name}`)
+          .join(', ') + (fresh.length > 3 ? ', ...' : '');
+  try {
+    await window.jdex.notifications.show(title, body);
+  } catch {
+    // Notifications are a convenience; the home screen still lists everything due
+  }
+}
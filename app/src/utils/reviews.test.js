@@ -0,0 +1,29 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { notifyDueReminders } from './reviews.js';
+
+const reminder = (key, due) => ({ key, due, kind: 'review', number: '11.01', name: 'Taxes' });
+
+describe('notifyDueReminders', () => {
+  let show;
+
+  beforeEach(() => {
+    show = vi.fn().mockResolvedValue(true);
+    window.jdex = { notifications: { show } };
+  });
+
+  afterEach(() => {
+    delete window.jdex;
+  });
+
+  it('notifies a reminder once', async () => {
+    await notifyDueReminders([reminder('folder:1:review', '2026-01-01')], 'work');
+    await notifyDueReminders([reminder('folder:1:review', '2026-01-01')], 'work');
+    expect(show).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps track per profile, since record ids repeat across profiles', async () => {
+    await notifyDueReminders([reminder('folder:1:review', '2026-01-01')], 'work');
+    await notifyDueReminders([reminder('folder:1:review', '2026-01-01')], 'home');
+    expect(show).toHaveBeenCalledTimes(2);
+  });
+});
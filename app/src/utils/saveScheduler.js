@@ -0,0 +1,131 @@
+/**
+ * Save Scheduler for JDex
+ * =======================
+ * Coalesces database saves. Mutations mark the database dirty; the actual
+ * export + write runs once things go quiet (debounce), or after maxWait at
+ * the latest so a steady stream of watch events still gets persisted.
+ *
+ * Only one write is ever in flight. Changes made during a write are picked
+ * up by a follow-up write once it finishes.
+ */
+
+const DEFAULT_DELAY_MS = 500;
+const DEFAULT_MAX_WAIT_MS = 5000;
+const IDLE_TIMEOUT_MS = 1000;
+
+/**
+ * Create a save scheduler.
+ *
+ * @param {Function} save - Performs the write; may return a promise
+ * @param {Object} [options]
+ * @param {number} [options.delay=500] - Quiet period before flushing (ms)
+ * @param {number} [options.maxWait=5000] - Longest a dirty state may wait (ms)
+ * @returns {{markDirty: Function, flush: Function, isDirty: Function}}
+ */
+export function createSaveScheduler(save, options = {}) {
+  const { delay = DEFAULT_DELAY_MS, maxWait = DEFAULT_MAX_WAIT_MS } = options;
+
+  let dirty = false;
+  let dirtySince = 0;
+  let timer = null;
+  let idleHandle = null;
+  let inFlight = null;
+
+  function cancelPending() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (idleHandle !== null && typeof cancelIdleCallback === 'function') {
+      cancelIdleCallback(idleHandle);
+    }
+    idleHandle = null;
+  }
+
+  // Background flushes ignore errors here; save() is responsible for reporting them
+  function flushQuietly() {
+    flush().catch(() => {});
+  }
+
+  function flushWhenIdle() {
+    timer = null;
+    if (typeof requestIdleCallback === 'function') {
+      idleHandle = requestIdleCallback(
+        () => {
+          idleHandle = null;
+          flushQuietly();
+        },
+        { timeout: IDLE_TIMEOUT_MS }
+      );
+    } else {
+      flushQuietly();
+    }
+  }
+
+  function schedule() {
+    cancelPending();
+    const wait = Math.max(0, Math.min(delay, dirtySince + maxWait - Date.now()));
+    timer = setTimeout(flushWhenIdle, wait);
+  }
+
+  /**
+   * Record that the database changed and schedule a save.
+   */
+  function markDirty() {
+    if (!dirty) {
+      dirty = true;
+      dirtySince = Date.now();
+    }
+
+    // A write in progress will reschedule when it finishes
+    if (!inFlight) schedule();
+  }
+
+  /**
+   * Write any pending changes now.
+   * The write starts synchronously, so this is safe to call from unload handlers.
+   *
+   * @returns {Promise<void>} Resolves once everything marked dirty so far is written
+   * @throws {Error} Rejects with the save error if the write fails
+   */
+  function flush() {
+    cancelPending();
+
+    if (inFlight) {
+      return inFlight.catch(() => {}).then(() => (dirty ? flush() : undefined));
+    }
+
+    if (!dirty) return Promise.resolve();
+
+    dirty = false;
+
+    let result;
+    try {
+      result = save();
+    } catch (error) {
+      result = Promise.reject(error);
+    }
+
+    let failed = false;
+    inFlight = Promise.resolve(result)
+      .catch((error) => {
+        // Keep the changes pending; the next markDirty() or flush() retries them
+        dirty = true;
+        failed = true;
+        throw error;
+      })
+      .finally(() => {
+        inFlight = null;
+        // Changes that arrived mid-write get their own save
+        if (dirty && !failed) schedule();
+      });
+
+    return inFlight;
+  }
+
+  return {
+    markDirty,
+    flush,
+    isDirty: () => dirty || !!inFlight,
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * sql.js Runtime Loader for JDex
+ * ==============================
+ * Loads the sql.js runtime and its WebAssembly binary from the app's own
+ * bundled assets so the database works without a network connection.
+ *
+ * Security: Both files are checked against SHA-256 hashes computed at build
+ * time (see vite.config.js). A modified or truncated asset is rejected
+ * before any of its code runs.
+ */
+
+import sqlJsUrl from 'sql.js/dist/sql-wasm.js?url';
+import sqlWasmUrl from 'sql.js/dist/sql-wasm.wasm?url';
+import { DatabaseError } from './errors.js';
+
+// Injected by vite.config.js from the installed sql.js package
+const EXPECTED_HASHES = __SQLJS_INTEGRITY__;
+
+let sqlPromise = null;
+
+/**
+ * Read a bundled asset as bytes.
+ * Uses XHR rather than fetch because Electron's file:// pages can't fetch().
+ *
+ * @param {string} url - Asset URL
+ * @returns {Promise<ArrayBuffer>} The file contents
+ */
+function readAsset(url) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', url);
+    xhr.responseType = 'arraybuffer';
+    xhr.onload = () => {
+      // file:// responses report status 0 on success
+      if ((xhr.status === 0 || (xhr.status >= 200 && xhr.status < 300)) && xhr.response) {
+        resolve(xhr.response);
+      } else {
+        reject(new DatabaseError(`Failed to read ${url} (status ${xhr.status})`, 'load'));
+      }
+    };
+    xhr.onerror = () => reject(new DatabaseError(`Failed to read ${url}`, 'load'));
+    xhr.send();
+  });
+}
+
+/**
+ * Compute the hex SHA-256 digest of a buffer.
+ *
+ * @param {ArrayBuffer} buffer - Data to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Read an asset and verify it against its pinned hash.
+ *
+ * @param {string} url - Asset URL
+ * @param {string} name - Key into EXPECTED_HASHES
+ * @returns {Promise<ArrayBuffer>} The verified bytes
+ * @throws {DatabaseError} If the asset is missing or fails the integrity check
+ */
+async function readVerifiedAsset(url, name) {
+  const bytes = await readAsset(url);
+  const actual = await sha256Hex(bytes);
+  if (actual !== EXPECTED_HASHES[name]) {
+    throw new DatabaseError(`Integrity check failed for ${name}`, 'load');
+  }
+  return bytes;
+}
+
+/**
+ * Execute the verified sql.js runtime so it registers window.initSqlJs.
+ * The script is loaded from a Blob so exactly the bytes we hashed are run.
+ *
+ * @param {ArrayBuffer} source - Verified script bytes
+ * @returns {Promise<void>}
+ */
+function runScript(source) {
+  return new Promise((resolve, reject) => {
+    const blobUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    const script = document.createElement('script');
+    script.src = blobUrl;
+    script.onload = () => {
+      URL.revokeObjectURL(blobUrl);
+      resolve();
+    };
+    script.onerror = () => {
+      URL.revokeObjectURL(blobUrl);
+      reject(new DatabaseError('Failed to start the sql.js runtime', 'load'));
+    };
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Load and initialize sql.js from local assets.
+ * Repeated calls share one load; a failed load can be retried.
+ *
+ * @returns {Promise<Object>} The initialized SQL namespace (SQL.Database etc.)
+ * @throws {DatabaseError} If the runtime can't be loaded or verified
+ */
+export function loadSqlJs() {
+  if (!sqlPromise) {
+    sqlPromise = (async () => {
+      const [source, wasmBinary] = await Promise.all([
+        window.initSqlJs ? null : readVerifiedAsset(sqlJsUrl, 'sql-wasm.js'),
+        readVerifiedAsset(sqlWasmUrl, 'sql-wasm.wasm'),
+      ]);
+
+      if (source) {
+        await runScript(source);
+      }
+
+      if (typeof window.initSqlJs !== 'function') {
+        throw new DatabaseError('sql.js runtime did not register initSqlJs', 'load');
+      }
+
+      return window.initSqlJs({ wasmBinary });
+    })().catch((error) => {
+      sqlPromise = null;
+      throw error instanceof DatabaseError
+        ? error
+        : new DatabaseError(`Failed to load sql.js: ${error.message}`, 'load');
+    });
+  }
+
+  return sqlPromise;
+}
@@ -0,0 +1,306 @@
+/**
+ * Database Persistence for JDex
+ * =============================
+ * Reads and writes the serialized SQLite database.
+ *
+ * In the Electron app the bytes go to a real .sqlite file in the user data
+ * directory, written by the main process (see electron/main.js). The plain
+ * browser build (vite dev/preview) has no file access and falls back to
+ * localStorage.
+ */
+
+import { DatabaseError } from './errors.js';
+import { DEFAULT_PROFILE_ID } from './profiles.js';
+
+/**
+ * localStorage key used before file-backed storage existed.
+ * Still used as the browser fallback.
+ */
+export const LEGACY_STORAGE_KEY = 'jdex_database_v2';
+
+/**
+ * localStorage key for a profile's database in the browser build.
+ * The default profile keeps the legacy key.
+ *
+ * @param {string} profileId
+ * @returns {string}
+ */
+function browserStorageKey(profileId) {
+  return profileId === DEFAULT_PROFILE_ID
+    ? LEGACY_STORAGE_KEY
+    : `${LEGACY_STORAGE_KEY}:${profileId}`;
+}
+
+/**
+ * Whether the Electron file storage bridge is available.
+ *
+ * @returns {boolean}
+ */
+export function hasFileStorage() {
+  return typeof window !== 'undefined' && !!window.jdex?.storage;
+}
+
+/**
+ * Read a database previously saved to localStorage (JSON array of bytes).
+ *
+ * @param {string} [key=LEGACY_STORAGE_KEY]
+ * @returns {Uint8Array|null}
+ */
+function readLegacyDatabase(key = LEGACY_STORAGE_KEY) {
+  const saved = localStorage.getItem(key);
+  if (!saved) return null;
+  return new Uint8Array(JSON.parse(saved));
+}
+
+/**
+ * One-time move of a localStorage database into the database file.
+ * The localStorage copy is only removed after the file write succeeds.
+ *
+ * @returns {Promise<Uint8Array|null>} The migrated bytes, or null if nothing to migrate
+ */
+async function migrateLegacyDatabase() {
+  const legacy = readLegacyDatabase();
+  if (!legacy) return null;
+
+  console.log('[JDex Storage] Migrating database from localStorage to file...');
+  await window.jdex.storage.writeDatabase(legacy);
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  console.log(`[JDex Storage] Migration complete (${legacy.length} bytes)`);
+
+  return legacy;
+}
+
+/**
+ * Load a profile's saved database.
+ *
+ * @param {string} [profileId=DEFAULT_PROFILE_ID]
+ * @returns {Promise<Uint8Array|null>} Database bytes, or null for a fresh profile
+ * @throws {DatabaseError} If the stored database can't be read
+ */
+export async function readStoredDatabase(profileId = DEFAULT_PROFILE_ID) {
+  try {
+    if (!hasFileStorage()) {
+      return readLegacyDatabase(browserStorageKey(profileId));
+    }
+
+    const data = await window.jdex.storage.readDatabase(profileId);
+    if (data) return new Uint8Array(data);
+
+    // Only the default profile can have a pre-file-storage database
+    return profileId === DEFAULT_PROFILE_ID ? await migrateLegacyDatabase() : null;
+  } catch (error) {
+    throw new DatabaseError(`Failed to read saved database: ${error.message}`, 'connect');
+  }
+}
+
+/**
+ * Persist a profile's database bytes.
+ *
+ * @param {Uint8Array} data - Output of db.export()
+ * @param {string} [profileId=DEFAULT_PROFILE_ID]
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If the write fails
+ */
+export async function writeStoredDatabase(data, profileId = DEFAULT_PROFILE_ID) {
+  try {
+    if (!hasFileStorage()) {
+      localStorage.setItem(browserStorageKey(profileId), JSON.stringify(Array.from(data)));
+      return;
+    }
+
+    await window.jdex.storage.writeDatabase(data, profileId);
+  } catch (error) {
+    throw new DatabaseError(`Failed to save database: ${error.message}`, 'save');
+  }
+}
+
+/**
+ * Delete a profile's database and all of its backups.
+ *
+ * @param {string} profileId - Not the default profile
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If the files can't be deleted
+ */
+export async function deleteStoredDatabase(profileId) {
+  if (profileId === DEFAULT_PROFILE_ID) {
+    throw new DatabaseError("The default profile's database can't be deleted", 'delete');
+  }
+  try {
+    if (!hasFileStorage()) {
+      localStorage.removeItem(browserStorageKey(profileId));
+      localStorage.removeItem(`${BROWSER_BACKUP_KEY}:${profileId}`);
+      return;
+    }
+
+    await window.jdex.storage.deleteDatabase(profileId);
+  } catch (error) {
+    throw new DatabaseError(`Failed to delete database: ${error.message}`, 'delete');
+  }
+}
+
+// ============================================
+// BACKUPS
+// ============================================
+
+/**
+ * localStorage key prefix for the browser build's backup list.
+ */
+const BROWSER_BACKUP_KEY = 'jdex_database_backups';
+
+/**
+ * Browser backups are kept as one JSON list per profile, bytes included.
+ */
+function readBrowserBackups(profileId) {
+  const saved = localStorage.getItem(`${BROWSER_BACKUP_KEY}:${profileId}`);
+  return saved ? JSON.parse(saved) : [];
+}
+
+function writeBrowserBackups(profileId, backups) {
+  localStorage.setItem(`${BROWSER_BACKUP_KEY}:${profileId}`, JSON.stringify(backups));
+}
+
+// Everything but the bytes
+function toBackupInfo({ id, label, created_at, size, counts }) {
+  return { id, label, created_at, size, counts };
+}
+
+/**
+ * Save a backup copy of a profile's database alongside the live one.
+ *
+ * @param {Uint8Array} data - Output of db.export()
+ * @param {string} label - Why the backup was taken (e.g. 'pre-migration-v5')
+ * @param {string} [profileId=DEFAULT_PROFILE_ID]
+ * @param {Object} [counts] - Record counts shown in the restore browser
+ * @returns {Promise<{id: string, label: string, created_at: string, size: number, counts: Object}>}
+ * @throws {DatabaseError} If the backup can't be written
+ */
+export async function writeDatabaseBackup(
+  data,
+  label,
+  profileId = DEFAULT_PROFILE_ID,
+  counts = {}
+) {
+  try {
+    if (!hasFileStorage()) {
+      const created_at = new Date().toISOString();
+      const backup = {
+        id: `${created_at}-${label}`,
+        label,
+        created_at,
+        size: data.length,
+        counts,
+        data: Array.from(data),
+      };
+      // localStorage is small: make room by dropping the oldest snapshots
+      let kept = readBrowserBackups(profileId);
+      for (;;) {
+        try {
+          writeBrowserBackups(profileId, [...kept, backup]);
+          break;
+        } catch (error) {
+          if (kept.length === 0) throw error;
+          kept = kept.slice(1);
+        }
+      }
+      return toBackupInfo(backup);
+    }
+
+    const backup = await window.jdex.storage.writeBackup(data, label, profileId, counts);
+    console.log(`[JDex Storage] Backup written: ${backup.id}`);
+    return backup;
+  } catch (error) {
+    throw new DatabaseError(`Failed to back up database: ${error.message}`, 'save');
+  }
+}
+
+/**
+ * List a profile's backups, newest first.
+ *
+ * @param {string} [profileId=DEFAULT_PROFILE_ID]
+ * @returns {Promise<Array<{id: string, label: string, created_at: string, size: number, counts: Object}>>}
+ * @throws {DatabaseError} If the backups can't be listed
+ */
+export async function listDatabaseBackups(profileId = DEFAULT_PROFILE_ID) {
+  try {
+    const backups = hasFileStorage()
+      ? await window.jdex.storage.listBackups(profileId)
+      : readBrowserBackups(profileId).map(toBackupInfo);
+    return backups.sort((a, b) => b.created_at.localeCompare(a.created_at));
+  } catch (error) {
+    throw new DatabaseError(`Failed to list backups: ${error.message}`, 'load');
+  }
+}
+
+/**
+ * Read the bytes of one backup.
+ *
+ * @param {string} backupId - id from listDatabaseBackups
+ * @param {string} [profileId=DEFAULT_PROFILE_ID]
+ * @returns {Promise<Uint8Array>}
+ * @throws {DatabaseError} If the backup doesn't exist or can't be read
+ */
+export async function readDatabaseBackup(backupId, profileId = DEFAULT_PROFILE_ID) {
+  try {
+    if (!hasFileStorage()) {
+      const backup = readBrowserBackups(profileId).find((b) => b.id === backupId);
+      if (!backup) throw new Error('backup not found');
+      return new Uint8Array(backup.data);
+    }
+
+    return new Uint8Array(await window.jdex.storage.readBackup(backupId, profileId));
+  } catch (error) {
+    throw new DatabaseError(`Failed to read backup: ${error.message}`, 'load');
+  }
+}
+
+/**
+ * Replace the bytes of an existing backup, keeping its label and date.
+ * Used to encrypt or decrypt old backups when encryption is switched.
+ *
+ * @param {string} backupId - id from listDatabaseBackups
+ * @param {Uint8Array} data
+ * @param {string} [profileId=DEFAULT_PROFILE_ID]
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If the backup can't be written
+ */
+export async function rewriteDatabaseBackup(backupId, data, profileId = DEFAULT_PROFILE_ID) {
+  try {
+    if (!hasFileStorage()) {
+      writeBrowserBackups(
+        profileId,
+        readBrowserBackups(profileId).map((b) =>
+          b.id === backupId ? { ...b, size: data.length, data: Array.from(data) } : b
+        )
+      );
+      return;
+    }
+
+    await window.jdex.storage.rewriteBackup(backupId, data, profileId);
+  } catch (error) {
+    throw new DatabaseError(`Failed to rewrite backup: ${error.message}`, 'save');
+  }
+}
+
+/**
+ * Delete one backup.
+ *
+ * @param {string} backupId - id from listDatabaseBackups
+ * @param {string} [profileId=DEFAULT_PROFILE_ID]
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If the backup can't be deleted
+ */
+export async function deleteDatabaseBackup(backupId, profileId = DEFAULT_PROFILE_ID) {
+  try {
+    if (!hasFileStorage()) {
+      writeBrowserBackups(
+        profileId,
+        readBrowserBackups(profileId).filter((b) => b.id !== backupId)
+      );
+      return;
+    }
+
+    await window.jdex.storage.deleteBackup(backupId, profileId);
+  } catch (error) {
+    throw new DatabaseError(`Failed to delete backup: ${error.message}`, 'delete');
+  }
+}
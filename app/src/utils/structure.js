@@ -0,0 +1,214 @@
+/**
+ * Structure Rules for JDex
+ * ========================
+ * The Johnny Decimal invariants areas and categories must keep:
+ * - an area covers whole decades, from x0 to x9 (10-19, or 10-29 for a wide one)
+ * - areas don't overlap
+ * - a category number (00-99) is unique and lies inside its area's range
+ *
+ * The checks are pure functions over the current areas and categories (see
+ * validateArea and validateCategory in db.js). Each problem is reported
+ * against the form field it concerns, with a suggested fix where there is an
+ * obvious one: {field, message, suggestion: {label, values} | null}, where
+ * `values` are the field values that would resolve it.
+ */
+
+import { ValidationError } from './validation.js';
+
+const pad = (n) => String(n).padStart(2, '0');
+const rangeLabel = (area) => `${pad(area.range_start)}-${pad(area.range_end)}`;
+
+function fieldError(field, message, suggestion = null) {
+  return { field, message, suggestion };
+}
+
+function isValidNumber(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 99;
+}
+
+function overlaps(area, start, end) {
+  return area.range_start <= end && start <= area.range_end;
+}
+
+/**
+ * Free decade closest to `start` (searching upwards first), or null if every
+ * decade is taken.
+ */
+function nearestFreeDecade(areas, start) {
+  const base = Math.floor(start / 10) * 10;
+  for (let distance = 0; distance < 100; distance += 10) {
+    for (const candidate of [base + distance, base - distance]) {
+      if (candidate < 0 || candidate > 90) continue;
+      if (!areas.some((a) => overlaps(a, candidate, candidate + 9))) {
+        return { range_start: candidate, range_end: candidate + 9 };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check an area's range.
+ *
+ * @param {{range_start: number, range_end: number}} area
+ * @param {Object} context
+ * @param {Array} context.areas - The other areas (id, range_start, range_end, name)
+ * @param {Array} [context.categories] - Categories that stay in the area (number, name)
+ * @returns {Array<Object>} Field errors; empty when the range is valid
+ */
+export function checkAreaRange(area, { areas, categories = [] }) {
+  const start = Number(area.range_start);
+  const end = Number(area.range_end);
+
+  const errors = [];
+  if (!isValidNumber(start)) {
+    errors.push(fieldError('range_start', 'Range start must be a whole number from 0 to 99'));
+  }
+  if (!isValidNumber(end)) {
+    errors.push(fieldError('range_end', 'Range end must be a whole number from 0 to 99'));
+  }
+  if (errors.length > 0) return errors;
+
+  const aligned = {
+    range_start: Math.floor(start / 10) * 10,
+    range_end: Math.floor(Math.max(start, end) / 10) * 10 + 9,
+  };
+  if (start > end) {
+    return [
+      fieldError('range_end', `The range ends (${pad(end)}) before it starts (${pad(start)})`, {
+        label: `Use ${rangeLabel(aligned)}`,
+        values: aligned,
+      }),
+    ];
+  }
+  if (start % 10 !== 0 || end % 10 !== 9) {
+    errors.push(
+      fieldError(
+        start % 10 !== 0 ? 'range_start' : 'range_end',
+        `Areas cover whole decades, from x0 to x9 (${pad(start)}-${pad(end)} doesn't)`,
+        { label: `Use ${rangeLabel(aligned)}`, values: aligned }
+      )
+    );
+  }
+
+  const overlapping = areas.filter((a) => overlaps(a, start, end));
+  if (overlapping.length > 0) {
+    const free = nearestFreeDecade(areas, start);
+    errors.push(
+      fieldError(
+        'range_start',
+        `Overlaps ${overlapping.map((a) => `area ${rangeLabel(a)} ${a.name}`).join(', ')}`,
+        free && { label: `Use ${rangeLabel(free)}, which is free`, values: free }
+      )
+    );
+  }
+
+  const stranded = categories.filter((c) => c.number < start || c.number > end);
+  if (stranded.length > 0) {
+    const numbers = [start, end, ...stranded.map((c) => c.number)];
+    const covering = {
+      range_start: Math.floor(Math.min(...numbers) / 10) * 10,
+      range_end: Math.floor(Math.max(...numbers) / 10) * 10 + 9,
+    };
+    errors.push(
+      fieldError(
+        start > Math.min(...stranded.map((c) => c.number)) ? 'range_start' : 'range_end',
+        `Categories ${stranded.map((c) => `${pad(c.number)} ${c.name}`).join(', ')} would be left outside the area`,
+        { label: `Use ${rangeLabel(covering)}`, values: covering }
+      )
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Check a category's number and area.
+ *
+ * @param {{number: number, area_id: number}} category
+ * @param {Object} context
+ * @param {Array} context.areas - id, range_start, range_end, name
+ * @param {Array} context.categories - The other categories (number, area_id, name)
+ * @returns {Array<Object>} Field errors; empty when the placement is valid
+ */
+export function checkCategoryPlacement(category, { areas, categories }) {
+  const number = Number(category.number);
+  if (!isValidNumber(number)) {
+    return [fieldError('number', 'Category number must be a whole number from 00 to 99')];
+  }
+
+  const area = areas.find((a) => a.id === Number(category.area_id));
+  const freeInArea = () => {
+    if (!area) return null;
+    for (let n = area.range_start; n <= area.range_end; n++) {
+      if (!categories.some((c) => c.number === n)) return n;
+    }
+    return null;
+  };
+
+  const errors = [];
+  const duplicate = categories.find((c) => c.number === number);
+  if (duplicate) {
+    const free = freeInArea();
+    errors.push(
+      fieldError(
+        'number',
+        `Category ${pad(number)} is already ${duplicate.name}`,
+        free === null
+          ? null
+          : { label: `Use ${pad(free)}, the first free number`, values: { number: free } }
+      )
+    );
+  }
+
+  if (!area) {
+    errors.push(fieldError('area_id', 'Choose the area the category belongs to'));
+    return errors;
+  }
+
+  // A taken number has to change anyway, and the suggestion above is already in the area
+  if (!duplicate && (number < area.range_start || number > area.range_end)) {
+    const home = areas.find((a) => number >= a.range_start && number <= a.range_end);
+    if (home) {
+      errors.push(
+        fieldError(
+          'area_id',
+          `Category ${pad(number)} is outside area ${rangeLabel(area)} ${area.name}`,
+          {
+            label: `Category ${pad(number)} belongs in area ${rangeLabel(home)} ${home.name}`,
+            values: { area_id: home.id },
+          }
+        )
+      );
+    } else {
+      const free = freeInArea();
+      errors.push(
+        fieldError(
+          'number',
+          `No area covers ${pad(number)}, and area ${rangeLabel(area)} ${area.name} doesn't include it`,
+          free === null
+            ? null
+            : {
+                label: `Use ${pad(free)} in ${rangeLabel(area)} ${area.name}`,
+                values: { number: free },
+              }
+        )
+      );
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * A ValidationError for a list of field errors; the first one is the message,
+ * and the whole list is on `errors` for forms that show them inline.
+ *
+ * @param {Array<Object>} errors - From checkAreaRange or checkCategoryPlacement
+ * @returns {ValidationError}
+ */
+export function structureError(errors) {
+  const error = new ValidationError(errors[0].message, errors[0].field);
+  error.errors = errors;
+  return error;
+}
@@ -0,0 +1,53 @@
+/**
+ * Tags for JDex
+ * =============
+ * Folders and items carry tags, stored once in the tags table and linked
+ * through folder_tags and item_tags (see the TAGS section of db.js). Tag
+ * names are unique ignoring case; the first spelling used is kept.
+ *
+ * Tags replaced the old comma-separated keywords columns, and commas still
+ * separate tags wherever they're typed or imported as text.
+ */
+
+import { ValidationError, sanitizeText, validateRequiredString } from './validation.js';
+
+export const MAX_TAG_LENGTH = 50;
+
+/**
+ * Check a tag name someone typed (a rename, say).
+ *
+ * @param {string} name
+ * @returns {string} The trimmed name
+ * @throws {ValidationError} If it's empty, too long or contains a comma
+ */
+export function normalizeTagName(name) {
+  const tag = validateRequiredString(name, 'Tag', MAX_TAG_LENGTH);
+  if (tag.includes(',')) {
+    throw new ValidationError('Tags cannot contain commas', 'tag', name);
+  }
+  return tag;
+}
+
+/**
+ * Tag names from a list or a comma-separated string, trimmed and without
+ * repeats (ignoring case). Overlong names are cut short rather than
+ * rejected, since this also reads old keywords.
+ *
+ * @param {string|string[]|null|undefined} value
+ * @returns {string[]}
+ */
+export function parseTagList(value) {
+  const raw = Array.isArray(value)
+    ? value.flatMap((v) => String(v).split(','))
+    : String(value || '').split(',');
+  const seen = new Set();
+  const tags = [];
+  raw.forEach((part) => {
+    const tag = sanitizeText(part).slice(0, MAX_TAG_LENGTH).trim();
+    if (tag && !seen.has(tag.toLowerCase())) {
+      seen.add(tag.toLowerCase());
+      tags.push(tag);
+    }
+  });
+  return tags;
+}
@@ -0,0 +1,103 @@
+/**
+ * Folder Templates for JDex
+ * =========================
+ * A folder template is a named list of items (name, description, tags,
+ * sensitivity) to create in a new folder, e.g. the same dozen items for
+ * every client project. Templates are stored in the folder_templates table
+ * (see the FOLDER TEMPLATES section of db.js) and can be shared as JSON:
+ *
+ *   { "format": "jdex-folder-templates", "version": 1, "exported_at": "...",
+ *     "templates": [{ "name": "...", "description": "...", "items": [...] }] }
+ *
+ * Version 1 files predate tags and give each item a comma-separated
+ * keywords string instead.
+ */
+
+import { MAX_SEQUENCE } from './numbering.js';
+import { parseTagList } from './tags.js';
+import { ValidationError, validateRequiredString, validateOptionalString } from './validation.js';
+
+export const TEMPLATE_FILE_FORMAT = 'jdex-folder-templates';
+const TEMPLATE_FILE_VERSION = 2;
+
+export const ITEM_SENSITIVITIES = ['inherit', 'standard', 'sensitive', 'work'];
+
+/**
+ * Check and clean up a template.
+ *
+ * @param {Object} template - {name, description, items: [{name, description, tags, sensitivity}]}
+ * @returns {{name: string, description: string, items: Array<Object>}}
+ * @throws {ValidationError} If the name or an item name is missing, or there are too many items
+ */
+export function normalizeTemplate(template) {
+  const name = validateRequiredString(template?.name, 'Template name', 100);
+  const description = validateOptionalString(template.description, 'Description', 500) || '';
+
+  if (!Array.isArray(template.items) || template.items.length === 0) {
+    throw new ValidationError(`Template "${name}" has no items`, 'items');
+  }
+  if (template.items.length > MAX_SEQUENCE) {
+    throw new ValidationError(
+      `Template "${name}" has ${template.items.length} items; a folder holds at most ${MAX_SEQUENCE}`,
+      'items'
+    );
+  }
+
+  const items = template.items.map((item, i) => ({
+    name: validateRequiredString(item?.name, `Item ${i + 1} name`, 200),
+    description: validateOptionalString(item.description, `Item ${i + 1} description`, 2000) || '',
+    tags: parseTagList(item.tags),
+    sensitivity: ITEM_SENSITIVITIES.includes(item.sensitivity) ? item.sensitivity : 'inherit',
+  }));
+
+  return { name, description, items };
+}
+
+/**
+ * Serialize templates for export.
+ *
+ * @param {Array<Object>} templates - As returned by getFolderTemplates()
+ * @returns {string} JSON
+ */
+export function serializeTemplates(templates) {
+  return JSON.stringify(
+    {
+      format: TEMPLATE_FILE_FORMAT,
+      version: TEMPLATE_FILE_VERSION,
+      exported_at: new Date().toISOString(),
+      templates: templates.map(({ name, description, items }) => ({ name, description, items })),
+    },
+    null,
+    2
+  );
+}
+
+// Version 1 items have keywords where tags are now
+function upgradeVersion1Template(template) {
+  if (!Array.isArray(template?.items)) return template;
+  return { ...template, items: template.items.map((item) => ({ ...item, tags: item?.keywords })) };
+}
+
+/**
+ * Read templates from an exported file.
+ *
+ * @param {string} text - File contents
+ * @returns {Array<{name: string, description: string, items: Array<Object>}>}
+ * @throws {ValidationError} If the file isn't a template export or a template is invalid
+ */
+export function parseTemplateFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ValidationError('The file is not valid JSON', 'file');
+  }
+  if (data?.format !== TEMPLATE_FILE_FORMAT || !Array.isArray(data.templates)) {
+    throw new ValidationError('The file is not a JDex folder template export', 'file');
+  }
+  if (data.version > TEMPLATE_FILE_VERSION) {
+    throw new ValidationError('The file was exported by a newer version of JDex', 'file');
+  }
+  const templates = data.version < 2 ? data.templates.map(upgradeVersion1Template) : data.templates;
+  return templates.map(normalizeTemplate);
+}
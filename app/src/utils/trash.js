@@ -0,0 +1,27 @@
+/**
+ * Trash Settings for JDex
+ * =======================
+ * Deleted areas, categories, folders and items go to the trash table (see
+ * the TRASH section of db.js) and are purged once they are older than the
+ * retention period set here.
+ */
+
+const RETENTION_STORAGE_KEY = 'jdex_trash_retention_days';
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Days a deleted record stays in the trash (0 = until emptied by hand).
+ *
+ * @returns {number}
+ */
+export function getTrashRetentionDays() {
+  const saved = parseInt(localStorage.getItem(RETENTION_STORAGE_KEY), 10);
+  return Number.isNaN(saved) ? DEFAULT_TRASH_RETENTION_DAYS : saved;
+}
+
+/**
+ * @param {number} days - 0 keeps deleted records until the trash is emptied
+ */
+export function setTrashRetentionDays(days) {
+  localStorage.setItem(RETENTION_STORAGE_KEY, String(Math.max(0, Math.floor(days))));
+}
@@ -1,9 +1,29 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// SHA-256 of the bundled sql.js assets, checked at runtime by src/utils/sqlLoader.js
+function sqlJsIntegrity() {
+  const hash = (file) =>
+    createHash('sha256')
+      .update(readFileSync(require.resolve(`sql.js/dist/${file}`)))
+      .digest('hex');
+  return {
+    'sql-wasm.js': hash('sql-wasm.js'),
+    'sql-wasm.wasm': hash('sql-wasm.wasm'),
+  };
+}
 
 export default defineConfig({
   plugins: [react()],
   base: './',
+  define: {
+    __SQLJS_INTEGRITY__: JSON.stringify(sqlJsIntegrity()),
+  },
   optimizeDeps: {
     exclude: ['sql.js'],
   },
@@ -11,4 +31,9 @@ export default defineConfig({
     outDir: 'dist',
     assetsDir: 'assets',
   },
+  test: {
+    environment: 'node',
+    include: ['src/**/*.test.js'],
+    setupFiles: ['src/test/setup.js'],
+  },
 });